@@ -5,6 +5,9 @@
 
 const express = require('express');
 const cors = require('cors');
+const secureInquiryRoute = require('./src/routes/secureInquiry.route');
+const { createDefaultConversationRouter } = require('./src/routes/conversation.route');
+const { createDefaultAdminRouter } = require('./src/routes/admin.route');
 
 const app = express();
 
@@ -17,7 +20,12 @@ app.get('/health', (req, res) => {
 });
 
 // Secure inquiry route - POST /secure-inquiry
-const secureInquiryRoute = require('./src/routes/secureInquiry.route');
 app.use(secureInquiryRoute);
 
+// Conversation routes - multi-turn inquiries with consistent redaction
+app.use(createDefaultConversationRouter());
+
+// Admin routes - circuit breaker and bulkhead state (enabled by ADMIN_API_TOKEN)
+app.use(createDefaultAdminRouter());
+
 module.exports = app;
@@ -3,6 +3,10 @@
  * Single source of truth for server and feature settings.
  */
 
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
 // Load environment variables from .env file (quiet mode to suppress logs)
 require('dotenv').config({ quiet: true });
 
@@ -39,11 +43,440 @@ function getEncryptionKey() {
   return key != null && key !== '' ? key : undefined;
 }
 
+/**
+ * Resolves the PII types whose tokens may be re-injected into AI answers.
+ * Comma-separated list, e.g. "EMAIL,SSN" (default: EMAIL).
+ *
+ * @returns {string[]} Upper-cased PII type names
+ */
+function getRehydrateAllowedTypes() {
+  const raw = process.env.REHYDRATE_ALLOWED_TYPES;
+  if (raw == null || raw.trim() === '') return ['EMAIL'];
+  return raw
+    .split(',')
+    .map((type) => type.trim().toUpperCase())
+    .filter((type) => type !== '');
+}
+
+/**
+ * Loads custom sanitizer detector definitions from the file named by
+ * SANITIZER_DETECTORS_FILE (JSON, or YAML for .yaml/.yml files).
+ *
+ * The file holds either an array of detector definitions or an object with a
+ * `detectors` array. Patterns are regex source strings, e.g.
+ * `{ "name": "employee-id", "type": "EMPLOYEE_ID", "pattern": "\\bEMP-\\d{6}\\b", "priority": 150 }`.
+ *
+ * @returns {Object[]} Detector definitions (empty when no file is configured)
+ * @throws {Error} If the file cannot be read or does not contain a detector list
+ */
+function getCustomDetectors() {
+  const file = process.env.SANITIZER_DETECTORS_FILE;
+  if (file == null || file === '') return [];
+
+  const filePath = path.resolve(file);
+  const content = fs.readFileSync(filePath, 'utf8');
+  const ext = path.extname(filePath).toLowerCase();
+  const parsed = ext === '.yaml' || ext === '.yml' ? YAML.parse(content) : JSON.parse(content);
+
+  const detectors = Array.isArray(parsed) ? parsed : parsed && parsed.detectors;
+  if (!Array.isArray(detectors)) {
+    throw new Error(`SANITIZER_DETECTORS_FILE ${filePath} must contain a list of detectors`);
+  }
+  return detectors;
+}
+
+/**
+ * Parses a positive integer env value.
+ *
+ * @param {string|undefined} raw - Raw env value
+ * @param {number} fallback - Value used when raw is missing or invalid
+ * @returns {number} Parsed integer or fallback
+ */
+function parsePositiveInt(raw, fallback) {
+  const num = Number(raw);
+  return raw != null && raw !== '' && Number.isInteger(num) && num > 0 ? num : fallback;
+}
+
+/**
+ * Parses a non-negative integer env value (0 allowed).
+ *
+ * @param {string|undefined} raw - Raw env value
+ * @param {number} fallback - Value used when raw is missing or invalid
+ * @returns {number} Parsed integer or fallback
+ */
+function parseNonNegativeInt(raw, fallback) {
+  const num = Number(raw);
+  return raw != null && raw !== '' && Number.isInteger(num) && num >= 0 ? num : fallback;
+}
+
+/**
+ * Resolves encoded-payload scanning settings for the sanitizer.
+ * SANITIZER_DECODE_PAYLOADS=true enables decoding of Base64, percent-encoded
+ * and hex segments; SANITIZER_DECODE_MAX_DEPTH (default 2) bounds nested
+ * layers and SANITIZER_DECODE_MAX_LENGTH (default 8192) the segment size.
+ *
+ * @returns {{enabled: boolean, maxDepth: number, maxSegmentLength: number}} Payload decoding settings
+ */
+function getPayloadDecoding() {
+  return {
+    enabled: ['true', '1', 'yes'].includes(String(process.env.SANITIZER_DECODE_PAYLOADS).toLowerCase()),
+    maxDepth: parsePositiveInt(process.env.SANITIZER_DECODE_MAX_DEPTH, 2),
+    maxSegmentLength: parsePositiveInt(process.env.SANITIZER_DECODE_MAX_LENGTH, 8192),
+  };
+}
+
+/**
+ * Parses a comma-separated list of KEY=value pairs from an env variable.
+ * Keys are upper-cased (except "*") and values lower-cased.
+ *
+ * @param {string} name - Env variable name (used in error messages)
+ * @returns {Array<[string, string]>} Key/value pairs in order
+ * @throws {Error} If an entry is not a KEY=value pair
+ */
+function parseAssignments(name) {
+  const raw = process.env[name];
+  if (raw == null || raw.trim() === '') return [];
+
+  return raw
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter((entry) => entry !== '')
+    .map((entry) => {
+      const [key, value] = entry.split('=').map((part) => (part || '').trim());
+      if (!key || !value) {
+        throw new Error(`${name} entry "${entry}" must be TYPE=value`);
+      }
+      return [key.toUpperCase(), value.toLowerCase()];
+    });
+}
+
+/**
+ * Resolves per-type masking strategies for redacted PII.
+ * SANITIZER_MASKING is a comma-separated list of TYPE=strategy pairs, where
+ * "*" sets the default, e.g. "CREDIT_CARD=partial,EMAIL=hash,*=full".
+ * SANITIZER_MASKING_KEY is the HMAC key for hash and synthetic values.
+ * Strategy names are validated by the sanitizer.
+ *
+ * @returns {{strategies: Object<string, string>, defaultStrategy: string, hmacKey: string|undefined}} Masking settings
+ * @throws {Error} If an entry is not a TYPE=strategy pair
+ */
+function getMasking() {
+  const strategies = {};
+  let defaultStrategy = 'full';
+
+  for (const [type, strategy] of parseAssignments('SANITIZER_MASKING')) {
+    if (type === '*') {
+      defaultStrategy = strategy;
+    } else {
+      strategies[type] = strategy;
+    }
+  }
+
+  const key = process.env.SANITIZER_MASKING_KEY;
+  return { strategies, defaultStrategy, hmacKey: key != null && key !== '' ? key : undefined };
+}
+
+/**
+ * Resolves the PII policy: allow, redact or block per detected type.
+ * PII_POLICY is a comma-separated list of TYPE=action or TYPE:KIND=action
+ * pairs, where "*" sets the default, e.g. "CREDIT_CARD=block,SECRET:PRIVATE_KEY=block,IP_ADDRESS=allow".
+ * Action names are validated by the policy service.
+ *
+ * @returns {{rules: Object<string, string>, defaultAction: string}} Policy settings
+ * @throws {Error} If an entry is not a TYPE=action pair
+ */
+function getPolicy() {
+  const rules = {};
+  let defaultAction = 'redact';
+
+  for (const [type, action] of parseAssignments('PII_POLICY')) {
+    if (type === '*') {
+      defaultAction = action;
+    } else {
+      rules[type] = action;
+    }
+  }
+
+  return { rules, defaultAction };
+}
+
+/**
+ * Resolves circuit breaker settings: defaults for every AI provider plus
+ * per-provider (and per-model) overrides.
+ *
+ * Defaults come from CIRCUIT_BREAKER_FAILURE_THRESHOLD (default 3),
+ * CIRCUIT_BREAKER_FAILURE_WINDOW_MS (default 0, i.e. no window),
+ * CIRCUIT_BREAKER_RESET_TIMEOUT_MS (default 30000) and
+ * CIRCUIT_BREAKER_HALF_OPEN_MAX_TRIALS (default 1). CIRCUIT_BREAKER_MODE=rate
+ * switches to failure-rate tripping, tuned by CIRCUIT_BREAKER_RATE_WINDOW_MS
+ * (default 60000), CIRCUIT_BREAKER_MINIMUM_REQUESTS (default 10),
+ * CIRCUIT_BREAKER_FAILURE_RATE_THRESHOLD (percent, default 50),
+ * CIRCUIT_BREAKER_SLOW_CALL_DURATION_MS (default 0, i.e. slow calls not tracked)
+ * and CIRCUIT_BREAKER_SLOW_CALL_RATE_THRESHOLD (percent, default 100). CIRCUIT_BREAKER_PROVIDERS
+ * is a JSON object of overrides keyed by "provider" or "provider:model", e.g.
+ * `{"openai": {"failureThreshold": 5}, "openai:gpt-4o": {"resetTimeoutMs": 60000}}`.
+ *
+ * @returns {{defaults: Object, providers: Object<string, Object>}} Circuit breaker settings
+ * @throws {Error} If CIRCUIT_BREAKER_PROVIDERS is not a JSON object
+ */
+function getCircuitBreaker() {
+  const defaults = {
+    failureThreshold: parsePositiveInt(process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD, 3),
+    failureWindowMs: parsePositiveInt(process.env.CIRCUIT_BREAKER_FAILURE_WINDOW_MS, 0),
+    resetTimeoutMs: parsePositiveInt(process.env.CIRCUIT_BREAKER_RESET_TIMEOUT_MS, 30000),
+    halfOpenMaxTrials: parsePositiveInt(process.env.CIRCUIT_BREAKER_HALF_OPEN_MAX_TRIALS, 1),
+    mode: (process.env.CIRCUIT_BREAKER_MODE || 'consecutive').trim().toLowerCase(),
+    rateWindowMs: parsePositiveInt(process.env.CIRCUIT_BREAKER_RATE_WINDOW_MS, 60000),
+    minimumRequests: parsePositiveInt(process.env.CIRCUIT_BREAKER_MINIMUM_REQUESTS, 10),
+    failureRateThreshold: parsePositiveInt(process.env.CIRCUIT_BREAKER_FAILURE_RATE_THRESHOLD, 50),
+    slowCallDurationMs: parsePositiveInt(process.env.CIRCUIT_BREAKER_SLOW_CALL_DURATION_MS, 0),
+    slowCallRateThreshold: parsePositiveInt(process.env.CIRCUIT_BREAKER_SLOW_CALL_RATE_THRESHOLD, 100),
+  };
+
+  const raw = process.env.CIRCUIT_BREAKER_PROVIDERS;
+  if (raw == null || raw.trim() === '') return { defaults, providers: {} };
+
+  let providers;
+  try {
+    providers = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`CIRCUIT_BREAKER_PROVIDERS is not valid JSON: ${error.message}`);
+  }
+  if (!providers || typeof providers !== 'object' || Array.isArray(providers)) {
+    throw new Error('CIRCUIT_BREAKER_PROVIDERS must be a JSON object keyed by provider');
+  }
+  return { defaults, providers };
+}
+
+/**
+ * Resolves where circuit breaker state is kept.
+ *
+ * CIRCUIT_BREAKER_STORE is "memory" (default, per process) or "file" (shared
+ * by every process on the host through the JSON file at
+ * CIRCUIT_BREAKER_STORE_FILE, default src/db/circuit-breakers.json).
+ *
+ * @returns {{type: string, filePath?: string}} Store settings
+ * @throws {Error} If CIRCUIT_BREAKER_STORE is not a known store type
+ */
+function getCircuitBreakerStore() {
+  const type = (process.env.CIRCUIT_BREAKER_STORE || 'memory').trim().toLowerCase();
+  if (type !== 'memory' && type !== 'file') {
+    throw new Error(`CIRCUIT_BREAKER_STORE must be "memory" or "file", got "${type}"`);
+  }
+
+  const filePath = process.env.CIRCUIT_BREAKER_STORE_FILE;
+  if (type === 'file' && filePath != null && filePath.trim() !== '') {
+    return { type, filePath: path.resolve(filePath.trim()) };
+  }
+  return { type };
+}
+
+/**
+ * Resolves timeout, retry and deadline settings for AI calls.
+ *
+ * AI_TIMEOUT_MS (default 30000) bounds each attempt, AI_MAX_RETRIES (default 2)
+ * sets how many times a transient failure is retried, AI_RETRY_BASE_DELAY_MS
+ * (default 200) and AI_RETRY_MAX_DELAY_MS (default 5000) shape the jittered
+ * exponential backoff, and AI_REQUEST_DEADLINE_MS (default 60000) bounds all
+ * attempts together. A timeout or deadline of 0 disables it.
+ *
+ * @returns {{timeoutMs: number, maxRetries: number, baseDelayMs: number, maxDelayMs: number, deadlineMs: number}}
+ *   AI resilience settings
+ */
+function getAIResilience() {
+  return {
+    timeoutMs: parseNonNegativeInt(process.env.AI_TIMEOUT_MS, 30000),
+    maxRetries: parseNonNegativeInt(process.env.AI_MAX_RETRIES, 2),
+    baseDelayMs: parseNonNegativeInt(process.env.AI_RETRY_BASE_DELAY_MS, 200),
+    maxDelayMs: parseNonNegativeInt(process.env.AI_RETRY_MAX_DELAY_MS, 5000),
+    deadlineMs: parseNonNegativeInt(process.env.AI_REQUEST_DEADLINE_MS, 60000),
+  };
+}
+
+/**
+ * Resolves the per-provider bulkhead that caps concurrent AI calls.
+ *
+ * AI_MAX_CONCURRENT (default 10) calls run at once, up to AI_MAX_QUEUE
+ * (default 50, 0 = no queue) more wait, each for at most AI_QUEUE_TIMEOUT_MS
+ * (default 5000, 0 = no limit).
+ *
+ * @returns {{maxConcurrent: number, maxQueue: number, queueTimeoutMs: number}} Bulkhead settings
+ */
+function getBulkhead() {
+  return {
+    maxConcurrent: parsePositiveInt(process.env.AI_MAX_CONCURRENT, 10),
+    maxQueue: parseNonNegativeInt(process.env.AI_MAX_QUEUE, 50),
+    queueTimeoutMs: parseNonNegativeInt(process.env.AI_QUEUE_TIMEOUT_MS, 5000),
+  };
+}
+
+/**
+ * Resolves conversation settings. CONVERSATION_MAX_TURNS (default 50) caps the
+ * user turns per conversation, which also bounds the history sent to the AI.
+ *
+ * @returns {{maxTurns: number}} Conversation settings
+ */
+function getConversations() {
+  return {
+    maxTurns: parsePositiveInt(process.env.CONVERSATION_MAX_TURNS, 50),
+  };
+}
+
+/**
+ * Resolves the output DLP applied to AI answers. OUTPUT_DLP_ACTION is off,
+ * flag, redact (default) or block; the action name is validated by the output
+ * DLP service.
+ *
+ * @returns {{action: string}} Output DLP settings
+ */
+function getOutputDlp() {
+  return {
+    action: (process.env.OUTPUT_DLP_ACTION || '').trim().toLowerCase() || 'redact',
+  };
+}
+
+/**
+ * Resolves the ordered AI provider chain: AI_PROVIDER (default "mock") first,
+ * then the comma-separated AI_FALLBACK_PROVIDERS in order. Duplicates are dropped.
+ *
+ * @returns {string[]} Lower-cased provider names, primary first
+ */
+function getAIProviders() {
+  const primary = (process.env.AI_PROVIDER || '').trim().toLowerCase() || 'mock';
+  const fallbacks = (process.env.AI_FALLBACK_PROVIDERS || '')
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter((name) => name !== '');
+  return [...new Set([primary, ...fallbacks])];
+}
+
+/**
+ * Resolves settings for the OpenAI-compatible provider ("openai").
+ * OPENAI_BASE_URL (default https://api.openai.com/v1) points at any server
+ * with a /chat/completions endpoint; OPENAI_API_KEY is optional for local
+ * servers. OPENAI_TEMPERATURE (0-2) and OPENAI_MAX_TOKENS are only sent when set.
+ *
+ * @returns {{baseUrl: string, apiKey?: string, model: string, temperature?: number, maxTokens?: number}} OpenAI settings
+ */
+function getOpenAI() {
+  const settings = {
+    baseUrl: (process.env.OPENAI_BASE_URL || '').trim() || 'https://api.openai.com/v1',
+    model: (process.env.OPENAI_MODEL || '').trim() || 'gpt-4o-mini',
+  };
+
+  const apiKey = (process.env.OPENAI_API_KEY || '').trim();
+  if (apiKey !== '') {
+    settings.apiKey = apiKey;
+  }
+
+  const rawTemperature = process.env.OPENAI_TEMPERATURE;
+  const temperature = Number(rawTemperature);
+  if (rawTemperature != null && rawTemperature.trim() !== '' && temperature >= 0 && temperature <= 2) {
+    settings.temperature = temperature;
+  }
+
+  const maxTokens = parsePositiveInt(process.env.OPENAI_MAX_TOKENS, undefined);
+  if (maxTokens !== undefined) {
+    settings.maxTokens = maxTokens;
+  }
+
+  return settings;
+}
+
+/**
+ * Resolves settings for the Anthropic Messages API ("anthropic").
+ * ANTHROPIC_MAX_TOKENS (default 1024) is required by the API;
+ * ANTHROPIC_SYSTEM_PROMPT and ANTHROPIC_TEMPERATURE (0-1) are only sent when set.
+ *
+ * @returns {{baseUrl: string, apiKey?: string, model: string, maxTokens: number, systemPrompt?: string, temperature?: number}} Anthropic settings
+ */
+function getAnthropic() {
+  const settings = {
+    baseUrl: (process.env.ANTHROPIC_BASE_URL || '').trim() || 'https://api.anthropic.com',
+    model: (process.env.ANTHROPIC_MODEL || '').trim() || 'claude-sonnet-4-5',
+    maxTokens: parsePositiveInt(process.env.ANTHROPIC_MAX_TOKENS, 1024),
+  };
+
+  const apiKey = (process.env.ANTHROPIC_API_KEY || '').trim();
+  if (apiKey !== '') {
+    settings.apiKey = apiKey;
+  }
+
+  const systemPrompt = (process.env.ANTHROPIC_SYSTEM_PROMPT || '').trim();
+  if (systemPrompt !== '') {
+    settings.systemPrompt = systemPrompt;
+  }
+
+  const rawTemperature = process.env.ANTHROPIC_TEMPERATURE;
+  const temperature = Number(rawTemperature);
+  if (rawTemperature != null && rawTemperature.trim() !== '' && temperature >= 0 && temperature <= 1) {
+    settings.temperature = temperature;
+  }
+
+  return settings;
+}
+
+/**
+ * Resolves settings for a local Ollama server ("ollama").
+ *
+ * @returns {{baseUrl: string, model: string}} OLLAMA_BASE_URL (default http://localhost:11434)
+ *   and OLLAMA_MODEL (default llama3.2)
+ */
+function getOllama() {
+  return {
+    baseUrl: (process.env.OLLAMA_BASE_URL || '').trim() || 'http://localhost:11434',
+    model: (process.env.OLLAMA_MODEL || '').trim() || 'llama3.2',
+  };
+}
+
+/**
+ * Resolves settings for a local llama.cpp server ("llamacpp"), which serves
+ * the OpenAI-compatible chat completions API under /v1. llama-server runs one
+ * model, so the model name is informational.
+ *
+ * @returns {{baseUrl: string, model: string}} LLAMACPP_BASE_URL (default http://localhost:8080/v1)
+ *   and LLAMACPP_MODEL (default "default")
+ */
+function getLlamaCpp() {
+  return {
+    baseUrl: (process.env.LLAMACPP_BASE_URL || '').trim() || 'http://localhost:8080/v1',
+    model: (process.env.LLAMACPP_MODEL || '').trim() || 'default',
+  };
+}
+
+/**
+ * Resolves the bearer token required by the admin API (optional).
+ * The admin API is disabled when ADMIN_API_TOKEN is not set.
+ *
+ * @returns {string|undefined} ADMIN_API_TOKEN value or undefined
+ */
+function getAdminApiToken() {
+  const token = process.env.ADMIN_API_TOKEN;
+  return token != null && token !== '' ? token : undefined;
+}
+
 /** Config object: all env-derived settings in one place */
 const config = {
   port: getPort(),
   nodeEnv: getNodeEnv(),
   encryptionKey: getEncryptionKey(),
+  rehydrateAllowedTypes: getRehydrateAllowedTypes(),
+  customDetectors: getCustomDetectors(),
+  payloadDecoding: getPayloadDecoding(),
+  masking: getMasking(),
+  policy: getPolicy(),
+  outputDlp: getOutputDlp(),
+  circuitBreaker: getCircuitBreaker(),
+  circuitBreakerStore: getCircuitBreakerStore(),
+  aiResilience: getAIResilience(),
+  aiProviders: getAIProviders(),
+  openai: getOpenAI(),
+  anthropic: getAnthropic(),
+  ollama: getOllama(),
+  llamaCpp: getLlamaCpp(),
+  bulkhead: getBulkhead(),
+  conversations: getConversations(),
+  adminApiToken: getAdminApiToken(),
 };
 
 module.exports = config;
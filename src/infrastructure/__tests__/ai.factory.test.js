@@ -0,0 +1,66 @@
+/**
+ * Unit tests for ai.factory.js
+ *
+ * Tests building the ordered AI provider chain and the primary adapter.
+ */
+
+const { getAIProviderChain, getAIAdapter, getAIProviderName } = require('../ai.factory');
+const { MockAIAdapter } = require('../adapters/mockAI.adapter');
+const { OpenAICompatibleAdapter } = require('../adapters/openAICompatible.adapter');
+const { OllamaAdapter } = require('../adapters/ollama.adapter');
+const { AnthropicAdapter } = require('../adapters/anthropic.adapter');
+const config = require('../../../config');
+
+describe('ai.factory', () => {
+  describe('getAIProviderChain', () => {
+    it('should build one adapter per provider, in order', () => {
+      const chain = getAIProviderChain(['mock', 'mock']);
+
+      expect(chain.map((p) => p.name)).toEqual(['mock', 'mock']);
+      expect(chain[0].adapter).toBeInstanceOf(MockAIAdapter);
+      expect(chain[0].adapter).not.toBe(chain[1].adapter);
+    });
+
+    it('should default to the configured providers', () => {
+      expect(getAIProviderChain().map((p) => p.name)).toEqual(['mock']);
+    });
+
+    it('should configure the OpenAI-compatible adapter from config', () => {
+      const [{ adapter }] = getAIProviderChain(['openai']);
+
+      expect(adapter).toBeInstanceOf(OpenAICompatibleAdapter);
+      expect(adapter).toMatchObject({ baseUrl: config.openai.baseUrl, model: config.openai.model });
+    });
+
+    it('should configure the Anthropic adapter from config', () => {
+      const [{ adapter }] = getAIProviderChain(['anthropic']);
+
+      expect(adapter).toBeInstanceOf(AnthropicAdapter);
+      expect(adapter).toMatchObject({
+        baseUrl: config.anthropic.baseUrl,
+        model: config.anthropic.model,
+        maxTokens: config.anthropic.maxTokens,
+      });
+    });
+
+    it('should configure the local Ollama and llama.cpp adapters from config', () => {
+      const [ollama, llamacpp] = getAIProviderChain(['ollama', 'llamacpp']);
+
+      expect(ollama.adapter).toBeInstanceOf(OllamaAdapter);
+      expect(ollama.adapter).toMatchObject(config.ollama);
+      expect(llamacpp.adapter).toBeInstanceOf(OpenAICompatibleAdapter);
+      expect(llamacpp.adapter).toMatchObject(config.llamaCpp);
+    });
+
+    it('should throw on an unknown provider', () => {
+      expect(() => getAIProviderChain(['mock', 'nope'])).toThrow('Unknown AI provider "nope"');
+    });
+  });
+
+  describe('primary provider', () => {
+    it('should return the first provider and its adapter', () => {
+      expect(getAIProviderName()).toBe('mock');
+      expect(getAIAdapter()).toBeInstanceOf(MockAIAdapter);
+    });
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Unit tests for circuitBreaker.factory.js
+ *
+ * Tests selecting the breaker state store and the shared registry.
+ */
+
+const os = require('os');
+const path = require('path');
+const { getCircuitBreakerRegistry, createCircuitBreakerStore } = require('../circuitBreaker.factory');
+const { MemoryCircuitBreakerStore } = require('../adapters/memoryCircuitBreakerStore.adapter');
+const { FileCircuitBreakerStore } = require('../adapters/fileCircuitBreakerStore.adapter');
+
+describe('circuitBreaker.factory', () => {
+  describe('createCircuitBreakerStore', () => {
+    it('should default to the configured in-memory store', () => {
+      expect(createCircuitBreakerStore()).toBeInstanceOf(MemoryCircuitBreakerStore);
+    });
+
+    it('should create a file store for type "file"', () => {
+      const store = createCircuitBreakerStore({
+        type: 'file',
+        filePath: path.join(os.tmpdir(), 'circuit-breakers-factory-test.json'),
+      });
+
+      expect(store).toBeInstanceOf(FileCircuitBreakerStore);
+    });
+  });
+
+  describe('getCircuitBreakerRegistry', () => {
+    it('should return the same registry every time', () => {
+      expect(getCircuitBreakerRegistry()).toBe(getCircuitBreakerRegistry());
+    });
+  });
+});
@@ -0,0 +1,324 @@
+/**
+ * Unit tests for Anthropic AI Adapter
+ *
+ * Tests the Messages API request (headers, system prompt, max_tokens), text
+ * extraction, stop reason handling, mapping of API error types to typed
+ * provider errors, abort handling and streamed answers against a local stub
+ * server.
+ */
+
+const http = require('http');
+const {
+  AnthropicAdapter,
+  API_VERSION,
+  DEFAULT_BASE_URL,
+  DEFAULT_MODEL,
+  DEFAULT_MAX_TOKENS,
+} = require('../anthropic.adapter');
+const {
+  AIAuthenticationError,
+  AIInvalidRequestError,
+  AIRateLimitError,
+  AIServerError,
+  AIResponseError,
+  AIConnectionError,
+} = require('../../../ports/ai.port');
+const { isTransientError } = require('../../../services/aiResilience.service');
+
+/**
+ * Builds a Messages API response body.
+ *
+ * @param {Array<Object>} content - Content blocks
+ * @param {string} [stopReason='end_turn'] - Stop reason
+ * @returns {Object} Response body
+ */
+function message(content, stopReason = 'end_turn') {
+  return { id: 'msg_1', type: 'message', role: 'assistant', content, stop_reason: stopReason };
+}
+
+describe('anthropic.adapter', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let respond;
+
+  beforeEach(async () => {
+    requests = [];
+    respondWith(200, message([{ type: 'text', text: 'Claude answer' }]));
+
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body) });
+        respond(req, res);
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  /**
+   * Makes the stub answer every request with a status and JSON body.
+   *
+   * @param {number} status - HTTP status
+   * @param {Object} body - JSON body
+   * @param {Object} [headers] - Extra response headers
+   */
+  function respondWith(status, body, headers = {}) {
+    respond = (req, res) => {
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(body));
+    };
+  }
+
+  /**
+   * Builds a Messages API error body.
+   *
+   * @param {string} type - Error type
+   * @returns {Object} Error body
+   */
+  function apiError(type) {
+    return { type: 'error', error: { type, message: `${type} happened` } };
+  }
+
+  it('should default to the Anthropic API, model and max tokens', () => {
+    const adapter = new AnthropicAdapter();
+
+    expect(adapter).toMatchObject({ baseUrl: DEFAULT_BASE_URL, model: DEFAULT_MODEL, maxTokens: DEFAULT_MAX_TOKENS });
+  });
+
+  it('should post to /v1/messages with the key, version, system prompt and max_tokens', async () => {
+    const adapter = new AnthropicAdapter({
+      baseUrl: `${baseUrl}/`,
+      apiKey: 'sk-ant-test',
+      model: 'claude-test',
+      maxTokens: 300,
+      systemPrompt: 'Answer briefly.',
+      temperature: 0.3,
+    });
+
+    await expect(adapter.generateAnswer('Hello <REDACTED: EMAIL>')).resolves.toBe('Claude answer');
+
+    expect(requests).toHaveLength(1);
+    expect(requests[0]).toMatchObject({
+      method: 'POST',
+      url: '/v1/messages',
+      body: {
+        model: 'claude-test',
+        max_tokens: 300,
+        system: 'Answer briefly.',
+        temperature: 0.3,
+        messages: [{ role: 'user', content: 'Hello <REDACTED: EMAIL>' }],
+      },
+    });
+    expect(requests[0].headers).toMatchObject({ 'x-api-key': 'sk-ant-test', 'anthropic-version': API_VERSION });
+    expect(requests[0].headers).not.toHaveProperty('authorization');
+  });
+
+  it('should leave out the system prompt and temperature when not set', async () => {
+    await new AnthropicAdapter({ baseUrl }).generateAnswer('Hi');
+
+    expect(requests[0].body).toEqual({
+      model: DEFAULT_MODEL,
+      max_tokens: DEFAULT_MAX_TOKENS,
+      messages: [{ role: 'user', content: 'Hi' }],
+    });
+  });
+
+  it('should send earlier conversation turns before the message', async () => {
+    const history = [
+      { role: 'user', content: 'My email is <EMAIL_1>' },
+      { role: 'assistant', content: 'Noted.' },
+    ];
+
+    await new AnthropicAdapter({ baseUrl }).generateAnswer('What was it?', { history });
+
+    expect(requests[0].body.messages).toEqual([...history, { role: 'user', content: 'What was it?' }]);
+  });
+
+  describe('answers and stop reasons', () => {
+    it('should join the text blocks and skip other block types', async () => {
+      respondWith(200, message([
+        { type: 'thinking', thinking: 'hmm' },
+        { type: 'text', text: 'Part one. ' },
+        { type: 'text', text: 'Part two.' },
+      ]));
+
+      await expect(new AnthropicAdapter({ baseUrl }).generateAnswer('Hi')).resolves.toBe('Part one. Part two.');
+    });
+
+    it.each(['stop_sequence', 'max_tokens'])('should return the text when stopped by %s', async (stopReason) => {
+      respondWith(200, message([{ type: 'text', text: 'Cut' }], stopReason));
+
+      await expect(new AnthropicAdapter({ baseUrl }).generateAnswer('Hi')).resolves.toBe('Cut');
+    });
+
+    it('should reject other stop reasons', async () => {
+      respondWith(200, message([{ type: 'text', text: 'No.' }], 'refusal'));
+
+      const error = await new AnthropicAdapter({ baseUrl }).generateAnswer('Hi').catch((e) => e);
+
+      expect(error).toBeInstanceOf(AIResponseError);
+      expect(error.message).toBe('AI provider stopped without an answer (stop reason: refusal)');
+      expect(error.retryable).toBe(false);
+    });
+
+    it('should reject an answer without text', async () => {
+      respondWith(200, message([]));
+
+      await expect(new AnthropicAdapter({ baseUrl }).generateAnswer('Hi')).rejects.toThrow('AI provider response has no answer');
+    });
+  });
+
+  describe('API errors', () => {
+    it.each([
+      [529, 'overloaded_error', AIServerError, true],
+      [500, 'api_error', AIServerError, true],
+      [429, 'rate_limit_error', AIRateLimitError, true],
+      [401, 'authentication_error', AIAuthenticationError, false],
+      [403, 'permission_error', AIAuthenticationError, false],
+      [400, 'invalid_request_error', AIInvalidRequestError, false],
+      [404, 'not_found_error', AIInvalidRequestError, false],
+      [413, 'request_too_large', AIInvalidRequestError, false],
+    ])('should map %i %s', async (status, type, ErrorClass, retryable) => {
+      respondWith(status, apiError(type));
+
+      const error = await new AnthropicAdapter({ baseUrl }).generateAnswer('Hi').catch((e) => e);
+
+      expect(error).toBeInstanceOf(ErrorClass);
+      expect(error).toMatchObject({ status, type, retryable, isAIProviderError: true });
+      expect(error.message).toBe(`AI provider returned ${status}: ${type} happened`);
+      expect(isTransientError(error)).toBe(retryable);
+    });
+
+    it('should keep the Retry-After delay of a rate limit', async () => {
+      respondWith(429, apiError('rate_limit_error'), { 'Retry-After': '7' });
+
+      const error = await new AnthropicAdapter({ baseUrl }).generateAnswer('Hi').catch((e) => e);
+
+      expect(error.retryAfterMs).toBe(7000);
+    });
+  });
+
+  describe('streamAnswer', () => {
+    /**
+     * Makes the stub answer with a stream of Server-Sent Events.
+     *
+     * @param {Array<[string, Object]>} events - Event names and JSON payloads
+     */
+    function streamEvents(events) {
+      respond = (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        for (const [event, data] of events) {
+          res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+        res.end();
+      };
+    }
+
+    /**
+     * Collects every chunk of a stream.
+     *
+     * @param {AsyncIterable<string>} stream - Stream
+     * @returns {Promise<string[]>} Chunks
+     */
+    async function collect(stream) {
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+      }
+      return chunks;
+    }
+
+    /**
+     * Builds a text delta event.
+     *
+     * @param {string} text - Text
+     * @returns {[string, Object]} Event
+     */
+    function textDelta(text) {
+      return ['content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text } }];
+    }
+
+    it('should request a stream and yield the text deltas until message_stop', async () => {
+      streamEvents([
+        ['message_start', { type: 'message_start', message: { id: 'msg_1' } }],
+        ['ping', { type: 'ping' }],
+        textDelta('Hello '),
+        ['content_block_delta', { type: 'content_block_delta', delta: { type: 'input_json_delta', partial_json: '{}' } }],
+        textDelta('there'),
+        ['message_delta', { type: 'message_delta', delta: { stop_reason: 'end_turn' } }],
+        ['message_stop', { type: 'message_stop' }],
+      ]);
+
+      const chunks = await collect(new AnthropicAdapter({ baseUrl, apiKey: 'sk-ant-test' }).streamAnswer('Hi'));
+
+      expect(chunks).toEqual(['Hello ', 'there']);
+      expect(requests[0].body).toMatchObject({ stream: true, messages: [{ role: 'user', content: 'Hi' }] });
+      expect(requests[0].headers).toMatchObject({ 'x-api-key': 'sk-ant-test', 'anthropic-version': API_VERSION });
+    });
+
+    it('should map an error event to a typed provider error', async () => {
+      streamEvents([textDelta('Par'), ['error', { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }]]);
+
+      const chunks = [];
+      let error;
+      try {
+        for await (const chunk of new AnthropicAdapter({ baseUrl }).streamAnswer('Hi')) {
+          chunks.push(chunk);
+        }
+      } catch (e) {
+        error = e;
+      }
+
+      expect(chunks).toEqual(['Par']);
+      expect(error).toBeInstanceOf(AIServerError);
+      expect(error).toMatchObject({ status: 529, type: 'overloaded_error', retryable: true });
+      expect(error.message).toBe('AI provider stream failed: Overloaded');
+    });
+
+    it('should reject a stop reason without an answer', async () => {
+      streamEvents([['message_delta', { type: 'message_delta', delta: { stop_reason: 'refusal' } }]]);
+
+      await expect(collect(new AnthropicAdapter({ baseUrl }).streamAnswer('Hi'))).rejects.toThrow(AIResponseError);
+    });
+
+    it('should reject a stream that ends before message_stop', async () => {
+      streamEvents([textDelta('Cut')]);
+
+      const error = await collect(new AnthropicAdapter({ baseUrl }).streamAnswer('Hi')).catch((e) => e);
+
+      expect(error).toBeInstanceOf(AIConnectionError);
+      expect(error.retryable).toBe(true);
+    });
+
+    it('should map an HTTP error before the stream starts', async () => {
+      respondWith(429, apiError('rate_limit_error'), { 'Retry-After': '3' });
+
+      const error = await collect(new AnthropicAdapter({ baseUrl }).streamAnswer('Hi')).catch((e) => e);
+
+      expect(error).toBeInstanceOf(AIRateLimitError);
+      expect(error.retryAfterMs).toBe(3000);
+    });
+  });
+
+  it('should reject with the signal reason when aborted', async () => {
+    respond = () => {};
+    const controller = new AbortController();
+    const reason = new Error('timed out');
+
+    const pending = new AnthropicAdapter({ baseUrl }).generateAnswer('Hi', { signal: controller.signal });
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    controller.abort(reason);
+
+    await expect(pending).rejects.toBe(reason);
+  });
+});
@@ -0,0 +1,322 @@
+/**
+ * Unit tests for File Circuit Breaker Store Adapter
+ *
+ * Tests the in-memory view and background writes of the shared JSON file,
+ * the bound on pending updates, sharing between store instances and
+ * processes, lock timeouts, and recovery of stale lock files without
+ * deleting another process's lock.
+ * Uses a temporary directory per test.
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileCircuitBreakerStore, MAX_PENDING_PER_KEY } = require('../fileCircuitBreakerStore.adapter');
+const { CircuitBreaker, STATES } = require('../../../services/circuitBreaker.service');
+
+/**
+ * Writes a lock file that looks abandoned by a crashed process.
+ *
+ * @param {string} lockPath - Lock file path
+ * @returns {void}
+ */
+function writeStaleLock(lockPath) {
+  fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+  fs.writeFileSync(lockPath, '999999:crashed');
+  const old = new Date(Date.now() - 60000);
+  fs.utimesSync(lockPath, old, old);
+}
+
+/**
+ * Flushes a store until its pending updates are written. A write that fails
+ * (e.g. because the lock was lost during stale-lock recovery) leaves them
+ * pending for the next attempt.
+ *
+ * @param {FileCircuitBreakerStore} store - Store to flush
+ * @returns {Promise<void>} Resolves once written
+ */
+async function flushUntilWritten(store) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await store.flush();
+      return;
+    } catch (error) {
+      if (attempt === 10) throw error;
+    }
+  }
+}
+
+/**
+ * Increments a counter in the store from a separate Node process, flushing
+ * like flushUntilWritten.
+ *
+ * @param {string} filePath - Shared state file
+ * @param {number} times - Increments to make, each written on its own
+ * @returns {Promise<void>} Resolves when the process exited cleanly
+ */
+function incrementInChildProcess(filePath, times) {
+  const script = `
+    const { FileCircuitBreakerStore } = require(${JSON.stringify(require.resolve('../fileCircuitBreakerStore.adapter'))});
+    const store = new FileCircuitBreakerStore(${JSON.stringify(filePath)}, { lockTimeoutMs: 20000 });
+    (async () => {
+      for (let i = 0; i < ${times}; i++) {
+        store.update('counter', (current) => ({ count: (current ? current.count : 0) + 1 }));
+        for (let attempt = 1; ; attempt++) {
+          try {
+            await store.flush();
+            break;
+          } catch (error) {
+            if (attempt === 10) throw error;
+          }
+        }
+      }
+    })().catch((error) => { console.error(error); process.exit(1); });
+  `;
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ['-r', require.resolve('ts-node/register/transpile-only'), '-e', script], {
+      stdio: ['ignore', 'ignore', 'pipe'],
+    });
+    let stderr = '';
+    child.stderr.on('data', (data) => {
+      stderr += data;
+    });
+    child.on('error', reject);
+    child.on('exit', (code) => (code === 0 ? resolve() : reject(new Error(`child exited with ${code}: ${stderr}`))));
+  });
+}
+
+describe('fileCircuitBreakerStore.adapter', () => {
+  let dir;
+  let filePath;
+  let lockPath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'breaker-store-'));
+    filePath = path.join(dir, 'nested', 'circuit-breakers.json');
+    lockPath = `${filePath}.lock`;
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should return undefined before anything is stored', () => {
+    const store = new FileCircuitBreakerStore(filePath);
+
+    expect(store.get('openai')).toBeUndefined();
+  });
+
+  it('should apply an update at once and write it to the file in the background', async () => {
+    const store = new FileCircuitBreakerStore(filePath);
+
+    store.update('openai', () => ({ state: STATES.OPEN }));
+
+    expect(store.get('openai')).toEqual({ state: STATES.OPEN });
+    await store.flush();
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual({ openai: { state: STATES.OPEN } });
+    expect(fs.existsSync(lockPath)).toBe(false);
+  });
+
+  it('should load the shared state when created', async () => {
+    const first = new FileCircuitBreakerStore(filePath);
+    first.update('openai', () => ({ state: STATES.OPEN }));
+    await first.flush();
+
+    expect(new FileCircuitBreakerStore(filePath).get('openai')).toEqual({ state: STATES.OPEN });
+  });
+
+  it('should pass the stored state to the mutator and keep other keys', async () => {
+    const store = new FileCircuitBreakerStore(filePath);
+    store.update('openai', () => ({ count: 1 }));
+    store.update('ollama', () => ({ count: 5 }));
+
+    store.update('openai', (current) => ({ count: current.count + 1 }));
+    await store.flush();
+
+    await expect(store.readStates()).resolves.toEqual({ openai: { count: 2 }, ollama: { count: 5 } });
+  });
+
+  it('should re-run updates against the file, so updates from other stores are not lost', async () => {
+    const first = new FileCircuitBreakerStore(filePath);
+    const second = new FileCircuitBreakerStore(filePath);
+    const increment = (current) => ({ count: (current ? current.count : 0) + 1 });
+
+    first.update('openai', increment);
+    second.update('openai', increment);
+    first.update('openai', increment);
+    await Promise.all([first.flush(), second.flush()]);
+    await first.flush();
+
+    await expect(first.readStates()).resolves.toEqual({ openai: { count: 3 } });
+    expect(first.get('openai')).toEqual({ count: 3 });
+  });
+
+  it('should throw what the mutator throws without taking the lock', () => {
+    const store = new FileCircuitBreakerStore(filePath);
+
+    expect(() =>
+      store.update('openai', () => {
+        throw new Error('boom');
+      })
+    ).toThrow('boom');
+    expect(fs.existsSync(lockPath)).toBe(false);
+  });
+
+  it('should not write updates that change nothing', async () => {
+    const store = new FileCircuitBreakerStore(filePath);
+
+    store.update('openai', (current) => current);
+    await store.flush();
+
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+
+  it('should not write the file for read-only breaker operations', async () => {
+    const store = new FileCircuitBreakerStore(filePath);
+    const breaker = new CircuitBreaker({ name: 'openai', store });
+
+    expect(breaker.isOpen()).toBe(false);
+    breaker.getState();
+    breaker.getSnapshot();
+    await store.flush();
+
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+
+  it('should share breaker state between store instances on the same file', async () => {
+    const firstStore = new FileCircuitBreakerStore(filePath);
+    const secondStore = new FileCircuitBreakerStore(filePath);
+    const first = new CircuitBreaker({ name: 'openai', store: firstStore });
+    const second = new CircuitBreaker({ name: 'openai', store: secondStore });
+
+    first.recordFailure();
+    second.recordFailure();
+    first.recordFailure();
+    await Promise.all([firstStore.flush(), secondStore.flush()]);
+    await secondStore.flush();
+
+    expect(second.isOpen()).toBe(true);
+    expect(second.getSnapshot()).toMatchObject({ state: STATES.OPEN, failureCount: 3 });
+  });
+
+  it('should emit a state change found when writing as remote', async () => {
+    const firstStore = new FileCircuitBreakerStore(filePath);
+    const secondStore = new FileCircuitBreakerStore(filePath);
+    const first = new CircuitBreaker({ name: 'openai', store: firstStore });
+    const second = new CircuitBreaker({ name: 'openai', store: secondStore });
+    const events = [];
+    second.on('stateChange', (event) => events.push(event));
+
+    first.recordFailure();
+    first.recordFailure();
+    await firstStore.flush();
+    second.recordFailure();
+    await secondStore.flush();
+
+    expect(events).toEqual([expect.objectContaining({ from: STATES.CLOSED, to: STATES.OPEN, remote: true })]);
+  });
+
+  describe('while another process holds the lock', () => {
+    beforeEach(() => {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(lockPath, '1:busy');
+    });
+
+    it('should keep answering from its view without waiting for the lock', async () => {
+      const onError = jest.fn();
+      const store = new FileCircuitBreakerStore(filePath, { lockTimeoutMs: 200, onError });
+      const breaker = new CircuitBreaker({ name: 'openai', store });
+
+      const startedAt = Date.now();
+      breaker.recordFailure();
+      breaker.recordFailure();
+      breaker.recordFailure();
+
+      expect(breaker.isOpen()).toBe(true);
+      expect(Date.now() - startedAt).toBeLessThan(100);
+      await expect(store.flush()).rejects.toThrow('Timed out waiting for circuit breaker store lock');
+      expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: expect.stringContaining('Timed out') }));
+      expect(fs.existsSync(filePath)).toBe(false);
+    });
+
+    it('should write the pending updates once the lock is released', async () => {
+      const store = new FileCircuitBreakerStore(filePath, { lockTimeoutMs: 20 });
+      store.update('openai', () => ({ state: STATES.OPEN }));
+      await expect(store.flush()).rejects.toThrow('Timed out');
+
+      fs.rmSync(lockPath);
+      await store.flush();
+
+      await expect(store.readStates()).resolves.toEqual({ openai: { state: STATES.OPEN } });
+    });
+
+    it('should bound the pending updates of a breaker and report the dropped ones', async () => {
+      const onError = jest.fn();
+      const store = new FileCircuitBreakerStore(filePath, { lockTimeoutMs: 20, onError });
+
+      for (let i = 0; i < 500; i++) {
+        store.update('counter', (current) => ({ count: (current ? current.count : 0) + 1 }));
+        expect(store.pendingCount).toBeLessThanOrEqual(MAX_PENDING_PER_KEY);
+      }
+      expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: expect.stringContaining('Dropped') }));
+
+      fs.rmSync(lockPath);
+      await flushUntilWritten(store);
+
+      await expect(store.readStates()).resolves.toEqual({ counter: { count: 500 } });
+      expect(store.pendingCount).toBe(0);
+    });
+
+    it('should not remove a lock that is not stale', async () => {
+      const store = new FileCircuitBreakerStore(filePath, { lockTimeoutMs: 20 });
+      store.update('openai', () => ({}));
+
+      await expect(store.flush()).rejects.toThrow('Timed out');
+
+      expect(fs.readFileSync(lockPath, 'utf8')).toBe('1:busy');
+    });
+  });
+
+  it('should remove a stale lock left by a crashed process', async () => {
+    const store = new FileCircuitBreakerStore(filePath, { lockTimeoutMs: 20, staleLockMs: 1000 });
+    writeStaleLock(lockPath);
+
+    store.update('openai', () => ({ state: STATES.CLOSED }));
+    await store.flush();
+
+    await expect(store.readStates()).resolves.toEqual({ openai: { state: STATES.CLOSED } });
+    expect(fs.existsSync(lockPath)).toBe(false);
+    expect(fs.readdirSync(path.dirname(filePath))).toEqual(['circuit-breakers.json']);
+  });
+
+  it('should let only one store recover a stale lock at a time', async () => {
+    writeStaleLock(lockPath);
+    const stores = Array.from({ length: 5 }, () => new FileCircuitBreakerStore(filePath, { lockTimeoutMs: 5000 }));
+
+    for (let round = 0; round < 4; round++) {
+      for (const store of stores) {
+        store.update('counter', (current) => ({ count: (current ? current.count : 0) + 1 }));
+      }
+      await Promise.all(stores.map(flushUntilWritten));
+    }
+
+    await expect(stores[0].readStates()).resolves.toEqual({ counter: { count: 20 } });
+  });
+
+  it('should keep updates from several processes recovering the same stale lock', async () => {
+    writeStaleLock(lockPath);
+
+    await Promise.all([1, 2, 3].map(() => incrementInChildProcess(filePath, 15)));
+
+    await expect(new FileCircuitBreakerStore(filePath).readStates()).resolves.toEqual({ counter: { count: 45 } });
+    expect(fs.existsSync(lockPath)).toBe(false);
+  }, 60000);
+
+  it('should treat an unreadable file as empty', () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, '{ not json');
+
+    expect(new FileCircuitBreakerStore(filePath).get('openai')).toBeUndefined();
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Unit tests for memoryConversationStore.adapter.ts
+ *
+ * Tests create, get and appendTurns, and that stored state is copied.
+ */
+
+const { MemoryConversationStore } = require('../memoryConversationStore.adapter');
+const { ConversationStorePort } = require('../../../ports/conversationStore.port');
+
+/**
+ * Builds an empty conversation.
+ *
+ * @param {string} id - Conversation id
+ * @returns {Object} Conversation
+ */
+function conversation(id) {
+  return { id, userId: 'user1', createdAt: '2024-01-01T00:00:00.000Z', turns: [], tokens: [] };
+}
+
+describe('MemoryConversationStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MemoryConversationStore();
+  });
+
+  it('should extend ConversationStorePort', () => {
+    expect(store).toBeInstanceOf(ConversationStorePort);
+  });
+
+  it('should return undefined for unknown conversations', async () => {
+    expect(await store.get('nope')).toBeUndefined();
+  });
+
+  it('should return a created conversation', async () => {
+    await store.create(conversation('c1'));
+
+    expect(await store.get('c1')).toEqual(conversation('c1'));
+  });
+
+  it('should append turns and tokens in order', async () => {
+    await store.create(conversation('c1'));
+    const turns = [
+      { role: 'user', content: 'I am <EMAIL_1>', timestamp: 't1' },
+      { role: 'assistant', content: 'Hi', timestamp: 't2', provider: 'mock' },
+    ];
+    const tokens = [{ token: '<EMAIL_1>', type: 'EMAIL', valueEncrypted: 'x' }];
+
+    await store.appendTurns('c1', turns, tokens);
+    await store.appendTurns('c1', [{ role: 'user', content: 'Again', timestamp: 't3' }], []);
+
+    const stored = await store.get('c1');
+    expect(stored.turns.map((turn) => turn.content)).toEqual(['I am <EMAIL_1>', 'Hi', 'Again']);
+    expect(stored.tokens).toEqual(tokens);
+  });
+
+  it('should reject appending to an unknown conversation', async () => {
+    await expect(store.appendTurns('nope', [], [])).rejects.toThrow('Unknown conversation nope');
+  });
+
+  it('should not let callers change stored state', async () => {
+    const created = conversation('c1');
+    await store.create(created);
+    created.userId = 'user2';
+    (await store.get('c1')).turns.push({ role: 'user', content: 'x', timestamp: 't' });
+
+    expect(await store.get('c1')).toEqual(conversation('c1'));
+  });
+});
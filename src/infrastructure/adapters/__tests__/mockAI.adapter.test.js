@@ -2,7 +2,8 @@
  * Unit tests for Mock AI Adapter
  *
  * Tests the mock AI provider implementation that simulates
- * AI processing with a 2-second delay.
+ * AI processing with a 2-second delay, streams the answer in chunks
+ * over the same delay and honours abort signals.
  */
 
 const {
@@ -175,5 +176,60 @@ describe('mockAI.adapter', () => {
         ]);
       });
     });
+
+    describe('abort signal', () => {
+      it('should reject with the abort reason when the signal is aborted', async () => {
+        const controller = new AbortController();
+        const reason = new Error('timed out');
+        const resultPromise = adapter.generateAnswer('test message', { signal: controller.signal });
+
+        controller.abort(reason);
+
+        await expect(resultPromise).rejects.toBe(reason);
+      });
+
+      it('should reject immediately when the signal is already aborted', async () => {
+        const controller = new AbortController();
+        controller.abort(new Error('cancelled'));
+
+        await expect(adapter.generateAnswer('test message', { signal: controller.signal })).rejects.toThrow('cancelled');
+      });
+
+      it('should resolve normally when the signal is never aborted', async () => {
+        const controller = new AbortController();
+        const resultPromise = adapter.generateAnswer('test message', { signal: controller.signal });
+
+        jest.advanceTimersByTime(RESPONSE_DELAY_MS);
+
+        await expect(resultPromise).resolves.toBe(DEFAULT_RESPONSE);
+      });
+    });
+  });
+
+  describe('streamAnswer', () => {
+    it('should yield the answer word by word over RESPONSE_DELAY_MS', async () => {
+      const stream = adapter.streamAnswer('test message');
+
+      const first = stream.next();
+      jest.advanceTimersByTime(RESPONSE_DELAY_MS / 2);
+      await expect(first).resolves.toEqual({ done: false, value: 'Generated' });
+
+      const second = stream.next();
+      jest.advanceTimersByTime(RESPONSE_DELAY_MS / 2);
+      await expect(second).resolves.toEqual({ done: false, value: ' Answer' });
+
+      await expect(stream.next()).resolves.toEqual({ done: true, value: undefined });
+    });
+
+    it('should reject with the abort reason when the signal is aborted', async () => {
+      const controller = new AbortController();
+      const reason = new Error('client left');
+      const stream = adapter.streamAnswer('test message', { signal: controller.signal });
+
+      const first = stream.next();
+      controller.abort(reason);
+
+      await expect(first).rejects.toBe(reason);
+    });
   });
 });
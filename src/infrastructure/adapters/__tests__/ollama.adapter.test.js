@@ -0,0 +1,192 @@
+/**
+ * Unit tests for Ollama AI Adapter
+ *
+ * Tests the /api/chat request, answer extraction, error mapping, abort
+ * handling and streamed answers against a local fake Ollama server.
+ */
+
+const http = require('http');
+const { OllamaAdapter, DEFAULT_BASE_URL, DEFAULT_MODEL } = require('../ollama.adapter');
+const { AIInvalidRequestError, AIServerError, AIResponseError, AIConnectionError } = require('../../../ports/ai.port');
+
+describe('ollama.adapter', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let respond;
+
+  beforeEach(async () => {
+    requests = [];
+    respond = (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ model: 'llama3.2', message: { role: 'assistant', content: 'Local answer' }, done: true }));
+    };
+
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body) });
+        respond(req, res);
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  /**
+   * Makes the fake server answer every request with a status and JSON body.
+   *
+   * @param {number} status - HTTP status
+   * @param {Object} body - JSON body
+   */
+  function respondWith(status, body) {
+    respond = (req, res) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+  }
+
+  it('should default to the local Ollama port and model', () => {
+    const adapter = new OllamaAdapter();
+
+    expect(adapter.baseUrl).toBe(DEFAULT_BASE_URL);
+    expect(adapter.model).toBe(DEFAULT_MODEL);
+  });
+
+  it('should post a non-streaming chat request and return the answer', async () => {
+    const adapter = new OllamaAdapter({ baseUrl: `${baseUrl}/`, model: 'mistral' });
+
+    await expect(adapter.generateAnswer('Hello <REDACTED: EMAIL>')).resolves.toBe('Local answer');
+
+    expect(requests).toEqual([
+      expect.objectContaining({
+        method: 'POST',
+        url: '/api/chat',
+        body: { model: 'mistral', messages: [{ role: 'user', content: 'Hello <REDACTED: EMAIL>' }], stream: false },
+      }),
+    ]);
+    expect(requests[0].headers).not.toHaveProperty('authorization');
+  });
+
+  it('should send earlier conversation turns before the message', async () => {
+    const history = [
+      { role: 'user', content: 'My email is <EMAIL_1>' },
+      { role: 'assistant', content: 'Noted.' },
+    ];
+
+    await new OllamaAdapter({ baseUrl }).generateAnswer('What was it?', { history });
+
+    expect(requests[0].body.messages).toEqual([...history, { role: 'user', content: 'What was it?' }]);
+  });
+
+  it('should map an unknown model to a non-retryable invalid request error', async () => {
+    respondWith(404, { error: 'model "mistral" not found, try pulling it first' });
+
+    const error = await new OllamaAdapter({ baseUrl }).generateAnswer('Hi').catch((e) => e);
+
+    expect(error).toBeInstanceOf(AIInvalidRequestError);
+    expect(error).toMatchObject({ status: 404, retryable: false });
+    expect(error.message).toBe('AI provider returned 404: model "mistral" not found, try pulling it first');
+  });
+
+  it('should map server errors to retryable errors', async () => {
+    respondWith(500, { error: 'out of memory' });
+
+    const error = await new OllamaAdapter({ baseUrl }).generateAnswer('Hi').catch((e) => e);
+
+    expect(error).toBeInstanceOf(AIServerError);
+    expect(error.retryable).toBe(true);
+  });
+
+  it('should reject a response without a message', async () => {
+    respondWith(200, { done: true });
+
+    await expect(new OllamaAdapter({ baseUrl }).generateAnswer('Hi')).rejects.toThrow(AIResponseError);
+  });
+
+  describe('streamAnswer', () => {
+    /**
+     * Makes the fake server answer with newline-delimited JSON.
+     *
+     * @param {Array<Object>} lines - JSON objects, one per line
+     */
+    function streamLines(lines) {
+      respond = (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+        for (const line of lines) {
+          res.write(`${JSON.stringify(line)}\n`);
+        }
+        res.end();
+      };
+    }
+
+    /**
+     * Collects every chunk of a stream.
+     *
+     * @param {AsyncIterable<string>} stream - Stream
+     * @returns {Promise<string[]>} Chunks
+     */
+    async function collect(stream) {
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+      }
+      return chunks;
+    }
+
+    it('should request a stream and yield the message contents until done', async () => {
+      streamLines([
+        { message: { role: 'assistant', content: 'Local ' }, done: false },
+        { message: { role: 'assistant', content: 'answer' }, done: false },
+        { message: { role: 'assistant', content: '' }, done: true, done_reason: 'stop' },
+      ]);
+
+      const chunks = await collect(new OllamaAdapter({ baseUrl }).streamAnswer('Hi'));
+
+      expect(chunks).toEqual(['Local ', 'answer']);
+      expect(requests[0]).toMatchObject({ url: '/api/chat', body: { stream: true } });
+    });
+
+    it('should reject an error line', async () => {
+      streamLines([{ message: { content: 'Par' }, done: false }, { error: 'out of memory' }]);
+
+      await expect(collect(new OllamaAdapter({ baseUrl }).streamAnswer('Hi'))).rejects.toThrow(
+        new AIResponseError('AI provider stream failed: out of memory')
+      );
+    });
+
+    it('should reject a stream that ends before done', async () => {
+      streamLines([{ message: { content: 'Cut' }, done: false }]);
+
+      await expect(collect(new OllamaAdapter({ baseUrl }).streamAnswer('Hi'))).rejects.toBeInstanceOf(AIConnectionError);
+    });
+
+    it('should map an unknown model before the stream starts', async () => {
+      respondWith(404, { error: 'model "nope" not found' });
+
+      await expect(collect(new OllamaAdapter({ baseUrl }).streamAnswer('Hi'))).rejects.toBeInstanceOf(
+        AIInvalidRequestError
+      );
+    });
+  });
+
+  it('should reject with the signal reason when aborted', async () => {
+    respond = () => {};
+    const controller = new AbortController();
+    const reason = new Error('timed out');
+
+    const pending = new OllamaAdapter({ baseUrl }).generateAnswer('Hi', { signal: controller.signal });
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    controller.abort(reason);
+
+    await expect(pending).rejects.toBe(reason);
+  });
+});
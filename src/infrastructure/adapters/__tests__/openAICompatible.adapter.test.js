@@ -0,0 +1,297 @@
+/**
+ * Unit tests for OpenAI-Compatible AI Adapter
+ *
+ * Tests the chat completions request, answer extraction, mapping of HTTP and
+ * network failures to typed provider errors, abort handling and streamed
+ * answers against a local stub HTTP server.
+ */
+
+const http = require('http');
+const { OpenAICompatibleAdapter, DEFAULT_BASE_URL, DEFAULT_MODEL } = require('../openAICompatible.adapter');
+const {
+  AIAuthenticationError,
+  AIInvalidRequestError,
+  AIRateLimitError,
+  AIServerError,
+  AIConnectionError,
+  AIResponseError,
+} = require('../../../ports/ai.port');
+const { isTransientError } = require('../../../services/aiResilience.service');
+
+describe('openAICompatible.adapter', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let respond;
+
+  beforeEach(async () => {
+    requests = [];
+    respond = (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: 'Stub answer' } }] }));
+    };
+
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : undefined });
+        respond(req, res);
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+  });
+
+  afterEach(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  /**
+   * Makes the stub answer every request with a status and JSON body.
+   *
+   * @param {number} status - HTTP status
+   * @param {Object} body - JSON body
+   * @param {Object} [headers] - Extra response headers
+   */
+  function respondWith(status, body, headers = {}) {
+    respond = (req, res) => {
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(body));
+    };
+  }
+
+  it('should default to the OpenAI API and model', () => {
+    const adapter = new OpenAICompatibleAdapter();
+
+    expect(adapter.baseUrl).toBe(DEFAULT_BASE_URL);
+    expect(adapter.model).toBe(DEFAULT_MODEL);
+  });
+
+  it('should post the message to /chat/completions and return the answer', async () => {
+    const adapter = new OpenAICompatibleAdapter({
+      baseUrl: `${baseUrl}/`,
+      apiKey: 'sk-test',
+      model: 'test-model',
+      temperature: 0.2,
+      maxTokens: 256,
+    });
+
+    await expect(adapter.generateAnswer('Hello <REDACTED: EMAIL>')).resolves.toBe('Stub answer');
+
+    expect(requests).toHaveLength(1);
+    expect(requests[0]).toMatchObject({
+      method: 'POST',
+      url: '/v1/chat/completions',
+      body: {
+        model: 'test-model',
+        messages: [{ role: 'user', content: 'Hello <REDACTED: EMAIL>' }],
+        temperature: 0.2,
+        max_tokens: 256,
+      },
+    });
+    expect(requests[0].headers.authorization).toBe('Bearer sk-test');
+    expect(requests[0].headers['content-type']).toBe('application/json');
+  });
+
+  it('should omit the key and unset generation settings', async () => {
+    const adapter = new OpenAICompatibleAdapter({ baseUrl });
+
+    await adapter.generateAnswer('Hi');
+
+    expect(requests[0].headers).not.toHaveProperty('authorization');
+    expect(requests[0].body).toEqual({ model: DEFAULT_MODEL, messages: [{ role: 'user', content: 'Hi' }] });
+  });
+
+  it('should send earlier conversation turns before the message', async () => {
+    const history = [
+      { role: 'user', content: 'My email is <EMAIL_1>' },
+      { role: 'assistant', content: 'Noted.' },
+    ];
+
+    await new OpenAICompatibleAdapter({ baseUrl }).generateAnswer('What was it?', { history });
+
+    expect(requests[0].body.messages).toEqual([...history, { role: 'user', content: 'What was it?' }]);
+  });
+
+  describe('HTTP errors', () => {
+    let adapter;
+
+    beforeEach(() => {
+      adapter = new OpenAICompatibleAdapter({ baseUrl });
+    });
+
+    it.each([
+      [401, AIAuthenticationError, false],
+      [403, AIAuthenticationError, false],
+      [400, AIInvalidRequestError, false],
+      [404, AIInvalidRequestError, false],
+      [500, AIServerError, true],
+      [503, AIServerError, true],
+    ])('should map %i to %p', async (status, ErrorClass, retryable) => {
+      respondWith(status, { error: { message: 'Provider says no' } });
+
+      const error = await adapter.generateAnswer('Hi').catch((e) => e);
+
+      expect(error).toBeInstanceOf(ErrorClass);
+      expect(error).toMatchObject({ status, retryable, isAIProviderError: true });
+      expect(error.message).toBe(`AI provider returned ${status}: Provider says no`);
+      expect(isTransientError(error)).toBe(retryable);
+    });
+
+    it('should map 429 to a retryable rate limit error with Retry-After', async () => {
+      respondWith(429, { error: { message: 'Slow down' } }, { 'Retry-After': '2' });
+
+      const error = await adapter.generateAnswer('Hi').catch((e) => e);
+
+      expect(error).toBeInstanceOf(AIRateLimitError);
+      expect(error).toMatchObject({ status: 429, retryable: true, retryAfterMs: 2000 });
+    });
+
+    it('should fall back to the status text when the error body is not JSON', async () => {
+      respond = (req, res) => {
+        res.writeHead(502);
+        res.end('<html>Bad Gateway</html>');
+      };
+
+      const error = await adapter.generateAnswer('Hi').catch((e) => e);
+
+      expect(error).toBeInstanceOf(AIServerError);
+      expect(error.message).toBe('AI provider returned 502: Bad Gateway');
+    });
+  });
+
+  it('should reject a response without an answer', async () => {
+    respondWith(200, { choices: [] });
+
+    const error = await new OpenAICompatibleAdapter({ baseUrl }).generateAnswer('Hi').catch((e) => e);
+
+    expect(error).toBeInstanceOf(AIResponseError);
+    expect(error.retryable).toBe(false);
+  });
+
+  it('should map an unreachable server to a retryable connection error', async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+
+    const error = await new OpenAICompatibleAdapter({ baseUrl }).generateAnswer('Hi').catch((e) => e);
+    server = http.createServer();
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    expect(error).toBeInstanceOf(AIConnectionError);
+    expect(error).toMatchObject({ code: 'ECONNREFUSED', retryable: true });
+    expect(isTransientError(error)).toBe(true);
+  });
+
+  describe('streamAnswer', () => {
+    /**
+     * Makes the stub answer with Server-Sent Events, one per data line.
+     *
+     * @param {Array<Object|string>} events - JSON payloads, or raw data such as '[DONE]'
+     */
+    function streamData(events) {
+      respond = (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        for (const data of events) {
+          res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+        }
+        res.end();
+      };
+    }
+
+    /**
+     * Builds a chat completion chunk.
+     *
+     * @param {Object} delta - Delta of the first choice
+     * @param {string|null} [finishReason=null] - Finish reason
+     * @returns {Object} Chunk
+     */
+    function chunk(delta, finishReason = null) {
+      return { choices: [{ index: 0, delta, finish_reason: finishReason }] };
+    }
+
+    /**
+     * Collects every chunk of a stream.
+     *
+     * @param {AsyncIterable<string>} stream - Stream
+     * @returns {Promise<string[]>} Chunks
+     */
+    async function collect(stream) {
+      const chunks = [];
+      for await (const text of stream) {
+        chunks.push(text);
+      }
+      return chunks;
+    }
+
+    it('should request a stream and yield the content deltas until [DONE]', async () => {
+      streamData([
+        chunk({ role: 'assistant', content: '' }),
+        chunk({ content: 'Stub ' }),
+        chunk({ content: 'answer' }),
+        chunk({}, 'stop'),
+        '[DONE]',
+      ]);
+
+      const chunks = await collect(new OpenAICompatibleAdapter({ baseUrl, apiKey: 'sk-test' }).streamAnswer('Hi'));
+
+      expect(chunks).toEqual(['Stub ', 'answer']);
+      expect(requests[0]).toMatchObject({ url: '/v1/chat/completions', body: { stream: true } });
+      expect(requests[0].headers.authorization).toBe('Bearer sk-test');
+    });
+
+    it('should accept a stream that ends after a finish reason without [DONE]', async () => {
+      streamData([chunk({ content: 'Done' }, 'stop')]);
+
+      await expect(collect(new OpenAICompatibleAdapter({ baseUrl }).streamAnswer('Hi'))).resolves.toEqual(['Done']);
+    });
+
+    it('should reject a stream that ends before a finish reason', async () => {
+      streamData([chunk({ content: 'Cut' })]);
+
+      const error = await collect(new OpenAICompatibleAdapter({ baseUrl }).streamAnswer('Hi')).catch((e) => e);
+
+      expect(error).toBeInstanceOf(AIConnectionError);
+      expect(error.message).toBe('AI provider stream ended before the answer was finished');
+    });
+
+    it('should reject an error sent inside the stream', async () => {
+      streamData([{ error: { message: 'model crashed' } }]);
+
+      await expect(collect(new OpenAICompatibleAdapter({ baseUrl }).streamAnswer('Hi'))).rejects.toThrow(
+        new AIResponseError('AI provider stream failed: model crashed')
+      );
+    });
+
+    it('should reject invalid stream data', async () => {
+      streamData(['{not json']);
+
+      await expect(collect(new OpenAICompatibleAdapter({ baseUrl }).streamAnswer('Hi'))).rejects.toThrow(
+        'AI provider sent invalid stream data'
+      );
+    });
+
+    it('should map an HTTP error before the stream starts', async () => {
+      respondWith(503, { error: { message: 'down' } });
+
+      await expect(collect(new OpenAICompatibleAdapter({ baseUrl }).streamAnswer('Hi'))).rejects.toBeInstanceOf(
+        AIServerError
+      );
+    });
+  });
+
+  it('should reject with the signal reason when aborted', async () => {
+    respond = () => {};
+    const controller = new AbortController();
+    const reason = new Error('timed out');
+
+    const pending = new OpenAICompatibleAdapter({ baseUrl }).generateAnswer('Hi', { signal: controller.signal });
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    controller.abort(reason);
+
+    await expect(pending).rejects.toBe(reason);
+  });
+});
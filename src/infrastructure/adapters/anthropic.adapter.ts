@@ -0,0 +1,214 @@
+/**
+ * Anthropic AI Adapter — Implements AI port over the Anthropic Messages API
+ *
+ * Sends the sanitized message as the next user turn (after any earlier
+ * conversation turns) to `<baseUrl>/v1/messages` with the configured model,
+ * max_tokens and optional system prompt, and returns the text blocks of the
+ * answer. Answers that stopped normally (end_turn, stop_sequence) or hit
+ * max_tokens (truncated) are returned; any other stop reason (e.g. refusal)
+ * is an AIResponseError.
+ *
+ * Failures map to the typed AIProviderError subclasses from the AI port, with
+ * the API's error type kept on the error: overloaded_error (529) and api_error
+ * (500) → AIServerError, rate_limit_error (429) → AIRateLimitError, all
+ * retryable; authentication_error / permission_error → AIAuthenticationError
+ * and invalid_request_error / not_found_error / request_too_large →
+ * AIInvalidRequestError, not retryable.
+ *
+ * streamAnswer() asks for a streamed message (`stream: true`) and yields the
+ * text deltas of the Server-Sent Events until message_stop. An error event in
+ * the stream maps to the same typed errors, by its error type.
+ */
+
+import {
+  AIConnectionError,
+  AIPort,
+  AIRequestOptions,
+  AIResponseError,
+  ChatTurn,
+  providerErrorForStatus,
+} from '../../ports/ai.port';
+import { parseStreamData, postJson, postStream, readServerSentEvents } from '../../utils/aiHttp.util';
+
+/** Default API base URL */
+export const DEFAULT_BASE_URL = 'https://api.anthropic.com';
+
+/** Default model */
+export const DEFAULT_MODEL = 'claude-sonnet-4-5';
+
+/** Default answer length limit (max_tokens is required by the API) */
+export const DEFAULT_MAX_TOKENS = 1024;
+
+/** API version sent in the anthropic-version header */
+export const API_VERSION = '2023-06-01';
+
+/** Stop reasons whose text is returned as the answer */
+export const ANSWER_STOP_REASONS = ['end_turn', 'stop_sequence', 'max_tokens'];
+
+/** HTTP status matching each API error type, for errors sent inside a stream */
+export const STATUS_BY_ERROR_TYPE: Record<string, number> = {
+  invalid_request_error: 400,
+  authentication_error: 401,
+  permission_error: 403,
+  not_found_error: 404,
+  request_too_large: 413,
+  rate_limit_error: 429,
+  api_error: 500,
+  overloaded_error: 529,
+};
+
+/**
+ * Settings for the Anthropic adapter.
+ */
+export interface AnthropicOptions {
+  /** API base URL, without the /v1 prefix */
+  baseUrl?: string;
+  /** API key sent in the x-api-key header */
+  apiKey?: string;
+  /** Model name */
+  model?: string;
+  /** Maximum tokens in the answer */
+  maxTokens?: number;
+  /** System prompt sent with every request */
+  systemPrompt?: string;
+  /** Sampling temperature; API default when omitted */
+  temperature?: number;
+}
+
+/**
+ * Anthropic Messages API adapter that extends AIPort.
+ */
+export class AnthropicAdapter extends AIPort {
+  readonly baseUrl: string;
+  readonly model: string;
+  readonly maxTokens: number;
+  private readonly apiKey?: string;
+  private readonly systemPrompt?: string;
+  private readonly temperature?: number;
+
+  /**
+   * @param options - API location, credentials and generation settings
+   */
+  constructor({
+    baseUrl = DEFAULT_BASE_URL,
+    apiKey,
+    model = DEFAULT_MODEL,
+    maxTokens = DEFAULT_MAX_TOKENS,
+    systemPrompt,
+    temperature,
+  }: AnthropicOptions = {}) {
+    super();
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.model = model;
+    this.maxTokens = maxTokens;
+    this.systemPrompt = systemPrompt;
+    this.temperature = temperature;
+  }
+
+  /**
+   * Builds the Messages API request body.
+   *
+   * @param sanitizedMessage - The sanitized (PII-redacted) user message
+   * @param history - Earlier turns of the conversation, sent before the message
+   * @returns JSON-serializable request body
+   */
+  buildRequestBody(sanitizedMessage: string, history: ChatTurn[] = []): Record<string, unknown> {
+    const body: Record<string, unknown> = {
+      model: this.model,
+      max_tokens: this.maxTokens,
+      messages: [...history, { role: 'user', content: sanitizedMessage }],
+    };
+    if (this.systemPrompt) body.system = this.systemPrompt;
+    if (this.temperature !== undefined) body.temperature = this.temperature;
+    return body;
+  }
+
+  /**
+   * Builds the request headers.
+   *
+   * @returns Headers with the API version and, when configured, the API key
+   */
+  private requestHeaders(): Record<string, string> {
+    const headers: Record<string, string> = { 'anthropic-version': API_VERSION };
+    if (this.apiKey) {
+      headers['x-api-key'] = this.apiKey;
+    }
+    return headers;
+  }
+
+  /**
+   * Generates an answer through the Messages API.
+   *
+   * @param sanitizedMessage - The sanitized (PII-redacted) user message
+   * @param options - Per-call options; earlier conversation turns are sent first, aborting the signal cancels the HTTP request
+   * @returns Resolves with the answer's text blocks, joined
+   * @throws {AIProviderError} On HTTP errors, network errors, an unexpected stop reason or an answer without text
+   * @throws Rejects with the signal's reason when aborted
+   */
+  async generateAnswer(sanitizedMessage: string, { signal, history }: AIRequestOptions = {}): Promise<string> {
+    const data = await postJson(`${this.baseUrl}/v1/messages`, this.buildRequestBody(sanitizedMessage, history), {
+      headers: this.requestHeaders(),
+      signal,
+    });
+
+    if (!ANSWER_STOP_REASONS.includes(data?.stop_reason)) {
+      throw new AIResponseError(`AI provider stopped without an answer (stop reason: ${data?.stop_reason})`);
+    }
+
+    const blocks = Array.isArray(data.content) ? data.content : [];
+    const text = blocks
+      .filter((block) => block?.type === 'text' && typeof block.text === 'string')
+      .map((block) => block.text)
+      .join('');
+    if (text === '') {
+      throw new AIResponseError('AI provider response has no answer');
+    }
+    return text;
+  }
+
+  /**
+   * Streams an answer through the Messages API.
+   *
+   * @param sanitizedMessage - The sanitized (PII-redacted) user message
+   * @param options - Per-call options; earlier conversation turns are sent first, aborting the signal cancels the HTTP request
+   * @returns Async iterator of the answer's text deltas
+   * @throws {AIProviderError} On HTTP errors, network errors, an error event, an unexpected stop reason or a stream
+   *   that ends before message_stop
+   * @throws Rejects with the signal's reason when aborted
+   */
+  async *streamAnswer(sanitizedMessage: string, { signal, history }: AIRequestOptions = {}): AsyncGenerator<string> {
+    const body = await postStream(
+      `${this.baseUrl}/v1/messages`,
+      { ...this.buildRequestBody(sanitizedMessage, history), stream: true },
+      { headers: this.requestHeaders(), signal }
+    );
+
+    for await (const { event, data } of readServerSentEvents(body, signal)) {
+      if (event === 'message_stop') return;
+      if (event === 'ping') continue;
+
+      const payload = parseStreamData(data);
+      if (event === 'error') {
+        const type = payload?.error?.type;
+        const error = providerErrorForStatus(
+          STATUS_BY_ERROR_TYPE[type] ?? 500,
+          `AI provider stream failed: ${payload?.error?.message || type || 'unknown error'}`
+        );
+        if (typeof type === 'string') {
+          error.type = type;
+        }
+        throw error;
+      }
+      if (event === 'content_block_delta' && payload?.delta?.type === 'text_delta') {
+        yield payload.delta.text;
+      }
+      const stopReason = event === 'message_delta' ? payload?.delta?.stop_reason : undefined;
+      if (stopReason && !ANSWER_STOP_REASONS.includes(stopReason)) {
+        throw new AIResponseError(`AI provider stopped without an answer (stop reason: ${stopReason})`);
+      }
+    }
+
+    throw new AIConnectionError('AI provider stream ended before the answer was finished');
+  }
+}
@@ -0,0 +1,418 @@
+/**
+ * File Circuit Breaker Store Adapter — Implements the breaker store port with a JSON file
+ *
+ * Keeps the state of every breaker in one JSON file so that all gateway
+ * processes on a host share it. Breaker checks never wait for the file: the
+ * store answers from its in-memory view, applies updates to that view at
+ * once and writes them in the background. Each write holds an exclusive lock
+ * file (created with O_EXCL, holding a random owner token) for the
+ * read-modify-write, re-running the pending updates against the latest file
+ * content, and the new content is written to a temporary file and renamed
+ * into place, so readers never see a partial write. The view is reloaded
+ * from the file at most every refresh interval.
+ *
+ * A lock file is only removed by moving it aside and checking its owner
+ * token, so a process never deletes a lock another process has just taken;
+ * this way a lock abandoned by a crashed process is recovered once it is
+ * older than the stale lock age.
+ *
+ * When the file cannot be locked, read or written, breakers keep deciding
+ * from this process's view (the last shared state plus its own calls): a
+ * storage problem neither fails requests nor opens circuits. The updates
+ * stay pending and are retried with the next write; onError is told. So that
+ * a long outage cannot pile up updates, a breaker with too many pending
+ * updates has them replaced by one that writes this process's state for it
+ * (dropping the other processes' changes to that breaker), also reported.
+ */
+
+import { randomUUID } from 'crypto';
+import * as fs from 'fs';
+import * as path from 'path';
+import { isDeepStrictEqual } from 'util';
+import { CircuitBreakerState, CircuitBreakerStorePort } from '../../ports/circuitBreakerStore.port';
+
+/** Default path to the shared state file */
+export const DEFAULT_STORE_PATH = path.join(__dirname, '../../db/circuit-breakers.json');
+
+/** Default time to wait for the lock before giving up on a write */
+export const DEFAULT_LOCK_TIMEOUT_MS = 2000;
+
+/** Default age after which a lock file is considered abandoned */
+export const DEFAULT_STALE_LOCK_MS = 10000;
+
+/** Default time after which the view is reloaded from the file */
+export const DEFAULT_REFRESH_INTERVAL_MS = 100;
+
+/** Pause between attempts to take the lock */
+const LOCK_RETRY_MS = 5;
+
+/** Pending updates per breaker above which they are replaced by this process's state */
+export const MAX_PENDING_PER_KEY = 50;
+
+type Mutator = (current: CircuitBreakerState | undefined) => CircuitBreakerState | undefined;
+
+type States = Record<string, CircuitBreakerState | undefined>;
+
+type Update = { key: string; mutator: Mutator };
+
+/**
+ * Options for the file store.
+ */
+export interface FileCircuitBreakerStoreOptions {
+  /** Time to wait for the lock before giving up on a write, in ms */
+  lockTimeoutMs?: number;
+  /** Age after which a lock file is removed as abandoned, in ms */
+  staleLockMs?: number;
+  /** Time after which the view is reloaded from the file, in ms */
+  refreshIntervalMs?: number;
+  /** Called when the file cannot be locked, read or written */
+  onError?: (error: Error) => void;
+}
+
+/**
+ * Waits without blocking the event loop.
+ *
+ * @param ms - Time to wait
+ * @returns Resolves after ms
+ */
+function sleep(ms: number): Promise<void> {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * JSON file breaker store that extends CircuitBreakerStorePort.
+ */
+export class FileCircuitBreakerStore extends CircuitBreakerStorePort {
+  private readonly lockPath: string;
+  private readonly lockTimeoutMs: number;
+  private readonly staleLockMs: number;
+  private readonly refreshIntervalMs: number;
+  private readonly onError: (error: Error) => void;
+
+  /** This process's view: the last shared state plus the pending updates */
+  private states: States;
+  /** Updates applied to the view but not written to the file yet, oldest first */
+  private pending: Update[] = [];
+  private refreshedAt: number;
+  /** Synchronization waiting for the running one to finish */
+  private queued: Promise<void> | null = null;
+  private tail: Promise<void> = Promise.resolve();
+
+  /**
+   * @param filePath - Path to the shared state file (created on first update)
+   * @param options - Lock, refresh and error settings
+   */
+  constructor(
+    private readonly filePath: string = DEFAULT_STORE_PATH,
+    {
+      lockTimeoutMs = DEFAULT_LOCK_TIMEOUT_MS,
+      staleLockMs = DEFAULT_STALE_LOCK_MS,
+      refreshIntervalMs = DEFAULT_REFRESH_INTERVAL_MS,
+      onError = () => {},
+    }: FileCircuitBreakerStoreOptions = {}
+  ) {
+    super();
+    this.lockPath = `${filePath}.lock`;
+    this.lockTimeoutMs = lockTimeoutMs;
+    this.staleLockMs = staleLockMs;
+    this.refreshIntervalMs = refreshIntervalMs;
+    this.onError = onError;
+
+    // Loaded once at startup, so a new process starts from the shared state
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.states = this.parseStates(() => fs.readFileSync(filePath, 'utf8'));
+    this.refreshedAt = Date.now();
+  }
+
+  /**
+   * Parses the state file.
+   *
+   * @param read - Returns the file content
+   * @returns Map of key → state; empty if the file is missing or unreadable
+   */
+  private parseStates(read: () => string): States {
+    try {
+      return JSON.parse(read());
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Reads every stored breaker state from the file.
+   *
+   * @returns Map of key → state; empty if the file is missing or unreadable
+   */
+  async readStates(): Promise<States> {
+    let content: string;
+    try {
+      content = await fs.promises.readFile(this.filePath, 'utf8');
+    } catch {
+      return {};
+    }
+    return this.parseStates(() => content);
+  }
+
+  /**
+   * Writes every breaker state atomically (temporary file + rename), provided
+   * the lock is still held.
+   *
+   * @param states - Map of key → state
+   * @param token - Owner token of the held lock
+   * @throws If the lock was taken over in the meantime, or on I/O failure
+   */
+  private async writeStates(states: States, token: string): Promise<void> {
+    const tempPath = `${this.filePath}.${randomUUID()}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(states, null, 2), 'utf8');
+    try {
+      const owner = await fs.promises.readFile(this.lockPath, 'utf8').catch(() => null);
+      if (owner !== token) {
+        throw new Error(`Lost circuit breaker store lock ${this.lockPath}`);
+      }
+      await fs.promises.rename(tempPath, this.filePath);
+    } finally {
+      await fs.promises.rm(tempPath, { force: true });
+    }
+  }
+
+  /**
+   * Reads the owner token of the lock file if it was abandoned. Age and token
+   * are read through one file descriptor, so they belong to the same lock.
+   *
+   * @returns The token of a stale lock, or null if there is no stale lock
+   */
+  private async staleLockToken(): Promise<string | null> {
+    let handle: fs.promises.FileHandle;
+    try {
+      handle = await fs.promises.open(this.lockPath, 'r');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    try {
+      const { mtimeMs } = await handle.stat();
+      return Date.now() - mtimeMs > this.staleLockMs ? await handle.readFile('utf8') : null;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Removes the lock file if it holds the given owner token. The lock is first
+   * moved aside, which only one process can do; a lock another process took
+   * in the meantime is put back.
+   *
+   * @param token - Owner token the lock must hold
+   * @returns True if the lock was removed
+   */
+  private async removeLock(token: string): Promise<boolean> {
+    const claimedPath = `${this.lockPath}.${randomUUID()}`;
+    try {
+      await fs.promises.rename(this.lockPath, claimedPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+
+    try {
+      if ((await fs.promises.readFile(claimedPath, 'utf8')) === token) {
+        return true;
+      }
+      // Not the lock we meant to remove: hand it back unless a newer one exists
+      await fs.promises.link(claimedPath, this.lockPath).catch((error) => {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      });
+      return false;
+    } finally {
+      await fs.promises.rm(claimedPath, { force: true });
+    }
+  }
+
+  /**
+   * Runs a function while holding the exclusive lock file, polling for it
+   * without blocking the event loop.
+   *
+   * @param fn - Receives the owner token of the lock
+   * @returns The function's result
+   * @throws If the lock cannot be taken within the lock timeout
+   */
+  async withLock<T>(fn: (token: string) => Promise<T>): Promise<T> {
+    const token = `${process.pid}:${randomUUID()}`;
+    const deadline = Date.now() + this.lockTimeoutMs;
+
+    for (;;) {
+      try {
+        await fs.promises.writeFile(this.lockPath, token, { flag: 'wx' });
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      const staleToken = await this.staleLockToken();
+      if (staleToken !== null && (await this.removeLock(staleToken))) {
+        continue;
+      }
+      if (Date.now() >= deadline) {
+        throw new Error(`Timed out waiting for circuit breaker store lock ${this.lockPath}`);
+      }
+      await sleep(LOCK_RETRY_MS);
+    }
+
+    try {
+      return await fn(token);
+    } finally {
+      await this.removeLock(token);
+    }
+  }
+
+  /**
+   * Applies updates to a copy of the states. An update whose mutator throws is
+   * dropped and reported.
+   *
+   * @param states - States to start from
+   * @param updates - Updates to apply, oldest first
+   * @returns The updated copy
+   */
+  private apply(states: States, updates: Update[]): States {
+    const next = { ...states };
+    for (const { key, mutator } of updates) {
+      try {
+        next[key] = structuredClone(mutator(structuredClone(next[key])));
+      } catch (error) {
+        this.onError(error);
+      }
+    }
+    return next;
+  }
+
+  /**
+   * Writes the pending updates under the lock, re-running them against the
+   * file's content, and reloads the view from the file.
+   *
+   * @returns Resolves once written and reloaded
+   * @throws If the file cannot be locked, read or written (the updates stay pending)
+   */
+  private async synchronize(): Promise<void> {
+    const batch = this.pending.slice();
+    let shared: States;
+    if (batch.length === 0) {
+      shared = await this.readStates();
+    } else {
+      shared = await this.withLock(async (token) => {
+        const latest = this.apply(await this.readStates(), batch);
+        await this.writeStates(latest, token);
+        return latest;
+      });
+      const written = new Set(batch);
+      this.pending = this.pending.filter((update) => !written.has(update));
+    }
+
+    // Updates made while writing are still pending; keep them in the view
+    this.states = this.apply(shared, this.pending);
+    this.refreshedAt = Date.now();
+  }
+
+  /**
+   * Writes the pending updates and reloads the view, after any
+   * synchronization already running. Concurrent requests share one run.
+   *
+   * @returns Resolves once the pending updates are written and the view reloaded
+   * @throws If the file cannot be locked, read or written (the updates stay pending)
+   */
+  flush(): Promise<void> {
+    if (!this.queued) {
+      const run = this.tail.then(() => {
+        this.queued = null;
+        return this.synchronize();
+      });
+      this.queued = run;
+      this.tail = run.catch(() => {});
+    }
+    return this.queued;
+  }
+
+  /**
+   * Starts a background flush, reporting failures to onError.
+   */
+  private flushInBackground(): void {
+    this.flush().catch((error) => this.onError(error));
+  }
+
+  /**
+   * Number of updates not written to the file yet.
+   *
+   * @returns Count of pending updates
+   */
+  get pendingCount(): number {
+    return this.pending.length;
+  }
+
+  /**
+   * Reads the state of a breaker from this process's view, reloading the
+   * view in the background when it is older than the refresh interval.
+   *
+   * @param key - Breaker name
+   * @returns A copy of the state, or undefined
+   */
+  get(key: string): CircuitBreakerState | undefined {
+    if (Date.now() - this.refreshedAt >= this.refreshIntervalMs) {
+      this.flushInBackground();
+    }
+    const state = this.states[key];
+    return state && structuredClone(state);
+  }
+
+  /**
+   * Replaces the state of a breaker in this process's view with the mutator's
+   * result, and writes it to the file in the background, running the mutator
+   * again against the file's content under the lock. An update that changes
+   * nothing is not written. Past MAX_PENDING_PER_KEY pending updates for the
+   * breaker, they are replaced by one that writes its state from this view.
+   *
+   * @param key - Breaker name
+   * @param mutator - Receives the stored state and returns the new state
+   * @throws What the mutator throws
+   */
+  update(key: string, mutator: Mutator): void {
+    const current = this.get(key);
+    const next = mutator(structuredClone(current));
+    if (isDeepStrictEqual(next, current)) {
+      return;
+    }
+
+    this.states[key] = structuredClone(next);
+    this.pending.push({ key, mutator });
+    this.collapsePending(key);
+    this.flushInBackground();
+  }
+
+  /**
+   * Replaces the pending updates of a breaker with one that writes its state
+   * from this process's view, once there are more than MAX_PENDING_PER_KEY.
+   * The dropped updates are reported to onError.
+   *
+   * @param key - Breaker name
+   */
+  private collapsePending(key: string): void {
+    const count = this.pending.filter((update) => update.key === key).length;
+    if (count <= MAX_PENDING_PER_KEY) {
+      return;
+    }
+
+    const state = structuredClone(this.states[key]);
+    this.pending = this.pending.filter((update) => update.key !== key);
+    this.pending.push({ key, mutator: () => structuredClone(state) });
+    this.onError(
+      new Error(`Dropped ${count} pending circuit breaker updates for ${key}; writing this process's state instead`)
+    );
+  }
+}
@@ -0,0 +1,38 @@
+/**
+ * Memory Circuit Breaker Store Adapter — Implements the breaker store port in memory
+ *
+ * Keeps breaker state in a Map for the current process only. This is the
+ * default: each gateway process has its own breakers.
+ */
+
+import { CircuitBreakerState, CircuitBreakerStorePort } from '../../ports/circuitBreakerStore.port';
+
+/**
+ * In-memory breaker store that extends CircuitBreakerStorePort.
+ */
+export class MemoryCircuitBreakerStore extends CircuitBreakerStorePort {
+  /** key → state (copies, so callers cannot mutate stored state) */
+  private readonly states = new Map<string, CircuitBreakerState>();
+
+  /**
+   * Reads the state of a breaker.
+   *
+   * @param key - Breaker name
+   * @returns A copy of the stored state, or undefined
+   */
+  get(key: string): CircuitBreakerState | undefined {
+    const state = this.states.get(key);
+    return state && structuredClone(state);
+  }
+
+  /**
+   * Replaces the state of a breaker with the mutator's result.
+   * JavaScript runs one mutator at a time, so this is atomic within the process.
+   *
+   * @param key - Breaker name
+   * @param mutator - Receives the stored state and returns the new state
+   */
+  update(key: string, mutator: (current: CircuitBreakerState | undefined) => CircuitBreakerState | undefined): void {
+    this.states.set(key, structuredClone(mutator(this.get(key))));
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * Memory Conversation Store Adapter — Implements the conversation store port in memory
+ *
+ * Keeps conversations in a Map for the lifetime of the process. Stored and
+ * returned conversations are copies, so callers cannot change stored state.
+ */
+
+import {
+  Conversation,
+  ConversationStorePort,
+  ConversationToken,
+  ConversationTurn,
+} from '../../ports/conversationStore.port';
+
+/**
+ * In-memory conversation store that extends ConversationStorePort.
+ */
+export class MemoryConversationStore extends ConversationStorePort {
+  /** id → conversation */
+  private readonly conversations = new Map<string, Conversation>();
+
+  /**
+   * Stores a new conversation.
+   *
+   * @param conversation - The conversation
+   * @returns Resolves when stored
+   */
+  async create(conversation: Conversation): Promise<void> {
+    this.conversations.set(conversation.id, structuredClone(conversation));
+  }
+
+  /**
+   * Reads a conversation.
+   *
+   * @param id - Conversation id
+   * @returns Resolves with a copy of the conversation, or undefined if unknown
+   */
+  async get(id: string): Promise<Conversation | undefined> {
+    const conversation = this.conversations.get(id);
+    return conversation && structuredClone(conversation);
+  }
+
+  /**
+   * Appends turns and newly issued tokens to a conversation.
+   *
+   * @param id - Conversation id
+   * @param turns - Turns to append
+   * @param tokens - Tokens issued for these turns
+   * @returns Resolves when stored
+   * @throws Rejects if the conversation is unknown
+   */
+  async appendTurns(id: string, turns: ConversationTurn[], tokens: ConversationToken[]): Promise<void> {
+    const conversation = this.conversations.get(id);
+    if (!conversation) {
+      throw new Error(`Unknown conversation ${id}`);
+    }
+    conversation.turns.push(...structuredClone(turns));
+    conversation.tokens.push(...structuredClone(tokens));
+  }
+}
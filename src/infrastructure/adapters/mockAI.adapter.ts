@@ -2,10 +2,11 @@
  * Mock AI Adapter — Implements AI port for development and testing
  *
  * Simulates an AI provider with a 2-second delay before returning a response.
- * Used for development without requiring a real LLM connection.
+ * Used for development without requiring a real LLM connection. Streaming
+ * spreads the same delay over the words of the response.
  */
 
-import { AIPort } from '../../ports/ai.port';
+import { AIPort, AIRequestOptions } from '../../ports/ai.port';
 
 /** Delay in milliseconds before responding */
 export const RESPONSE_DELAY_MS = 2000;
@@ -13,6 +14,33 @@ export const RESPONSE_DELAY_MS = 2000;
 /** Default response message */
 export const DEFAULT_RESPONSE = 'Generated Answer';
 
+/**
+ * Waits for a delay unless the signal aborts first.
+ *
+ * @param ms - Delay in ms
+ * @param signal - Caller's signal
+ * @returns Resolves after the delay
+ * @throws Rejects with the signal's reason when aborted
+ */
+function delay(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
 /**
  * Mock AI adapter that extends AIPort.
  * Simulates AI processing with a configurable delay.
@@ -23,13 +51,27 @@ export class MockAIAdapter extends AIPort {
    * Simulates AI processing with a 2-second delay, then returns a fixed response.
    *
    * @param _sanitizedMessage - The sanitized (PII-redacted) user message (accepted but not processed)
+   * @param options - Per-call options; aborting the signal cancels the pending response
    * @returns Resolves with "Generated Answer" after 2 seconds
+   * @throws Rejects with the signal's reason when aborted
+   */
+  generateAnswer(_sanitizedMessage: string, { signal }: AIRequestOptions = {}): Promise<string> {
+    return delay(RESPONSE_DELAY_MS, signal).then(() => DEFAULT_RESPONSE);
+  }
+
+  /**
+   * Streams the fixed response word by word, spreading the 2-second delay over the words.
+   *
+   * @param _sanitizedMessage - The sanitized (PII-redacted) user message (accepted but not processed)
+   * @param options - Per-call options; aborting the signal cancels the pending chunk
+   * @returns Async iterator of "Generated", " Answer"
+   * @throws Rejects with the signal's reason when aborted
    */
-  generateAnswer(_sanitizedMessage: string): Promise<string> {
-    return new Promise((resolve) => {
-      setTimeout(() => {
-        resolve(DEFAULT_RESPONSE);
-      }, RESPONSE_DELAY_MS);
-    });
+  async *streamAnswer(_sanitizedMessage: string, { signal }: AIRequestOptions = {}): AsyncGenerator<string> {
+    const chunks = DEFAULT_RESPONSE.split(/(?=\s)/);
+    for (const chunk of chunks) {
+      await delay(RESPONSE_DELAY_MS / chunks.length, signal);
+      yield chunk;
+    }
   }
 }
@@ -0,0 +1,114 @@
+/**
+ * Ollama AI Adapter — Implements AI port over a local Ollama server
+ *
+ * Sends the sanitized message as the next user turn (after any earlier
+ * conversation turns) to Ollama's `/api/chat` endpoint (non-streaming) and
+ * returns the assistant message. Nothing leaves the host when the server runs
+ * locally. HTTP and network failures are mapped to the typed AIProviderError
+ * subclasses from the AI port (e.g. an unknown model is a 404 →
+ * AIInvalidRequestError).
+ *
+ * streamAnswer() asks for a streamed chat (`stream: true`) and yields the
+ * message content of each JSON line until the line marked `done`.
+ */
+
+import { AIConnectionError, AIPort, AIRequestOptions, AIResponseError, ChatTurn } from '../../ports/ai.port';
+import { postJson, postStream, readJsonLines } from '../../utils/aiHttp.util';
+
+/** Default Ollama server URL */
+export const DEFAULT_BASE_URL = 'http://localhost:11434';
+
+/** Default model */
+export const DEFAULT_MODEL = 'llama3.2';
+
+/**
+ * Settings for the Ollama adapter.
+ */
+export interface OllamaOptions {
+  /** Server URL, e.g. http://localhost:11434 */
+  baseUrl?: string;
+  /** Model name (must be pulled on the server) */
+  model?: string;
+}
+
+/**
+ * Ollama adapter that extends AIPort.
+ */
+export class OllamaAdapter extends AIPort {
+  readonly baseUrl: string;
+  readonly model: string;
+
+  /**
+   * @param options - Server URL and model
+   */
+  constructor({ baseUrl = DEFAULT_BASE_URL, model = DEFAULT_MODEL }: OllamaOptions = {}) {
+    super();
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.model = model;
+  }
+
+  /**
+   * Builds the chat request body.
+   *
+   * @param sanitizedMessage - The sanitized (PII-redacted) user message
+   * @param history - Earlier turns of the conversation, sent before the message
+   * @param stream - Whether the answer is streamed
+   * @returns JSON-serializable request body
+   */
+  buildRequestBody(sanitizedMessage: string, history: ChatTurn[] = [], stream = false): Record<string, unknown> {
+    return {
+      model: this.model,
+      messages: [...history, { role: 'user', content: sanitizedMessage }],
+      stream,
+    };
+  }
+
+  /**
+   * Generates an answer through the Ollama chat endpoint.
+   *
+   * @param sanitizedMessage - The sanitized (PII-redacted) user message
+   * @param options - Per-call options; earlier conversation turns are sent first, aborting the signal cancels the HTTP request
+   * @returns Resolves with the assistant message content
+   * @throws {AIProviderError} On HTTP errors, network errors or a response without an answer
+   * @throws Rejects with the signal's reason when aborted
+   */
+  async generateAnswer(sanitizedMessage: string, { signal, history }: AIRequestOptions = {}): Promise<string> {
+    const data = await postJson(`${this.baseUrl}/api/chat`, this.buildRequestBody(sanitizedMessage, history), {
+      signal,
+    });
+
+    const content = data?.message?.content;
+    if (typeof content !== 'string') {
+      throw new AIResponseError('AI provider response has no answer');
+    }
+    return content;
+  }
+
+  /**
+   * Streams an answer through the Ollama chat endpoint.
+   *
+   * @param sanitizedMessage - The sanitized (PII-redacted) user message
+   * @param options - Per-call options; earlier conversation turns are sent first, aborting the signal cancels the HTTP request
+   * @returns Async iterator of the assistant message content, chunk by chunk
+   * @throws {AIProviderError} On HTTP errors, network errors, an error line or a stream that ends before the `done` line
+   * @throws Rejects with the signal's reason when aborted
+   */
+  async *streamAnswer(sanitizedMessage: string, { signal, history }: AIRequestOptions = {}): AsyncGenerator<string> {
+    const body = await postStream(`${this.baseUrl}/api/chat`, this.buildRequestBody(sanitizedMessage, history, true), {
+      signal,
+    });
+
+    for await (const chunk of readJsonLines(body, signal)) {
+      if (typeof chunk?.error === 'string') {
+        throw new AIResponseError(`AI provider stream failed: ${chunk.error}`);
+      }
+      const content = chunk?.message?.content;
+      if (typeof content === 'string' && content !== '') {
+        yield content;
+      }
+      if (chunk?.done) return;
+    }
+
+    throw new AIConnectionError('AI provider stream ended before the answer was finished');
+  }
+}
@@ -0,0 +1,149 @@
+/**
+ * OpenAI-Compatible AI Adapter — Implements AI port over the chat completions API
+ *
+ * Sends the sanitized message as the next user turn (after any earlier
+ * conversation turns) to `<baseUrl>/chat/completions` (OpenAI, Azure-style
+ * proxies, vLLM, LM Studio and other servers that speak the same API) and
+ * returns the first choice's content. HTTP and network failures are mapped to
+ * the typed AIProviderError subclasses from the AI port.
+ *
+ * streamAnswer() asks for a streamed completion (`stream: true`) and yields the
+ * content deltas of the Server-Sent Events until `data: [DONE]`.
+ */
+
+import { AIConnectionError, AIPort, AIRequestOptions, AIResponseError, ChatTurn } from '../../ports/ai.port';
+import { parseStreamData, postJson, postStream, readServerSentEvents } from '../../utils/aiHttp.util';
+
+/** Data of the event that ends a streamed completion */
+export const STREAM_DONE = '[DONE]';
+
+/** Default API base URL (including the /v1 prefix) */
+export const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+/** Default model */
+export const DEFAULT_MODEL = 'gpt-4o-mini';
+
+/**
+ * Settings for the OpenAI-compatible adapter.
+ */
+export interface OpenAICompatibleOptions {
+  /** API base URL, e.g. https://api.openai.com/v1 or http://localhost:8000/v1 */
+  baseUrl?: string;
+  /** Bearer token; omitted for local servers that need none */
+  apiKey?: string;
+  /** Model name sent with every request */
+  model?: string;
+  /** Sampling temperature; provider default when omitted */
+  temperature?: number;
+  /** Maximum tokens in the answer; provider default when omitted */
+  maxTokens?: number;
+}
+
+/**
+ * OpenAI-compatible adapter that extends AIPort.
+ */
+export class OpenAICompatibleAdapter extends AIPort {
+  readonly baseUrl: string;
+  readonly model: string;
+  private readonly apiKey?: string;
+  private readonly temperature?: number;
+  private readonly maxTokens?: number;
+
+  /**
+   * @param options - API location, credentials and generation settings
+   */
+  constructor({ baseUrl = DEFAULT_BASE_URL, apiKey, model = DEFAULT_MODEL, temperature, maxTokens }: OpenAICompatibleOptions = {}) {
+    super();
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.model = model;
+    this.temperature = temperature;
+    this.maxTokens = maxTokens;
+  }
+
+  /**
+   * Builds the chat completions request body.
+   *
+   * @param sanitizedMessage - The sanitized (PII-redacted) user message
+   * @param history - Earlier turns of the conversation, sent before the message
+   * @returns JSON-serializable request body
+   */
+  buildRequestBody(sanitizedMessage: string, history: ChatTurn[] = []): Record<string, unknown> {
+    const body: Record<string, unknown> = {
+      model: this.model,
+      messages: [...history, { role: 'user', content: sanitizedMessage }],
+    };
+    if (this.temperature !== undefined) body.temperature = this.temperature;
+    if (this.maxTokens !== undefined) body.max_tokens = this.maxTokens;
+    return body;
+  }
+
+  /**
+   * Builds the request headers.
+   *
+   * @returns Headers with the bearer token, when one is configured
+   */
+  private requestHeaders(): Record<string, string> {
+    return this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+  }
+
+  /**
+   * Generates an answer through the chat completions endpoint.
+   *
+   * @param sanitizedMessage - The sanitized (PII-redacted) user message
+   * @param options - Per-call options; earlier conversation turns are sent first, aborting the signal cancels the HTTP request
+   * @returns Resolves with the first choice's message content
+   * @throws {AIProviderError} On HTTP errors, network errors or a response without an answer
+   * @throws Rejects with the signal's reason when aborted
+   */
+  async generateAnswer(sanitizedMessage: string, { signal, history }: AIRequestOptions = {}): Promise<string> {
+    const data = await postJson(`${this.baseUrl}/chat/completions`, this.buildRequestBody(sanitizedMessage, history), {
+      headers: this.requestHeaders(),
+      signal,
+    });
+
+    const content = data?.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      throw new AIResponseError('AI provider response has no answer');
+    }
+    return content;
+  }
+
+  /**
+   * Streams an answer through the chat completions endpoint.
+   *
+   * @param sanitizedMessage - The sanitized (PII-redacted) user message
+   * @param options - Per-call options; earlier conversation turns are sent first, aborting the signal cancels the HTTP request
+   * @returns Async iterator of the first choice's content deltas
+   * @throws {AIProviderError} On HTTP errors, network errors, an error event or a stream that ends before the answer is finished
+   * @throws Rejects with the signal's reason when aborted
+   */
+  async *streamAnswer(sanitizedMessage: string, { signal, history }: AIRequestOptions = {}): AsyncGenerator<string> {
+    const body = await postStream(
+      `${this.baseUrl}/chat/completions`,
+      { ...this.buildRequestBody(sanitizedMessage, history), stream: true },
+      { headers: this.requestHeaders(), signal }
+    );
+
+    let finished = false;
+    for await (const { data } of readServerSentEvents(body, signal)) {
+      if (data === STREAM_DONE) return;
+
+      const chunk = parseStreamData(data);
+      if (chunk?.error) {
+        throw new AIResponseError(`AI provider stream failed: ${chunk.error.message || 'unknown error'}`);
+      }
+      const choice = chunk?.choices?.[0];
+      if (typeof choice?.delta?.content === 'string' && choice.delta.content !== '') {
+        yield choice.delta.content;
+      }
+      if (choice?.finish_reason) {
+        finished = true;
+      }
+    }
+
+    if (!finished) {
+      throw new AIConnectionError('AI provider stream ended before the answer was finished');
+    }
+  }
+}
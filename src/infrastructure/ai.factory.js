@@ -1,24 +1,82 @@
 /**
- * AI Factory — Returns the configured AI adapter instance
+ * AI Factory — Returns the configured AI adapter instances
  *
- * Single point to swap between mock and real AI providers.
- * Currently returns an instance of the mock AI adapter for development.
+ * Single point to swap between mock and real AI providers. Builds the ordered
+ * provider chain (primary first, then fallbacks) from config.aiProviders.
+ *
+ * Providers:
+ * - mock: fixed answer after a delay, for development
+ * - openai: any OpenAI-compatible chat completions API (config.openai)
+ * - anthropic: Anthropic Messages API (config.anthropic)
+ * - ollama: local Ollama server (config.ollama)
+ * - llamacpp: local llama.cpp server through its OpenAI-compatible API (config.llamaCpp)
  */
 
 const { MockAIAdapter } = require('./adapters/mockAI.adapter');
+const { OpenAICompatibleAdapter } = require('./adapters/openAICompatible.adapter');
+const { OllamaAdapter } = require('./adapters/ollama.adapter');
+const { AnthropicAdapter } = require('./adapters/anthropic.adapter');
+const config = require('../../config');
+
+/** Adapter constructors by provider name */
+const ADAPTERS = {
+  mock: () => new MockAIAdapter(),
+  openai: () => new OpenAICompatibleAdapter(config.openai),
+  anthropic: () => new AnthropicAdapter(config.anthropic),
+  ollama: () => new OllamaAdapter(config.ollama),
+  llamacpp: () => new OpenAICompatibleAdapter(config.llamaCpp),
+};
+
+/**
+ * Creates the adapter for a provider.
+ *
+ * @param {string} name - Provider name (e.g. "mock", "ollama")
+ * @returns {AIPort} AI adapter instance
+ * @throws {Error} If the provider is unknown
+ */
+function createAdapter(name) {
+  const create = Object.hasOwn(ADAPTERS, name) ? ADAPTERS[name] : undefined;
+  if (!create) {
+    throw new Error(`Unknown AI provider "${name}" (expected one of: ${Object.keys(ADAPTERS).join(', ')})`);
+  }
+  return create();
+}
+
+/**
+ * Gets the ordered chain of AI adapters, primary first.
+ *
+ * @param {string[]} [names=config.aiProviders] - Provider names in failover order
+ * @returns {Array<{name: string, adapter: AIPort}>} One adapter per provider
+ * @throws {Error} If a provider is unknown
+ */
+function getAIProviderChain(names = config.aiProviders) {
+  return names.map((name) => ({ name, adapter: createAdapter(name) }));
+}
 
 /**
- * Gets the configured AI adapter instance.
+ * Gets the configured (primary) AI adapter instance.
  *
  * The adapter extends AIPort and implements:
- * - generateAnswer(sanitizedMessage: string): Promise<string>
+ * - generateAnswer(sanitizedMessage: string, options?: { signal }): Promise<string>
  *
- * @returns {AIPort} AI adapter instance (e.g. MockAIAdapter)
+ * @returns {AIPort} AI adapter instance (e.g. MockAIAdapter, OpenAICompatibleAdapter, AnthropicAdapter)
  */
 function getAIAdapter() {
-  return new MockAIAdapter();
+  return createAdapter(getAIProviderName());
+}
+
+/**
+ * Gets the name of the configured (primary) AI provider.
+ * Used to key per-provider resources such as circuit breakers.
+ *
+ * @returns {string} Provider name (e.g. "mock")
+ */
+function getAIProviderName() {
+  return config.aiProviders[0];
 }
 
 module.exports = {
   getAIAdapter,
+  getAIProviderName,
+  getAIProviderChain,
 };
@@ -0,0 +1,46 @@
+/**
+ * AI Providers Factory — Returns the process-wide resilient AI provider chain
+ *
+ * Wraps every adapter of the configured chain (see ai.factory) for use by the
+ * inquiry and conversation routes and the admin bulkhead stats: AI calls get a
+ * timeout, retries and a deadline (config.aiResilience), each attempt is
+ * reported to the provider's own circuit breaker, and a per-provider bulkhead
+ * (config.bulkhead) caps concurrent calls (retries included). The chain is
+ * built once, so all routes share the same breakers and bulkheads.
+ */
+
+const { getAIProviderChain } = require('./ai.factory');
+const { getCircuitBreakerRegistry } = require('./circuitBreaker.factory');
+const { createResilientAIPort } = require('../services/aiResilience.service');
+const { createBulkhead, createBulkheadAIPort } = require('../services/bulkhead.service');
+const config = require('../../config');
+
+let providers = null;
+
+/**
+ * Gets the resilient provider chain, creating it on first use.
+ *
+ * @returns {Array<{name: string, circuitBreaker: Object, bulkhead: Object, aiPort: Object}>} Providers in
+ *   failover order (primary first)
+ */
+function getAIProviders() {
+  if (!providers) {
+    const circuitBreakers = getCircuitBreakerRegistry();
+    providers = getAIProviderChain().map(({ name, adapter }) => {
+      const circuitBreaker = circuitBreakers.get(name);
+      const bulkhead = createBulkhead(config.bulkhead);
+      const resilientAIPort = createResilientAIPort(adapter, { ...config.aiResilience, circuitBreaker });
+      return {
+        name,
+        circuitBreaker,
+        bulkhead,
+        aiPort: createBulkheadAIPort(resilientAIPort, bulkhead),
+      };
+    });
+  }
+  return providers;
+}
+
+module.exports = {
+  getAIProviders,
+};
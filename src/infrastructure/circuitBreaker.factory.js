@@ -0,0 +1,59 @@
+/**
+ * Circuit Breaker Factory — Returns the process-wide circuit breaker registry
+ *
+ * Single registry shared by the secure inquiry route (one breaker per AI
+ * provider) and the admin route (read and force breaker state), configured
+ * from config.circuitBreaker. Consumers follow state transitions through each
+ * breaker's 'stateChange' event (see registry.list()).
+ *
+ * Breaker state is kept in the store selected by config.circuitBreakerStore:
+ * in memory (per process) or in a JSON file shared by all processes on the host.
+ * File store failures are logged; they never fail requests.
+ */
+
+const { createCircuitBreakerRegistry } = require('../services/circuitBreaker.service');
+const { MemoryCircuitBreakerStore } = require('./adapters/memoryCircuitBreakerStore.adapter');
+const { FileCircuitBreakerStore } = require('./adapters/fileCircuitBreakerStore.adapter');
+const config = require('../../config');
+
+let registry = null;
+
+/**
+ * Creates the configured circuit breaker state store.
+ *
+ * The store extends CircuitBreakerStorePort and implements:
+ * - get(key: string): CircuitBreakerState | undefined
+ * - update(key: string, mutator): void
+ *
+ * @param {{type: string, filePath?: string}} [settings=config.circuitBreakerStore] - Store settings
+ * @returns {CircuitBreakerStorePort} Store instance (MemoryCircuitBreakerStore or FileCircuitBreakerStore)
+ */
+function createCircuitBreakerStore(settings = config.circuitBreakerStore) {
+  if (settings.type === 'file') {
+    // Breakers keep deciding from this process's view; storage failures are only logged
+    return new FileCircuitBreakerStore(settings.filePath, {
+      onError: (error) => console.error('Circuit breaker store error:', error.message),
+    });
+  }
+  return new MemoryCircuitBreakerStore();
+}
+
+/**
+ * Gets the circuit breaker registry, creating it on first use.
+ *
+ * @returns {{get: Function, find: Function, list: Function}} Circuit breaker registry
+ */
+function getCircuitBreakerRegistry() {
+  if (!registry) {
+    registry = createCircuitBreakerRegistry({
+      ...config.circuitBreaker,
+      store: createCircuitBreakerStore(),
+    });
+  }
+  return registry;
+}
+
+module.exports = {
+  getCircuitBreakerRegistry,
+  createCircuitBreakerStore,
+};
@@ -1,11 +1,15 @@
 /**
- * DB Factory — Returns the configured audit DB adapter instance
+ * DB Factory — Returns the configured audit DB and conversation store instances
  *
- * Single point to swap between mock (JSON file) and real database.
- * Currently returns an instance of the JSON audit adapter for development.
+ * Single point to swap between mock (JSON file, in-memory) and real databases.
+ * Currently returns the JSON audit adapter and an in-memory conversation store
+ * for development.
  */
 
 const { JsonAuditAdapter } = require('./adapters/jsonAudit.adapter');
+const { MemoryConversationStore } = require('./adapters/memoryConversationStore.adapter');
+
+let conversationStore = null;
 
 /**
  * Gets the configured audit DB adapter instance.
@@ -19,6 +23,24 @@ function getAuditDbAdapter() {
   return new JsonAuditAdapter();
 }
 
+/**
+ * Gets the conversation store, creating it on first use.
+ *
+ * The store extends ConversationStorePort and implements:
+ * - create(conversation: Conversation): Promise<void>
+ * - get(id: string): Promise<Conversation | undefined>
+ * - appendTurns(id: string, turns: ConversationTurn[], tokens: ConversationToken[]): Promise<void>
+ *
+ * @returns {ConversationStorePort} Conversation store instance (e.g. MemoryConversationStore)
+ */
+function getConversationStore() {
+  if (!conversationStore) {
+    conversationStore = new MemoryConversationStore();
+  }
+  return conversationStore;
+}
+
 module.exports = {
   getAuditDbAdapter,
+  getConversationStore,
 };
@@ -0,0 +1,32 @@
+/**
+ * Sanitizer Factory — Returns the configured sanitizer
+ *
+ * Applies the sanitizer settings from config once: custom detectors from the
+ * configured detectors file, encoded-payload scanning and masking strategies.
+ */
+
+const sanitizer = require('../services/sanitizer.service');
+const config = require('../../config');
+
+let configured = false;
+
+/**
+ * Gets the sanitizer service, configuring it on first use.
+ *
+ * @returns {Object} Sanitizer service (sanitize, sanitizeWithReport, tokenize, ...)
+ */
+function getSanitizer() {
+  if (!configured) {
+    for (const detector of config.customDetectors) {
+      sanitizer.registerDetector(detector);
+    }
+    sanitizer.configurePayloadDecoding(config.payloadDecoding);
+    sanitizer.configureMasking(config.masking);
+    configured = true;
+  }
+  return sanitizer;
+}
+
+module.exports = {
+  getSanitizer,
+};
@@ -5,8 +5,34 @@
  * Use cases depend on this contract, never on specific adapters.
  *
  * Subclasses must implement:
- * - generateAnswer(sanitizedMessage: string): Promise<string>
+ * - generateAnswer(sanitizedMessage: string, options?: AIRequestOptions): Promise<string>
+ *
+ * Subclasses may implement:
+ * - streamAnswer(sanitizedMessage: string, options?: AIRequestOptions): AsyncIterable<string>
+ *   (callers fall back to generateAnswer, as a single chunk, when it is missing)
+ *
+ * Adapters that call a remote provider reject with an AIProviderError subclass,
+ * so retries, the circuit breaker and the route can tell failures apart by
+ * status and retryable flag without knowing the provider.
+ */
+
+/**
+ * One earlier turn of a conversation, already sanitized.
+ */
+export interface ChatTurn {
+  role: 'user' | 'assistant';
+  content: string;
+}
+
+/**
+ * Per-call options passed to an AI adapter.
  */
+export interface AIRequestOptions {
+  /** Aborted when the caller gives up (timeout, deadline); adapters should cancel the request */
+  signal?: AbortSignal;
+  /** Earlier turns of the conversation, oldest first; the message is the next user turn */
+  history?: ChatTurn[];
+}
 
 export abstract class AIPort {
   /**
@@ -14,8 +40,127 @@ export abstract class AIPort {
    * Must be implemented by adapters.
    *
    * @param sanitizedMessage - The sanitized (PII-redacted) user message
+   * @param options - Per-call options (an AbortSignal, earlier conversation turns)
    * @returns Resolves with the AI-generated answer
-   * @throws Rejects on network error, timeout, or API failure
+   * @throws Rejects on network error, timeout, abort, or API failure
    */
-  abstract generateAnswer(sanitizedMessage: string): Promise<string>;
+  abstract generateAnswer(sanitizedMessage: string, options?: AIRequestOptions): Promise<string>;
+
+  /**
+   * Streams the answer from the AI provider as it is generated.
+   * Optional; adapters without it answer in one chunk through generateAnswer.
+   *
+   * @param sanitizedMessage - The sanitized (PII-redacted) user message
+   * @param options - Per-call options (an AbortSignal, earlier conversation turns)
+   * @returns Async iterator of answer text chunks, in order; stopping the iteration cancels the request
+   * @throws Rejects (on the pending chunk) on network error, abort, API failure or an interrupted stream
+   */
+  streamAnswer?(sanitizedMessage: string, options?: AIRequestOptions): AsyncIterable<string>;
+}
+
+/**
+ * Base class for failures reported by a remote AI provider.
+ * Carries the HTTP status (if any) and whether retrying may help.
+ */
+export class AIProviderError extends Error {
+  readonly isAIProviderError = true;
+  readonly status?: number;
+  readonly retryable: boolean;
+  /** Provider's own error type, when its error body has one (e.g. "overloaded_error") */
+  type?: string;
+
+  /**
+   * @param message - What went wrong
+   * @param options - HTTP status and whether the call may be retried
+   */
+  constructor(message: string, { status, retryable }: { status?: number; retryable: boolean }) {
+    super(message);
+    this.name = 'AIProviderError';
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * The provider rejected the credentials (401/403). Not retryable.
+ */
+export class AIAuthenticationError extends AIProviderError {
+  constructor(message: string, status: number) {
+    super(message, { status, retryable: false });
+    this.name = 'AIAuthenticationError';
+  }
+}
+
+/**
+ * The provider rejected the request itself (400, 404, 413, 422). Not retryable.
+ */
+export class AIInvalidRequestError extends AIProviderError {
+  constructor(message: string, status: number) {
+    super(message, { status, retryable: false });
+    this.name = 'AIInvalidRequestError';
+  }
+}
+
+/**
+ * The provider is rate limiting (429). Retryable.
+ */
+export class AIRateLimitError extends AIProviderError {
+  /** Delay requested by the provider's Retry-After header, if any */
+  readonly retryAfterMs?: number;
+
+  constructor(message: string, retryAfterMs?: number) {
+    super(message, { status: 429, retryable: true });
+    this.name = 'AIRateLimitError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * The provider failed or is overloaded (408, 5xx). Retryable.
+ */
+export class AIServerError extends AIProviderError {
+  constructor(message: string, status: number) {
+    super(message, { status, retryable: true });
+    this.name = 'AIServerError';
+  }
+}
+
+/**
+ * The provider could not be reached (DNS, refused or reset connection). Retryable.
+ */
+export class AIConnectionError extends AIProviderError {
+  /** Network error code of the underlying failure (e.g. ECONNREFUSED) */
+  readonly code?: string;
+
+  constructor(message: string, code?: string) {
+    super(message, { retryable: true });
+    this.name = 'AIConnectionError';
+    this.code = code;
+  }
+}
+
+/**
+ * The provider answered with a body that has no usable answer. Not retryable.
+ */
+export class AIResponseError extends AIProviderError {
+  constructor(message: string) {
+    super(message, { retryable: false });
+    this.name = 'AIResponseError';
+  }
+}
+
+/**
+ * Maps an unsuccessful HTTP status from a provider to the matching error.
+ *
+ * @param status - HTTP status code
+ * @param message - Error message (usually the provider's own)
+ * @param retryAfterMs - Delay from the Retry-After header, if any
+ * @returns Typed provider error
+ */
+export function providerErrorForStatus(status: number, message: string, retryAfterMs?: number): AIProviderError {
+  if (status === 401 || status === 403) return new AIAuthenticationError(message, status);
+  if (status === 429) return new AIRateLimitError(message, retryAfterMs);
+  if (status === 408 || status >= 500) return new AIServerError(message, status);
+  if (status >= 400) return new AIInvalidRequestError(message, status);
+  return new AIProviderError(message, { status, retryable: false });
 }
@@ -13,6 +13,26 @@ export interface AuditEntry {
   timestamp: string;
   originalMessageEncrypted: string;
   sanitizedMessage: string;
+  /** Number of redactions per PII type, e.g. { EMAIL: 1, SSN: 1 } */
+  redactionCounts: Record<string, number>;
+  /** Kinds of secrets found in the message (e.g. AWS_ACCESS_KEY, JWT); present only when any were found */
+  secretKinds?: string[];
+  /** True when the PII policy blocked the message; it was not forwarded to the AI */
+  blocked?: boolean;
+  /** Machine-readable reason for a block, e.g. { code: 'PII_BLOCKED', types: ['CREDIT_CARD'] } */
+  blockReason?: { code: string; types: string[]; kinds?: string[] };
+  /** AI provider that answered (the primary or a fallback), e.g. "mock" */
+  provider?: string;
+  /** Conversation the message belongs to; absent for single inquiries */
+  conversationId?: string;
+  /** What the output DLP found in the answer and did about it; present only when it found PII */
+  outputDlp?: {
+    action: 'flag' | 'redact' | 'block';
+    redactionCounts: Record<string, number>;
+    secretKinds?: string[];
+  };
+  /** How a streamed answer ended; absent for answers returned in one piece */
+  streamStatus?: 'completed' | 'failed' | 'aborted';
 }
 
 export abstract class AuditDbPort {
@@ -0,0 +1,68 @@
+/**
+ * Circuit Breaker Store Port — Abstract contract for breaker state storage
+ *
+ * Circuit breakers keep their state in a store so that several gateway
+ * processes can share it. Every breaker operation that changes state is one
+ * atomic read-modify-write through update(); implementations must make that
+ * exclusive across all processes that share the store. Read-only operations
+ * only call get().
+ *
+ * Operations are synchronous because breaker checks sit on the request path
+ * before any I/O is started, so they must not block on I/O either: a store
+ * backed by shared storage answers from its own view of the state, applies
+ * updates to that view at once and persists them in the background, running
+ * the mutator again against the latest shared state. Mutators must therefore
+ * derive the new state from their argument alone.
+ *
+ * Subclasses must implement:
+ * - get(key: string): CircuitBreakerState | undefined
+ * - update(key: string, mutator: (current) => CircuitBreakerState | undefined): void
+ */
+
+/**
+ * Persisted state of one circuit breaker.
+ */
+export interface CircuitBreakerState {
+  /** CLOSED, OPEN or HALF_OPEN */
+  state: string;
+  /** When the current state was entered (epoch ms) */
+  stateChangedAt: number;
+  /** Times (epoch ms) of the current run of consecutive failures */
+  failureTimes: number[];
+  /** Half-open trial calls let through in the current round */
+  trialsStarted: number;
+  /** Half-open trial calls that succeeded in the current round */
+  trialSuccesses: number;
+  /** Rate mode: call outcomes in the rolling window */
+  outcomes: Array<{ time: number; failed: boolean; slow: boolean }>;
+  /** True while the state is pinned by an operator */
+  forced: boolean;
+}
+
+export abstract class CircuitBreakerStorePort {
+  /**
+   * Reads the state of a breaker, without blocking on I/O.
+   * Must be implemented by adapters.
+   *
+   * @param key - Breaker name ("provider" or "provider:model")
+   * @returns The stored state (as currently known to this process), or undefined if none was saved yet
+   */
+  abstract get(key: string): CircuitBreakerState | undefined;
+
+  /**
+   * Atomically replaces the state of a breaker with the mutator's result, without blocking on I/O.
+   * Must be implemented by adapters.
+   *
+   * The mutator runs before update() returns and may run again later, against
+   * the latest shared state, when the update is persisted.
+   *
+   * @param key - Breaker name ("provider" or "provider:model")
+   * @param mutator - Receives the stored state (undefined if none) and returns the new state,
+   *   or its argument to leave the state as it is
+   * @throws What the mutator throws; storage failures are not thrown on the request path
+   */
+  abstract update(
+    key: string,
+    mutator: (current: CircuitBreakerState | undefined) => CircuitBreakerState | undefined
+  ): void;
+}
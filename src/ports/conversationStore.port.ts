@@ -0,0 +1,87 @@
+/**
+ * Conversation Store Port — Abstract contract for conversation storage
+ *
+ * Conversations hold only sanitized turns. The originals behind their indexed
+ * tokens (e.g. <EMAIL_1>) are kept encrypted, so the same PII value maps to
+ * the same token in every turn and answers can be rehydrated.
+ * Use cases depend on this contract, never on specific adapters.
+ *
+ * Subclasses must implement:
+ * - create(conversation: Conversation): Promise<void>
+ * - get(id: string): Promise<Conversation | undefined>
+ * - appendTurns(id: string, turns: ConversationTurn[], tokens: ConversationToken[]): Promise<void>
+ */
+
+/**
+ * One sanitized turn of a conversation.
+ */
+export interface ConversationTurn {
+  role: 'user' | 'assistant';
+  /** Sanitized text, with PII replaced by indexed tokens */
+  content: string;
+  /** When the turn was added (ISO 8601) */
+  timestamp: string;
+  /** AI provider that wrote an assistant turn */
+  provider?: string;
+}
+
+/**
+ * Original behind a token issued in a conversation.
+ */
+export interface ConversationToken {
+  /** Token as it appears in the turns, e.g. <EMAIL_1> */
+  token: string;
+  /** PII type, e.g. EMAIL */
+  type: string;
+  /** Original value, encrypted */
+  valueEncrypted: string;
+}
+
+/**
+ * A stored conversation.
+ */
+export interface Conversation {
+  id: string;
+  /** Owner; only this user may read or continue the conversation */
+  userId: string;
+  /** When the conversation was created (ISO 8601) */
+  createdAt: string;
+  /** Turns, oldest first */
+  turns: ConversationTurn[];
+  /** Tokens issued so far, in order of issue */
+  tokens: ConversationToken[];
+}
+
+export abstract class ConversationStorePort {
+  /**
+   * Stores a new conversation.
+   * Must be implemented by adapters.
+   *
+   * @param conversation - The conversation (usually without turns yet)
+   * @returns Resolves when stored
+   * @throws Rejects on storage failure
+   */
+  abstract create(conversation: Conversation): Promise<void>;
+
+  /**
+   * Reads a conversation.
+   * Must be implemented by adapters.
+   *
+   * @param id - Conversation id
+   * @returns Resolves with the conversation, or undefined if unknown
+   * @throws Rejects on storage failure
+   */
+  abstract get(id: string): Promise<Conversation | undefined>;
+
+  /**
+   * Appends turns and newly issued tokens to a conversation.
+   * Must be implemented by adapters.
+   *
+   * @param id - Conversation id
+   * @param turns - Turns to append, oldest first
+   * @param tokens - Tokens issued for these turns
+   * @returns Resolves when stored
+   * @throws Rejects if the conversation is unknown or on storage failure
+   */
+  abstract appendTurns(id: string, turns: ConversationTurn[], tokens: ConversationToken[]): Promise<void>;
+}
@@ -0,0 +1,180 @@
+/**
+ * Unit tests for admin.route.js
+ *
+ * Tests token authentication, the bulkhead stats route and the circuit
+ * breaker read, force-open, force-close and reset routes against a real
+ * Express server.
+ */
+
+const express = require('express');
+const { createAdminRouter } = require('../admin.route');
+const { createCircuitBreakerRegistry, STATES } = require('../../services/circuitBreaker.service');
+const { createBulkhead } = require('../../services/bulkhead.service');
+
+const TOKEN = 'test-admin-token';
+
+describe('admin.route', () => {
+  let circuitBreakers;
+  let providers;
+  let server;
+  let baseUrl;
+
+  /**
+   * Starts a server with the admin router.
+   *
+   * @param {string} [adminToken] - Configured admin token
+   * @returns {Promise<void>} Resolves once listening
+   */
+  function start(adminToken) {
+    const app = express();
+    app.use(createAdminRouter({ circuitBreakers, providers, adminToken }));
+    return new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Sends an authenticated admin request.
+   *
+   * @param {string} path - Request path
+   * @param {Object} [options] - fetch options
+   * @returns {Promise<{status: number, body: Object}>} Status and JSON body
+   */
+  async function request(path, { method = 'GET', token = TOKEN } = {}) {
+    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+    const response = await fetch(`${baseUrl}${path}`, { method, headers });
+    return { status: response.status, body: await response.json() };
+  }
+
+  beforeEach(async () => {
+    circuitBreakers = createCircuitBreakerRegistry();
+    circuitBreakers.get('mock');
+    circuitBreakers.get('openai', 'gpt-4o');
+    providers = [{ name: 'mock', bulkhead: createBulkhead({ maxConcurrent: 2, maxQueue: 5 }) }];
+    await start(TOKEN);
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  describe('authentication', () => {
+    it('should reject requests without a token', async () => {
+      const { status, body } = await request('/admin/circuit-breakers', { token: null });
+
+      expect(status).toBe(401);
+      expect(body).toEqual({ error: 'Unauthorized' });
+    });
+
+    it('should reject requests with a wrong token', async () => {
+      const { status } = await request('/admin/circuit-breakers', { token: 'nope' });
+
+      expect(status).toBe(401);
+    });
+
+    it('should be disabled when no token is configured', async () => {
+      await new Promise((resolve) => server.close(resolve));
+      await start(undefined);
+
+      const { status, body } = await request('/admin/circuit-breakers');
+
+      expect(status).toBe(404);
+      expect(body).toEqual({ error: 'Admin API is disabled' });
+    });
+  });
+
+  describe('GET /admin/bulkheads', () => {
+    it('should report the AI call load per provider', async () => {
+      const { status, body } = await request('/admin/bulkheads');
+
+      expect(status).toBe(200);
+      expect(body).toEqual({
+        providers: [{ name: 'mock', inFlight: 0, queued: 0, maxConcurrent: 2, maxQueue: 5 }],
+      });
+    });
+
+    it('should require authentication', async () => {
+      const { status, body } = await request('/admin/bulkheads', { token: null });
+
+      expect(status).toBe(401);
+      expect(body).toEqual({ error: 'Unauthorized' });
+    });
+  });
+
+  describe('GET /admin/circuit-breakers', () => {
+    it('should list every breaker with its state and failure count', async () => {
+      circuitBreakers.find('mock').recordFailure();
+
+      const { status, body } = await request('/admin/circuit-breakers');
+
+      expect(status).toBe(200);
+      expect(body.breakers.map(({ name, state, failureCount }) => ({ name, state, failureCount }))).toEqual([
+        { name: 'mock', state: STATES.CLOSED, failureCount: 1 },
+        { name: 'openai:gpt-4o', state: STATES.CLOSED, failureCount: 0 },
+      ]);
+    });
+  });
+
+  describe('GET /admin/circuit-breakers/:name', () => {
+    it('should return one breaker, including provider:model keys', async () => {
+      const { status, body } = await request('/admin/circuit-breakers/openai:gpt-4o');
+
+      expect(status).toBe(200);
+      expect(body).toMatchObject({ name: 'openai:gpt-4o', state: STATES.CLOSED, forced: false });
+    });
+
+    it('should return 404 for an unknown breaker', async () => {
+      const { status, body } = await request('/admin/circuit-breakers/unknown');
+
+      expect(status).toBe(404);
+      expect(body).toEqual({ error: 'Unknown circuit breaker' });
+    });
+  });
+
+  describe('POST actions', () => {
+    it('should force a breaker open', async () => {
+      const { status, body } = await request('/admin/circuit-breakers/mock/force-open', { method: 'POST' });
+
+      expect(status).toBe(200);
+      expect(body).toMatchObject({ state: STATES.OPEN, forced: true });
+      expect(circuitBreakers.find('mock').isOpen()).toBe(true);
+    });
+
+    it('should force a breaker closed', async () => {
+      const breaker = circuitBreakers.find('mock');
+      breaker.recordFailure();
+      breaker.recordFailure();
+      breaker.recordFailure();
+
+      const { body } = await request('/admin/circuit-breakers/mock/force-close', { method: 'POST' });
+
+      expect(body).toMatchObject({ state: STATES.CLOSED, forced: true, failureCount: 0 });
+      expect(breaker.isOpen()).toBe(false);
+    });
+
+    it('should reset a forced breaker to automatic operation', async () => {
+      circuitBreakers.find('mock').forceOpen();
+
+      const { body } = await request('/admin/circuit-breakers/mock/reset', { method: 'POST' });
+
+      expect(body).toMatchObject({ state: STATES.CLOSED, forced: false });
+    });
+
+    it('should return 404 for an unknown action', async () => {
+      const { status, body } = await request('/admin/circuit-breakers/mock/toString', { method: 'POST' });
+
+      expect(status).toBe(404);
+      expect(body).toEqual({ error: 'Unknown action' });
+    });
+
+    it('should require authentication', async () => {
+      const { status } = await request('/admin/circuit-breakers/mock/force-open', { method: 'POST', token: null });
+
+      expect(status).toBe(401);
+      expect(circuitBreakers.find('mock').isOpen()).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Unit tests for conversation.route.js
+ *
+ * Tests request validation, success responses and error mapping of the
+ * conversation routes against a real Express server with a mocked use case.
+ */
+
+const express = require('express');
+const { createConversationRouter } = require('../conversation.route');
+const { ConversationNotFoundError, ConversationFullError } = require('../../usecases/conversation.usecase');
+const { PolicyBlockedError } = require('../../usecases/secureInquiry.usecase');
+const { OutputBlockedError } = require('../../services/outputDlp.service');
+
+describe('conversation.route', () => {
+  let conversations;
+  let server;
+  let baseUrl;
+
+  /**
+   * Sends a JSON request.
+   *
+   * @param {string} path - Request path
+   * @param {Object} [options] - { method, body }
+   * @returns {Promise<{status: number, body: Object}>} Status and JSON body
+   */
+  async function request(path, { method = 'GET', body } = {}) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body && JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  beforeEach(async () => {
+    conversations = {
+      createConversation: jest.fn().mockResolvedValue({ conversationId: 'c1', createdAt: '2024-01-01T00:00:00.000Z' }),
+      postTurn: jest.fn().mockResolvedValue({ answer: 'Generated Answer' }),
+      getHistory: jest.fn().mockResolvedValue({ conversationId: 'c1', createdAt: '2024-01-01T00:00:00.000Z', turns: [] }),
+    };
+    const app = express();
+    app.use(express.json());
+    app.use(createConversationRouter({ conversations }));
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+      });
+    });
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  describe('POST /conversations', () => {
+    it('should create a conversation and return 201', async () => {
+      const { status, body } = await request('/conversations', { method: 'POST', body: { userId: 'user1' } });
+
+      expect(status).toBe(201);
+      expect(body).toEqual({ conversationId: 'c1', createdAt: '2024-01-01T00:00:00.000Z' });
+      expect(conversations.createConversation).toHaveBeenCalledWith({ userId: 'user1' });
+    });
+
+    it('should require a userId', async () => {
+      const { status, body } = await request('/conversations', { method: 'POST', body: {} });
+
+      expect(status).toBe(400);
+      expect(body).toEqual({ error: 'userId is required' });
+    });
+  });
+
+  describe('POST /conversations/:id/turns', () => {
+    it('should post the turn and return the answer', async () => {
+      const { status, body } = await request('/conversations/c1/turns', {
+        method: 'POST',
+        body: { userId: 'user1', message: 'hello', rehydrate: true },
+      });
+
+      expect(status).toBe(200);
+      expect(body).toEqual({ answer: 'Generated Answer' });
+      expect(conversations.postTurn).toHaveBeenCalledWith({
+        conversationId: 'c1',
+        userId: 'user1',
+        message: 'hello',
+        rehydrate: true,
+        includeRedactions: false,
+      });
+    });
+
+    it('should return redaction counts when the use case reports them', async () => {
+      conversations.postTurn.mockResolvedValue({ answer: 'ok', redactions: { EMAIL: 1 } });
+
+      const { body } = await request('/conversations/c1/turns', {
+        method: 'POST',
+        body: { userId: 'user1', message: 'hello', includeRedactions: true },
+      });
+
+      expect(body).toEqual({ answer: 'ok', redactions: { EMAIL: 1 } });
+    });
+
+    it('should validate the body like /secure-inquiry', async () => {
+      const { status, body } = await request('/conversations/c1/turns', {
+        method: 'POST',
+        body: { userId: 'user1', message: '  ' },
+      });
+
+      expect(status).toBe(400);
+      expect(body).toEqual({ error: 'message cannot be empty' });
+      expect(conversations.postTurn).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for an unknown conversation', async () => {
+      conversations.postTurn.mockRejectedValue(new ConversationNotFoundError());
+
+      const { status, body } = await request('/conversations/c9/turns', {
+        method: 'POST',
+        body: { userId: 'user1', message: 'hello' },
+      });
+
+      expect(status).toBe(404);
+      expect(body).toEqual({ error: 'Conversation not found' });
+    });
+
+    it('should return 409 when the conversation is full', async () => {
+      conversations.postTurn.mockRejectedValue(new ConversationFullError(2));
+
+      const { status } = await request('/conversations/c1/turns', {
+        method: 'POST',
+        body: { userId: 'user1', message: 'hello' },
+      });
+
+      expect(status).toBe(409);
+    });
+
+    it('should return 422 with the reason when blocked by policy', async () => {
+      const reason = { code: 'PII_BLOCKED', types: ['CREDIT_CARD'] };
+      conversations.postTurn.mockRejectedValue(new PolicyBlockedError(reason));
+
+      const { status, body } = await request('/conversations/c1/turns', {
+        method: 'POST',
+        body: { userId: 'user1', message: 'hello' },
+      });
+
+      expect(status).toBe(422);
+      expect(body.reason).toEqual(reason);
+    });
+
+    it('should return 502 with the reason when the output DLP blocks the answer', async () => {
+      const reason = { code: 'PII_IN_ANSWER', types: ['CREDIT_CARD'] };
+      conversations.postTurn.mockRejectedValue(new OutputBlockedError(reason));
+
+      const { status, body } = await request('/conversations/c1/turns', {
+        method: 'POST',
+        body: { userId: 'user1', message: 'hello' },
+      });
+
+      expect(status).toBe(502);
+      expect(body).toEqual({ error: 'Answer blocked by output DLP', reason });
+    });
+  });
+
+  describe('GET /conversations/:id', () => {
+    it('should return the history for the owner', async () => {
+      const { status, body } = await request('/conversations/c1?userId=user1');
+
+      expect(status).toBe(200);
+      expect(body).toEqual({ conversationId: 'c1', createdAt: '2024-01-01T00:00:00.000Z', turns: [] });
+      expect(conversations.getHistory).toHaveBeenCalledWith({ conversationId: 'c1', userId: 'user1' });
+    });
+
+    it('should require a userId query parameter', async () => {
+      const { status } = await request('/conversations/c1');
+
+      expect(status).toBe(400);
+      expect(conversations.getHistory).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for conversations of other users', async () => {
+      conversations.getHistory.mockRejectedValue(new ConversationNotFoundError());
+
+      const { status } = await request('/conversations/c1?userId=user2');
+
+      expect(status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Admin Route — Circuit breaker and bulkhead state for operations
+ *
+ * GET  /admin/bulkheads                           → AI call load per provider
+ * GET  /admin/circuit-breakers                    → state of every breaker
+ * GET  /admin/circuit-breakers/:name              → state of one breaker
+ * POST /admin/circuit-breakers/:name/force-open   → reject all calls until reset
+ * POST /admin/circuit-breakers/:name/force-close  → let all calls through until reset
+ * POST /admin/circuit-breakers/:name/reset        → back to automatic, closed
+ *
+ * :name is the provider or "provider:model" key. Every request must carry
+ * `Authorization: Bearer <ADMIN_API_TOKEN>`; without a configured token the
+ * admin API is disabled. createDefaultAdminRouter() serves the process-wide
+ * breakers and providers.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { getAIProviders } = require('../infrastructure/aiProviders.factory');
+const { getCircuitBreakerRegistry } = require('../infrastructure/circuitBreaker.factory');
+const config = require('../../config');
+
+/** Breaker actions available through POST, by path segment */
+const ACTIONS = {
+  'force-open': (breaker) => breaker.forceOpen(),
+  'force-close': (breaker) => breaker.forceClose(),
+  reset: (breaker) => breaker.reset(),
+};
+
+/**
+ * Compares a presented token with the expected one in constant time.
+ *
+ * @param {string} presented - Token from the request
+ * @param {string} expected - Configured token
+ * @returns {boolean} True if they match
+ */
+function tokensMatch(presented, expected) {
+  const a = crypto.createHash('sha256').update(presented).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Creates the admin router.
+ *
+ * @param {Object} dependencies - Injected dependencies
+ * @param {Object} dependencies.circuitBreakers - Registry with find(key) and list()
+ * @param {Array<{name: string, bulkhead: Object}>} [dependencies.providers] - Provider chain whose bulkheads
+ *   report getStats()
+ * @param {string} [dependencies.adminToken] - Bearer token required by every admin request; disabled when omitted
+ * @returns {express.Router} Router with the /admin routes
+ */
+function createAdminRouter({ circuitBreakers, providers = [], adminToken }) {
+  const router = express.Router();
+
+  // Authentication for every admin route
+  router.use('/admin', (req, res, next) => {
+    if (!adminToken) {
+      return res.status(404).json({ error: 'Admin API is disabled' });
+    }
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !token || !tokensMatch(token, adminToken)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    return next();
+  });
+
+  /**
+   * GET /admin/bulkheads
+   *
+   * Reports the current AI call load per provider, for monitoring.
+   *
+   * @route GET /admin/bulkheads
+   * @returns {Object} { providers: Array<{ name, inFlight, queued, maxConcurrent, maxQueue }> }
+   */
+  router.get('/admin/bulkheads', (req, res) => {
+    res.status(200).json({
+      providers: providers.map(({ name, bulkhead }) => ({ name, ...bulkhead.getStats() })),
+    });
+  });
+
+  /**
+   * GET /admin/circuit-breakers
+   *
+   * @route GET /admin/circuit-breakers
+   * @returns {Object} { breakers: Array<{ name, state, forced, failureCount, mode, stateChangedAt, metrics? }> }
+   */
+  router.get('/admin/circuit-breakers', (req, res) => {
+    res.status(200).json({ breakers: circuitBreakers.list().map((breaker) => breaker.getSnapshot()) });
+  });
+
+  /**
+   * GET /admin/circuit-breakers/:name
+   *
+   * @route GET /admin/circuit-breakers/:name
+   * @returns {Object} Breaker snapshot, or 404 { error } for an unknown breaker
+   */
+  router.get('/admin/circuit-breakers/:name', (req, res) => {
+    const breaker = circuitBreakers.find(req.params.name);
+    if (!breaker) {
+      return res.status(404).json({ error: 'Unknown circuit breaker' });
+    }
+    return res.status(200).json(breaker.getSnapshot());
+  });
+
+  /**
+   * POST /admin/circuit-breakers/:name/:action
+   *
+   * @route POST /admin/circuit-breakers/:name/(force-open|force-close|reset)
+   * @returns {Object} Breaker snapshot after the action, or 404 { error }
+   */
+  router.post('/admin/circuit-breakers/:name/:action', (req, res) => {
+    const breaker = circuitBreakers.find(req.params.name);
+    if (!breaker) {
+      return res.status(404).json({ error: 'Unknown circuit breaker' });
+    }
+    if (!Object.hasOwn(ACTIONS, req.params.action)) {
+      return res.status(404).json({ error: 'Unknown action' });
+    }
+    ACTIONS[req.params.action](breaker);
+    return res.status(200).json(breaker.getSnapshot());
+  });
+
+  return router;
+}
+
+/**
+ * Creates the admin router for the process-wide breaker registry and provider
+ * chain, protected by ADMIN_API_TOKEN.
+ *
+ * @returns {express.Router} Router with the /admin routes
+ */
+function createDefaultAdminRouter() {
+  return createAdminRouter({
+    circuitBreakers: getCircuitBreakerRegistry(),
+    providers: getAIProviders(),
+    adminToken: config.adminApiToken,
+  });
+}
+
+module.exports = {
+  createAdminRouter,
+  createDefaultAdminRouter,
+};
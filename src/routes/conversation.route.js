@@ -0,0 +1,153 @@
+/**
+ * Conversation Route — Multi-turn secure inquiries
+ *
+ * POST /conversations               → start a conversation for a user
+ * POST /conversations/:id/turns     → post a message, get the AI answer
+ * GET  /conversations/:id?userId=   → sanitized history of the conversation
+ *
+ * Validates input, calls the conversation use case, maps results to HTTP
+ * responses. A conversation is only visible to the user who started it;
+ * anyone else gets 404. createDefaultConversationRouter() wires the use case
+ * to the process-wide providers, stores and sanitizer.
+ */
+
+const express = require('express');
+const { createConversationUseCase } = require('../usecases/conversation.usecase');
+const { getAIProviders } = require('../infrastructure/aiProviders.factory');
+const { getAuditDbAdapter, getConversationStore } = require('../infrastructure/db.factory');
+const { getSanitizer } = require('../infrastructure/sanitizer.factory');
+const tokenVault = require('../services/tokenVault.service');
+const { createPolicy } = require('../services/policy.service');
+const { createOutputDlp } = require('../services/outputDlp.service');
+const { validateUserId, validateInquiryRequest, sendInquiryError } = require('../utils/inquiryHttp.util');
+const cryptoUtil = require('../utils/crypto.util');
+const config = require('../../config');
+
+/**
+ * Creates the conversation router.
+ *
+ * @param {Object} dependencies - Injected dependencies
+ * @param {Object} dependencies.conversations - Conversation use case with createConversation(), postTurn()
+ *   and getHistory()
+ * @returns {express.Router} Router with the /conversations routes
+ */
+function createConversationRouter({ conversations }) {
+  const router = express.Router();
+
+  /**
+   * POST /conversations
+   *
+   * @route POST /conversations
+   * @param {string} req.body.userId - Owner of the conversation
+   * @returns {Object} 201 { conversationId, createdAt }, or 400 { error }
+   */
+  router.post('/conversations', async (req, res) => {
+    const validation = validateUserId(req.body?.userId);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    try {
+      const result = await conversations.createConversation({ userId: req.body.userId });
+      return res.status(201).json(result);
+    } catch (error) {
+      return sendInquiryError(res, error, 'Conversation error');
+    }
+  });
+
+  /**
+   * POST /conversations/:id/turns
+   *
+   * Same body and error responses as POST /secure-inquiry, plus 404 for an
+   * unknown conversation and 409 when it reached its turn limit.
+   *
+   * @route POST /conversations/:id/turns
+   * @param {string} req.body.userId - User identifier (must own the conversation)
+   * @param {string} req.body.message - User message (may contain PII)
+   * @param {boolean} [req.body.rehydrate] - Re-inject allowed original PII into the answer
+   * @param {boolean} [req.body.includeRedactions] - Return per-type redaction counts under `redactions`
+   * @returns {Object} { answer: string, redactions?: Object } on success, { error, reason? } on failure
+   */
+  router.post('/conversations/:id/turns', async (req, res) => {
+    const validation = validateInquiryRequest(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    const { userId, message, rehydrate, includeRedactions } = req.body;
+
+    try {
+      const result = await conversations.postTurn({
+        conversationId: req.params.id,
+        userId,
+        message,
+        rehydrate: rehydrate === true,
+        includeRedactions: includeRedactions === true,
+      });
+      if (result.redactions) {
+        return res.status(200).json({ answer: result.answer, redactions: result.redactions });
+      }
+      return res.status(200).json({ answer: result.answer });
+    } catch (error) {
+      return sendInquiryError(res, error, 'Conversation error');
+    }
+  });
+
+  /**
+   * GET /conversations/:id
+   *
+   * @route GET /conversations/:id
+   * @param {string} req.query.userId - User identifier (must own the conversation)
+   * @returns {Object} { conversationId, createdAt, turns: Array<{ role, content, timestamp, provider? }> },
+   *   or 400 / 404 { error }
+   */
+  router.get('/conversations/:id', async (req, res) => {
+    const validation = validateUserId(req.query.userId);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    try {
+      const history = await conversations.getHistory({ conversationId: req.params.id, userId: req.query.userId });
+      return res.status(200).json(history);
+    } catch (error) {
+      return sendInquiryError(res, error, 'Conversation error');
+    }
+  });
+
+  return router;
+}
+
+/**
+ * Creates the conversation router with the use case wired from config (PII
+ * policy, output DLP, turn limit) and the process-wide providers (shared with
+ * the inquiry route), stores and sanitizer.
+ *
+ * @returns {express.Router} Router with the /conversations routes
+ */
+function createDefaultConversationRouter() {
+  const policy = createPolicy(config.policy);
+  const conversations = createConversationUseCase({
+    sanitizer: getSanitizer(),
+    providers: getAIProviders(),
+    conversationStore: getConversationStore(),
+    auditDbPort: getAuditDbAdapter(),
+    cryptoUtil,
+    tokenVault,
+    rehydrateAllowedTypes: config.rehydrateAllowedTypes,
+    policy,
+    // Same output DLP settings as the inquiry route
+    outputDlp: createOutputDlp({
+      sanitizer: getSanitizer(),
+      action: config.outputDlp.action,
+      preserve: policy.isAllowed,
+    }),
+    maxTurns: config.conversations.maxTurns,
+  });
+  return createConversationRouter({ conversations });
+}
+
+module.exports = {
+  createConversationRouter,
+  createDefaultConversationRouter,
+};
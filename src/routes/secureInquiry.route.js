@@ -3,71 +3,66 @@
  *
  * Handles HTTP requests for secure AI inquiries.
  * Validates input, calls use case, maps results to HTTP responses.
+ * POST /secure-inquiry/stream relays the answer over Server-Sent Events as the
+ * provider produces it.
  */
 
 const express = require('express');
-const { createSecureInquiryUseCase, CircuitOpenError } = require('../usecases/secureInquiry.usecase');
-const { getAIAdapter } = require('../infrastructure/ai.factory');
+const {
+  createSecureInquiryUseCase,
+  createSecureInquiryStreamUseCase,
+} = require('../usecases/secureInquiry.usecase');
+const { getAIProviders } = require('../infrastructure/aiProviders.factory');
 const { getAuditDbAdapter } = require('../infrastructure/db.factory');
-const sanitizer = require('../services/sanitizer.service');
-const circuitBreaker = require('../services/circuitBreaker.service');
+const { getSanitizer } = require('../infrastructure/sanitizer.factory');
+const tokenVault = require('../services/tokenVault.service');
+const { createPolicy } = require('../services/policy.service');
+const { createOutputDlp } = require('../services/outputDlp.service');
+const {
+  validateInquiryRequest,
+  inquiryErrorResponse,
+  sendInquiryError,
+  writeServerSentEvent,
+} = require('../utils/inquiryHttp.util');
 const cryptoUtil = require('../utils/crypto.util');
+const config = require('../../config');
 
 const router = express.Router();
 
-/**
- * Validates the request body for secure inquiry.
- *
- * @param {Object} body - Request body
- * @returns {{valid: boolean, error?: string}} Validation result
- */
-function validateRequest(body) {
-  if (!body) {
-    return { valid: false, error: 'Request body is required' };
-  }
+// Ordered provider chain for failover, shared with the conversation route
+const providers = getAIProviders();
 
-  const { userId, message } = body;
+const policy = createPolicy(config.policy);
 
-  if (userId === undefined || userId === null) {
-    return { valid: false, error: 'userId is required' };
-  }
-
-  if (typeof userId !== 'string') {
-    return { valid: false, error: 'userId must be a string' };
-  }
-
-  if (userId.trim() === '') {
-    return { valid: false, error: 'userId cannot be empty' };
-  }
-
-  if (message === undefined || message === null) {
-    return { valid: false, error: 'message is required' };
-  }
-
-  if (typeof message !== 'string') {
-    return { valid: false, error: 'message must be a string' };
-  }
-
-  if (message.trim() === '') {
-    return { valid: false, error: 'message cannot be empty' };
-  }
-
-  /** Max message length to limit CPU/memory from sanitizer and downstream (ReDoS defense-in-depth). */
-  const MAX_MESSAGE_LENGTH = 64 * 1024; // 64 KB
-  if (message.length > MAX_MESSAGE_LENGTH) {
-    return { valid: false, error: 'message exceeds maximum length' };
-  }
-
-  return { valid: true };
-}
+// Answers may echo PII the policy allows in messages; everything else is acted on
+const outputDlp = createOutputDlp({
+  sanitizer: getSanitizer(),
+  action: config.outputDlp.action,
+  preserve: policy.isAllowed,
+});
 
-// Create the use case with dependencies
+// Create the use cases with dependencies
 const executeSecureInquiry = createSecureInquiryUseCase({
-  sanitizer,
-  circuitBreaker,
-  aiPort: getAIAdapter(),
+  sanitizer: getSanitizer(),
+  providers,
   auditDbPort: getAuditDbAdapter(),
   cryptoUtil,
+  tokenVault,
+  rehydrateAllowedTypes: config.rehydrateAllowedTypes,
+  policy,
+  outputDlp,
+});
+
+const streamSecureInquiry = createSecureInquiryStreamUseCase({
+  sanitizer: getSanitizer(),
+  providers,
+  auditDbPort: getAuditDbAdapter(),
+  cryptoUtil,
+  tokenVault,
+  rehydrateAllowedTypes: config.rehydrateAllowedTypes,
+  policy,
+  outputDlp,
+  onAuditError: (error) => console.error('Audit error:', error.message),
 });
 
 /**
@@ -80,33 +75,111 @@ const executeSecureInquiry = createSecureInquiryUseCase({
  * @param {Object} req.body - Request body
  * @param {string} req.body.userId - User identifier
  * @param {string} req.body.message - User message (may contain PII)
- * @returns {Object} { answer: string } on success
- * @returns {Object} { error: string } on failure
+ * @param {boolean} [req.body.rehydrate] - Re-inject allowed original PII into the answer
+ * @param {boolean} [req.body.includeRedactions] - Return per-type redaction counts under `redactions`
+ * @returns {Object} { answer: string, redactions?: Object } on success
+ * @returns {Object} { error: string, reason?: Object } on failure; 422 with a machine-readable reason when blocked by policy,
+ *   504 when the AI provider did not answer in time, 429 when the AI call queue is full,
+ *   503 when the circuit is open or the call waited too long in the queue, 502 when the AI provider rejected the call
+ *   or (with a reason) the output DLP blocked the answer
  */
 router.post('/secure-inquiry', async (req, res) => {
   // Step 1: Validate request
-  const validation = validateRequest(req.body);
+  const validation = validateInquiryRequest(req.body);
   if (!validation.valid) {
     return res.status(400).json({ error: validation.error });
   }
 
-  const { userId, message } = req.body;
+  const { userId, message, rehydrate, includeRedactions } = req.body;
 
   // Step 2: Call use case
   try {
-    const result = await executeSecureInquiry({ userId, message });
+    const result = await executeSecureInquiry({
+      userId,
+      message,
+      rehydrate: rehydrate === true,
+      includeRedactions: includeRedactions === true,
+    });
+    if (result.redactions) {
+      return res.status(200).json({ answer: result.answer, redactions: result.redactions });
+    }
     return res.status(200).json({ answer: result.answer });
   } catch (error) {
     // Step 3: Handle errors
-    if (error instanceof CircuitOpenError || error.isCircuitOpen) {
-      return res.status(503).json({ error: 'Service Busy' });
+    return sendInquiryError(res, error, 'Secure inquiry error');
+  }
+});
+
+/**
+ * POST /secure-inquiry/stream
+ *
+ * Same body as POST /secure-inquiry. Errors before
+ * the first chunk get the same HTTP responses; after that the answer is sent as
+ * Server-Sent Events: `chunk` { text } per piece, then `done` { redactions? },
+ * or `error` { error } if the stream fails. A client that disconnects cancels
+ * the provider's stream.
+ *
+ * @route POST /secure-inquiry/stream
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.userId - User identifier
+ * @param {string} req.body.message - User message (may contain PII)
+ * @param {boolean} [req.body.rehydrate] - Re-inject allowed original PII into the chunks
+ * @param {boolean} [req.body.includeRedactions] - Send per-type redaction counts with the `done` event
+ * @returns {void} text/event-stream on success; { error: string, reason?: Object } on failure before the first chunk
+ */
+router.post('/secure-inquiry/stream', async (req, res) => {
+  // Step 1: Validate request
+  const validation = validateInquiryRequest(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  const { userId, message, rehydrate, includeRedactions } = req.body;
+
+  // Cancel the provider's stream when the client goes away
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort(new Error('Client disconnected'));
+    }
+  });
+
+  // Step 2: Call use case; failures before the first chunk are plain HTTP errors
+  let result;
+  try {
+    result = await streamSecureInquiry({
+      userId,
+      message,
+      rehydrate: rehydrate === true,
+      includeRedactions: includeRedactions === true,
+      signal: controller.signal,
+    });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      return undefined;
     }
+    return sendInquiryError(res, error, 'Secure inquiry error');
+  }
 
-    // Log error for debugging (in production, use proper logging)
-    console.error('Secure inquiry error:', error.message);
+  // Step 3: Relay the chunks as Server-Sent Events
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
 
-    return res.status(500).json({ error: 'Internal server error' });
+  try {
+    for await (const text of result.chunks) {
+      writeServerSentEvent(res, 'chunk', { text });
+    }
+    writeServerSentEvent(res, 'done', result.redactions ? { redactions: result.redactions } : {});
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      writeServerSentEvent(res, 'error', inquiryErrorResponse(error, 'Secure inquiry stream error').body);
+    }
   }
+  return res.end();
 });
 
 module.exports = router;
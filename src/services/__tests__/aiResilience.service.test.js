@@ -0,0 +1,524 @@
+/**
+ * Unit tests for aiResilience.service.js
+ *
+ * Tests per-attempt timeouts with AbortSignal propagation, retries of
+ * transient failures with jittered exponential backoff, the overall request
+ * deadline, reporting of each attempt to the circuit breaker, and the same
+ * treatment of streamed answers up to their first chunk.
+ */
+
+const {
+  createResilientAIPort,
+  answerStream,
+  isTransientError,
+  isProviderFailure,
+  backoffDelay,
+  AITimeoutError,
+} = require('../aiResilience.service');
+const { STATES } = require('../circuitBreaker.service');
+const {
+  AIAuthenticationError,
+  AIConnectionError,
+  AIInvalidRequestError,
+  AIRateLimitError,
+  AIServerError,
+} = require('../../ports/ai.port');
+
+/**
+ * Builds an error carrying an HTTP status.
+ *
+ * @param {number} status - HTTP status
+ * @returns {Error} Error with status
+ */
+function httpError(status) {
+  const error = new Error(`HTTP ${status}`);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Adapter stub that never answers and records the signal it received.
+ *
+ * @returns {{generateAnswer: jest.Mock, signals: AbortSignal[]}} Hanging adapter
+ */
+function hangingAdapter() {
+  const signals = [];
+  return {
+    signals,
+    generateAnswer: jest.fn((message, { signal }) => {
+      signals.push(signal);
+      return new Promise(() => {});
+    }),
+  };
+}
+
+/**
+ * Adapter stub whose streamAnswer plays one script per call: chunks to yield,
+ * optionally ending with an error to throw or 'hang' to never finish.
+ *
+ * @param {...Array<string|Error>} scripts - One script per call, the last one repeats
+ * @returns {{streamAnswer: jest.Mock, signals: AbortSignal[], returned: jest.Mock}} Streaming adapter
+ */
+function streamingAdapter(...scripts) {
+  const signals = [];
+  const returned = jest.fn();
+  const streamAnswer = jest.fn(async function* play(message, { signal }) {
+    signals.push(signal);
+    const script = scripts[Math.min(streamAnswer.mock.calls.length, scripts.length) - 1];
+    try {
+      for (const step of script) {
+        if (step instanceof Error) throw step;
+        if (step === 'hang') await new Promise(() => {});
+        yield step;
+      }
+    } finally {
+      returned();
+    }
+  });
+  return { streamAnswer, signals, returned };
+}
+
+/**
+ * Collects every chunk of a stream.
+ *
+ * @param {AsyncIterable<string>} stream - Stream
+ * @returns {Promise<string[]>} Chunks
+ */
+async function collect(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return chunks;
+}
+
+describe('aiResilience.service', () => {
+  let circuitBreaker;
+
+  beforeEach(() => {
+    circuitBreaker = {
+      isOpen: jest.fn().mockReturnValue(false),
+      getState: jest.fn().mockReturnValue(STATES.CLOSED),
+      recordSuccess: jest.fn(),
+      recordFailure: jest.fn(),
+    };
+  });
+
+  describe('isTransientError', () => {
+    it.each([
+      ['a timeout', new AITimeoutError('slow')],
+      ['HTTP 429', httpError(429)],
+      ['HTTP 503', httpError(503)],
+      ['HTTP 408', httpError(408)],
+      ['ECONNRESET', Object.assign(new Error('reset'), { code: 'ECONNRESET' })],
+      ['an explicitly retryable error', Object.assign(new Error('busy'), { retryable: true })],
+    ])('should treat %s as transient', (label, error) => {
+      expect(isTransientError(error)).toBe(true);
+    });
+
+    it.each([
+      ['HTTP 400', httpError(400)],
+      ['HTTP 401', httpError(401)],
+      ['a plain error', new Error('bad input')],
+      ['an explicitly non-retryable 503', Object.assign(httpError(503), { retryable: false })],
+    ])('should not retry %s', (label, error) => {
+      expect(isTransientError(error)).toBe(false);
+    });
+  });
+
+  describe('isProviderFailure', () => {
+    it.each([
+      ['a timeout', new AITimeoutError('slow')],
+      ['a server error', new AIServerError('unavailable', 503)],
+      ['a connection error', new AIConnectionError('refused', 'ECONNREFUSED')],
+      ['a rate limit', new AIRateLimitError('slow down')],
+      ['a plain error', new Error('boom')],
+    ])('should count %s against the breaker', (label, error) => {
+      expect(isProviderFailure(error)).toBe(true);
+    });
+
+    it.each([
+      ['an invalid request', new AIInvalidRequestError('bad request', 400)],
+      ['rejected credentials', new AIAuthenticationError('bad key', 401)],
+    ])('should not count %s against the breaker', (label, error) => {
+      expect(isProviderFailure(error)).toBe(false);
+    });
+  });
+
+  describe('backoffDelay', () => {
+    const options = { baseDelayMs: 100, maxDelayMs: 1000, random: () => 0.999 };
+
+    it('should double the cap on each retry', () => {
+      expect(backoffDelay(1, options)).toBe(99);
+      expect(backoffDelay(2, options)).toBe(199);
+      expect(backoffDelay(3, options)).toBe(399);
+    });
+
+    it('should not exceed the maximum delay', () => {
+      expect(backoffDelay(10, options)).toBe(999);
+    });
+
+    it('should apply full jitter', () => {
+      expect(backoffDelay(3, { ...options, random: () => 0 })).toBe(0);
+      expect(backoffDelay(3, { ...options, random: () => 0.5 })).toBe(200);
+    });
+
+    it('should wait at least the delay a rate limit asked for', () => {
+      expect(backoffDelay(1, options, new AIRateLimitError('slow down', 2500))).toBe(2500);
+      expect(backoffDelay(3, options, new AIRateLimitError('slow down', 50))).toBe(399);
+      expect(backoffDelay(1, options, new AIRateLimitError('slow down'))).toBe(99);
+    });
+  });
+
+  describe('createResilientAIPort', () => {
+    it('should pass the message and an AbortSignal to the adapter', async () => {
+      const adapter = { generateAnswer: jest.fn().mockResolvedValue('answer') };
+      const port = createResilientAIPort(adapter);
+
+      await expect(port.generateAnswer('hello')).resolves.toBe('answer');
+
+      const [message, options] = adapter.generateAnswer.mock.calls[0];
+      expect(message).toBe('hello');
+      expect(options.signal).toBeInstanceOf(AbortSignal);
+    });
+
+    it('should pass the conversation history through to the adapter', async () => {
+      const adapter = { generateAnswer: jest.fn().mockResolvedValue('answer') };
+      const history = [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello' }];
+
+      await createResilientAIPort(adapter).generateAnswer('hello', { history });
+
+      expect(adapter.generateAnswer.mock.calls[0][1].history).toBe(history);
+    });
+
+    it('should report whether attempts go to a circuit breaker', () => {
+      expect(createResilientAIPort({}).recordsCircuitBreaker).toBe(false);
+      expect(createResilientAIPort({}, { circuitBreaker }).recordsCircuitBreaker).toBe(true);
+    });
+
+    it('should reject invalid settings', () => {
+      expect(() => createResilientAIPort({}, { maxRetries: -1 })).toThrow('maxRetries must be a non-negative number');
+      expect(() => createResilientAIPort({}, { timeoutMs: NaN })).toThrow('timeoutMs must be a non-negative number');
+    });
+
+    describe('timeouts', () => {
+      it('should time out a hung attempt and abort its signal', async () => {
+        const adapter = hangingAdapter();
+        const port = createResilientAIPort(adapter, { timeoutMs: 20, maxRetries: 0 });
+
+        const error = await port.generateAnswer('hello').catch((e) => e);
+
+        expect(error).toBeInstanceOf(AITimeoutError);
+        expect(error.isTimeout).toBe(true);
+        expect(error.message).toBe('AI call timed out after 20ms');
+        expect(adapter.signals[0].aborted).toBe(true);
+        expect(adapter.signals[0].reason).toBe(error);
+      });
+
+      it('should record a timed-out attempt as a breaker failure', async () => {
+        const port = createResilientAIPort(hangingAdapter(), { timeoutMs: 20, maxRetries: 0, circuitBreaker });
+
+        await expect(port.generateAnswer('hello')).rejects.toThrow(AITimeoutError);
+
+        expect(circuitBreaker.recordFailure).toHaveBeenCalledTimes(1);
+        expect(circuitBreaker.recordFailure.mock.calls[0][0]).toBeGreaterThanOrEqual(15);
+      });
+
+      it('should not time out when the timeout is disabled', async () => {
+        const adapter = {
+          generateAnswer: jest.fn(() => new Promise((resolve) => setTimeout(() => resolve('late'), 30))),
+        };
+        const port = createResilientAIPort(adapter, { timeoutMs: 0, deadlineMs: 0 });
+
+        await expect(port.generateAnswer('hello')).resolves.toBe('late');
+      });
+    });
+
+    describe('retries', () => {
+      it('should retry transient failures and report each attempt', async () => {
+        const adapter = {
+          generateAnswer: jest.fn()
+            .mockRejectedValueOnce(httpError(503))
+            .mockRejectedValueOnce(httpError(429))
+            .mockResolvedValue('answer'),
+        };
+        const port = createResilientAIPort(adapter, { baseDelayMs: 1, circuitBreaker });
+
+        await expect(port.generateAnswer('hello')).resolves.toBe('answer');
+
+        expect(adapter.generateAnswer).toHaveBeenCalledTimes(3);
+        expect(circuitBreaker.recordFailure).toHaveBeenCalledTimes(2);
+        expect(circuitBreaker.recordSuccess).toHaveBeenCalledTimes(1);
+      });
+
+      it('should retry timed-out attempts', async () => {
+        const adapter = {
+          generateAnswer: jest.fn()
+            .mockImplementationOnce(() => new Promise(() => {}))
+            .mockResolvedValue('answer'),
+        };
+        const port = createResilientAIPort(adapter, { timeoutMs: 20, baseDelayMs: 1 });
+
+        await expect(port.generateAnswer('hello')).resolves.toBe('answer');
+        expect(adapter.generateAnswer).toHaveBeenCalledTimes(2);
+      });
+
+      it('should not retry non-transient failures', async () => {
+        const error = httpError(400);
+        const adapter = { generateAnswer: jest.fn().mockRejectedValue(error) };
+        const port = createResilientAIPort(adapter, { baseDelayMs: 1 });
+
+        await expect(port.generateAnswer('hello')).rejects.toBe(error);
+        expect(adapter.generateAnswer).toHaveBeenCalledTimes(1);
+      });
+
+      it('should give up after maxRetries and rethrow the last error', async () => {
+        const adapter = { generateAnswer: jest.fn().mockRejectedValue(httpError(502)) };
+        const port = createResilientAIPort(adapter, { maxRetries: 2, baseDelayMs: 1 });
+
+        await expect(port.generateAnswer('hello')).rejects.toThrow('HTTP 502');
+        expect(adapter.generateAnswer).toHaveBeenCalledTimes(3);
+      });
+
+      it('should stop retrying once the circuit breaker opens', async () => {
+        circuitBreaker.getState.mockReturnValue(STATES.OPEN);
+        const adapter = { generateAnswer: jest.fn().mockRejectedValue(httpError(503)) };
+        const port = createResilientAIPort(adapter, { baseDelayMs: 1, circuitBreaker });
+
+        await expect(port.generateAnswer('hello')).rejects.toThrow('HTTP 503');
+        expect(adapter.generateAnswer).toHaveBeenCalledTimes(1);
+      });
+
+      it('should decide on a retry in half-open without claiming a trial call', async () => {
+        circuitBreaker.getState.mockReturnValue(STATES.HALF_OPEN);
+        const adapter = { generateAnswer: jest.fn().mockRejectedValueOnce(httpError(503)).mockResolvedValue('ok') };
+        const port = createResilientAIPort(adapter, { baseDelayMs: 1, circuitBreaker });
+
+        await expect(port.generateAnswer('hello')).resolves.toBe('ok');
+        expect(adapter.generateAnswer).toHaveBeenCalledTimes(2);
+        expect(circuitBreaker.isOpen).not.toHaveBeenCalled();
+      });
+
+      it('should report client errors to the breaker as successes', async () => {
+        const error = new AIInvalidRequestError('bad request', 400);
+        const adapter = { generateAnswer: jest.fn().mockRejectedValue(error) };
+        const port = createResilientAIPort(adapter, { circuitBreaker });
+
+        await expect(port.generateAnswer('hello')).rejects.toBe(error);
+
+        expect(circuitBreaker.recordFailure).not.toHaveBeenCalled();
+        expect(circuitBreaker.recordSuccess).toHaveBeenCalledTimes(1);
+      });
+
+      it('should wait as long as a rate limit asks before retrying', async () => {
+        const adapter = {
+          generateAnswer: jest.fn()
+            .mockRejectedValueOnce(new AIRateLimitError('slow down', 60))
+            .mockResolvedValue('answer'),
+        };
+        const port = createResilientAIPort(adapter, { baseDelayMs: 1, random: () => 0 });
+
+        const startedAt = Date.now();
+        await expect(port.generateAnswer('hello')).resolves.toBe('answer');
+
+        expect(Date.now() - startedAt).toBeGreaterThanOrEqual(55);
+      });
+
+      it('should not retry when the requested delay passes the deadline', async () => {
+        const error = new AIRateLimitError('slow down', 5000);
+        const adapter = { generateAnswer: jest.fn().mockRejectedValue(error) };
+        const port = createResilientAIPort(adapter, { deadlineMs: 1000 });
+
+        await expect(port.generateAnswer('hello')).rejects.toBe(error);
+        expect(adapter.generateAnswer).toHaveBeenCalledTimes(1);
+      });
+
+      it('should wait a jittered backoff between attempts', async () => {
+        const adapter = {
+          generateAnswer: jest.fn().mockRejectedValueOnce(httpError(503)).mockResolvedValue('answer'),
+        };
+        const random = jest.fn().mockReturnValue(0.5);
+        const port = createResilientAIPort(adapter, { baseDelayMs: 80, random });
+
+        const startedAt = Date.now();
+        await port.generateAnswer('hello');
+
+        expect(random).toHaveBeenCalledTimes(1);
+        expect(Date.now() - startedAt).toBeGreaterThanOrEqual(35);
+      });
+    });
+
+    describe('deadline', () => {
+      it('should cut the last attempt short at the deadline', async () => {
+        const port = createResilientAIPort(hangingAdapter(), { timeoutMs: 1000, deadlineMs: 30 });
+
+        const error = await port.generateAnswer('hello').catch((e) => e);
+
+        expect(error).toBeInstanceOf(AITimeoutError);
+        expect(error.message).toBe('AI request deadline of 30ms exceeded');
+      });
+
+      it('should not start a retry whose backoff would pass the deadline', async () => {
+        const adapter = { generateAnswer: jest.fn().mockRejectedValue(httpError(503)) };
+        const port = createResilientAIPort(adapter, {
+          baseDelayMs: 5000,
+          deadlineMs: 1000,
+          random: () => 0.9,
+        });
+
+        await expect(port.generateAnswer('hello')).rejects.toThrow('HTTP 503');
+        expect(adapter.generateAnswer).toHaveBeenCalledTimes(1);
+      });
+    });
+
+    describe('caller signal', () => {
+      it('should abort the attempt and skip retries when the caller aborts', async () => {
+        const adapter = hangingAdapter();
+        const controller = new AbortController();
+        const port = createResilientAIPort(adapter, { timeoutMs: 1000, baseDelayMs: 1 });
+
+        const pending = port.generateAnswer('hello', { signal: controller.signal });
+        controller.abort(new Error('client went away'));
+
+        await expect(pending).rejects.toThrow('client went away');
+        expect(adapter.signals[0].aborted).toBe(true);
+        expect(adapter.generateAnswer).toHaveBeenCalledTimes(1);
+      });
+
+      it('should not report an attempt the caller aborted to the breaker', async () => {
+        const adapter = hangingAdapter();
+        const controller = new AbortController();
+        const port = createResilientAIPort(adapter, { timeoutMs: 1000, circuitBreaker });
+
+        const pending = port.generateAnswer('hello', { signal: controller.signal });
+        controller.abort(new Error('client went away'));
+
+        await expect(pending).rejects.toThrow('client went away');
+        expect(circuitBreaker.recordFailure).not.toHaveBeenCalled();
+        expect(circuitBreaker.recordSuccess).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('answerStream', () => {
+    it('should use the adapter stream when it has one', async () => {
+      const adapter = streamingAdapter(['a', 'b']);
+
+      await expect(collect(answerStream(adapter, 'hello', { history: [] }))).resolves.toEqual(['a', 'b']);
+      expect(adapter.streamAnswer).toHaveBeenCalledWith('hello', { history: [] });
+    });
+
+    it('should answer in one chunk when the adapter cannot stream', async () => {
+      const adapter = { generateAnswer: jest.fn().mockResolvedValue('whole answer') };
+
+      await expect(collect(answerStream(adapter, 'hello'))).resolves.toEqual(['whole answer']);
+      expect(adapter.generateAnswer).toHaveBeenCalledWith('hello', {});
+    });
+  });
+
+  describe('createResilientAIPort streamAnswer', () => {
+    it('should relay the chunks with an AbortSignal and report one success', async () => {
+      const adapter = streamingAdapter(['Hello', ' there']);
+      const port = createResilientAIPort(adapter, { circuitBreaker });
+
+      await expect(collect(port.streamAnswer('hello'))).resolves.toEqual(['Hello', ' there']);
+
+      expect(adapter.signals[0]).toBeInstanceOf(AbortSignal);
+      expect(circuitBreaker.recordSuccess).toHaveBeenCalledTimes(1);
+      expect(circuitBreaker.recordFailure).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to generateAnswer for adapters that cannot stream', async () => {
+      const adapter = { generateAnswer: jest.fn().mockResolvedValue('answer') };
+
+      await expect(collect(createResilientAIPort(adapter).streamAnswer('hello'))).resolves.toEqual(['answer']);
+    });
+
+    it('should retry transient failures before the first chunk', async () => {
+      const adapter = streamingAdapter([httpError(503)], ['answer']);
+      const port = createResilientAIPort(adapter, { baseDelayMs: 1, circuitBreaker });
+
+      await expect(collect(port.streamAnswer('hello'))).resolves.toEqual(['answer']);
+
+      expect(adapter.streamAnswer).toHaveBeenCalledTimes(2);
+      expect(circuitBreaker.recordFailure).toHaveBeenCalledTimes(1);
+      expect(circuitBreaker.recordSuccess).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report a stream rejected as a client error to the breaker as a success', async () => {
+      const adapter = streamingAdapter([new AIAuthenticationError('bad key', 401)]);
+      const port = createResilientAIPort(adapter, { circuitBreaker });
+
+      await expect(collect(port.streamAnswer('hello'))).rejects.toThrow('bad key');
+
+      expect(circuitBreaker.recordFailure).not.toHaveBeenCalled();
+      expect(circuitBreaker.recordSuccess).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not retry once a chunk was delivered', async () => {
+      const adapter = streamingAdapter(['Par', httpError(503)]);
+      const port = createResilientAIPort(adapter, { baseDelayMs: 1, circuitBreaker });
+      const chunks = [];
+
+      await expect((async () => {
+        for await (const chunk of port.streamAnswer('hello')) {
+          chunks.push(chunk);
+        }
+      })()).rejects.toThrow('HTTP 503');
+
+      expect(chunks).toEqual(['Par']);
+      expect(adapter.streamAnswer).toHaveBeenCalledTimes(1);
+      expect(circuitBreaker.recordFailure).toHaveBeenCalledTimes(1);
+      expect(circuitBreaker.recordSuccess).not.toHaveBeenCalled();
+    });
+
+    it('should time out a stream that stops sending chunks and abort its signal', async () => {
+      const adapter = streamingAdapter(['Par', 'hang']);
+      const port = createResilientAIPort(adapter, { timeoutMs: 20, maxRetries: 0 });
+
+      const error = await collect(port.streamAnswer('hello')).catch((e) => e);
+
+      expect(error).toBeInstanceOf(AITimeoutError);
+      expect(error.message).toBe('AI stream timed out after 20ms without a chunk');
+      expect(adapter.signals[0].aborted).toBe(true);
+    });
+
+    it('should cut the stream short at the deadline', async () => {
+      const port = createResilientAIPort(streamingAdapter(['hang']), { timeoutMs: 1000, deadlineMs: 30 });
+
+      await expect(collect(port.streamAnswer('hello'))).rejects.toThrow('AI request deadline of 30ms exceeded');
+    });
+
+    it('should report a success and close the adapter stream when the consumer stops early', async () => {
+      const adapter = streamingAdapter(['one', 'two', 'three']);
+      const port = createResilientAIPort(adapter, { circuitBreaker });
+
+      for await (const chunk of port.streamAnswer('hello')) {
+        expect(chunk).toBe('one');
+        break;
+      }
+
+      expect(circuitBreaker.recordSuccess).toHaveBeenCalledTimes(1);
+      expect(circuitBreaker.recordFailure).not.toHaveBeenCalled();
+      // Closing the adapter stream is not awaited, so a hung adapter cannot hold up the caller
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(adapter.returned).toHaveBeenCalled();
+    });
+
+    it('should not report a caller abort before the first chunk as a failure', async () => {
+      const adapter = streamingAdapter(['hang']);
+      const controller = new AbortController();
+      const port = createResilientAIPort(adapter, { baseDelayMs: 1, circuitBreaker });
+
+      const pending = collect(port.streamAnswer('hello', { signal: controller.signal }));
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      controller.abort(new Error('client went away'));
+
+      await expect(pending).rejects.toThrow('client went away');
+      expect(adapter.signals[0].aborted).toBe(true);
+      expect(adapter.streamAnswer).toHaveBeenCalledTimes(1);
+      expect(circuitBreaker.recordFailure).not.toHaveBeenCalled();
+      expect(circuitBreaker.recordSuccess).not.toHaveBeenCalled();
+    });
+  });
+});
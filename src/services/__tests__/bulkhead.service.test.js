@@ -0,0 +1,268 @@
+/**
+ * Unit tests for bulkhead.service.js
+ *
+ * Tests the concurrency cap, the bounded FIFO wait queue, queue timeouts,
+ * abort handling, load stats, and the AI port wrapper, whose streams keep
+ * their slot until they end.
+ */
+
+const {
+  createBulkhead,
+  createBulkheadAIPort,
+  BulkheadFullError,
+  QueueTimeoutError,
+} = require('../bulkhead.service');
+
+/**
+ * Creates a task whose completion is controlled by the test.
+ *
+ * @returns {{task: Function, finish: Function, started: Function}} Task, its resolver and a started flag
+ */
+function deferredTask() {
+  let finish;
+  let started = false;
+  const promise = new Promise((resolve) => {
+    finish = resolve;
+  });
+  return {
+    task: () => {
+      started = true;
+      return promise;
+    },
+    finish: (value) => finish(value),
+    started: () => started,
+  };
+}
+
+/**
+ * Lets pending promise callbacks run.
+ *
+ * @returns {Promise<void>} Resolves after queued microtasks
+ */
+function flush() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+describe('bulkhead.service', () => {
+  describe('createBulkhead', () => {
+    it('should run tasks immediately while slots are free', async () => {
+      const bulkhead = createBulkhead({ maxConcurrent: 2 });
+
+      await expect(bulkhead.run(() => 'a')).resolves.toBe('a');
+      await expect(bulkhead.run(async () => 'b')).resolves.toBe('b');
+    });
+
+    it('should queue tasks beyond maxConcurrent and run them in order', async () => {
+      const bulkhead = createBulkhead({ maxConcurrent: 1, maxQueue: 2 });
+      const first = deferredTask();
+      const second = deferredTask();
+      const third = deferredTask();
+
+      const results = [first, second, third].map((d) => bulkhead.run(d.task));
+      await flush();
+
+      expect([first.started(), second.started(), third.started()]).toEqual([true, false, false]);
+      expect(bulkhead.getStats()).toEqual({ inFlight: 1, queued: 2, maxConcurrent: 1, maxQueue: 2 });
+
+      first.finish(1);
+      await flush();
+      expect([second.started(), third.started()]).toEqual([true, false]);
+
+      second.finish(2);
+      await flush();
+      third.finish(3);
+
+      await expect(Promise.all(results)).resolves.toEqual([1, 2, 3]);
+      expect(bulkhead.getStats()).toMatchObject({ inFlight: 0, queued: 0 });
+    });
+
+    it('should free the slot when a task fails', async () => {
+      const bulkhead = createBulkhead({ maxConcurrent: 1 });
+
+      await expect(bulkhead.run(() => Promise.reject(new Error('boom')))).rejects.toThrow('boom');
+      await expect(bulkhead.run(() => 'next')).resolves.toBe('next');
+    });
+
+    it('should reject with BulkheadFullError when the queue is full', async () => {
+      const bulkhead = createBulkhead({ maxConcurrent: 1, maxQueue: 1 });
+      const running = deferredTask();
+      bulkhead.run(running.task);
+      bulkhead.run(() => 'queued');
+
+      const error = await bulkhead.run(() => 'rejected').catch((e) => e);
+
+      expect(error).toBeInstanceOf(BulkheadFullError);
+      expect(error.isBulkheadFull).toBe(true);
+      expect(error.isBulkheadRejection).toBe(true);
+      running.finish();
+    });
+
+    it('should reject immediately when there is no queue', async () => {
+      const bulkhead = createBulkhead({ maxConcurrent: 1, maxQueue: 0 });
+      const running = deferredTask();
+      bulkhead.run(running.task);
+
+      await expect(bulkhead.run(() => 'x')).rejects.toThrow(BulkheadFullError);
+      running.finish();
+    });
+
+    describe('queue timeout', () => {
+      beforeEach(() => {
+        jest.useFakeTimers();
+      });
+
+      afterEach(() => {
+        jest.useRealTimers();
+      });
+
+      it('should reject with QueueTimeoutError after waiting too long', async () => {
+        const bulkhead = createBulkhead({ maxConcurrent: 1, queueTimeoutMs: 1000 });
+        const running = deferredTask();
+        bulkhead.run(running.task);
+        const waiting = deferredTask();
+        const pending = bulkhead.run(waiting.task);
+
+        jest.advanceTimersByTime(1000);
+
+        const error = await pending.catch((e) => e);
+        expect(error).toBeInstanceOf(QueueTimeoutError);
+        expect(error.isQueueTimeout).toBe(true);
+        expect(error.isBulkheadRejection).toBe(true);
+        expect(waiting.started()).toBe(false);
+        expect(bulkhead.getStats().queued).toBe(0);
+        running.finish();
+      });
+
+      it('should not time out a call that got a slot in time', async () => {
+        const bulkhead = createBulkhead({ maxConcurrent: 1, queueTimeoutMs: 1000 });
+        const running = deferredTask();
+        bulkhead.run(running.task);
+        const pending = bulkhead.run(() => 'done');
+
+        jest.advanceTimersByTime(500);
+        running.finish();
+        await jest.advanceTimersByTimeAsync(1000);
+
+        await expect(pending).resolves.toBe('done');
+      });
+    });
+
+    it('should remove a queued call when its signal aborts', async () => {
+      const bulkhead = createBulkhead({ maxConcurrent: 1 });
+      const running = deferredTask();
+      bulkhead.run(running.task);
+      const controller = new AbortController();
+      const waiting = deferredTask();
+      const pending = bulkhead.run(waiting.task, { signal: controller.signal });
+
+      controller.abort(new Error('client went away'));
+
+      await expect(pending).rejects.toThrow('client went away');
+      expect(bulkhead.getStats().queued).toBe(0);
+      running.finish();
+      await flush();
+      expect(waiting.started()).toBe(false);
+    });
+
+    it('should reject invalid settings', () => {
+      expect(() => createBulkhead({ maxConcurrent: 0 })).toThrow('maxConcurrent must be a positive integer');
+      expect(() => createBulkhead({ maxQueue: -1 })).toThrow('maxQueue must be a non-negative integer');
+      expect(() => createBulkhead({ queueTimeoutMs: -5 })).toThrow('queueTimeoutMs must be a non-negative number');
+    });
+  });
+
+  describe('createBulkheadAIPort', () => {
+    it('should pass the message and options through the bulkhead', async () => {
+      const aiPort = { generateAnswer: jest.fn().mockResolvedValue('answer') };
+      const bulkhead = createBulkhead({ maxConcurrent: 1 });
+      const port = createBulkheadAIPort(aiPort, bulkhead);
+      const options = { signal: new AbortController().signal };
+
+      await expect(port.generateAnswer('hello', options)).resolves.toBe('answer');
+      expect(aiPort.generateAnswer).toHaveBeenCalledWith('hello', options);
+    });
+
+    it('should cap concurrent AI calls', async () => {
+      const running = deferredTask();
+      const aiPort = { generateAnswer: jest.fn(running.task) };
+      const port = createBulkheadAIPort(aiPort, createBulkhead({ maxConcurrent: 1, maxQueue: 0 }));
+
+      port.generateAnswer('one');
+
+      await expect(port.generateAnswer('two')).rejects.toThrow(BulkheadFullError);
+      expect(aiPort.generateAnswer).toHaveBeenCalledTimes(1);
+      running.finish('answer');
+    });
+
+    it('should keep the wrapped port\'s recordsCircuitBreaker flag', () => {
+      const bulkhead = createBulkhead();
+
+      expect(createBulkheadAIPort({ recordsCircuitBreaker: true }, bulkhead).recordsCircuitBreaker).toBe(true);
+      expect(createBulkheadAIPort({}, bulkhead).recordsCircuitBreaker).toBe(false);
+    });
+
+    describe('streamAnswer', () => {
+      /**
+       * AI port whose stream yields its chunks, then waits until ended.
+       *
+       * @param {string[]} chunks - Chunks to yield
+       * @returns {{aiPort: Object, end: Function}} Port and a function ending its stream
+       */
+      function openStreamPort(chunks) {
+        const ending = deferredTask();
+        const aiPort = {
+          streamAnswer: jest.fn(async function* stream() {
+            yield* chunks;
+            await ending.task();
+          }),
+        };
+        return { aiPort, end: ending.finish };
+      }
+
+      it('should hold the slot until the stream ends', async () => {
+        const { aiPort, end } = openStreamPort(['a']);
+        const bulkhead = createBulkhead({ maxConcurrent: 1, maxQueue: 0 });
+        const port = createBulkheadAIPort(aiPort, bulkhead);
+        const options = { history: [] };
+
+        const stream = port.streamAnswer('hello', options);
+        await expect(stream.next()).resolves.toEqual({ done: false, value: 'a' });
+
+        expect(aiPort.streamAnswer).toHaveBeenCalledWith('hello', options);
+        expect(bulkhead.getStats().inFlight).toBe(1);
+        await expect(port.generateAnswer('two')).rejects.toThrow(BulkheadFullError);
+
+        const rest = stream.next();
+        end();
+        await expect(rest).resolves.toEqual({ done: true, value: undefined });
+        await flush();
+        expect(bulkhead.getStats().inFlight).toBe(0);
+      });
+
+      it('should free the slot when the consumer stops early', async () => {
+        const { aiPort } = openStreamPort(['a', 'b']);
+        const bulkhead = createBulkhead({ maxConcurrent: 1 });
+        const port = createBulkheadAIPort(aiPort, bulkhead);
+
+        for await (const chunk of port.streamAnswer('hello')) {
+          expect(chunk).toBe('a');
+          break;
+        }
+        await flush();
+
+        expect(bulkhead.getStats().inFlight).toBe(0);
+      });
+
+      it('should reject the stream when the queue is full', async () => {
+        const running = deferredTask();
+        const bulkhead = createBulkhead({ maxConcurrent: 1, maxQueue: 0 });
+        const aiPort = { streamAnswer: jest.fn() };
+        bulkhead.run(running.task);
+
+        await expect(createBulkheadAIPort(aiPort, bulkhead).streamAnswer('hello').next()).rejects.toThrow(BulkheadFullError);
+        expect(aiPort.streamAnswer).not.toHaveBeenCalled();
+        running.finish();
+      });
+    });
+  });
+});
@@ -2,22 +2,28 @@
  * Unit tests for circuitBreaker.service.js
  *
  * Tests the circuit breaker pattern implementation that tracks consecutive
- * AI call failures and opens the circuit after 3 failures.
+ * AI call failures and opens the circuit after 3 failures, then probes the
+ * AI again through half-open trial calls once the reset timeout has passed,
+ * the rolling-window failure-rate mode, state events, forced states and
+ * state shared through a store.
  */
 
 const {
-  isOpen,
-  recordFailure,
-  recordSuccess,
-  reset,
-  getFailureCount,
+  CircuitBreaker,
+  createCircuitBreakerRegistry,
   FAILURE_THRESHOLD,
+  STATES,
+  MODES,
+  DEFAULT_RESET_TIMEOUT_MS,
 } = require('../circuitBreaker.service');
+const { MemoryCircuitBreakerStore } = require('../../infrastructure/adapters/memoryCircuitBreakerStore.adapter');
 
 describe('circuitBreaker.service', () => {
-  // Reset state before each test to ensure isolation
+  let breaker;
+
+  // Fresh breaker per test to ensure isolation
   beforeEach(() => {
-    reset();
+    breaker = new CircuitBreaker();
   });
 
   describe('FAILURE_THRESHOLD', () => {
@@ -28,182 +34,819 @@ describe('circuitBreaker.service', () => {
 
   describe('circuit starts closed', () => {
     it('should return false initially (no failures recorded)', () => {
-      expect(isOpen()).toBe(false);
+      expect(breaker.isOpen()).toBe(false);
     });
 
     it('should have failure count of 0 initially', () => {
-      expect(getFailureCount()).toBe(0);
+      expect(breaker.getFailureCount()).toBe(0);
     });
   });
 
   describe('consecutive failures open the circuit', () => {
     it('should return false after 1 failure', () => {
-      recordFailure();
+      breaker.recordFailure();
 
-      expect(isOpen()).toBe(false);
-      expect(getFailureCount()).toBe(1);
+      expect(breaker.isOpen()).toBe(false);
+      expect(breaker.getFailureCount()).toBe(1);
     });
 
     it('should return false after 2 failures', () => {
-      recordFailure();
-      recordFailure();
+      breaker.recordFailure();
+      breaker.recordFailure();
 
-      expect(isOpen()).toBe(false);
-      expect(getFailureCount()).toBe(2);
+      expect(breaker.isOpen()).toBe(false);
+      expect(breaker.getFailureCount()).toBe(2);
     });
 
     it('should return true after exactly 3 consecutive failures', () => {
-      recordFailure();
-      recordFailure();
-      recordFailure();
+      breaker.recordFailure();
+      breaker.recordFailure();
+      breaker.recordFailure();
 
-      expect(isOpen()).toBe(true);
-      expect(getFailureCount()).toBe(3);
+      expect(breaker.isOpen()).toBe(true);
+      expect(breaker.getFailureCount()).toBe(3);
     });
   });
 
   describe('success resets failure count', () => {
     it('should reset count to 0 after 1 failure', () => {
-      recordFailure();
-      expect(getFailureCount()).toBe(1);
+      breaker.recordFailure();
+      expect(breaker.getFailureCount()).toBe(1);
 
-      recordSuccess();
+      breaker.recordSuccess();
 
-      expect(getFailureCount()).toBe(0);
-      expect(isOpen()).toBe(false);
+      expect(breaker.getFailureCount()).toBe(0);
+      expect(breaker.isOpen()).toBe(false);
     });
 
     it('should reset count to 0 after 2 failures', () => {
-      recordFailure();
-      recordFailure();
-      expect(getFailureCount()).toBe(2);
+      breaker.recordFailure();
+      breaker.recordFailure();
+      expect(breaker.getFailureCount()).toBe(2);
 
-      recordSuccess();
+      breaker.recordSuccess();
 
-      expect(getFailureCount()).toBe(0);
-      expect(isOpen()).toBe(false);
+      expect(breaker.getFailureCount()).toBe(0);
+      expect(breaker.isOpen()).toBe(false);
     });
 
     it('should require 3 more failures to open circuit again after reset', () => {
       // First: 2 failures then success
-      recordFailure();
-      recordFailure();
-      recordSuccess();
+      breaker.recordFailure();
+      breaker.recordFailure();
+      breaker.recordSuccess();
 
-      expect(isOpen()).toBe(false);
-      expect(getFailureCount()).toBe(0);
+      expect(breaker.isOpen()).toBe(false);
+      expect(breaker.getFailureCount()).toBe(0);
 
       // Need 3 more failures to open
-      recordFailure();
-      expect(isOpen()).toBe(false);
+      breaker.recordFailure();
+      expect(breaker.isOpen()).toBe(false);
 
-      recordFailure();
-      expect(isOpen()).toBe(false);
+      breaker.recordFailure();
+      expect(breaker.isOpen()).toBe(false);
 
-      recordFailure();
-      expect(isOpen()).toBe(true);
-      expect(getFailureCount()).toBe(3);
+      breaker.recordFailure();
+      expect(breaker.isOpen()).toBe(true);
+      expect(breaker.getFailureCount()).toBe(3);
     });
   });
 
-  describe('circuit stays open until success', () => {
-    it('should stay open until recordSuccess() is called', () => {
-      // Open the circuit
-      recordFailure();
-      recordFailure();
-      recordFailure();
-      expect(isOpen()).toBe(true);
-
-      // Circuit stays open without success
-      expect(isOpen()).toBe(true);
-
-      // Success closes it
-      recordSuccess();
-      expect(isOpen()).toBe(false);
+  describe('circuit stays open until a successful trial', () => {
+    it('should stay open after breaker.recordSuccess() until a half-open trial succeeds', () => {
+      jest.useFakeTimers();
+      try {
+        breaker = new CircuitBreaker({ resetTimeoutMs: 1000 });
+
+        // Open the circuit
+        breaker.recordFailure();
+        breaker.recordFailure();
+        breaker.recordFailure();
+        expect(breaker.isOpen()).toBe(true);
+
+        // A success while open does not close it
+        breaker.recordSuccess();
+        expect(breaker.isOpen()).toBe(true);
+
+        // A successful trial after the reset timeout does
+        jest.advanceTimersByTime(1000);
+        expect(breaker.isOpen()).toBe(false);
+        breaker.recordSuccess();
+        expect(breaker.getState()).toBe(STATES.CLOSED);
+      } finally {
+        jest.useRealTimers();
+      }
     });
 
-    it('should remain open after 4th failure', () => {
-      recordFailure();
-      recordFailure();
-      recordFailure();
-      recordFailure();
+    it('should remain open after 4th failure without counting it', () => {
+      breaker.recordFailure();
+      breaker.recordFailure();
+      breaker.recordFailure();
+      breaker.recordFailure();
 
-      expect(isOpen()).toBe(true);
-      expect(getFailureCount()).toBe(4);
+      expect(breaker.isOpen()).toBe(true);
+      expect(breaker.getFailureCount()).toBe(3);
     });
 
-    it('should remain open after 5th failure', () => {
-      recordFailure();
-      recordFailure();
-      recordFailure();
-      recordFailure();
-      recordFailure();
+    it('should remain open after 5th failure without counting it', () => {
+      breaker.recordFailure();
+      breaker.recordFailure();
+      breaker.recordFailure();
+      breaker.recordFailure();
+      breaker.recordFailure();
 
-      expect(isOpen()).toBe(true);
-      expect(getFailureCount()).toBe(5);
+      expect(breaker.isOpen()).toBe(true);
+      expect(breaker.getFailureCount()).toBe(3);
     });
   });
 
-  describe('reset function', () => {
+  describe('reset method', () => {
     it('should close the circuit and set failure count to 0', () => {
       // Open the circuit
-      recordFailure();
-      recordFailure();
-      recordFailure();
-      expect(isOpen()).toBe(true);
-      expect(getFailureCount()).toBe(3);
+      breaker.recordFailure();
+      breaker.recordFailure();
+      breaker.recordFailure();
+      expect(breaker.isOpen()).toBe(true);
+      expect(breaker.getFailureCount()).toBe(3);
 
       // Reset
-      reset();
+      breaker.reset();
 
-      expect(isOpen()).toBe(false);
-      expect(getFailureCount()).toBe(0);
+      expect(breaker.isOpen()).toBe(false);
+      expect(breaker.getFailureCount()).toBe(0);
     });
 
     it('should work when circuit is not open', () => {
-      recordFailure();
-      recordFailure();
-      expect(getFailureCount()).toBe(2);
+      breaker.recordFailure();
+      breaker.recordFailure();
+      expect(breaker.getFailureCount()).toBe(2);
 
-      reset();
+      breaker.reset();
 
-      expect(isOpen()).toBe(false);
-      expect(getFailureCount()).toBe(0);
+      expect(breaker.isOpen()).toBe(false);
+      expect(breaker.getFailureCount()).toBe(0);
     });
   });
 
   describe('getFailureCount', () => {
     it('should return current failure count', () => {
-      expect(getFailureCount()).toBe(0);
+      expect(breaker.getFailureCount()).toBe(0);
 
-      recordFailure();
-      expect(getFailureCount()).toBe(1);
+      breaker.recordFailure();
+      expect(breaker.getFailureCount()).toBe(1);
 
-      recordFailure();
-      expect(getFailureCount()).toBe(2);
+      breaker.recordFailure();
+      expect(breaker.getFailureCount()).toBe(2);
 
-      recordFailure();
-      expect(getFailureCount()).toBe(3);
+      breaker.recordFailure();
+      expect(breaker.getFailureCount()).toBe(3);
     });
 
     it('should return 0 after reset', () => {
-      recordFailure();
-      recordFailure();
-      expect(getFailureCount()).toBe(2);
+      breaker.recordFailure();
+      breaker.recordFailure();
+      expect(breaker.getFailureCount()).toBe(2);
 
-      reset();
+      breaker.reset();
 
-      expect(getFailureCount()).toBe(0);
+      expect(breaker.getFailureCount()).toBe(0);
     });
 
     it('should return 0 after recordSuccess', () => {
-      recordFailure();
-      recordFailure();
-      expect(getFailureCount()).toBe(2);
+      breaker.recordFailure();
+      breaker.recordFailure();
+      expect(breaker.getFailureCount()).toBe(2);
+
+      breaker.recordSuccess();
+
+      expect(breaker.getFailureCount()).toBe(0);
+    });
+  });
+
+  describe('half-open state and cooldown', () => {
+    /** Opens the circuit with consecutive failures */
+    function openCircuit() {
+      for (let i = 0; i < FAILURE_THRESHOLD; i++) {
+        breaker.recordFailure();
+      }
+    }
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      breaker = new CircuitBreaker({ resetTimeoutMs: 1000 });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should default the reset timeout to 30 seconds', () => {
+      breaker = new CircuitBreaker();
+      openCircuit();
+
+      jest.advanceTimersByTime(DEFAULT_RESET_TIMEOUT_MS - 1);
+      expect(breaker.getState()).toBe(STATES.OPEN);
+
+      jest.advanceTimersByTime(1);
+      expect(breaker.getState()).toBe(STATES.HALF_OPEN);
+    });
+
+    it('should ignore a late success from a call that started before the circuit opened', () => {
+      breaker.isOpen();
+      openCircuit();
+      jest.advanceTimersByTime(500);
+
+      breaker.recordSuccess(1500);
+
+      expect(breaker.getState()).toBe(STATES.OPEN);
+      expect(breaker.getFailureCount()).toBe(FAILURE_THRESHOLD);
+      jest.advanceTimersByTime(499);
+      expect(breaker.isOpen()).toBe(true);
+      jest.advanceTimersByTime(1);
+      expect(breaker.getState()).toBe(STATES.HALF_OPEN);
+    });
+
+    it('should stay open until the reset timeout elapses', () => {
+      openCircuit();
+
+      jest.advanceTimersByTime(999);
+
+      expect(breaker.isOpen()).toBe(true);
+      expect(breaker.getState()).toBe(STATES.OPEN);
+    });
+
+    it('should let one trial call through after the reset timeout', () => {
+      openCircuit();
+      jest.advanceTimersByTime(1000);
+
+      expect(breaker.isOpen()).toBe(false);
+      expect(breaker.getState()).toBe(STATES.HALF_OPEN);
+      expect(breaker.isOpen()).toBe(true);
+    });
+
+    it('should close when the trial call succeeds', () => {
+      openCircuit();
+      jest.advanceTimersByTime(1000);
+      breaker.isOpen();
+
+      breaker.recordSuccess();
+
+      expect(breaker.getState()).toBe(STATES.CLOSED);
+      expect(breaker.isOpen()).toBe(false);
+      expect(breaker.getFailureCount()).toBe(0);
+    });
+
+    it('should reopen for another timeout when the trial call fails', () => {
+      openCircuit();
+      jest.advanceTimersByTime(1000);
+      breaker.isOpen();
+
+      breaker.recordFailure();
+
+      expect(breaker.getState()).toBe(STATES.OPEN);
+      jest.advanceTimersByTime(999);
+      expect(breaker.isOpen()).toBe(true);
+      jest.advanceTimersByTime(1);
+      expect(breaker.isOpen()).toBe(false);
+    });
+
+    it('should allow the configured number of trials and close only after all succeed', () => {
+      breaker = new CircuitBreaker({ resetTimeoutMs: 1000, halfOpenMaxTrials: 3 });
+      openCircuit();
+      jest.advanceTimersByTime(1000);
+
+      expect([breaker.isOpen(), breaker.isOpen(), breaker.isOpen(), breaker.isOpen()]).toEqual([false, false, false, true]);
+
+      breaker.recordSuccess();
+      breaker.recordSuccess();
+      expect(breaker.getState()).toBe(STATES.HALF_OPEN);
+
+      breaker.recordSuccess();
+      expect(breaker.getState()).toBe(STATES.CLOSED);
+    });
+
+    it('should reopen if any of several trials fails', () => {
+      breaker = new CircuitBreaker({ resetTimeoutMs: 1000, halfOpenMaxTrials: 2 });
+      openCircuit();
+      jest.advanceTimersByTime(1000);
+      breaker.isOpen();
+      breaker.isOpen();
+
+      breaker.recordSuccess();
+      breaker.recordFailure();
+
+      expect(breaker.getState()).toBe(STATES.OPEN);
+    });
+
+    it('should release trial slots that are never resolved', () => {
+      openCircuit();
+      jest.advanceTimersByTime(1000);
+      expect(breaker.isOpen()).toBe(false);
+      expect(breaker.isOpen()).toBe(true);
+
+      jest.advanceTimersByTime(1000);
+
+      expect(breaker.isOpen()).toBe(false);
+    });
+
+    it('should not claim a trial slot when reading the state', () => {
+      openCircuit();
+      jest.advanceTimersByTime(1000);
+
+      breaker.getState();
+      breaker.getState();
+
+      expect(breaker.isOpen()).toBe(false);
+    });
+
+    it('should require the full failure threshold again after closing', () => {
+      openCircuit();
+      jest.advanceTimersByTime(1000);
+      breaker.isOpen();
+      breaker.recordSuccess();
+
+      breaker.recordFailure();
+      breaker.recordFailure();
+
+      expect(breaker.isOpen()).toBe(false);
+    });
+
+  });
+
+  describe('instances', () => {
+    it('should keep independent state per instance', () => {
+      const other = new CircuitBreaker();
+
+      breaker.recordFailure();
+      breaker.recordFailure();
+      breaker.recordFailure();
+
+      expect(breaker.isOpen()).toBe(true);
+      expect(other.isOpen()).toBe(false);
+      expect(other.getFailureCount()).toBe(0);
+    });
+
+    it('should open after a custom failure threshold', () => {
+      breaker = new CircuitBreaker({ failureThreshold: 5 });
+
+      for (let i = 0; i < 4; i++) {
+        breaker.recordFailure();
+      }
+      expect(breaker.isOpen()).toBe(false);
+
+      breaker.recordFailure();
+      expect(breaker.isOpen()).toBe(true);
+    });
+
+    it.each([
+      [{ failureThreshold: 0 }, 'failureThreshold must be a positive integer'],
+      [{ failureWindowMs: -1 }, 'failureWindowMs must be a non-negative number'],
+      [{ resetTimeoutMs: -1 }, 'resetTimeoutMs must be a non-negative number'],
+      [{ halfOpenMaxTrials: 0 }, 'halfOpenMaxTrials must be a positive integer'],
+    ])('should reject invalid settings %#', (options, message) => {
+      expect(() => new CircuitBreaker({ name: 'openai', ...options })).toThrow(
+        `Circuit breaker "openai" ${message}`
+      );
+    });
+  });
+
+  describe('failure window', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+      breaker = new CircuitBreaker({ failureWindowMs: 10000 });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should forget failures older than the window', () => {
+      breaker.recordFailure();
+      breaker.recordFailure();
+      jest.advanceTimersByTime(10000);
+
+      breaker.recordFailure();
+
+      expect(breaker.getFailureCount()).toBe(1);
+      expect(breaker.isOpen()).toBe(false);
+    });
+
+    it('should open when the threshold is reached within the window', () => {
+      breaker.recordFailure();
+      jest.advanceTimersByTime(4000);
+      breaker.recordFailure();
+      jest.advanceTimersByTime(4000);
+      breaker.recordFailure();
+
+      expect(breaker.isOpen()).toBe(true);
+    });
+  });
+
+  describe('failure-rate mode', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+      breaker = new CircuitBreaker({
+        mode: MODES.RATE,
+        rateWindowMs: 10000,
+        minimumRequests: 4,
+        failureRateThreshold: 50,
+        slowCallDurationMs: 1000,
+        slowCallRateThreshold: 75,
+      });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should not evaluate rates below the minimum request volume', () => {
+      breaker.recordFailure();
+      breaker.recordFailure();
+      breaker.recordFailure();
+
+      expect(breaker.isOpen()).toBe(false);
+    });
+
+    it('should open when the failure rate reaches the threshold', () => {
+      breaker.recordFailure();
+      breaker.recordSuccess();
+      breaker.recordFailure();
+      breaker.recordSuccess();
+
+      expect(breaker.getState()).toBe(STATES.OPEN);
+      expect(breaker.isOpen()).toBe(true);
+    });
+
+    it('should stay closed while the failure rate is below the threshold', () => {
+      breaker.recordFailure();
+      breaker.recordSuccess();
+      breaker.recordSuccess();
+      breaker.recordSuccess();
+
+      expect(breaker.isOpen()).toBe(false);
+      expect(breaker.getMetrics()).toEqual({
+        requests: 4,
+        failures: 1,
+        slowCalls: 0,
+        failureRate: 25,
+        slowCallRate: 0,
+      });
+    });
+
+    it('should not keep a consecutive failure count', () => {
+      breaker.recordFailure();
+      breaker.recordFailure();
+
+      expect(breaker.getFailureCount()).toBe(0);
+    });
+
+    it('should not need consecutive failures', () => {
+      breaker = new CircuitBreaker({ mode: MODES.RATE, minimumRequests: 4, failureRateThreshold: 50, failureThreshold: 2 });
+      breaker.recordFailure();
+      breaker.recordSuccess();
+      breaker.recordFailure();
+
+      expect(breaker.isOpen()).toBe(false);
+
+      breaker.recordSuccess();
+
+      expect(breaker.isOpen()).toBe(true);
+    });
+
+    it('should open when the slow-call rate reaches the threshold', () => {
+      breaker.recordSuccess(1500);
+      breaker.recordSuccess(1000);
+      breaker.recordSuccess(200);
+      breaker.recordSuccess(2000);
+
+      expect(breaker.isOpen()).toBe(true);
+    });
+
+    it('should not count fast calls as slow', () => {
+      breaker.recordSuccess(999);
+      breaker.recordSuccess(1500);
+      breaker.recordSuccess(10);
+      breaker.recordSuccess(2000);
+
+      expect(breaker.isOpen()).toBe(false);
+      expect(breaker.getMetrics().slowCallRate).toBe(50);
+    });
+
+    it('should forget outcomes older than the rolling window', () => {
+      breaker.recordFailure();
+      breaker.recordFailure();
+      breaker.recordSuccess();
+      jest.advanceTimersByTime(10000);
+
+      breaker.recordFailure();
+
+      expect(breaker.getMetrics().requests).toBe(1);
+      expect(breaker.isOpen()).toBe(false);
+    });
+
+    it('should start a fresh window after closing from half-open', () => {
+      breaker.recordFailure();
+      breaker.recordFailure();
+      breaker.recordFailure();
+      breaker.recordFailure();
+      jest.advanceTimersByTime(DEFAULT_RESET_TIMEOUT_MS);
+
+      expect(breaker.isOpen()).toBe(false);
+      breaker.recordSuccess();
+
+      expect(breaker.getState()).toBe(STATES.CLOSED);
+      expect(breaker.getMetrics().requests).toBe(0);
+    });
+
+    it('should reject invalid rate settings', () => {
+      expect(() => new CircuitBreaker({ mode: 'sometimes' })).toThrow('mode must be one of');
+      expect(() => new CircuitBreaker({ minimumRequests: 0 })).toThrow('minimumRequests must be a positive integer');
+      expect(() => new CircuitBreaker({ failureRateThreshold: 150 })).toThrow('percentages between 1 and 100');
+      expect(() => new CircuitBreaker({ rateWindowMs: 0 })).toThrow('rateWindowMs must be a positive number');
+    });
+  });
+
+  describe('state events', () => {
+    let events;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      events = [];
+      breaker = new CircuitBreaker({ name: 'openai' });
+      breaker.on('stateChange', (event) => events.push(event));
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should emit opened, halfOpened and closed over a full cycle', () => {
+      const named = [];
+      ['opened', 'halfOpened', 'closed'].forEach((name) => breaker.on(name, () => named.push(name)));
+
+      breaker.recordFailure();
+      breaker.recordFailure();
+      breaker.recordFailure();
+      jest.advanceTimersByTime(DEFAULT_RESET_TIMEOUT_MS);
+      breaker.isOpen();
+      breaker.recordSuccess();
+
+      expect(named).toEqual(['opened', 'halfOpened', 'closed']);
+      expect(events.map(({ from, to }) => `${from}->${to}`)).toEqual([
+        'CLOSED->OPEN',
+        'OPEN->HALF_OPEN',
+        'HALF_OPEN->CLOSED',
+      ]);
+      expect(events[0]).toMatchObject({ name: 'openai', forced: false });
+      expect(typeof events[0].at).toBe('number');
+    });
+
+    it('should not emit when the state does not change', () => {
+      breaker.recordFailure();
+      breaker.recordSuccess();
+      breaker.reset();
+
+      expect(events).toEqual([]);
+    });
+  });
+
+  describe('forced state', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should stay open after forceOpen, past the reset timeout and despite successes', () => {
+      breaker.forceOpen();
+      jest.advanceTimersByTime(DEFAULT_RESET_TIMEOUT_MS * 2);
+      breaker.recordSuccess();
+
+      expect(breaker.isOpen()).toBe(true);
+      expect(breaker.getState()).toBe(STATES.OPEN);
+      expect(breaker.isForced()).toBe(true);
+    });
+
+    it('should stay closed after forceClose despite failures, without counting them', () => {
+      breaker.forceClose();
+      for (let i = 0; i < 100; i++) {
+        breaker.recordFailure();
+      }
+
+      expect(breaker.isOpen()).toBe(false);
+      expect(breaker.getFailureCount()).toBe(0);
+    });
+
+    it('should report forced in the state event', () => {
+      const listener = jest.fn();
+      breaker.on('opened', listener);
+
+      breaker.forceOpen();
+
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ from: STATES.CLOSED, to: STATES.OPEN, forced: true }));
+    });
+
+    it('should return to automatic operation on reset', () => {
+      breaker.forceOpen();
+      breaker.reset();
+
+      expect(breaker.isForced()).toBe(false);
+      breaker.recordFailure();
+      breaker.recordFailure();
+      breaker.recordFailure();
+      expect(breaker.isOpen()).toBe(true);
+    });
+  });
+
+  describe('getSnapshot', () => {
+    it('should describe the current state', () => {
+      breaker = new CircuitBreaker({ name: 'openai' });
+      breaker.recordFailure();
+
+      expect(breaker.getSnapshot()).toEqual({
+        name: 'openai',
+        state: STATES.CLOSED,
+        forced: false,
+        failureCount: 1,
+        mode: MODES.CONSECUTIVE,
+        stateChangedAt: expect.any(String),
+      });
+    });
+
+    it('should include window metrics in rate mode', () => {
+      breaker = new CircuitBreaker({ mode: MODES.RATE });
+      breaker.recordFailure();
+
+      expect(breaker.getSnapshot().metrics).toMatchObject({ requests: 1, failures: 1 });
+    });
+  });
+
+  describe('shared store', () => {
+    let store;
+    let first;
+    let second;
+
+    beforeEach(() => {
+      store = new MemoryCircuitBreakerStore();
+      first = new CircuitBreaker({ name: 'openai', store });
+      second = new CircuitBreaker({ name: 'openai', store });
+    });
+
+    it('should count failures recorded by every instance', () => {
+      first.recordFailure();
+      second.recordFailure();
+      first.recordFailure();
+
+      expect(second.isOpen()).toBe(true);
+      expect(first.getFailureCount()).toBe(3);
+    });
+
+    it('should share forced state and reset', () => {
+      first.forceOpen();
+
+      expect(second.getSnapshot()).toMatchObject({ state: STATES.OPEN, forced: true });
+
+      second.reset();
+
+      expect(first.isOpen()).toBe(false);
+      expect(first.isForced()).toBe(false);
+    });
+
+    it('should emit state changes made by another instance as remote', () => {
+      const events = [];
+      second.on('stateChange', (event) => events.push(event));
+
+      first.forceOpen();
+      second.getState();
+
+      expect(events).toEqual([expect.objectContaining({ name: 'openai', from: STATES.CLOSED, to: STATES.OPEN, remote: true })]);
+    });
+
+    it('should not overwrite stored state when a new instance is created', () => {
+      first.forceOpen();
+
+      const late = new CircuitBreaker({ name: 'openai', store });
+
+      expect(late.isOpen()).toBe(true);
+    });
+
+    it('should keep breakers with different names apart', () => {
+      const other = new CircuitBreaker({ name: 'ollama', store });
+
+      first.forceOpen();
+
+      expect(other.isOpen()).toBe(false);
+    });
+
+    it('should only read the store for read-only operations', () => {
+      jest.spyOn(store, 'update');
+
+      first.getState();
+      first.getSnapshot();
+      first.isForced();
+
+      expect(store.update).not.toHaveBeenCalled();
+    });
+
+    it('should leave the stored state alone when an operation changes nothing', () => {
+      first.isOpen();
+
+      expect(store.get('openai')).toBeUndefined();
+    });
+
+    it('should replay an operation on a newer stored state', () => {
+      const replays = [];
+      const replaying = {
+        get: (key) => store.get(key),
+        // Applies updates to a local view only, like a store writing later
+        update: (key, mutator) => {
+          mutator(undefined);
+          replays.push(mutator);
+        },
+      };
+      const local = new CircuitBreaker({ name: 'openai', store: replaying });
+      const events = [];
+      local.on('stateChange', (event) => events.push(event));
+
+      local.recordFailure();
+      first.recordFailure();
+      first.recordFailure();
+      const next = replays[0](store.get('openai'));
+
+      expect(next).toMatchObject({ state: STATES.OPEN, failureTimes: [expect.any(Number), expect.any(Number), expect.any(Number)] });
+      expect(events).toEqual([expect.objectContaining({ from: STATES.CLOSED, to: STATES.OPEN, remote: true })]);
+    });
+
+    it('should give every registry breaker the store', () => {
+      const registry = createCircuitBreakerRegistry({ store });
+      registry.get('openai').forceOpen();
+
+      expect(first.isOpen()).toBe(true);
+    });
+  });
+
+  describe('createCircuitBreakerRegistry', () => {
+    it('should return the same breaker for the same provider', () => {
+      const registry = createCircuitBreakerRegistry();
+
+      expect(registry.get('openai')).toBe(registry.get('openai'));
+      expect(registry.get('openai')).not.toBe(registry.get('anthropic'));
+    });
+
+    it('should keep a separate breaker per model', () => {
+      const registry = createCircuitBreakerRegistry();
+
+      const gpt4o = registry.get('openai', 'gpt-4o');
+
+      expect(gpt4o).not.toBe(registry.get('openai'));
+      expect(gpt4o.name).toBe('openai:gpt-4o');
+    });
+
+    it('should merge defaults, provider and model overrides', () => {
+      const registry = createCircuitBreakerRegistry({
+        defaults: { failureThreshold: 4, resetTimeoutMs: 5000 },
+        providers: {
+          openai: { failureThreshold: 6 },
+          'openai:gpt-4o': { resetTimeoutMs: 60000 },
+        },
+      });
+
+      const model = registry.get('openai', 'gpt-4o');
+      const provider = registry.get('openai');
+      const other = registry.get('ollama');
+
+      expect([model.failureThreshold, model.resetTimeoutMs]).toEqual([6, 60000]);
+      expect([provider.failureThreshold, provider.resetTimeoutMs]).toEqual([6, 5000]);
+      expect([other.failureThreshold, other.resetTimeoutMs]).toEqual([4, 5000]);
+    });
+
+    it('should find existing breakers without creating new ones', () => {
+      const registry = createCircuitBreakerRegistry();
+      const openai = registry.get('openai');
+
+      expect(registry.find('openai')).toBe(openai);
+      expect(registry.find('ollama')).toBeUndefined();
+      expect(registry.list()).toHaveLength(1);
+    });
+
+    it('should attach the state change listener to every breaker', () => {
+      const onStateChange = jest.fn();
+      const registry = createCircuitBreakerRegistry({ onStateChange });
+
+      registry.get('openai').forceOpen();
+      registry.get('ollama').forceOpen();
+
+      expect(onStateChange.mock.calls.map(([event]) => event.name)).toEqual(['openai', 'ollama']);
+    });
 
-      recordSuccess();
+    it('should list the breakers created so far', () => {
+      const registry = createCircuitBreakerRegistry();
+      registry.get('openai');
+      registry.get('ollama', 'llama3');
 
-      expect(getFailureCount()).toBe(0);
+      expect(registry.list().map((b) => b.name)).toEqual(['openai', 'ollama:llama3']);
     });
   });
 });
@@ -0,0 +1,149 @@
+/**
+ * Unit tests for detectorRegistry.service.js
+ *
+ * Tests detector registration/validation, priority-based overlap resolution,
+ * and named validators for config-defined detectors.
+ */
+
+const { createDetectorRegistry } = require('../detectorRegistry.service');
+
+describe('detectorRegistry.service', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = createDetectorRegistry();
+  });
+
+  describe('register', () => {
+    it('should register a detector with a RegExp pattern', () => {
+      registry.register({ name: 'order', type: 'ORDER_ID', pattern: /ORD-\d{4}/ });
+
+      expect(registry.list().map((d) => d.name)).toEqual(['order']);
+    });
+
+    it('should compile string patterns with flags', () => {
+      registry.register({ name: 'order', type: 'ORDER_ID', pattern: 'ord-\\d{4}', flags: 'i' });
+
+      const findings = registry.detect('see ORD-1234');
+
+      expect(findings).toEqual([
+        { type: 'ORDER_ID', start: 4, end: 12, detector: 'order', confidence: 0.5 },
+      ]);
+    });
+
+    it('should apply default priority and confidence', () => {
+      registry.register({ name: 'order', type: 'ORDER_ID', pattern: /ORD-\d{4}/ });
+
+      const [detector] = registry.list();
+
+      expect(detector.priority).toBe(0);
+      expect(detector.confidence).toBe(0.5);
+    });
+
+    it('should reject duplicate names', () => {
+      registry.register({ name: 'order', type: 'ORDER_ID', pattern: /ORD/ });
+
+      expect(() => registry.register({ name: 'order', type: 'ORDER_ID', pattern: /ORD/ })).toThrow(
+        'Detector "order" is already registered'
+      );
+    });
+
+    it.each([
+      [null, 'Detector definition must be an object'],
+      [{ type: 'X', pattern: /x/ }, 'Detector name must be a non-empty string'],
+      [{ name: 'x', type: 'lower', pattern: /x/ }, 'type must be upper-case letters and underscores'],
+      [{ name: 'x', type: 'X1', pattern: /x/ }, 'type must be upper-case letters and underscores'],
+      [{ name: 'x', type: 'X', pattern: '' }, 'Detector pattern must be a RegExp or a non-empty string'],
+      [{ name: 'x', type: 'X', pattern: /x/, validate: 'nope' }, 'unknown validator "nope"'],
+      [{ name: 'x', type: 'X', pattern: /x/, validate: 42 }, 'validate must be a function or a validator name'],
+      [{ name: 'x', type: 'X', pattern: /x/, priority: 'high' }, 'priority must be a finite number'],
+      [{ name: 'x', type: 'X', pattern: /x/, confidence: 2 }, 'confidence must be a number between 0 and 1'],
+    ])('should reject invalid definition %#', (definition, message) => {
+      expect(() => registry.register(definition)).toThrow(message);
+    });
+  });
+
+  describe('unregister', () => {
+    it('should remove a detector by name', () => {
+      registry.register({ name: 'order', type: 'ORDER_ID', pattern: /ORD-\d{4}/ });
+
+      expect(registry.unregister('order')).toBe(true);
+      expect(registry.detect('ORD-1234')).toEqual([]);
+    });
+
+    it('should return false for unknown names', () => {
+      expect(registry.unregister('missing')).toBe(false);
+    });
+  });
+
+  describe('list', () => {
+    it('should list detectors highest priority first', () => {
+      registry.register({ name: 'low', type: 'LOW', pattern: /l/, priority: 1 });
+      registry.register({ name: 'high', type: 'HIGH', pattern: /h/, priority: 10 });
+
+      expect(registry.list().map((d) => d.name)).toEqual(['high', 'low']);
+    });
+  });
+
+  describe('detect', () => {
+    it('should apply validators to candidates', () => {
+      registry.register({
+        name: 'even',
+        type: 'EVEN',
+        pattern: /\d+/,
+        validate: (value) => Number(value) % 2 === 0,
+      });
+
+      const findings = registry.detect('1 2 3 4');
+
+      expect(findings.map((f) => f.start)).toEqual([2, 6]);
+    });
+
+    it('should resolve named validators', () => {
+      const lookup = createDetectorRegistry({ validators: { even: (v) => Number(v) % 2 === 0 } });
+      lookup.register({ name: 'even', type: 'EVEN', pattern: '\\d+', validate: 'even' });
+
+      expect(lookup.detect('1 2').map((f) => f.start)).toEqual([2]);
+    });
+
+    it('should let the higher priority detector win on overlap', () => {
+      registry.register({ name: 'digits', type: 'DIGITS', pattern: /\d{4}/, priority: 1 });
+      registry.register({ name: 'order', type: 'ORDER_ID', pattern: /ORD-\d{4}/, priority: 5 });
+
+      const findings = registry.detect('ORD-1234');
+
+      expect(findings).toHaveLength(1);
+      expect(findings[0].detector).toBe('order');
+    });
+
+    it('should prefer the longer match when priorities are equal', () => {
+      registry.register({ name: 'short', type: 'SHORT', pattern: /\d{4}/ });
+      registry.register({ name: 'long', type: 'LONG', pattern: /\d{6}/ });
+
+      const findings = registry.detect('123456');
+
+      expect(findings).toEqual([{ type: 'LONG', start: 0, end: 6, detector: 'long', confidence: 0.5 }]);
+    });
+
+    it('should keep non-overlapping findings of every detector sorted by start', () => {
+      registry.register({ name: 'a', type: 'A', pattern: /a+/, priority: 1 });
+      registry.register({ name: 'b', type: 'B', pattern: /b+/, priority: 9 });
+
+      const findings = registry.detect('aa bb aa');
+
+      expect(findings.map((f) => f.type)).toEqual(['A', 'B', 'A']);
+    });
+
+    it('should ignore empty matches', () => {
+      registry.register({ name: 'empty', type: 'EMPTY', pattern: /x*/ });
+
+      expect(registry.detect('abc')).toEqual([]);
+    });
+
+    it('should not expose priority in findings', () => {
+      registry.register({ name: 'a', type: 'A', pattern: /a/, priority: 3 });
+
+      expect(registry.detect('a')[0]).not.toHaveProperty('priority');
+    });
+  });
+});
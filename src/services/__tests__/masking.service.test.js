@@ -0,0 +1,149 @@
+/**
+ * Unit tests for masking.service.js
+ *
+ * Tests the full, partial, hash and synthetic masking strategies and their
+ * per-type selection.
+ */
+
+const { createMasker } = require('../masking.service');
+const { isValidLuhn } = require('../detectors/creditCard.detector');
+const { isValidSSN } = require('../detectors/ssn.detector');
+const { isValidIBAN } = require('../detectors/iban.detector');
+const { isIP } = require('net');
+
+describe('masking.service', () => {
+  describe('strategy selection', () => {
+    it('should use full placeholders by default', () => {
+      const masker = createMasker();
+
+      expect(masker.mask('EMAIL', 'john@example.com')).toBe('<REDACTED: EMAIL>');
+      expect(masker.strategyFor('SSN')).toBe('full');
+    });
+
+    it('should apply per-type strategies and fall back to the default', () => {
+      const masker = createMasker({ strategies: { CREDIT_CARD: 'partial' }, defaultStrategy: 'hash' });
+
+      expect(masker.strategyFor('CREDIT_CARD')).toBe('partial');
+      expect(masker.strategyFor('EMAIL')).toBe('hash');
+    });
+
+    it('should reject unknown strategies', () => {
+      expect(() => createMasker({ strategies: { EMAIL: 'scramble' } })).toThrow(
+        'Unknown masking strategy "scramble"'
+      );
+      expect(() => createMasker({ defaultStrategy: 'none' })).toThrow('Unknown masking strategy "none"');
+    });
+  });
+
+  describe('partial', () => {
+    const masker = createMasker({ defaultStrategy: 'partial' });
+
+    it.each([
+      ['EMAIL', 'john.doe@gmail.com', '***@gmail.com'],
+      ['CREDIT_CARD', '4111-1111-1111-1111', '****-****-****-1111'],
+      ['CREDIT_CARD', '4111111111111111', '************1111'],
+      ['SSN', '123-45-6789', '***-**-6789'],
+      ['PHONE', '(415) 555-2671', '(***) ***-2671'],
+      ['IBAN', 'DE89 3704 0044 0532 0130 00', '**** **** **** **** **30 00'],
+    ])('should keep context of %s %s', (type, value, expected) => {
+      expect(masker.mask(type, value)).toBe(expected);
+    });
+
+    it('should mask short values entirely', () => {
+      expect(masker.mask('IP_ADDRESS', '10.1.2.3')).toBe('**.*.*.*');
+    });
+
+    it('should mask non-ASCII digits too', () => {
+      const fullwidth = '\uFF11\uFF12\uFF13\uFF14\uFF15\uFF16\uFF17\uFF18\uFF19';
+
+      expect(masker.mask('SSN', fullwidth)).toBe('*****\uFF16\uFF17\uFF18\uFF19');
+    });
+  });
+
+  describe('hash', () => {
+    it('should give the same value the same pseudonym', () => {
+      const masker = createMasker({ defaultStrategy: 'hash', hmacKey: 'key' });
+
+      const first = masker.mask('EMAIL', 'john@example.com');
+
+      expect(first).toMatch(/^<EMAIL:[0-9a-f]{10}>$/);
+      expect(masker.mask('EMAIL', 'john@example.com')).toBe(first);
+      expect(masker.mask('EMAIL', 'jane@example.com')).not.toBe(first);
+    });
+
+    it('should depend on the key', () => {
+      const a = createMasker({ defaultStrategy: 'hash', hmacKey: 'a' });
+      const b = createMasker({ defaultStrategy: 'hash', hmacKey: 'b' });
+
+      expect(a.mask('SSN', '123-45-6789')).not.toBe(b.mask('SSN', '123-45-6789'));
+    });
+
+    it('should be stable within a masker without a configured key', () => {
+      const masker = createMasker({ defaultStrategy: 'hash' });
+
+      expect(masker.mask('SSN', '123-45-6789')).toBe(masker.mask('SSN', '123-45-6789'));
+    });
+  });
+
+  describe('synthetic', () => {
+    const masker = createMasker({ defaultStrategy: 'synthetic', hmacKey: 'key' });
+
+    it('should generate example-domain emails', () => {
+      expect(masker.mask('EMAIL', 'john@gmail.com')).toMatch(/^[a-z]+\.\d{4}@example\.(com|org|net)$/);
+    });
+
+    it('should generate Luhn-valid cards of the same shape and first digit', () => {
+      const surrogate = masker.mask('CREDIT_CARD', '4111-1111-1111-1111');
+
+      expect(surrogate).toMatch(/^4\d{3}-\d{4}-\d{4}-\d{4}$/);
+      expect(surrogate).not.toBe('4111-1111-1111-1111');
+      expect(isValidLuhn(surrogate.replace(/-/g, ''))).toBe(true);
+    });
+
+    it('should generate valid SSNs of the same shape', () => {
+      const surrogate = masker.mask('SSN', '123-45-6789');
+
+      expect(surrogate).toMatch(/^\d{3}-\d{2}-\d{4}$/);
+      expect(isValidSSN(surrogate)).toBe(true);
+    });
+
+    it('should generate fictional 555-01XX North American numbers', () => {
+      expect(masker.mask('PHONE', '(415) 555-2671')).toMatch(/^\([2-9]\d{2}\) 555-01\d{2}$/);
+    });
+
+    it('should keep the country code of international numbers', () => {
+      expect(masker.mask('PHONE', '+44 20 7946 0958')).toMatch(/^\+4\d \d{2} \d{4} \d{4}$/);
+    });
+
+    it('should generate documentation-range IP addresses', () => {
+      expect(masker.mask('IP_ADDRESS', '10.1.2.3')).toMatch(/^(192\.0\.2|198\.51\.100|203\.0\.113)\.\d+$/);
+
+      const v6 = masker.mask('IP_ADDRESS', 'fe80::1');
+      expect(v6.startsWith('2001:db8::')).toBe(true);
+      expect(isIP(v6)).toBe(6);
+    });
+
+    it('should generate mod-97-valid IBANs of the same country and shape', () => {
+      const surrogate = masker.mask('IBAN', 'DE89 3704 0044 0532 0130 00');
+
+      expect(surrogate).toMatch(/^DE\d{2}( \d{4}){4} \d{2}$/);
+      expect(isValidIBAN(surrogate)).toBe(true);
+    });
+
+    it('should reshape other types keeping case and separators', () => {
+      expect(masker.mask('EMPLOYEE_ID', 'EMP-123456')).toMatch(/^[A-Z]{3}-\d{6}$/);
+    });
+
+    it('should be deterministic for a given key', () => {
+      const again = createMasker({ defaultStrategy: 'synthetic', hmacKey: 'key' });
+
+      expect(again.mask('SSN', '123-45-6789')).toBe(masker.mask('SSN', '123-45-6789'));
+    });
+
+    it('should reshape values that are not in the expected format', () => {
+      const surrogate = masker.mask('SSN', '\uFF11\uFF12\uFF13\uFF14\uFF15\uFF16\uFF17\uFF18\uFF19');
+
+      expect(surrogate).toMatch(/^\d{9}$/);
+    });
+  });
+});
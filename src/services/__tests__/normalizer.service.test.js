@@ -0,0 +1,102 @@
+/**
+ * Unit tests for normalizer.service.js
+ *
+ * Tests Unicode normalization, invisible character stripping, homoglyph
+ * folding, obfuscation rewrites, and mapping offsets back to the original.
+ */
+
+const { normalize, toOriginalRange } = require('../normalizer.service');
+
+describe('normalizer.service', () => {
+  describe('normalize', () => {
+    it('should leave plain ASCII text unchanged with identity spans', () => {
+      const result = normalize('abc 123');
+
+      expect(result.text).toBe('abc 123');
+      expect(result.starts).toEqual([0, 1, 2, 3, 4, 5, 6]);
+      expect(result.ends).toEqual([1, 2, 3, 4, 5, 6, 7]);
+    });
+
+    it('should convert fullwidth digits and signs with NFKC', () => {
+      expect(normalize('\uFF14\uFF11\uFF11\uFF11\uFF20\uFF45\uFF58\uFF0E\uFF43\uFF4F\uFF4D').text).toBe('4111@ex.com');
+    });
+
+    it('should strip zero-width characters between digits', () => {
+      expect(normalize('12\u200B3\u200C4\u200D5\uFEFF6').text).toBe('123456');
+    });
+
+    it('should strip soft hyphens and bidi marks', () => {
+      expect(normalize('ab\u00ADc\u202Ed').text).toBe('abcd');
+    });
+
+    it('should fold Cyrillic and Greek look-alike letters', () => {
+      expect(normalize('j\u043Ehn@ex\u0430mple.c\u03BFm').text).toBe('john@example.com');
+    });
+
+    it('should fold Unicode dashes and non-Latin digits', () => {
+      expect(normalize('\u0661\u0662\u0663\u2013\u0664\u0665\u2014\u0666').text).toBe('123-45-6');
+    });
+
+    it('should compose combining marks', () => {
+      expect(normalize('e\u0301').text).toBe('\u00E9');
+    });
+
+    it.each([
+      ['john at example dot com', 'john@example.com'],
+      ['john AT example DOT co DOT uk', 'john@example.co.uk'],
+      ['john [at] example [dot] com', 'john@example.com'],
+      ['john (at) example (dot) com', 'john@example.com'],
+      ['john{at}example{dot}com', 'john@example.com'],
+      ['john@example dot com', 'john@example.com'],
+      ['john [at] example.com', 'john@example.com'],
+    ])('should rewrite obfuscated email %j', (input, expected) => {
+      expect(normalize(input).text).toBe(expected);
+    });
+
+    it.each([
+      ['look at example.com'],
+      ['meet at noon'],
+      ['at the dot'],
+    ])('should not rewrite ordinary text %j', (input) => {
+      expect(normalize(input).text).toBe(input);
+    });
+
+    it('should keep one span per normalized character', () => {
+      const result = normalize('x \uFF11\u200B\uFB01 john at example dot com');
+
+      expect(result.starts).toHaveLength(result.text.length);
+      expect(result.ends).toHaveLength(result.text.length);
+    });
+  });
+
+  describe('toOriginalRange', () => {
+    it('should map a range back across stripped characters', () => {
+      const original = 'id 12\u200B34 end';
+      const normalized = normalize(original);
+      const start = normalized.text.indexOf('1234');
+
+      const range = toOriginalRange(normalized, start, start + 4);
+
+      expect(original.slice(range.start, range.end)).toBe('12\u200B34');
+    });
+
+    it('should map a rewritten email back to the whole spelled-out run', () => {
+      const original = 'mail john at example dot com now';
+      const normalized = normalize(original);
+      const start = normalized.text.indexOf('john@example.com');
+
+      const range = toOriginalRange(normalized, start, start + 'john@example.com'.length);
+
+      expect(original.slice(range.start, range.end)).toBe('john at example dot com');
+    });
+
+    it('should map fullwidth characters one to one', () => {
+      const original = 'SSN \uFF11\uFF12\uFF13';
+      const normalized = normalize(original);
+
+      const range = toOriginalRange(normalized, 4, 7);
+
+      expect(original.slice(range.start, range.end)).toBe('\uFF11\uFF12\uFF13');
+    });
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Unit tests for payloadDecoder.service.js
+ *
+ * Tests detection and decoding of Base64, percent-encoded and hex segments,
+ * and rejection of segments that do not decode to readable text.
+ */
+
+const { findEncodedSegments, decodePercent, decodeHex, decodeBase64 } = require('../payloadDecoder.service');
+
+describe('payloadDecoder.service', () => {
+  describe('findEncodedSegments', () => {
+    it('should find a Base64 segment with its offsets', () => {
+      const encoded = Buffer.from('hello encoded world').toString('base64');
+      const text = `x ${encoded} y`;
+
+      expect(findEncodedSegments(text)).toEqual([
+        { start: 2, end: 2 + encoded.length, encoding: 'base64', decoded: 'hello encoded world' },
+      ]);
+    });
+
+    it('should find a percent-encoded segment', () => {
+      expect(findEncodedSegments('q=hello%20there&x=1')).toEqual([
+        { start: 2, end: 15, encoding: 'percent', decoded: 'hello there' },
+      ]);
+    });
+
+    it('should prefer hex over Base64 for hex digit runs', () => {
+      const encoded = Buffer.from('hello world').toString('hex');
+
+      expect(findEncodedSegments(encoded)).toEqual([
+        { start: 0, end: encoded.length, encoding: 'hex', decoded: 'hello world' },
+      ]);
+    });
+
+    it('should ignore plain words and numbers', () => {
+      expect(findEncodedSegments('Internationalization 123456789012 4532015112830366')).toEqual([]);
+    });
+
+    it('should skip segments longer than maxSegmentLength', () => {
+      const encoded = Buffer.from('hello encoded world').toString('base64');
+
+      expect(findEncodedSegments(encoded, { maxSegmentLength: 10 })).toEqual([]);
+    });
+
+    it('should return segments sorted by start', () => {
+      const encoded = Buffer.from('hello encoded world').toString('base64');
+
+      const segments = findEncodedSegments(`${encoded} hello%20there`);
+
+      expect(segments.map((s) => s.encoding)).toEqual(['base64', 'percent']);
+    });
+  });
+
+  describe('decoders', () => {
+    it('should reject malformed percent-encoding', () => {
+      expect(decodePercent('abc%E0%A4%A')).toBeNull();
+    });
+
+    it('should reject percent-encoded control characters', () => {
+      expect(decodePercent('abc%00defgh')).toBeNull();
+    });
+
+    it('should reject hex with an odd number of digits', () => {
+      expect(decodeHex('68656c6c6f2')).toBeNull();
+    });
+
+    it('should reject Base64 that decodes to binary', () => {
+      expect(decodeBase64(Buffer.from([0, 1, 2, 250, 251, 252, 3, 4, 5]).toString('base64'))).toBeNull();
+    });
+
+    it('should reject Base64 of impossible length', () => {
+      expect(decodeBase64('aGVsbG8gd29ybGQhI')).toBeNull();
+    });
+
+    it('should decode base64url without padding', () => {
+      expect(decodeBase64(Buffer.from('hello world??').toString('base64url'))).toBe('hello world??');
+    });
+  });
+});
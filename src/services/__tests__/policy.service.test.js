@@ -0,0 +1,73 @@
+/**
+ * Unit tests for policy.service.js
+ *
+ * Tests per-type and per-kind allow / redact / block rules and block reasons.
+ */
+
+const { createPolicy } = require('../policy.service');
+
+describe('policy.service', () => {
+  describe('createPolicy', () => {
+    it('should redact everything by default', () => {
+      const policy = createPolicy();
+
+      expect(policy.actionFor({ type: 'EMAIL' })).toBe('redact');
+      expect(policy.evaluate([{ type: 'EMAIL' }, { type: 'SSN' }])).toEqual({ action: 'redact' });
+    });
+
+    it('should reject unknown actions', () => {
+      expect(() => createPolicy({ rules: { EMAIL: 'drop' } })).toThrow('Unknown policy action "drop"');
+      expect(() => createPolicy({ defaultAction: 'ignore' })).toThrow('Unknown policy action "ignore"');
+    });
+  });
+
+  describe('actionFor', () => {
+    const policy = createPolicy({
+      rules: { SECRET: 'redact', 'SECRET:PRIVATE_KEY': 'block', IP_ADDRESS: 'allow' },
+      defaultAction: 'redact',
+    });
+
+    it('should prefer a TYPE:KIND rule over a TYPE rule', () => {
+      expect(policy.actionFor({ type: 'SECRET', kind: 'PRIVATE_KEY' })).toBe('block');
+      expect(policy.actionFor({ type: 'SECRET', kind: 'JWT' })).toBe('redact');
+    });
+
+    it('should fall back to the default action', () => {
+      expect(policy.actionFor({ type: 'PHONE' })).toBe('redact');
+    });
+
+    it('should report allowed findings', () => {
+      expect(policy.isAllowed({ type: 'IP_ADDRESS' })).toBe(true);
+      expect(policy.isAllowed({ type: 'SECRET', kind: 'JWT' })).toBe(false);
+    });
+  });
+
+  describe('evaluate', () => {
+    it('should block when any finding is blocked, listing the offending types', () => {
+      const policy = createPolicy({ rules: { CREDIT_CARD: 'block', SSN: 'block' } });
+
+      const decision = policy.evaluate([{ type: 'EMAIL' }, { type: 'CREDIT_CARD' }, { type: 'CREDIT_CARD' }]);
+
+      expect(decision).toEqual({ action: 'block', reason: { code: 'PII_BLOCKED', types: ['CREDIT_CARD'] } });
+    });
+
+    it('should list secret kinds in the block reason', () => {
+      const policy = createPolicy({ rules: { SECRET: 'block' } });
+
+      const decision = policy.evaluate([{ type: 'SECRET', kind: 'PRIVATE_KEY' }, { type: 'SECRET', kind: 'JWT' }]);
+
+      expect(decision.reason).toEqual({ code: 'PII_BLOCKED', types: ['SECRET'], kinds: ['PRIVATE_KEY', 'JWT'] });
+    });
+
+    it('should block everything with a block default', () => {
+      const policy = createPolicy({ rules: { EMAIL: 'redact' }, defaultAction: 'block' });
+
+      expect(policy.evaluate([{ type: 'EMAIL' }]).action).toBe('redact');
+      expect(policy.evaluate([{ type: 'PHONE' }]).action).toBe('block');
+    });
+
+    it('should not block messages without findings', () => {
+      expect(createPolicy({ defaultAction: 'block' }).evaluate([])).toEqual({ action: 'redact' });
+    });
+  });
+});
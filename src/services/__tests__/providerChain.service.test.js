@@ -0,0 +1,254 @@
+/**
+ * Unit tests for providerChain.service.js
+ *
+ * Tests picking the first available provider, failover along the chain,
+ * breaker recording and passing per-call options to the AI ports, for single
+ * answers and streamed ones.
+ */
+
+const { createProviderChain, CircuitOpenError } = require('../providerChain.service');
+const { AIInvalidRequestError, AIServerError } = require('../../ports/ai.port');
+
+/**
+ * Creates a provider with a mocked AI port and breaker.
+ *
+ * @param {string} name - Provider name
+ * @param {Object} [options] - { open, answer, error, recordsCircuitBreaker, stream }; stream lists the chunks
+ *   streamAnswer yields, where an Error is thrown instead
+ * @returns {Object} Provider
+ */
+function createProvider(name, { open = false, answer = `answer from ${name}`, error, recordsCircuitBreaker, stream } = {}) {
+  return {
+    name,
+    aiPort: {
+      generateAnswer: error ? jest.fn().mockRejectedValue(error) : jest.fn().mockResolvedValue(answer),
+      ...(stream && {
+        streamAnswer: jest.fn(async function* play() {
+          for (const step of stream) {
+            if (step instanceof Error) throw step;
+            yield step;
+          }
+        }),
+      }),
+      recordsCircuitBreaker,
+    },
+    circuitBreaker: {
+      isOpen: jest.fn().mockReturnValue(open),
+      recordSuccess: jest.fn(),
+      recordFailure: jest.fn(),
+    },
+  };
+}
+
+/**
+ * Collects every chunk of a stream.
+ *
+ * @param {AsyncIterable<string>} stream - Stream
+ * @returns {Promise<string[]>} Chunks
+ */
+async function collect(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return chunks;
+}
+
+describe('providerChain.service', () => {
+  describe('CircuitOpenError class', () => {
+    it('should be flagged as circuit open with message Service Busy', () => {
+      const error = new CircuitOpenError();
+
+      expect(error).toBeInstanceOf(Error);
+      expect(error.isCircuitOpen).toBe(true);
+      expect(error.message).toBe('Service Busy');
+    });
+  });
+
+  describe('firstAvailable', () => {
+    it('should return the first provider whose circuit is closed', () => {
+      const chain = createProviderChain([createProvider('a', { open: true }), createProvider('b')]);
+
+      expect(chain.firstAvailable()).toBe(1);
+    });
+
+    it('should return -1 when every circuit is open', () => {
+      const chain = createProviderChain([createProvider('a', { open: true }), createProvider('b', { open: true })]);
+
+      expect(chain.firstAvailable()).toBe(-1);
+    });
+
+    it('should not ask breakers after the first closed one', () => {
+      const providers = [createProvider('a'), createProvider('b')];
+
+      createProviderChain(providers).firstAvailable();
+
+      expect(providers[1].circuitBreaker.isOpen).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('callFrom', () => {
+    it('should return the answer and the provider that gave it', async () => {
+      const providers = [createProvider('a')];
+
+      const result = await createProviderChain(providers).callFrom(0, 'hello');
+
+      expect(result).toEqual({ answer: 'answer from a', provider: providers[0] });
+      expect(providers[0].aiPort.generateAnswer).toHaveBeenCalledWith('hello');
+      expect(providers[0].circuitBreaker.recordSuccess).toHaveBeenCalled();
+    });
+
+    it('should pass per-call options to the AI port', async () => {
+      const providers = [createProvider('a')];
+      const history = [{ role: 'user', content: 'hi' }, { role: 'assistant', content: 'hello' }];
+
+      await createProviderChain(providers).callFrom(0, 'next', { history });
+
+      expect(providers[0].aiPort.generateAnswer).toHaveBeenCalledWith('next', { history });
+    });
+
+    it('should fail over to the next closed provider and record the failure', async () => {
+      const providers = [
+        createProvider('a', { error: new Error('down') }),
+        createProvider('b', { open: true }),
+        createProvider('c'),
+      ];
+
+      const result = await createProviderChain(providers).callFrom(0, 'hello');
+
+      expect(result.provider.name).toBe('c');
+      expect(providers[0].circuitBreaker.recordFailure).toHaveBeenCalled();
+      expect(providers[1].aiPort.generateAnswer).not.toHaveBeenCalled();
+    });
+
+    it('should not ask the starting provider breaker again', async () => {
+      const providers = [createProvider('a')];
+
+      await createProviderChain(providers).callFrom(0, 'hello');
+
+      expect(providers[0].circuitBreaker.isOpen).not.toHaveBeenCalled();
+    });
+
+    it('should rethrow the last error when every available provider failed', async () => {
+      const providers = [
+        createProvider('a', { error: new Error('first') }),
+        createProvider('b', { error: new Error('second') }),
+      ];
+
+      await expect(createProviderChain(providers).callFrom(0, 'hello')).rejects.toThrow('second');
+    });
+
+    it('should not record on the breaker when the AI port records itself', async () => {
+      const providers = [createProvider('a', { error: new Error('down'), recordsCircuitBreaker: true })];
+
+      await expect(createProviderChain(providers).callFrom(0, 'hello')).rejects.toThrow('down');
+      expect(providers[0].circuitBreaker.recordFailure).not.toHaveBeenCalled();
+    });
+
+    it('should not record bulkhead rejections as failures', async () => {
+      const rejection = Object.assign(new Error('full'), { isBulkheadRejection: true });
+      const providers = [createProvider('a', { error: rejection })];
+
+      await expect(createProviderChain(providers).callFrom(0, 'hello')).rejects.toBe(rejection);
+      expect(providers[0].circuitBreaker.recordFailure).not.toHaveBeenCalled();
+    });
+
+    it('should record client errors as successes and server errors as failures', async () => {
+      const providers = [
+        createProvider('a', { error: new AIInvalidRequestError('bad request', 400) }),
+        createProvider('b', { error: new AIServerError('unavailable', 503) }),
+      ];
+
+      await expect(createProviderChain(providers).callFrom(0, 'hello')).rejects.toThrow('unavailable');
+
+      expect(providers[0].circuitBreaker.recordFailure).not.toHaveBeenCalled();
+      expect(providers[0].circuitBreaker.recordSuccess).toHaveBeenCalled();
+      expect(providers[1].circuitBreaker.recordFailure).toHaveBeenCalled();
+    });
+  });
+
+  describe('streamFrom', () => {
+    it('should return the chunks and the provider that streams them', async () => {
+      const providers = [createProvider('a', { stream: ['Hel', 'lo'] })];
+      const signal = new AbortController().signal;
+
+      const { chunks, provider } = await createProviderChain(providers).streamFrom(0, 'hello', { signal });
+
+      expect(provider).toBe(providers[0]);
+      await expect(collect(chunks)).resolves.toEqual(['Hel', 'lo']);
+      expect(providers[0].aiPort.streamAnswer).toHaveBeenCalledWith('hello', { signal });
+      expect(providers[0].circuitBreaker.recordSuccess).toHaveBeenCalledTimes(1);
+    });
+
+    it('should stream a single answer from AI ports that cannot stream', async () => {
+      const { chunks } = await createProviderChain([createProvider('a')]).streamFrom(0, 'hello');
+
+      await expect(collect(chunks)).resolves.toEqual(['answer from a']);
+    });
+
+    it('should fail over until a provider delivers its first chunk', async () => {
+      const providers = [
+        createProvider('a', { stream: [new Error('down')] }),
+        createProvider('b', { open: true }),
+        createProvider('c', { stream: ['from c'] }),
+      ];
+
+      const { chunks, provider } = await createProviderChain(providers).streamFrom(0, 'hello');
+
+      expect(provider.name).toBe('c');
+      await expect(collect(chunks)).resolves.toEqual(['from c']);
+      expect(providers[0].circuitBreaker.recordFailure).toHaveBeenCalledTimes(1);
+      expect(providers[1].aiPort.generateAnswer).not.toHaveBeenCalled();
+    });
+
+    it('should not fail over once a chunk was delivered, and record the failure', async () => {
+      const providers = [createProvider('a', { stream: ['Par', new Error('cut off')] }), createProvider('b')];
+
+      const { chunks } = await createProviderChain(providers).streamFrom(0, 'hello');
+
+      await expect(collect(chunks)).rejects.toThrow('cut off');
+      expect(providers[0].circuitBreaker.recordFailure).toHaveBeenCalledTimes(1);
+      expect(providers[1].circuitBreaker.isOpen).not.toHaveBeenCalled();
+    });
+
+    it('should rethrow the last error when every available provider failed before its first chunk', async () => {
+      const providers = [
+        createProvider('a', { stream: [new Error('first')] }),
+        createProvider('b', { stream: [new Error('second')] }),
+      ];
+
+      await expect(createProviderChain(providers).streamFrom(0, 'hello')).rejects.toThrow('second');
+    });
+
+    it('should record a stream the consumer stopped early as a success', async () => {
+      const providers = [createProvider('a', { stream: ['one', 'two'] })];
+
+      const { chunks } = await createProviderChain(providers).streamFrom(0, 'hello');
+      await chunks.next();
+      await chunks.return();
+
+      expect(providers[0].circuitBreaker.recordSuccess).toHaveBeenCalledTimes(1);
+      expect(providers[0].circuitBreaker.recordFailure).not.toHaveBeenCalled();
+    });
+
+    it('should neither record nor fail over when the caller aborted', async () => {
+      const controller = new AbortController();
+      const reason = new Error('client went away');
+      controller.abort(reason);
+      const providers = [createProvider('a', { stream: [reason] }), createProvider('b')];
+
+      await expect(createProviderChain(providers).streamFrom(0, 'hello', { signal: controller.signal })).rejects.toBe(reason);
+      expect(providers[0].circuitBreaker.recordFailure).not.toHaveBeenCalled();
+      expect(providers[1].circuitBreaker.isOpen).not.toHaveBeenCalled();
+    });
+
+    it('should not record on the breaker when the AI port records itself', async () => {
+      const providers = [createProvider('a', { stream: ['ok'], recordsCircuitBreaker: true })];
+
+      const { chunks } = await createProviderChain(providers).streamFrom(0, 'hello');
+      await collect(chunks);
+
+      expect(providers[0].circuitBreaker.recordSuccess).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Unit tests for streamTransformer.service.js
+ *
+ * Tests holding back text that may still be part of a match, releasing it
+ * once complete, the hold limit, relaying streams, and the PII detection hold
+ * rule: streamed output must equal the transform of the whole text.
+ */
+
+const {
+  createStreamTransformer,
+  transformStream,
+  createDetectionHold,
+} = require('../streamTransformer.service');
+
+/**
+ * Streams text in the given pieces.
+ *
+ * @param {string[]} pieces - Chunks
+ * @returns {AsyncGenerator<string>} Chunks
+ */
+async function* streamOf(pieces) {
+  yield* pieces;
+}
+
+/**
+ * Collects every chunk of a stream.
+ *
+ * @param {AsyncIterable<string>} stream - Stream
+ * @returns {Promise<string[]>} Chunks
+ */
+async function collect(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return chunks;
+}
+
+/** Finds runs of 6+ digits, standing in for a PII detector */
+const detectDigits = (text) => [...text.matchAll(/\d{6,}/g)].map((m) => ({ start: m.index, end: m.index + m[0].length }));
+
+/** Masks runs of 6+ digits */
+const maskDigits = (text) => text.replace(/\d{6,}/g, '#');
+
+describe('streamTransformer.service', () => {
+  describe('createStreamTransformer', () => {
+    /** Holds back a trailing run of "x" */
+    const holdTrailingX = (text) => text.length - /x*$/.exec(text)[0].length;
+
+    it('should release text that cannot be part of a match, transformed', () => {
+      const transform = jest.fn((text) => text.toUpperCase());
+      const transformer = createStreamTransformer({ transform, holdFrom: holdTrailingX });
+
+      expect(transformer.push('abx')).toBe('AB');
+      expect(transformer.push('xc')).toBe('XXC');
+      expect(transform).toHaveBeenCalledWith('xxc');
+    });
+
+    it('should return an empty string while everything is held back', () => {
+      const transform = jest.fn((text) => text);
+      const transformer = createStreamTransformer({ transform, holdFrom: holdTrailingX });
+
+      expect(transformer.push('xx')).toBe('');
+      expect(transform).not.toHaveBeenCalled();
+    });
+
+    it('should transform the held-back rest on flush, once', () => {
+      const transformer = createStreamTransformer({ transform: (text) => `[${text}]`, holdFrom: holdTrailingX });
+
+      transformer.push('abxx');
+
+      expect(transformer.flush()).toBe('[xx]');
+      expect(transformer.flush()).toBe('');
+    });
+
+    it('should release held-back text beyond maxHoldLength', () => {
+      const transformer = createStreamTransformer({ transform: (text) => text, holdFrom: () => 0, maxHoldLength: 3 });
+
+      expect(transformer.push('ab')).toBe('');
+      expect(transformer.push('cde')).toBe('ab');
+      expect(transformer.flush()).toBe('cde');
+    });
+  });
+
+  describe('transformStream', () => {
+    it('should relay the transformed chunks, skipping empty ones, and flush at the end', async () => {
+      const transformer = createStreamTransformer({
+        transform: (text) => text.toUpperCase(),
+        holdFrom: (text) => text.length - /x*$/.exec(text)[0].length,
+      });
+
+      const chunks = await collect(transformStream(streamOf(['ax', 'x', 'xb', 'x']), transformer));
+
+      expect(chunks).toEqual(['A', 'XXXB', 'X']);
+    });
+
+    it('should drop held-back text when the source fails', async () => {
+      const transformer = createStreamTransformer({ transform: (text) => text, holdFrom: () => 0 });
+      const failing = (async function* fail() {
+        yield 'held';
+        throw new Error('cut off');
+      })();
+
+      await expect(collect(transformStream(failing, transformer))).rejects.toThrow('cut off');
+    });
+
+    it('should close the source when the consumer stops early', async () => {
+      const transformer = createStreamTransformer({ transform: (text) => text, holdFrom: (text) => text.length });
+      const closed = jest.fn();
+      const source = (async function* endless() {
+        try {
+          for (;;) yield 'a';
+        } finally {
+          closed();
+        }
+      })();
+
+      for await (const chunk of transformStream(source, transformer)) {
+        expect(chunk).toBe('a');
+        break;
+      }
+
+      expect(closed).toHaveBeenCalled();
+    });
+  });
+
+  describe('createDetectionHold', () => {
+    const holdFrom = createDetectionHold({ detect: detectDigits, windowSize: 10 });
+
+    it('should hold back everything shorter than the window', () => {
+      expect(holdFrom('short')).toBe(0);
+    });
+
+    it('should hold back the window, widened to the start of its first word', () => {
+      expect(holdFrom('one two three four')).toBe(8);
+    });
+
+    it('should not cut through a detected value', () => {
+      const detectGroups = (text) =>
+        [...text.matchAll(/\d{3}(?: \d{3})+/g)].map((m) => ({ start: m.index, end: m.index + m[0].length }));
+
+      expect(createDetectionHold({ detect: detectGroups, windowSize: 10 })('ab 123 456 789 xy')).toBe(3);
+    });
+
+    it('should let a transformer mask values split across chunks like the whole text', async () => {
+      const text = 'Card 4111111111111111 and ref 9876543 end; call 5551234 now, 12 ok 123456';
+      const whole = maskDigits(text);
+
+      for (let i = 0; i <= text.length; i++) {
+        for (let j = i; j <= text.length; j += 5) {
+          const transformer = createStreamTransformer({ transform: maskDigits, holdFrom });
+          const pieces = [text.slice(0, i), text.slice(i, j), text.slice(j)];
+          const chunks = await collect(transformStream(streamOf(pieces), transformer));
+          expect(chunks.join('')).toBe(whole);
+        }
+      }
+    });
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Unit tests for tokenVault.service.js
+ *
+ * Tests per-request storage of token → original PII and rehydration of
+ * tokens in AI answers, whole or streamed, restricted by the per-type
+ * allowlist.
+ */
+
+const tokenVault = require('../tokenVault.service');
+
+describe('tokenVault.service', () => {
+  let cryptoUtil;
+  let vault;
+
+  beforeEach(() => {
+    cryptoUtil = {
+      encrypt: jest.fn((text) => `encrypted:${text}`),
+      decrypt: jest.fn((cipher) => cipher.replace(/^encrypted:/, '')),
+    };
+
+    vault = tokenVault.create({ cryptoUtil });
+  });
+
+  describe('store', () => {
+    it('should encrypt the original value when storing', () => {
+      vault.store('<EMAIL_1>', 'EMAIL', 'jane@mail.com');
+
+      expect(cryptoUtil.encrypt).toHaveBeenCalledWith('jane@mail.com');
+      expect(vault.size()).toBe(1);
+    });
+
+    it('should start empty', () => {
+      expect(vault.size()).toBe(0);
+    });
+  });
+
+  describe('rehydrate', () => {
+    beforeEach(() => {
+      vault.store('<EMAIL_1>', 'EMAIL', 'jane@mail.com');
+      vault.store('<SSN_1>', 'SSN', '111222333');
+    });
+
+    it('should replace tokens of allowed types with their originals', () => {
+      const result = vault.rehydrate('I will write to <EMAIL_1> today.', ['EMAIL']);
+
+      expect(result).toBe('I will write to jane@mail.com today.');
+      expect(cryptoUtil.decrypt).toHaveBeenCalledWith('encrypted:jane@mail.com');
+    });
+
+    it('should replace every occurrence of a token', () => {
+      const result = vault.rehydrate('<EMAIL_1> and again <EMAIL_1>', ['EMAIL']);
+
+      expect(result).toBe('jane@mail.com and again jane@mail.com');
+    });
+
+    it('should leave tokens of types not in the allowlist untouched', () => {
+      const result = vault.rehydrate('Email <EMAIL_1>, SSN <SSN_1>', ['EMAIL']);
+
+      expect(result).toBe('Email jane@mail.com, SSN <SSN_1>');
+    });
+
+    it('should leave unknown tokens untouched', () => {
+      const result = vault.rehydrate('Unknown <EMAIL_7>', ['EMAIL']);
+
+      expect(result).toBe('Unknown <EMAIL_7>');
+    });
+
+    it('should rehydrate nothing when the allowlist is empty', () => {
+      const input = 'Email <EMAIL_1>, SSN <SSN_1>';
+
+      expect(vault.rehydrate(input, [])).toBe(input);
+      expect(cryptoUtil.decrypt).not.toHaveBeenCalled();
+    });
+
+    it('should return non-string or empty input as-is', () => {
+      expect(vault.rehydrate('', ['EMAIL'])).toBe('');
+      expect(vault.rehydrate(undefined, ['EMAIL'])).toBeUndefined();
+    });
+  });
+
+  describe('rehydrateStream', () => {
+    const answer = 'Write to <EMAIL_1> about <SSN_1>, not <EMAIL_2> or <b>bold</b> <';
+
+    /**
+     * Streams text in the given pieces.
+     *
+     * @param {string[]} pieces - Chunks
+     * @returns {AsyncGenerator<string>} Chunks
+     */
+    async function* streamOf(pieces) {
+      yield* pieces;
+    }
+
+    /**
+     * Collects every chunk of a stream.
+     *
+     * @param {AsyncIterable<string>} stream - Stream
+     * @returns {Promise<string[]>} Chunks
+     */
+    async function collect(stream) {
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+      }
+      return chunks;
+    }
+
+    beforeEach(() => {
+      vault.store('<EMAIL_1>', 'EMAIL', 'jane@mail.com');
+      vault.store('<SSN_1>', 'SSN', '111222333');
+    });
+
+    it('should rehydrate a token split across chunks', async () => {
+      const chunks = await collect(vault.rehydrateStream(streamOf(['Write to <EMA', 'IL_', '1> today']), ['EMAIL']));
+
+      expect(chunks).toEqual(['Write to ', 'jane@mail.com today']);
+    });
+
+    it('should hold back only a possible token', async () => {
+      const stream = vault.rehydrateStream(streamOf(['Hello there <EMAIL_1', '> bye']), ['EMAIL']);
+
+      await expect(stream.next()).resolves.toEqual({ done: false, value: 'Hello there ' });
+    });
+
+    it('should match rehydrate() of the whole answer for every split into two and three chunks', async () => {
+      const whole = vault.rehydrate(answer, ['EMAIL']);
+
+      for (let i = 0; i <= answer.length; i++) {
+        for (let j = i; j <= answer.length; j += 7) {
+          const pieces = [answer.slice(0, i), answer.slice(i, j), answer.slice(j)];
+          const chunks = await collect(vault.rehydrateStream(streamOf(pieces), ['EMAIL']));
+          expect(chunks.join('')).toBe(whole);
+        }
+      }
+    });
+
+    it('should rehydrate a stream delivered one character at a time', async () => {
+      const chunks = await collect(vault.rehydrateStream(streamOf([...answer]), ['EMAIL', 'SSN']));
+
+      expect(chunks.join('')).toBe(vault.rehydrate(answer, ['EMAIL', 'SSN']));
+    });
+  });
+
+  describe('isolation', () => {
+    it('should not share tokens between vaults', () => {
+      vault.store('<EMAIL_1>', 'EMAIL', 'jane@mail.com');
+      const other = tokenVault.create({ cryptoUtil });
+
+      expect(other.size()).toBe(0);
+      expect(other.rehydrate('<EMAIL_1>', ['EMAIL'])).toBe('<EMAIL_1>');
+    });
+  });
+});
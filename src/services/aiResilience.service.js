@@ -0,0 +1,391 @@
+/**
+ * AI Resilience Service — Timeouts, retries and deadlines around an AI port
+ *
+ * Wraps any AIPort so that:
+ * - every attempt has a timeout; the adapter receives an AbortSignal that is
+ *   aborted when the attempt times out (or the caller's own signal aborts)
+ * - transient failures are retried with jittered exponential backoff
+ * - all attempts and backoff delays fit inside an overall request deadline
+ * - each attempt is reported to the circuit breaker (unless the caller aborted
+ *   it), and retries stop as soon as the breaker opens; checking its state
+ *   does not claim a half-open trial call
+ * - a retry waits at least as long as the provider asked (retryAfterMs, from
+ *   a rate limit's Retry-After header)
+ *
+ * Streamed answers (streamAnswer) get the same treatment until their first
+ * chunk: the timeout then bounds each wait for the next chunk, the deadline
+ * bounds the whole stream, and a stream that already delivered chunks is never
+ * retried. A stream is reported to the breaker once it ends: completed (or
+ * stopped by the caller after its first chunk) as a success, failed as a
+ * failure (client errors excepted, see below); a stream the caller stops
+ * before its first chunk is not reported.
+ *
+ * A failure is transient when it is a timeout, carries `retryable: true`, has an
+ * HTTP status of 408, 429 or 5xx, or a network error code such as ECONNRESET.
+ * Client errors (any other 4xx, e.g. rejected credentials or an invalid
+ * request) mean the provider answered, so they are reported to the breaker as
+ * successes; every other failure counts against it.
+ *
+ * No external I/O; timers only.
+ */
+
+const { STATES } = require('./circuitBreaker.service');
+
+/** Default per-attempt timeout */
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/** Default retries after the first attempt */
+const DEFAULT_MAX_RETRIES = 2;
+
+/** Default backoff before the first retry; doubles on each further retry */
+const DEFAULT_BASE_DELAY_MS = 200;
+
+/** Default cap for a single backoff delay */
+const DEFAULT_MAX_DELAY_MS = 5000;
+
+/** Default overall deadline for all attempts of one request */
+const DEFAULT_DEADLINE_MS = 60000;
+
+/** HTTP statuses worth retrying */
+const RETRYABLE_STATUSES = [408, 429];
+
+/** Network error codes worth retrying */
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'UND_ERR_SOCKET'];
+
+/**
+ * Custom error class for AI calls that ran out of time.
+ * Route layer can check for this to return 504.
+ */
+class AITimeoutError extends Error {
+  /**
+   * @param {string} message - What timed out
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'AITimeoutError';
+    this.isTimeout = true;
+  }
+}
+
+/**
+ * Tells whether a failed AI call is worth retrying.
+ *
+ * @param {Error} error - Error thrown by the adapter
+ * @returns {boolean} True for timeouts, retryable statuses and network errors
+ */
+function isTransientError(error) {
+  if (!error) return false;
+  if (error.isTimeout || error.retryable === true) return true;
+  if (error.retryable === false) return false;
+
+  const status = error.status ?? error.statusCode;
+  if (RETRYABLE_STATUSES.includes(status) || (status >= 500 && status <= 599)) return true;
+
+  return RETRYABLE_CODES.includes(error.code);
+}
+
+/**
+ * Tells whether a failed AI call counts against the provider's circuit breaker.
+ *
+ * @param {Error} error - Error thrown by the adapter
+ * @returns {boolean} False for client errors (4xx other than 408 and 429), true otherwise
+ */
+function isProviderFailure(error) {
+  const status = error?.status ?? error?.statusCode;
+  return !(status >= 400 && status <= 499 && !RETRYABLE_STATUSES.includes(status));
+}
+
+/**
+ * Computes the backoff before a retry: full jitter over an exponentially growing
+ * cap, but never less than the delay the provider asked for.
+ *
+ * @param {number} retry - Retry number, starting at 1
+ * @param {{baseDelayMs: number, maxDelayMs: number, random: Function}} options - Backoff settings
+ * @param {Error} [error] - Failure being retried; its retryAfterMs (e.g. AIRateLimitError) is the minimum delay
+ * @returns {number} Delay in ms
+ */
+function backoffDelay(retry, { baseDelayMs, maxDelayMs, random }, error) {
+  const cap = Math.min(maxDelayMs, baseDelayMs * 2 ** (retry - 1));
+  const retryAfterMs = Number.isFinite(error?.retryAfterMs) ? error.retryAfterMs : 0;
+  return Math.max(Math.floor(random() * cap), retryAfterMs);
+}
+
+/**
+ * Waits for a delay unless the signal aborts first.
+ *
+ * @param {number} ms - Delay in ms
+ * @param {AbortSignal} [signal] - Caller's signal
+ * @returns {Promise<void>} Resolves after the delay; rejects with the abort reason
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Streams an answer from an AI port; ports without streamAnswer answer in one chunk.
+ *
+ * @param {Object} aiPort - AI port with generateAnswer() and optionally streamAnswer()
+ * @param {string} sanitizedMessage - Message to send
+ * @param {Object} [options] - Per-call options (signal, history)
+ * @returns {AsyncGenerator<string>} Answer chunks, in order
+ */
+async function* answerStream(aiPort, sanitizedMessage, options = {}) {
+  if (typeof aiPort.streamAnswer === 'function') {
+    yield* aiPort.streamAnswer(sanitizedMessage, options);
+  } else {
+    yield await aiPort.generateAnswer(sanitizedMessage, options);
+  }
+}
+
+/**
+ * Wraps an AI port with timeouts, retries and a deadline.
+ *
+ * @param {Object} aiPort - AI adapter with generateAnswer(sanitizedMessage, { signal })
+ * @param {Object} [options] - Resilience settings
+ * @param {number} [options.timeoutMs=30000] - Timeout per attempt (0 = none)
+ * @param {number} [options.maxRetries=2] - Retries after the first attempt
+ * @param {number} [options.baseDelayMs=200] - Backoff cap before the first retry, doubled per retry
+ * @param {number} [options.maxDelayMs=5000] - Maximum backoff cap
+ * @param {number} [options.deadlineMs=60000] - Overall deadline for all attempts (0 = none)
+ * @param {Object} [options.circuitBreaker] - Breaker that receives recordSuccess/recordFailure(durationMs) per attempt
+ * @param {Function} [options.isRetryable=isTransientError] - Decides whether an error is retried
+ * @param {Function} [options.random=Math.random] - Jitter source returning [0, 1)
+ * @returns {{generateAnswer: Function, streamAnswer: Function, recordsCircuitBreaker: boolean}} AI port with the
+ *   same contract; recordsCircuitBreaker tells callers the attempts are already reported to the breaker
+ * @throws {Error} If a setting is invalid
+ */
+function createResilientAIPort(aiPort, {
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  maxRetries = DEFAULT_MAX_RETRIES,
+  baseDelayMs = DEFAULT_BASE_DELAY_MS,
+  maxDelayMs = DEFAULT_MAX_DELAY_MS,
+  deadlineMs = DEFAULT_DEADLINE_MS,
+  circuitBreaker,
+  isRetryable = isTransientError,
+  random = Math.random,
+} = {}) {
+  for (const [name, value] of Object.entries({ timeoutMs, maxRetries, baseDelayMs, maxDelayMs, deadlineMs })) {
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`AI resilience ${name} must be a non-negative number`);
+    }
+  }
+
+  /**
+   * Runs one attempt with its own timeout, reporting the outcome to the breaker
+   * unless the caller aborted it.
+   *
+   * @param {string} sanitizedMessage - Message to send
+   * @param {number} attemptTimeoutMs - Time allowed for this attempt (Infinity = none)
+   * @param {string} timeoutMessage - Message of the error raised when the attempt runs out of time
+   * @param {Object} options - Caller's per-call options (signal, history)
+   * @returns {Promise<string>} AI answer
+   */
+  async function attempt(sanitizedMessage, attemptTimeoutMs, timeoutMessage, options) {
+    const { signal } = options;
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(signal.reason);
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    let timer;
+    if (Number.isFinite(attemptTimeoutMs)) {
+      timer = setTimeout(() => controller.abort(new AITimeoutError(timeoutMessage)), attemptTimeoutMs);
+    }
+
+    // Adapters that ignore the signal are still cut off when it aborts
+    const aborted = new Promise((resolve, reject) => {
+      controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+    });
+
+    const startedAt = Date.now();
+    try {
+      const answer = await Promise.race([
+        aiPort.generateAnswer(sanitizedMessage, { ...options, signal: controller.signal }),
+        aborted,
+      ]);
+      circuitBreaker?.recordSuccess(Date.now() - startedAt);
+      return answer;
+    } catch (error) {
+      // An attempt the caller aborted says nothing about the provider
+      if (signal?.aborted) {
+        throw error;
+      }
+      if (isProviderFailure(error)) {
+        circuitBreaker?.recordFailure(Date.now() - startedAt);
+      } else {
+        circuitBreaker?.recordSuccess(Date.now() - startedAt);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      aborted.catch(() => {});
+    }
+  }
+
+  /**
+   * Generates an answer, retrying transient failures within the deadline.
+   *
+   * @param {string} sanitizedMessage - The sanitized (PII-redacted) user message
+   * @param {Object} [options] - Per-call options
+   * @param {AbortSignal} [options.signal] - Caller's signal; aborting stops the current attempt and any retries
+   * @param {Array<{role: string, content: string}>} [options.history] - Earlier conversation turns, passed to the adapter
+   * @returns {Promise<string>} AI answer
+   * @throws {AITimeoutError} If the last attempt timed out or the deadline was reached
+   * @throws {Error} The last adapter error when it is not retryable or retries are exhausted
+   */
+  async function generateAnswer(sanitizedMessage, options = {}) {
+    const { signal } = options;
+    const deadline = deadlineMs > 0 ? Date.now() + deadlineMs : Infinity;
+
+    for (let retry = 0; ; retry++) {
+      const remaining = deadline - Date.now();
+      const perAttempt = timeoutMs > 0 ? timeoutMs : Infinity;
+      const attemptTimeoutMs = Math.min(perAttempt, remaining);
+      const timeoutMessage = attemptTimeoutMs < perAttempt
+        ? `AI request deadline of ${deadlineMs}ms exceeded`
+        : `AI call timed out after ${timeoutMs}ms`;
+
+      try {
+        return await attempt(sanitizedMessage, attemptTimeoutMs, timeoutMessage, options);
+      } catch (error) {
+        if (signal?.aborted || retry >= maxRetries || !isRetryable(error) || circuitBreaker?.getState() === STATES.OPEN) {
+          throw error;
+        }
+
+        const delay = backoffDelay(retry + 1, { baseDelayMs, maxDelayMs, random }, error);
+        if (Date.now() + delay >= deadline) {
+          throw error;
+        }
+        await sleep(delay, signal);
+      }
+    }
+  }
+
+  /**
+   * Streams an answer, retrying transient failures before the first chunk, within the deadline.
+   *
+   * @param {string} sanitizedMessage - The sanitized (PII-redacted) user message
+   * @param {Object} [options] - Per-call options
+   * @param {AbortSignal} [options.signal] - Caller's signal; aborting stops the stream and any retries
+   * @param {Array<{role: string, content: string}>} [options.history] - Earlier conversation turns, passed to the adapter
+   * @returns {AsyncGenerator<string>} Answer chunks, in order; stopping the iteration cancels the adapter's stream
+   * @throws {AITimeoutError} If a chunk did not arrive in time or the deadline was reached
+   * @throws {Error} The last adapter error when it is not retryable, retries are exhausted or chunks were already delivered
+   */
+  async function* streamAnswer(sanitizedMessage, options = {}) {
+    const { signal } = options;
+    const deadline = deadlineMs > 0 ? Date.now() + deadlineMs : Infinity;
+
+    for (let retry = 0; ; retry++) {
+      const controller = new AbortController();
+      const onAbort = () => controller.abort(signal.reason);
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      // Adapters that ignore the signal are still cut off when it aborts
+      const aborted = new Promise((resolve, reject) => {
+        controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+      });
+      aborted.catch(() => {});
+
+      const iterator = answerStream(aiPort, sanitizedMessage, { ...options, signal: controller.signal });
+      const startedAt = Date.now();
+      let timer;
+      let started = false;
+      let reported = false;
+      let failure = null;
+
+      /**
+       * Reports the stream's outcome to the breaker, once.
+       *
+       * @param {boolean} failed - Whether the stream failed
+       * @returns {void}
+       */
+      const report = (failed) => {
+        if (reported) return;
+        reported = true;
+        if (failed) {
+          circuitBreaker?.recordFailure(Date.now() - startedAt);
+        } else {
+          circuitBreaker?.recordSuccess(Date.now() - startedAt);
+        }
+      };
+
+      try {
+        for (;;) {
+          const remaining = deadline - Date.now();
+          const perChunk = timeoutMs > 0 ? timeoutMs : Infinity;
+          if (Number.isFinite(Math.min(perChunk, remaining))) {
+            const message = remaining < perChunk
+              ? `AI request deadline of ${deadlineMs}ms exceeded`
+              : `AI stream timed out after ${timeoutMs}ms without a chunk`;
+            timer = setTimeout(() => controller.abort(new AITimeoutError(message)), Math.min(perChunk, remaining));
+          }
+
+          const { done, value } = await Promise.race([iterator.next(), aborted]);
+          clearTimeout(timer);
+          if (done) break;
+
+          started = true;
+          yield value;
+        }
+        report(false);
+        return;
+      } catch (error) {
+        if (signal?.aborted) {
+          // The caller gave up: not the provider's fault
+          if (started) report(false);
+          reported = true;
+          throw error;
+        }
+        report(isProviderFailure(error));
+        failure = error;
+      } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        // Stopped by the caller after the first chunk: the provider was answering
+        if (started) report(false);
+        iterator.return().catch(() => {});
+      }
+
+      if (started || retry >= maxRetries || !isRetryable(failure) || circuitBreaker?.getState() === STATES.OPEN) {
+        throw failure;
+      }
+
+      const delay = backoffDelay(retry + 1, { baseDelayMs, maxDelayMs, random }, failure);
+      if (Date.now() + delay >= deadline) {
+        throw failure;
+      }
+      await sleep(delay, signal);
+    }
+  }
+
+  return { generateAnswer, streamAnswer, recordsCircuitBreaker: Boolean(circuitBreaker) };
+}
+
+module.exports = {
+  createResilientAIPort,
+  answerStream,
+  isTransientError,
+  isProviderFailure,
+  backoffDelay,
+  AITimeoutError,
+  DEFAULT_TIMEOUT_MS,
+  DEFAULT_MAX_RETRIES,
+  DEFAULT_BASE_DELAY_MS,
+  DEFAULT_MAX_DELAY_MS,
+  DEFAULT_DEADLINE_MS,
+};
@@ -0,0 +1,223 @@
+/**
+ * Bulkhead Service — Caps concurrent AI calls with a bounded wait queue
+ *
+ * At most maxConcurrent calls run at once. Further calls wait in a FIFO queue
+ * of at most maxQueue entries; a call that waits longer than queueTimeoutMs is
+ * rejected. When the queue is full, new calls are rejected immediately.
+ *
+ * Rejections carry isBulkheadRejection (they are not provider failures and
+ * must not count towards the circuit breaker):
+ * - BulkheadFullError (isBulkheadFull): queue full → route returns 429
+ * - QueueTimeoutError (isQueueTimeout): waited too long → route returns 503
+ *
+ * No external I/O; pure in-memory state tracking.
+ */
+
+const { answerStream } = require('./aiResilience.service');
+
+/** Default number of calls allowed to run at once */
+const DEFAULT_MAX_CONCURRENT = 10;
+
+/** Default number of calls allowed to wait */
+const DEFAULT_MAX_QUEUE = 50;
+
+/** Default time a call may wait in the queue; 0 waits indefinitely */
+const DEFAULT_QUEUE_TIMEOUT_MS = 5000;
+
+/**
+ * Custom error class for calls rejected because the wait queue is full.
+ * Route layer can check for this to return 429.
+ */
+class BulkheadFullError extends Error {
+  constructor() {
+    super('Too many concurrent requests');
+    this.name = 'BulkheadFullError';
+    this.isBulkheadRejection = true;
+    this.isBulkheadFull = true;
+  }
+}
+
+/**
+ * Custom error class for calls that waited too long in the queue.
+ * Route layer can check for this to return 503.
+ */
+class QueueTimeoutError extends Error {
+  /**
+   * @param {number} queueTimeoutMs - Time the call waited
+   */
+  constructor(queueTimeoutMs) {
+    super(`Timed out after ${queueTimeoutMs}ms waiting for a free AI call slot`);
+    this.name = 'QueueTimeoutError';
+    this.isBulkheadRejection = true;
+    this.isQueueTimeout = true;
+  }
+}
+
+/**
+ * Creates a bulkhead.
+ *
+ * @param {Object} [options] - Bulkhead settings
+ * @param {number} [options.maxConcurrent=10] - Calls allowed to run at once
+ * @param {number} [options.maxQueue=50] - Calls allowed to wait (0 = no queue)
+ * @param {number} [options.queueTimeoutMs=5000] - Maximum wait in the queue (0 = no limit)
+ * @returns {{run: Function, getStats: Function}} run(task, { signal }) → task result; getStats() → current load
+ * @throws {Error} If a setting is invalid
+ */
+function createBulkhead({
+  maxConcurrent = DEFAULT_MAX_CONCURRENT,
+  maxQueue = DEFAULT_MAX_QUEUE,
+  queueTimeoutMs = DEFAULT_QUEUE_TIMEOUT_MS,
+} = {}) {
+  if (!Number.isInteger(maxConcurrent) || maxConcurrent < 1) {
+    throw new Error('Bulkhead maxConcurrent must be a positive integer');
+  }
+  if (!Number.isInteger(maxQueue) || maxQueue < 0) {
+    throw new Error('Bulkhead maxQueue must be a non-negative integer');
+  }
+  if (!Number.isFinite(queueTimeoutMs) || queueTimeoutMs < 0) {
+    throw new Error('Bulkhead queueTimeoutMs must be a non-negative number');
+  }
+
+  let inFlight = 0;
+  /** Waiting calls: { start(), cancel() } */
+  const queue = [];
+
+  /**
+   * Runs a task in a slot that is already counted in inFlight, freeing the
+   * slot (or handing it to the next waiting call) when the task settles.
+   *
+   * @param {Function} task - Async task
+   * @returns {Promise<*>} Task result
+   */
+  function execute(task) {
+    return Promise.resolve()
+      .then(task)
+      .finally(() => {
+        const next = queue.shift();
+        if (next) {
+          next.start();
+        } else {
+          inFlight -= 1;
+        }
+      });
+  }
+
+  /**
+   * Runs a task once a slot is free.
+   *
+   * @param {Function} task - Async task to run
+   * @param {Object} [options] - Per-call options
+   * @param {AbortSignal} [options.signal] - Aborting removes the call from the queue
+   * @returns {Promise<*>} Task result
+   * @throws {BulkheadFullError} If every slot is busy and the queue is full
+   * @throws {QueueTimeoutError} If no slot freed up within queueTimeoutMs
+   */
+  function run(task, { signal } = {}) {
+    if (inFlight < maxConcurrent) {
+      inFlight += 1;
+      return execute(task);
+    }
+    if (queue.length >= maxQueue) {
+      return Promise.reject(new BulkheadFullError());
+    }
+
+    return new Promise((resolve, reject) => {
+      let timer;
+      const leave = (error) => {
+        queue.splice(queue.indexOf(entry), 1);
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        reject(error);
+      };
+      const onAbort = () => leave(signal.reason);
+
+      const entry = {
+        start: () => {
+          clearTimeout(timer);
+          signal?.removeEventListener('abort', onAbort);
+          execute(task).then(resolve, reject);
+        },
+      };
+
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+      queue.push(entry);
+      if (queueTimeoutMs > 0) {
+        timer = setTimeout(() => leave(new QueueTimeoutError(queueTimeoutMs)), queueTimeoutMs);
+      }
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Gets the current load, for monitoring.
+   *
+   * @returns {{inFlight: number, queued: number, maxConcurrent: number, maxQueue: number}} Current load and limits
+   */
+  function getStats() {
+    return { inFlight, queued: queue.length, maxConcurrent, maxQueue };
+  }
+
+  return { run, getStats };
+}
+
+/**
+ * Wraps an AI port so every call goes through a bulkhead.
+ * A streamed answer holds its slot until the stream ends or is stopped.
+ *
+ * @param {Object} aiPort - AI adapter with generateAnswer(sanitizedMessage, { signal }) and optionally streamAnswer()
+ * @param {Object} bulkhead - Bulkhead from createBulkhead()
+ * @returns {{generateAnswer: Function, streamAnswer: Function, recordsCircuitBreaker: boolean}} AI port with the same contract
+ */
+function createBulkheadAIPort(aiPort, bulkhead) {
+  /**
+   * Streams an answer once a slot is free, keeping the slot for the whole stream.
+   *
+   * @param {string} sanitizedMessage - Message to send
+   * @param {Object} [options] - Per-call options (signal, history)
+   * @returns {AsyncGenerator<string>} Answer chunks, in order
+   * @throws {BulkheadFullError} If every slot is busy and the queue is full
+   * @throws {QueueTimeoutError} If no slot freed up within queueTimeoutMs
+   */
+  async function* streamAnswer(sanitizedMessage, options = {}) {
+    let release;
+    const streamEnded = new Promise((resolve) => {
+      release = resolve;
+    });
+    let acquired;
+    const slot = new Promise((resolve) => {
+      acquired = resolve;
+    });
+
+    const held = bulkhead.run(() => {
+      acquired();
+      return streamEnded;
+    }, options);
+    await Promise.race([slot, held]);
+
+    try {
+      yield* answerStream(aiPort, sanitizedMessage, options);
+    } finally {
+      release();
+    }
+  }
+
+  return {
+    generateAnswer: (sanitizedMessage, options = {}) =>
+      bulkhead.run(() => aiPort.generateAnswer(sanitizedMessage, options), options),
+    streamAnswer,
+    recordsCircuitBreaker: Boolean(aiPort.recordsCircuitBreaker),
+  };
+}
+
+module.exports = {
+  createBulkhead,
+  createBulkheadAIPort,
+  BulkheadFullError,
+  QueueTimeoutError,
+  DEFAULT_MAX_CONCURRENT,
+  DEFAULT_MAX_QUEUE,
+  DEFAULT_QUEUE_TIMEOUT_MS,
+};
@@ -1,81 +1,710 @@
 /**
  * Circuit Breaker Service — Tracks AI call failures
  *
- * Opens after 3 consecutive failures to fail-fast with "Service Busy".
- * Resets failure count on success.
+ * Each CircuitBreaker instance guards one AI provider (or provider and model).
+ * It opens to fail-fast with "Service Busy", and probes the AI again once a
+ * reset timeout has passed. Two ways of tripping are supported:
+ * - consecutive (default): after failureThreshold consecutive failures (3 by default)
+ * - rate: over a rolling window of rateWindowMs, once at least minimumRequests calls
+ *   were made, when the failure rate or the slow-call rate (calls taking at least
+ *   slowCallDurationMs) reaches its percentage threshold
  *
  * States:
- * - Closed: Normal operation, AI calls allowed
- * - Open: After 3 consecutive failures, isOpen() returns true
+ * - CLOSED: Normal operation, AI calls allowed; success resets the failure count
+ * - OPEN: Once tripped, isOpen() returns true until the reset timeout elapses
+ * - HALF_OPEN: After the reset timeout, a limited number of trial calls are let through;
+ *   if they all succeed the circuit closes, if any fails it opens again for another timeout
  *
- * No external I/O; pure in-memory state tracking.
+ * With a failure window, only consecutive failures within the last
+ * failureWindowMs count towards the threshold.
+ * Trial slots that are never resolved (the caller gave up before calling the AI)
+ * are released after another reset timeout, so the circuit cannot get stuck.
+ *
+ * Breakers are EventEmitters: every state change emits 'stateChange' with
+ * { name, from, to, at, forced } plus one of 'opened', 'halfOpened' or 'closed'.
+ * For maintenance a breaker can be forced open or closed; it then stays in
+ * that state, ignoring timeouts and call outcomes, until reset().
+ *
+ * State lives on the instance by default. With a store (CircuitBreakerStorePort)
+ * each operation that changes state is an atomic read-modify-write of the
+ * stored state, and read-only operations only read it, so breakers with the
+ * same name in several processes share one state. A store may re-run an
+ * operation later against the latest shared state; state changes found that
+ * way are emitted with remote: true.
+ *
+ * No external I/O of its own; a store may persist state.
  */
 
-/** Threshold for consecutive failures before opening the circuit */
+const { EventEmitter } = require('events');
+
+/** Default threshold for consecutive failures before opening the circuit */
 const FAILURE_THRESHOLD = 3;
 
-/** Current consecutive failure count */
-let failureCount = 0;
+/** Circuit states */
+const STATES = {
+  CLOSED: 'CLOSED',
+  OPEN: 'OPEN',
+  HALF_OPEN: 'HALF_OPEN',
+};
+
+/** Default time the circuit stays open before trial calls are allowed */
+const DEFAULT_RESET_TIMEOUT_MS = 30000;
+
+/** Default number of trial calls allowed (and needed to close) in half-open */
+const DEFAULT_HALF_OPEN_MAX_TRIALS = 1;
+
+/** Default failure window; 0 counts consecutive failures regardless of age */
+const DEFAULT_FAILURE_WINDOW_MS = 0;
+
+/** Event emitted for each state a breaker enters */
+const STATE_EVENTS = {
+  CLOSED: 'closed',
+  OPEN: 'opened',
+  HALF_OPEN: 'halfOpened',
+};
+
+/** Instance fields kept in a shared store */
+const PERSISTED_FIELDS = [
+  'state',
+  'stateChangedAt',
+  'failureTimes',
+  'trialsStarted',
+  'trialSuccesses',
+  'outcomes',
+  'forced',
+];
+
+/** Tripping modes */
+const MODES = {
+  CONSECUTIVE: 'consecutive',
+  RATE: 'rate',
+};
+
+/** Defaults for rate mode */
+const DEFAULT_RATE_WINDOW_MS = 60000;
+const DEFAULT_MINIMUM_REQUESTS = 10;
+const DEFAULT_FAILURE_RATE_THRESHOLD = 50;
+const DEFAULT_SLOW_CALL_DURATION_MS = 0;
+const DEFAULT_SLOW_CALL_RATE_THRESHOLD = 100;
 
 /**
- * Checks if the circuit is open (fail-fast mode).
+ * Checks that a value is a percentage between 1 and 100.
  *
- * When open, the use case should return "Service Busy" immediately
- * without calling the AI adapter.
- *
- * @returns {boolean} True if circuit is open (3+ consecutive failures)
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value is a number in [1, 100]
  */
-function isOpen() {
-  return failureCount >= FAILURE_THRESHOLD;
+function isPercentage(value) {
+  return Number.isFinite(value) && value > 0 && value <= 100;
 }
 
 /**
- * Records a failed AI call.
- *
- * Increments the consecutive failure count.
- * After 3 consecutive failures, the circuit opens.
- *
- * @returns {void}
+ * Circuit breaker for one AI provider (or provider and model).
  */
-function recordFailure() {
-  failureCount += 1;
+class CircuitBreaker extends EventEmitter {
+  /**
+   * @param {Object} [options] - Circuit breaker settings
+   * @param {string} [options.name='default'] - Identifier, e.g. the provider or provider:model key
+   * @param {number} [options.failureThreshold=3] - Consecutive failures that open the circuit
+   * @param {number} [options.failureWindowMs=0] - Only failures this recent count (0 = no window)
+   * @param {number} [options.resetTimeoutMs=30000] - Time the circuit stays open before trial calls, in ms
+   * @param {number} [options.halfOpenMaxTrials=1] - Trial calls allowed (and needed to close) in half-open
+   * @param {string} [options.mode='consecutive'] - Tripping mode: consecutive or rate
+   * @param {number} [options.rateWindowMs=60000] - Rate mode: rolling window the rates are computed over
+   * @param {number} [options.minimumRequests=10] - Rate mode: calls needed in the window before rates are evaluated
+   * @param {number} [options.failureRateThreshold=50] - Rate mode: failure percentage that opens the circuit
+   * @param {number} [options.slowCallDurationMs=0] - Rate mode: calls at least this long are slow (0 = slow calls not tracked)
+   * @param {number} [options.slowCallRateThreshold=100] - Rate mode: slow-call percentage that opens the circuit
+   * @param {Object} [options.store] - Shared state store (CircuitBreakerStorePort) with get(key) and
+   *   update(key, mutator); state is kept on the instance only when omitted
+   * @throws {Error} If a setting is invalid
+   */
+  constructor({
+    name = 'default',
+    failureThreshold = FAILURE_THRESHOLD,
+    failureWindowMs = DEFAULT_FAILURE_WINDOW_MS,
+    resetTimeoutMs = DEFAULT_RESET_TIMEOUT_MS,
+    halfOpenMaxTrials = DEFAULT_HALF_OPEN_MAX_TRIALS,
+    mode = MODES.CONSECUTIVE,
+    rateWindowMs = DEFAULT_RATE_WINDOW_MS,
+    minimumRequests = DEFAULT_MINIMUM_REQUESTS,
+    failureRateThreshold = DEFAULT_FAILURE_RATE_THRESHOLD,
+    slowCallDurationMs = DEFAULT_SLOW_CALL_DURATION_MS,
+    slowCallRateThreshold = DEFAULT_SLOW_CALL_RATE_THRESHOLD,
+    store,
+  } = {}) {
+    if (!Number.isInteger(failureThreshold) || failureThreshold < 1) {
+      throw new Error(`Circuit breaker "${name}" failureThreshold must be a positive integer`);
+    }
+    if (!Number.isFinite(failureWindowMs) || failureWindowMs < 0) {
+      throw new Error(`Circuit breaker "${name}" failureWindowMs must be a non-negative number`);
+    }
+    if (!Number.isFinite(resetTimeoutMs) || resetTimeoutMs < 0) {
+      throw new Error(`Circuit breaker "${name}" resetTimeoutMs must be a non-negative number`);
+    }
+    if (!Number.isInteger(halfOpenMaxTrials) || halfOpenMaxTrials < 1) {
+      throw new Error(`Circuit breaker "${name}" halfOpenMaxTrials must be a positive integer`);
+    }
+    if (!Object.values(MODES).includes(mode)) {
+      throw new Error(`Circuit breaker "${name}" mode must be one of: ${Object.values(MODES).join(', ')}`);
+    }
+    if (!Number.isFinite(rateWindowMs) || rateWindowMs <= 0) {
+      throw new Error(`Circuit breaker "${name}" rateWindowMs must be a positive number`);
+    }
+    if (!Number.isInteger(minimumRequests) || minimumRequests < 1) {
+      throw new Error(`Circuit breaker "${name}" minimumRequests must be a positive integer`);
+    }
+    if (!isPercentage(failureRateThreshold) || !isPercentage(slowCallRateThreshold)) {
+      throw new Error(`Circuit breaker "${name}" rate thresholds must be percentages between 1 and 100`);
+    }
+    if (!Number.isFinite(slowCallDurationMs) || slowCallDurationMs < 0) {
+      throw new Error(`Circuit breaker "${name}" slowCallDurationMs must be a non-negative number`);
+    }
+
+    super();
+
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.failureWindowMs = failureWindowMs;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.halfOpenMaxTrials = halfOpenMaxTrials;
+    this.mode = mode;
+    this.rateWindowMs = rateWindowMs;
+    this.minimumRequests = minimumRequests;
+    this.failureRateThreshold = failureRateThreshold;
+    this.slowCallDurationMs = slowCallDurationMs;
+    this.slowCallRateThreshold = slowCallRateThreshold;
+    this.store = store;
+    this.syncing = false;
+    this.quiet = false;
+
+    // Local starting state; a shared store's saved state is loaded on first use
+    this.forced = false;
+    this.failureTimes = [];
+    this.state = STATES.CLOSED;
+    this.stateChangedAt = Date.now();
+    this.trialsStarted = 0;
+    this.trialSuccesses = 0;
+    this.outcomes = [];
+  }
+
+  /**
+   * Runs an operation that may change state against the shared state: loads
+   * the stored state, runs the operation and saves the result in one atomic
+   * store update; an operation that changes nothing leaves the stored state
+   * as it is. When the store runs the update again against a newer
+   * shared state, the operation is replayed on that state (see replay).
+   * Without a store (or when already inside an operation) it just runs the
+   * operation.
+   *
+   * @param {Function} operation - Operation on the instance state
+   * @returns {*} The operation's result
+   */
+  shared(operation) {
+    if (!this.store || this.syncing) {
+      return operation();
+    }
+
+    let result;
+    let initial;
+    this.syncing = true;
+    try {
+      this.store.update(this.name, (saved) => {
+        if (initial) {
+          return this.replay(saved || initial, operation);
+        }
+        if (saved) {
+          this.restore(saved);
+        }
+        initial = structuredClone(this.toStoredState());
+        result = operation();
+        const next = this.toStoredState();
+        // Unchanged: hand the stored state back so the store has nothing to write
+        return JSON.stringify(next) === JSON.stringify(initial) ? saved : next;
+      });
+    } finally {
+      this.syncing = false;
+    }
+    return result;
+  }
+
+  /**
+   * Runs a read-only operation against the shared state: loads the stored
+   * state and runs the operation, without writing to the store.
+   *
+   * @param {Function} operation - Operation on the instance state
+   * @returns {*} The operation's result
+   */
+  observe(operation) {
+    if (!this.store || this.syncing) {
+      return operation();
+    }
+
+    const saved = this.store.get(this.name);
+    this.syncing = true;
+    try {
+      if (saved) {
+        this.restore(saved);
+      }
+      return operation();
+    } finally {
+      this.syncing = false;
+    }
+  }
+
+  /**
+   * Runs an operation again on a newer shared state, for a store that
+   * persists updates later. Transitions during the replay are not emitted;
+   * the resulting state change, if any, is emitted once with remote: true.
+   *
+   * @param {Object} saved - Latest shared state (see toStoredState)
+   * @param {Function} operation - Operation to replay
+   * @returns {Object} New state to store
+   */
+  replay(saved, operation) {
+    const previous = this.state;
+    this.syncing = true;
+    this.quiet = true;
+    try {
+      for (const field of PERSISTED_FIELDS) {
+        this[field] = saved[field];
+      }
+      operation();
+    } finally {
+      this.syncing = false;
+      this.quiet = false;
+    }
+    this.announce(previous, { remote: true });
+    return this.toStoredState();
+  }
+
+  /**
+   * Loads a stored state into the instance. A state change made by another
+   * process is emitted like a local one, with remote: true. Time-based
+   * transitions are applied before comparing, so a state this process already
+   * derived from the stored one (e.g. half-open after the reset timeout) is
+   * not emitted again.
+   *
+   * @param {Object} saved - Stored state (see toStoredState)
+   * @returns {void}
+   */
+  restore(saved) {
+    const previous = this.state;
+    for (const field of PERSISTED_FIELDS) {
+      this[field] = saved[field];
+    }
+    const remote = previous !== this.state;
+
+    this.quiet = true;
+    try {
+      this.refreshState();
+    } finally {
+      this.quiet = false;
+    }
+    this.announce(previous, remote ? { remote: true } : {});
+  }
+
+  /**
+   * Emits 'stateChange' and the state's own event if the state differs from a previous one.
+   *
+   * @param {string} previous - State before the change
+   * @param {Object} [extra] - Additional event fields, e.g. { remote: true }
+   * @returns {void}
+   */
+  announce(previous, extra = {}) {
+    if (previous === this.state) {
+      return;
+    }
+    const event = {
+      name: this.name,
+      from: previous,
+      to: this.state,
+      at: this.stateChangedAt,
+      forced: this.forced,
+      ...extra,
+    };
+    this.emit('stateChange', event);
+    this.emit(STATE_EVENTS[this.state], event);
+  }
+
+  /**
+   * Copies the instance state in the shape kept by the store.
+   *
+   * @returns {Object} State with the PERSISTED_FIELDS
+   */
+  toStoredState() {
+    const stored = {};
+    for (const field of PERSISTED_FIELDS) {
+      stored[field] = this[field];
+    }
+    return stored;
+  }
+
+  /**
+   * Moves to a new state and restarts its clock and rolling window.
+   *
+   * @param {string} next - Target state
+   * @returns {void}
+   */
+  transition(next) {
+    const previous = this.state;
+    this.state = next;
+    this.stateChangedAt = Date.now();
+    this.trialsStarted = 0;
+    this.trialSuccesses = 0;
+    this.outcomes = [];
+
+    if (!this.quiet) {
+      this.announce(previous);
+    }
+  }
+
+  /**
+   * Drops rate-mode outcomes that fell out of the rolling window.
+   *
+   * @returns {void}
+   */
+  pruneOutcomes() {
+    const cutoff = Date.now() - this.rateWindowMs;
+    while (this.outcomes.length > 0 && this.outcomes[0].time <= cutoff) {
+      this.outcomes.shift();
+    }
+  }
+
+  /**
+   * Records a call outcome in the rolling window (rate mode, closed state)
+   * and opens the circuit if a rate threshold is reached.
+   *
+   * @param {boolean} failed - Whether the call failed
+   * @param {number} durationMs - Call duration in ms
+   * @returns {void}
+   */
+  recordOutcome(failed, durationMs) {
+    const slow = this.slowCallDurationMs > 0 && durationMs >= this.slowCallDurationMs;
+    this.outcomes.push({ time: Date.now(), failed, slow });
+
+    const { requests, failureRate, slowCallRate } = this.getMetrics();
+    if (
+      requests >= this.minimumRequests &&
+      (failureRate >= this.failureRateThreshold || slowCallRate >= this.slowCallRateThreshold)
+    ) {
+      this.transition(STATES.OPEN);
+    }
+  }
+
+  /**
+   * Applies time-based transitions: OPEN → HALF_OPEN once the reset timeout has
+   * elapsed, and a fresh half-open round when trial slots went unresolved.
+   *
+   * @returns {void}
+   */
+  refreshState() {
+    if (this.forced) {
+      return;
+    }
+
+    const elapsed = Date.now() - this.stateChangedAt;
+    if (this.state === STATES.OPEN && elapsed >= this.resetTimeoutMs) {
+      this.transition(STATES.HALF_OPEN);
+    } else if (
+      this.state === STATES.HALF_OPEN &&
+      this.trialsStarted >= this.halfOpenMaxTrials &&
+      elapsed >= this.resetTimeoutMs
+    ) {
+      this.transition(STATES.HALF_OPEN);
+    }
+  }
+
+  /**
+   * Checks if the circuit is open (fail-fast mode).
+   *
+   * When open, the use case should return "Service Busy" immediately
+   * without calling the AI adapter. In half-open, each call that returns
+   * false claims one of the trial slots; the caller is expected to report
+   * the outcome with recordSuccess() or recordFailure().
+   *
+   * @returns {boolean} True if the call must not go through
+   */
+  isOpen() {
+    return this.shared(() => {
+      this.refreshState();
+
+      if (this.state === STATES.CLOSED) {
+        return false;
+      }
+
+      if (this.state === STATES.HALF_OPEN && this.trialsStarted < this.halfOpenMaxTrials) {
+        this.trialsStarted += 1;
+        return false;
+      }
+
+      return true;
+    });
+  }
+
+  /**
+   * Records a failed AI call.
+   *
+   * In consecutive mode the failure adds to the consecutive failure count,
+   * which is kept only while closed and capped at the threshold, where the
+   * circuit opens; in rate mode it is added to the rolling window. A failed
+   * trial call in half-open opens the circuit again immediately. A forced
+   * state is kept and nothing is counted.
+   *
+   * @param {number} [durationMs=0] - How long the call took (rate mode slow-call tracking)
+   * @returns {void}
+   */
+  recordFailure(durationMs = 0) {
+    this.shared(() => {
+      this.refreshState();
+
+      if (this.forced || this.state === STATES.OPEN) {
+        return;
+      }
+      if (this.state === STATES.HALF_OPEN) {
+        this.transition(STATES.OPEN);
+      } else if (this.mode === MODES.RATE) {
+        this.recordOutcome(true, durationMs);
+      } else {
+        const now = Date.now();
+        this.failureTimes.push(now);
+        if (this.failureWindowMs > 0) {
+          this.failureTimes = this.failureTimes.filter((time) => now - time < this.failureWindowMs);
+        }
+        this.failureTimes = this.failureTimes.slice(-this.failureThreshold);
+        if (this.failureTimes.length >= this.failureThreshold) {
+          this.transition(STATES.OPEN);
+        }
+      }
+    });
+  }
+
+  /**
+   * Records a successful AI call.
+   *
+   * Resets the consecutive failure count to zero. In rate mode the success
+   * is added to the rolling window (a slow success can still open the
+   * circuit). In half-open the circuit closes once every trial call has
+   * succeeded. A success reported while open is ignored: it comes from a call
+   * that started before the circuit opened, and only half-open trials may
+   * close it. A forced state is kept.
+   *
+   * @param {number} [durationMs=0] - How long the call took (rate mode slow-call tracking)
+   * @returns {void}
+   */
+  recordSuccess(durationMs = 0) {
+    this.shared(() => {
+      this.refreshState();
+      if (this.state === STATES.OPEN && !this.forced) {
+        return;
+      }
+      this.failureTimes = [];
+
+      if (this.forced) {
+        return;
+      }
+      if (this.state === STATES.HALF_OPEN) {
+        this.trialSuccesses += 1;
+        if (this.trialSuccesses >= this.halfOpenMaxTrials) {
+          this.transition(STATES.CLOSED);
+        }
+      } else if (this.mode === MODES.RATE) {
+        this.recordOutcome(false, durationMs);
+      }
+    });
+  }
+
+  /**
+   * Gets rate-mode metrics for the rolling window (empty outside the closed state).
+   *
+   * @returns {{requests: number, failures: number, slowCalls: number, failureRate: number, slowCallRate: number}}
+   *   Call counts and percentages (0-100) over the window
+   */
+  getMetrics() {
+    return this.observe(() => {
+      this.pruneOutcomes();
+      const requests = this.outcomes.length;
+      const failures = this.outcomes.filter((o) => o.failed).length;
+      const slowCalls = this.outcomes.filter((o) => o.slow).length;
+      const rate = (count) => (requests === 0 ? 0 : (count / requests) * 100);
+      return { requests, failures, slowCalls, failureRate: rate(failures), slowCallRate: rate(slowCalls) };
+    });
+  }
+
+  /**
+   * Gets the current state without claiming a trial slot.
+   *
+   * @returns {string} CLOSED, OPEN or HALF_OPEN
+   */
+  getState() {
+    return this.observe(() => {
+      this.refreshState();
+      return this.state;
+    });
+  }
+
+  /**
+   * Gets the current consecutive failure count (within the failure window, if any).
+   *
+   * @returns {number} Current consecutive failure count
+   */
+  getFailureCount() {
+    return this.observe(() => {
+      if (this.failureWindowMs > 0) {
+        const now = Date.now();
+        return this.failureTimes.filter((time) => now - time < this.failureWindowMs).length;
+      }
+      return this.failureTimes.length;
+    });
+  }
+
+  /**
+   * Forces the circuit open for maintenance: every call is rejected until
+   * forceClose() or reset(), regardless of the reset timeout.
+   *
+   * @returns {void}
+   */
+  forceOpen() {
+    this.shared(() => {
+      this.forced = true;
+      this.transition(STATES.OPEN);
+    });
+  }
+
+  /**
+   * Forces the circuit closed for maintenance: every call goes through and
+   * failures do not open it until forceOpen() or reset().
+   *
+   * @returns {void}
+   */
+  forceClose() {
+    this.shared(() => {
+      this.forced = true;
+      this.failureTimes = [];
+      this.transition(STATES.CLOSED);
+    });
+  }
+
+  /**
+   * Tells whether the state is pinned by forceOpen() or forceClose().
+   *
+   * @returns {boolean} True while forced
+   */
+  isForced() {
+    return this.observe(() => {
+      return this.forced;
+    });
+  }
+
+  /**
+   * Gets a read-only view of the breaker for monitoring.
+   *
+   * @returns {{name: string, state: string, forced: boolean, failureCount: number, mode: string,
+   *   stateChangedAt: string, metrics?: Object}} Current state; metrics only in rate mode
+   */
+  getSnapshot() {
+    return this.observe(() => {
+      const snapshot = {
+        name: this.name,
+        state: this.getState(),
+        forced: this.forced,
+        failureCount: this.getFailureCount(),
+        mode: this.mode,
+        stateChangedAt: new Date(this.stateChangedAt).toISOString(),
+      };
+      if (this.mode === MODES.RATE) {
+        snapshot.metrics = this.getMetrics();
+      }
+      return snapshot;
+    });
+  }
+
+  /**
+   * Closes the circuit, clears the failure count and ends any forced state.
+   *
+   * @returns {void}
+   */
+  reset() {
+    this.shared(() => {
+      this.forced = false;
+      this.failureTimes = [];
+      this.transition(STATES.CLOSED);
+    });
+  }
 }
 
 /**
- * Records a successful AI call.
+ * Creates a registry that hands out one circuit breaker per provider (and model).
  *
- * Resets the consecutive failure count to zero.
- * This closes the circuit if it was open.
+ * Settings are merged from the defaults, then the provider's overrides, then
+ * the "provider:model" overrides.
  *
- * @returns {void}
+ * @param {Object} [options] - Registry options
+ * @param {Object} [options.defaults] - Settings applied to every breaker (see CircuitBreaker)
+ * @param {Object<string, Object>} [options.providers] - Overrides keyed by "provider" or "provider:model"
+ * @param {Function} [options.onStateChange] - Listener attached to the 'stateChange' event of every breaker
+ * @param {Object} [options.store] - Shared state store passed to every breaker (see CircuitBreaker)
+ * @returns {{get: Function, find: Function, list: Function}} get(provider, model?) → CircuitBreaker;
+ *   find(key) → existing breaker or undefined; list() → all breakers created so far
  */
-function recordSuccess() {
-  failureCount = 0;
-}
+function createCircuitBreakerRegistry({ defaults = {}, providers = {}, onStateChange, store } = {}) {
+  /** key → CircuitBreaker */
+  const breakers = new Map();
 
-/**
- * Resets the circuit breaker state (for testing purposes).
- *
- * @returns {void}
- */
-function reset() {
-  failureCount = 0;
-}
+  /**
+   * Gets (creating on first use) the breaker for a provider and optional model.
+   *
+   * @param {string} provider - AI provider name, e.g. "openai"
+   * @param {string} [model] - Model name, e.g. "gpt-4o"
+   * @returns {CircuitBreaker} Breaker for the provider (and model)
+   */
+  function get(provider, model) {
+    const key = model ? `${provider}:${model}` : provider;
+    if (!breakers.has(key)) {
+      const breaker = new CircuitBreaker({
+        ...defaults,
+        ...providers[provider],
+        ...(model ? providers[key] : {}),
+        name: key,
+        store,
+      });
+      if (onStateChange) {
+        breaker.on('stateChange', onStateChange);
+      }
+      breakers.set(key, breaker);
+    }
+    return breakers.get(key);
+  }
 
-/**
- * Gets the current failure count (for testing/debugging).
- *
- * @returns {number} Current consecutive failure count
- */
-function getFailureCount() {
-  return failureCount;
+  /**
+   * Looks up a breaker that was already created, without creating one.
+   *
+   * @param {string} key - "provider" or "provider:model"
+   * @returns {CircuitBreaker|undefined} Breaker, if any
+   */
+  function find(key) {
+    return breakers.get(key);
+  }
+
+  /**
+   * Lists the breakers created so far.
+   *
+   * @returns {CircuitBreaker[]} Breakers in creation order
+   */
+  function list() {
+    return [...breakers.values()];
+  }
+
+  return { get, find, list };
 }
 
 module.exports = {
-  isOpen,
-  recordFailure,
-  recordSuccess,
-  reset,
-  getFailureCount,
+  CircuitBreaker,
+  createCircuitBreakerRegistry,
   FAILURE_THRESHOLD,
+  STATES,
+  STATE_EVENTS,
+  MODES,
+  DEFAULT_RESET_TIMEOUT_MS,
+  DEFAULT_HALF_OPEN_MAX_TRIALS,
+  DEFAULT_FAILURE_WINDOW_MS,
 };
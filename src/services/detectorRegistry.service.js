@@ -0,0 +1,207 @@
+/**
+ * Detector Registry Service — Pluggable PII detectors for the sanitizer
+ *
+ * Each detector declares:
+ * - name: unique identifier, reported in findings
+ * - type: PII type used in placeholders and tokens (e.g. EMAIL)
+ * - pattern: RegExp (or regex source string) producing candidate matches
+ * - flags: optional regex flags when pattern is a string
+ * - validate: optional (value) => boolean filter, or the name of a registered validator
+ * - describe: optional (value) => object of extra fields merged into the finding
+ * - priority: higher priority wins when matches overlap (default 0)
+ * - confidence: 0..1 score reported in findings (default 0.5)
+ *
+ * Overlaps are resolved centrally: candidates are ranked by priority, then
+ * by length (longer first), then by position, and a candidate overlapping an
+ * already accepted one is dropped.
+ *
+ * No external I/O; pure in-memory state.
+ */
+
+/** PII type format; must stay compatible with the sanitizer's indexed tokens (<TYPE_N>) */
+const TYPE_FORMAT = /^[A-Z][A-Z_]*$/;
+
+/**
+ * Compiles a detector pattern into a global RegExp.
+ *
+ * @param {RegExp|string} pattern - Regex or regex source
+ * @param {string} [flags] - Flags applied when pattern is a string
+ * @returns {RegExp} Global regex
+ * @throws {Error} If the pattern is missing or invalid
+ */
+function compilePattern(pattern, flags = '') {
+  if (pattern instanceof RegExp) {
+    return pattern.global ? pattern : new RegExp(pattern.source, pattern.flags + 'g');
+  }
+
+  if (typeof pattern !== 'string' || pattern === '') {
+    throw new Error('Detector pattern must be a RegExp or a non-empty string');
+  }
+
+  const globalFlags = flags.includes('g') ? flags : flags + 'g';
+  return new RegExp(pattern, globalFlags);
+}
+
+/**
+ * Creates a detector registry.
+ *
+ * @param {Object} [options] - Registry options
+ * @param {Object[]} [options.detectors] - Detector definitions registered up front
+ * @param {Object<string, Function>} [options.validators] - Named validators usable from config (e.g. { luhn })
+ * @returns {{register: Function, unregister: Function, list: Function, detect: Function}} Registry instance
+ */
+function createDetectorRegistry({ detectors = [], validators = {} } = {}) {
+  /** name → normalized detector */
+  const byName = new Map();
+
+  /**
+   * Validates a detector definition and fills in defaults.
+   *
+   * @param {Object} definition - Detector definition
+   * @returns {Object} Normalized detector
+   * @throws {Error} If the definition is invalid
+   */
+  function normalize(definition) {
+    if (!definition || typeof definition !== 'object') {
+      throw new Error('Detector definition must be an object');
+    }
+
+    const { name, type, pattern, flags, validate, describe, priority = 0, confidence = 0.5 } = definition;
+
+    if (typeof name !== 'string' || name.trim() === '') {
+      throw new Error('Detector name must be a non-empty string');
+    }
+
+    if (typeof type !== 'string' || !TYPE_FORMAT.test(type)) {
+      throw new Error(`Detector "${name}" type must be upper-case letters and underscores`);
+    }
+
+    let validator = null;
+    if (typeof validate === 'function') {
+      validator = validate;
+    } else if (typeof validate === 'string') {
+      validator = validators[validate];
+      if (!validator) {
+        throw new Error(`Detector "${name}" references unknown validator "${validate}"`);
+      }
+    } else if (validate !== undefined && validate !== null) {
+      throw new Error(`Detector "${name}" validate must be a function or a validator name`);
+    }
+
+    if (describe !== undefined && describe !== null && typeof describe !== 'function') {
+      throw new Error(`Detector "${name}" describe must be a function`);
+    }
+
+    if (typeof priority !== 'number' || !Number.isFinite(priority)) {
+      throw new Error(`Detector "${name}" priority must be a finite number`);
+    }
+
+    if (typeof confidence !== 'number' || confidence < 0 || confidence > 1) {
+      throw new Error(`Detector "${name}" confidence must be a number between 0 and 1`);
+    }
+
+    return {
+      ...definition,
+      name,
+      type,
+      regex: compilePattern(pattern, flags),
+      validate: validator,
+      describe: describe || null,
+      priority,
+      confidence,
+    };
+  }
+
+  /**
+   * Registers a detector.
+   *
+   * @param {Object} definition - Detector definition
+   * @returns {void}
+   * @throws {Error} If the definition is invalid or the name is already registered
+   */
+  function register(definition) {
+    const detector = normalize(definition);
+    if (byName.has(detector.name)) {
+      throw new Error(`Detector "${detector.name}" is already registered`);
+    }
+    byName.set(detector.name, detector);
+  }
+
+  /**
+   * Removes a detector by name.
+   *
+   * @param {string} name - Detector name
+   * @returns {boolean} True if a detector was removed
+   */
+  function unregister(name) {
+    return byName.delete(name);
+  }
+
+  /**
+   * Lists registered detectors, highest priority first.
+   *
+   * @returns {Object[]} Normalized detectors
+   */
+  function list() {
+    return [...byName.values()].sort((a, b) => b.priority - a.priority);
+  }
+
+  /**
+   * Runs every detector against the message and resolves overlaps.
+   *
+   * @param {string} message - Original message
+   * @returns {Array<{type: string, start: number, end: number, detector: string, confidence: number}>}
+   *   Non-overlapping findings sorted by start offset, plus any fields from the detector's describe()
+   */
+  function detect(message) {
+    const candidates = [];
+
+    for (const detector of byName.values()) {
+      for (const match of message.matchAll(detector.regex)) {
+        const value = match[0];
+        if (value === '' || (detector.validate && !detector.validate(value))) {
+          continue;
+        }
+
+        candidates.push({
+          type: detector.type,
+          start: match.index,
+          end: match.index + value.length,
+          detector: detector.name,
+          confidence: detector.confidence,
+          ...(detector.describe ? detector.describe(value) : {}),
+          priority: detector.priority,
+        });
+      }
+    }
+
+    candidates.sort(
+      (a, b) =>
+        b.priority - a.priority ||
+        b.end - b.start - (a.end - a.start) ||
+        a.start - b.start
+    );
+
+    const accepted = [];
+    for (const candidate of candidates) {
+      const overlaps = accepted.some((f) => candidate.start < f.end && candidate.end > f.start);
+      if (!overlaps) {
+        accepted.push(candidate);
+      }
+    }
+
+    return accepted
+      .sort((a, b) => a.start - b.start)
+      .map(({ priority, ...finding }) => finding);
+  }
+
+  for (const definition of detectors) {
+    register(definition);
+  }
+
+  return { register, unregister, list, detect };
+}
+
+module.exports = {
+  createDetectorRegistry,
+};
@@ -0,0 +1,117 @@
+/**
+ * Credit Card Detector — Luhn-valid card numbers
+ *
+ * Built-in sanitizer detector for the CREDIT_CARD type. Matches contiguous
+ * digits as well as numbers grouped with spaces, dashes or dots, and reports
+ * the card brand and IIN (first six digits) in the finding.
+ */
+
+/**
+ * Pattern for potential credit card numbers.
+ * Matches 13-19 consecutive digits, or grouped numbers using one separator
+ * kind throughout (space, dash or dot):
+ * - 4-4-4-1..4 with an optional trailing group of 3 (Visa, Mastercard, Discover, 19-digit cards)
+ * - 4-6-4/5 (Diners, Amex)
+ * Actual validation uses Luhn algorithm.
+ */
+const POTENTIAL_CC_REGEX =
+  /\b(?:\d{13,19}|\d{4}([ .-])\d{4}\1\d{4}\1\d{1,4}(?:\1\d{3})?|\d{4}([ .-])\d{6}\2\d{4,5})\b/g;
+
+/** Separators allowed between digit groups */
+const SEPARATOR_REGEX = /[ .-]/g;
+
+/**
+ * Card brands by IIN range, checked in order.
+ * Each entry lists prefixes as [from, to] ranges over the first N digits.
+ */
+const CARD_BRANDS = [
+  { brand: 'AMEX', ranges: [[34, 34], [37, 37]] },
+  { brand: 'DINERS_CLUB', ranges: [[300, 305], [36, 36], [38, 39]] },
+  { brand: 'JCB', ranges: [[3528, 3589]] },
+  { brand: 'VISA', ranges: [[4, 4]] },
+  { brand: 'MASTERCARD', ranges: [[51, 55], [2221, 2720]] },
+  { brand: 'DISCOVER', ranges: [[6011, 6011], [644, 649], [65, 65]] },
+  { brand: 'UNIONPAY', ranges: [[62, 62]] },
+  { brand: 'MAESTRO', ranges: [[50, 50], [56, 58], [63, 63], [67, 67]] },
+];
+
+/**
+ * Validates a number string using the Luhn algorithm.
+ * Used to verify credit card numbers.
+ *
+ * @param {string} numStr - String of digits to validate
+ * @returns {boolean} True if the number passes Luhn validation
+ */
+function isValidLuhn(numStr) {
+  const digits = numStr.split('').map(Number);
+  const len = digits.length;
+
+  let sum = 0;
+  let isSecond = false;
+
+  // Process from right to left
+  for (let i = len - 1; i >= 0; i--) {
+    let digit = digits[i];
+
+    if (isSecond) {
+      digit = digit * 2;
+      if (digit > 9) {
+        digit = digit - 9;
+      }
+    }
+
+    sum += digit;
+    isSecond = !isSecond;
+  }
+
+  return sum % 10 === 0;
+}
+
+/**
+ * Removes group separators from a card number.
+ *
+ * @param {string} value - Card number as matched (may contain spaces, dashes, dots)
+ * @returns {string} Digits only
+ */
+function stripSeparators(value) {
+  return value.replace(SEPARATOR_REGEX, '');
+}
+
+/**
+ * Identifies the card brand from the number's IIN prefix.
+ *
+ * @param {string} digits - Card number digits (no separators)
+ * @returns {string} Brand name (e.g. VISA) or UNKNOWN
+ */
+function identifyBrand(digits) {
+  for (const { brand, ranges } of CARD_BRANDS) {
+    for (const [from, to] of ranges) {
+      const prefix = Number(digits.slice(0, String(from).length));
+      if (prefix >= from && prefix <= to) {
+        return brand;
+      }
+    }
+  }
+  return 'UNKNOWN';
+}
+
+/** Credit card detector definition */
+const creditCardDetector = {
+  name: 'credit-card-luhn',
+  type: 'CREDIT_CARD',
+  pattern: POTENTIAL_CC_REGEX,
+  validate: (value) => isValidLuhn(stripSeparators(value)),
+  describe: (value) => {
+    const digits = stripSeparators(value);
+    return { brand: identifyBrand(digits), iin: digits.slice(0, 6) };
+  },
+  priority: 200,
+  confidence: 0.9,
+};
+
+module.exports = {
+  creditCardDetector,
+  isValidLuhn,
+  identifyBrand,
+  POTENTIAL_CC_REGEX,
+};
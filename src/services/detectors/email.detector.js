@@ -0,0 +1,27 @@
+/**
+ * Email Detector — RFC-style email addresses
+ *
+ * Built-in sanitizer detector for the EMAIL type.
+ */
+
+/**
+ * RFC-style email regex pattern.
+ * Matches typical email format: local@domain.tld
+ * The lookbehind anchors matches to the start of a local-part run so long
+ * runs without an "@" are scanned once instead of once per character.
+ */
+const EMAIL_REGEX = /(?<![a-zA-Z0-9._%+-])[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
+
+/** Email detector definition */
+const emailDetector = {
+  name: 'email',
+  type: 'EMAIL',
+  pattern: EMAIL_REGEX,
+  priority: 300,
+  confidence: 0.95,
+};
+
+module.exports = {
+  emailDetector,
+  EMAIL_REGEX,
+};
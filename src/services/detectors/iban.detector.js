@@ -0,0 +1,57 @@
+/**
+ * IBAN Detector — International Bank Account Numbers
+ *
+ * Built-in sanitizer detector for the IBAN type. Matches compact IBANs and
+ * IBANs printed in groups of four, validated with the ISO 13616 mod-97 check.
+ */
+
+/**
+ * Pattern for potential IBANs: country code, two check digits, then the
+ * BBAN either contiguous or in space-separated groups of four.
+ * Actual validation uses the mod-97 checksum.
+ */
+const POTENTIAL_IBAN_REGEX = /\b[A-Z]{2}\d{2}(?:[A-Z0-9]{11,30}|(?: [A-Z0-9]{4}){2,7}(?: [A-Z0-9]{1,3})?)\b/g;
+
+/**
+ * Validates an IBAN with the mod-97 checksum.
+ * The first four characters are moved to the end, letters become numbers
+ * (A=10 ... Z=35), and the resulting integer must leave remainder 1.
+ *
+ * @param {string} value - IBAN, with or without spaces
+ * @returns {boolean} True if the IBAN is 15-34 characters and passes mod-97
+ */
+function isValidIBAN(value) {
+  const iban = value.replace(/ /g, '').toUpperCase();
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) {
+    return false;
+  }
+
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+
+  // Process digit by digit to stay within safe integer range
+  let remainder = 0;
+  for (const char of rearranged) {
+    const digits = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+    for (const digit of digits) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+
+  return remainder === 1;
+}
+
+/** IBAN detector definition */
+const ibanDetector = {
+  name: 'iban-mod97',
+  type: 'IBAN',
+  pattern: POTENTIAL_IBAN_REGEX,
+  validate: isValidIBAN,
+  priority: 250,
+  confidence: 0.95,
+};
+
+module.exports = {
+  ibanDetector,
+  isValidIBAN,
+  POTENTIAL_IBAN_REGEX,
+};
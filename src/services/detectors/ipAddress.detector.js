@@ -0,0 +1,65 @@
+/**
+ * IP Address Detector — IPv4 and IPv6 addresses
+ *
+ * Built-in sanitizer detectors for the IP_ADDRESS type. Dotted quads right
+ * after "version" or "v" are version numbers, not addresses. IPv6 candidates
+ * (full, compressed and IPv4-mapped forms) are confirmed with Node's
+ * net.isIPv6() so timestamps and MAC addresses are not redacted; compressed
+ * forms must also contain a decimal digit, so scope operators between hex
+ * words (a::b, dead::beef) are not taken for addresses.
+ */
+
+const net = require('net');
+
+/** Pattern for dotted-quad IPv4 addresses with octets 0-255, not preceded by "version" or "v" */
+const IPV4_REGEX =
+  /(?<!\b[Vv](?:ersion|ERSION)?[\s:]*)\b(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\b/g;
+
+/**
+ * Pattern for IPv6 candidates: 2-7 colon-terminated hex groups followed by an
+ * optional hex group or embedded IPv4 address.
+ */
+const IPV6_REGEX =
+  /(?<![\w:])(?:[0-9A-Fa-f]{0,4}:){2,7}(?:(?:\d{1,3}\.){3}\d{1,3}|[0-9A-Fa-f]{1,4})?(?![\w:])/g;
+
+/**
+ * Confirms an IPv6 candidate.
+ * The bare unspecified address "::" is not treated as PII, and neither are
+ * compressed forms made of letters only (a::b), which are far more often code.
+ *
+ * @param {string} value - IPv6 candidate
+ * @returns {boolean} True if value is a valid IPv6 address
+ */
+function isValidIPv6(value) {
+  if (value.includes('::') && !/\d/.test(value)) {
+    return false;
+  }
+  return net.isIPv6(value);
+}
+
+/** IPv4 detector definition */
+const ipv4Detector = {
+  name: 'ip-v4',
+  type: 'IP_ADDRESS',
+  pattern: IPV4_REGEX,
+  priority: 80,
+  confidence: 0.8,
+};
+
+/** IPv6 detector definition */
+const ipv6Detector = {
+  name: 'ip-v6',
+  type: 'IP_ADDRESS',
+  pattern: IPV6_REGEX,
+  validate: isValidIPv6,
+  priority: 80,
+  confidence: 0.9,
+};
+
+module.exports = {
+  ipv4Detector,
+  ipv6Detector,
+  isValidIPv6,
+  IPV4_REGEX,
+  IPV6_REGEX,
+};
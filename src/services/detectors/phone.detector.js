@@ -0,0 +1,60 @@
+/**
+ * Phone Detector — International (E.164) and North American phone numbers
+ *
+ * Built-in sanitizer detectors for the PHONE type:
+ * - phone-e164: "+" followed by a country code and 8-15 digits in total,
+ *   contiguous or grouped with spaces, dashes or dots (+14155552671, +44 20 7946 0958)
+ * - phone-national: NANP numbers written with separators
+ *   ((415) 555-2671, 415-555-2671, 415.555.2671, 415 555 2671)
+ */
+
+/**
+ * Pattern for E.164 numbers, optionally grouped.
+ * Digit count is checked by isValidE164().
+ */
+const E164_REGEX = /(?<![\w+])\+[1-9]\d{0,3}(?:[ .-]?\d{1,4}){1,6}\b/g;
+
+/**
+ * Pattern for North American numbers with separators.
+ * Area code and exchange cannot start with 0 or 1; a separator is required
+ * before the last four digits so plain 10-digit numbers are not matched.
+ */
+const NATIONAL_PHONE_REGEX = /(?:\([2-9]\d{2}\) ?|\b[2-9]\d{2}[ .-])[2-9]\d{2}[ .-]\d{4}\b/g;
+
+/**
+ * Checks that an E.164 candidate carries 8-15 digits (country code included).
+ *
+ * @param {string} value - Candidate starting with "+"
+ * @returns {boolean} True if the digit count is within E.164 limits
+ */
+function isValidE164(value) {
+  const digitCount = value.replace(/\D/g, '').length;
+  return digitCount >= 8 && digitCount <= 15;
+}
+
+/** E.164 phone detector definition */
+const e164PhoneDetector = {
+  name: 'phone-e164',
+  type: 'PHONE',
+  pattern: E164_REGEX,
+  validate: isValidE164,
+  priority: 95,
+  confidence: 0.85,
+};
+
+/** National phone detector definition */
+const nationalPhoneDetector = {
+  name: 'phone-national',
+  type: 'PHONE',
+  pattern: NATIONAL_PHONE_REGEX,
+  priority: 90,
+  confidence: 0.7,
+};
+
+module.exports = {
+  e164PhoneDetector,
+  nationalPhoneDetector,
+  isValidE164,
+  E164_REGEX,
+  NATIONAL_PHONE_REGEX,
+};
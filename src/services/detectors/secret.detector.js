@@ -0,0 +1,129 @@
+/**
+ * Secret Detector — API keys, tokens and private keys
+ *
+ * Built-in sanitizer detectors for the SECRET type. Known credential formats
+ * are matched by prefix/shape; anything else that looks like a key is caught
+ * by Shannon-entropy scoring, but only right after a key-like label
+ * (key=, token:, "password": ...), so base64 data and hashes in prose are
+ * left alone. Every finding carries a `kind` naming the
+ * secret family (e.g. AWS_ACCESS_KEY, JWT, HIGH_ENTROPY).
+ */
+
+/** PEM private key blocks; a block without END is redacted to the end of the message */
+const PRIVATE_KEY_REGEX =
+  /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY-----[\s\S]*?(?:-----END (?:[A-Z0-9]+ )*PRIVATE KEY-----|$)/g;
+
+/** JSON Web Tokens: base64url header and payload starting with {" ("eyJ"), optional signature */
+const JWT_REGEX = /\beyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g;
+
+/** AWS access key IDs */
+const AWS_ACCESS_KEY_REGEX = /\b(?:AKIA|ASIA|ABIA|ACCA)[A-Z0-9]{16}\b/g;
+
+/** GitHub personal access, OAuth, user-to-server, server-to-server, refresh and fine-grained tokens */
+const GITHUB_TOKEN_REGEX = /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g;
+
+/** Slack bot, user, app and refresh tokens */
+const SLACK_TOKEN_REGEX = /\bxox[abeprs]-[A-Za-z0-9-]{10,}\b/g;
+
+/** Stripe secret and restricted keys */
+const STRIPE_KEY_REGEX = /\b[sr]k_(?:live|test)_[A-Za-z0-9]{16,}\b/g;
+
+/** Google API keys */
+const GOOGLE_API_KEY_REGEX = /\bAIza[0-9A-Za-z_-]{35}\b/g;
+
+/** Token following a "Bearer" scheme, e.g. in a pasted Authorization header */
+const BEARER_TOKEN_REGEX = /(?<=\bBearer\s+)[A-Za-z0-9\-._~+/]{16,}=*/g;
+
+/**
+ * Candidate generic secrets: 24+ characters from the base64/base64url alphabet,
+ * labeled by a word ending in key, secret, token, password, passwd, pwd,
+ * credential(s) or auth (api_key=, SECRET_TOKEN: "...", token ...).
+ */
+const HIGH_ENTROPY_CANDIDATE_REGEX =
+  /(?<=(?:key|secret|token|passw(?:or)?d|pwd|credentials?|auth)["']?\s*[:=]?\s*["']?)(?<![A-Za-z0-9+/_-])[A-Za-z0-9+/_-]{24,}={0,2}(?![A-Za-z0-9+/=_-])/gi;
+
+/** Minimum Shannon entropy (bits per character) for a generic secret */
+const MIN_SECRET_ENTROPY = 4.2;
+
+/**
+ * Computes the Shannon entropy of a string in bits per character.
+ *
+ * @param {string} value - Input string
+ * @returns {number} Entropy (0 for empty input)
+ */
+function shannonEntropy(value) {
+  if (typeof value !== 'string' || value === '') {
+    return 0;
+  }
+
+  const counts = new Map();
+  for (const char of value) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / value.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+/**
+ * Decides whether a candidate string looks like a generic secret: it must mix
+ * letters and digits and reach MIN_SECRET_ENTROPY.
+ *
+ * @param {string} value - Candidate string
+ * @returns {boolean} True if the value is likely a secret
+ */
+function isHighEntropySecret(value) {
+  return /[A-Za-z]/.test(value) && /\d/.test(value) && shannonEntropy(value) >= MIN_SECRET_ENTROPY;
+}
+
+/**
+ * Builds a known-format secret detector.
+ *
+ * @param {string} name - Detector name
+ * @param {string} kind - Secret kind reported in findings
+ * @param {RegExp} pattern - Detection pattern
+ * @param {number} priority - Overlap priority
+ * @returns {Object} Detector definition
+ */
+function knownSecret(name, kind, pattern, priority) {
+  return {
+    name,
+    type: 'SECRET',
+    pattern,
+    describe: () => ({ kind }),
+    priority,
+    confidence: 0.99,
+  };
+}
+
+/** Secret detector definitions, most specific first */
+const secretDetectors = [
+  knownSecret('secret-private-key', 'PRIVATE_KEY', PRIVATE_KEY_REGEX, 500),
+  knownSecret('secret-jwt', 'JWT', JWT_REGEX, 450),
+  knownSecret('secret-aws-access-key', 'AWS_ACCESS_KEY', AWS_ACCESS_KEY_REGEX, 450),
+  knownSecret('secret-github-token', 'GITHUB_TOKEN', GITHUB_TOKEN_REGEX, 450),
+  knownSecret('secret-slack-token', 'SLACK_TOKEN', SLACK_TOKEN_REGEX, 450),
+  knownSecret('secret-stripe-key', 'STRIPE_KEY', STRIPE_KEY_REGEX, 450),
+  knownSecret('secret-google-api-key', 'GOOGLE_API_KEY', GOOGLE_API_KEY_REGEX, 450),
+  knownSecret('secret-bearer-token', 'BEARER_TOKEN', BEARER_TOKEN_REGEX, 400),
+  {
+    name: 'secret-high-entropy',
+    type: 'SECRET',
+    pattern: HIGH_ENTROPY_CANDIDATE_REGEX,
+    validate: isHighEntropySecret,
+    describe: (value) => ({ kind: 'HIGH_ENTROPY', entropy: Math.round(shannonEntropy(value) * 100) / 100 }),
+    priority: 50,
+    confidence: 0.6,
+  },
+];
+
+module.exports = {
+  secretDetectors,
+  shannonEntropy,
+  isHighEntropySecret,
+  MIN_SECRET_ENTROPY,
+};
@@ -0,0 +1,70 @@
+/**
+ * SSN Detector — Social Security Numbers
+ *
+ * Built-in sanitizer detectors for the SSN type:
+ * - ssn-formatted: AAA-GG-SSSS (dashes or spaces), checked against SSA rules
+ * - ssn-nine-digits: any 9 consecutive digits, lower confidence
+ */
+
+/**
+ * Pattern for SSN: exactly 9 consecutive digits (not part of longer sequence).
+ * Uses word boundaries to avoid matching within larger numbers.
+ */
+const SSN_REGEX = /\b\d{9}\b/g;
+
+/**
+ * Pattern for formatted SSN: AAA-GG-SSSS, using one separator kind (dash or space).
+ * The only capture group is the first separator; \1 requires the second one to match it.
+ */
+const FORMATTED_SSN_REGEX = /\b\d{3}([- ])\d{2}\1\d{4}\b/g;
+
+/**
+ * Checks an SSN against SSA assignment rules: area is not 000, 666 or 9xx,
+ * group is not 00, and serial is not 0000.
+ *
+ * @param {string} value - SSN, with or without separators
+ * @returns {boolean} True if the number could be a validly issued SSN
+ */
+function isValidSSN(value) {
+  const digits = value.replace(/[- ]/g, '');
+  if (!/^\d{9}$/.test(digits)) {
+    return false;
+  }
+
+  const area = digits.slice(0, 3);
+  const group = digits.slice(3, 5);
+  const serial = digits.slice(5);
+
+  if (area === '000' || area === '666' || area[0] === '9') {
+    return false;
+  }
+
+  return group !== '00' && serial !== '0000';
+}
+
+/** Formatted SSN detector definition */
+const formattedSsnDetector = {
+  name: 'ssn-formatted',
+  type: 'SSN',
+  pattern: FORMATTED_SSN_REGEX,
+  validate: isValidSSN,
+  priority: 110,
+  confidence: 0.85,
+};
+
+/** Nine-digit SSN detector definition */
+const ssnDetector = {
+  name: 'ssn-nine-digits',
+  type: 'SSN',
+  pattern: SSN_REGEX,
+  priority: 100,
+  confidence: 0.6,
+};
+
+module.exports = {
+  formattedSsnDetector,
+  ssnDetector,
+  isValidSSN,
+  SSN_REGEX,
+  FORMATTED_SSN_REGEX,
+};
@@ -0,0 +1,292 @@
+/**
+ * Masking Service — Per-type replacement strategies for redacted PII
+ *
+ * Decides what a detected value is replaced with before the message leaves
+ * the gateway. Strategies:
+ * - full: anonymous placeholder, <REDACTED: TYPE> (default)
+ * - partial: keeps a little context; emails keep their domain (***@gmail.com),
+ *   everything else keeps its last four letters/digits (****-****-****-1111)
+ * - hash: keyed HMAC pseudonym, <TYPE:1a2b3c4d5e>; the same value always gets
+ *   the same pseudonym for a given key
+ * - synthetic: a realistic surrogate of the same shape that still passes the
+ *   type's format checks (Luhn-valid card, SSA-valid SSN, mod-97-valid IBAN,
+ *   reserved example domains, documentation IP ranges, fictional 555 numbers)
+ *
+ * Hash and synthetic values are derived from an HMAC of the value, so they are
+ * deterministic for a given key. Without a configured key a random key is
+ * generated per masker, keeping pseudonyms stable for the process lifetime.
+ */
+
+const crypto = require('crypto');
+const { isValidLuhn } = require('./detectors/creditCard.detector');
+const { isValidSSN } = require('./detectors/ssn.detector');
+const { isValidIBAN } = require('./detectors/iban.detector');
+
+/** Supported masking strategies */
+const STRATEGIES = ['full', 'partial', 'hash', 'synthetic'];
+
+/** Letters and digits kept at the end of a value by the partial strategy */
+const PARTIAL_VISIBLE_CHARS = 4;
+
+/** Values with fewer letters/digits than this are masked entirely by the partial strategy */
+const PARTIAL_MIN_CHARS = 8;
+
+/** Hex characters of the HMAC shown in hash pseudonyms */
+const HASH_LENGTH = 10;
+
+/** Local parts and reserved domains used for synthetic emails */
+const SYNTHETIC_NAMES = ['alex', 'sam', 'jordan', 'taylor', 'casey', 'morgan', 'riley', 'jamie'];
+const SYNTHETIC_EMAIL_DOMAINS = ['example.com', 'example.org', 'example.net'];
+
+/** Documentation-only IPv4 prefixes (RFC 5737) */
+const SYNTHETIC_IPV4_PREFIXES = ['192.0.2', '198.51.100', '203.0.113'];
+
+/** Letters and digits in any script, so obfuscated values (e.g. fullwidth digits) are masked too */
+const ALNUM_REGEX = /[\p{L}\p{N}]/gu;
+
+/** Values made only of printable ASCII, which per-type synthesizers can parse */
+const PLAIN_ASCII_REGEX = /^[\x20-\x7E]*$/;
+
+const LOWER = 'abcdefghijklmnopqrstuvwxyz';
+const UPPER = LOWER.toUpperCase();
+
+/**
+ * Builds the anonymous placeholder for a PII type.
+ *
+ * @param {string} type - PII type (e.g. EMAIL)
+ * @returns {string} Placeholder such as <REDACTED: EMAIL>
+ */
+function placeholderFor(type) {
+  return `<REDACTED: ${type}>`;
+}
+
+/**
+ * Masks all letters and digits of a value except the last few, keeping separators.
+ *
+ * @param {string} value - Original value
+ * @param {number} visible - Number of trailing letters/digits to keep
+ * @returns {string} Masked value
+ */
+function maskTail(value, visible) {
+  let remaining = (value.match(ALNUM_REGEX) || []).length - visible;
+  return value.replace(ALNUM_REGEX, (char) => (remaining-- > 0 ? '*' : char));
+}
+
+/**
+ * Partially masks a value.
+ *
+ * @param {string} type - PII type
+ * @param {string} value - Original value
+ * @returns {string} Partially masked value
+ */
+function partialMask(type, value) {
+  const at = value.lastIndexOf('@');
+  if (type === 'EMAIL' && at > 0) {
+    return `***${value.slice(at)}`;
+  }
+
+  const chars = (value.match(ALNUM_REGEX) || []).length;
+  return maskTail(value, chars >= PARTIAL_MIN_CHARS ? PARTIAL_VISIBLE_CHARS : 0);
+}
+
+/**
+ * Creates a deterministic pseudo-random stream seeded by an HMAC of the value.
+ *
+ * @param {Buffer} key - HMAC key
+ * @param {string} seed - Seed text (type and value)
+ * @returns {{next: Function, pick: Function}} next(n) → integer in [0, n); pick(list) → element
+ */
+function createStream(key, seed) {
+  let block = 0;
+  let bytes = Buffer.alloc(0);
+  let pos = 0;
+
+  function next(n) {
+    if (pos >= bytes.length) {
+      bytes = crypto.createHmac('sha256', key).update(`${seed}:${block++}`).digest();
+      pos = 0;
+    }
+    return bytes[pos++] % n;
+  }
+
+  return { next, pick: (list) => list[next(list.length)] };
+}
+
+/**
+ * Replaces letters and digits with random ones of the same class, keeping
+ * case, separators and length.
+ *
+ * @param {string} value - Original value
+ * @param {Object} stream - Deterministic stream
+ * @returns {string} Value of the same shape
+ */
+function reshape(value, stream) {
+  return value.replace(ALNUM_REGEX, (char) => {
+    if (/\p{N}/u.test(char)) return String(stream.next(10));
+    return (char === char.toUpperCase() ? UPPER : LOWER)[stream.next(26)];
+  });
+}
+
+/**
+ * Pours a digit string into the digit positions of a value, keeping its other characters.
+ *
+ * @param {string} value - Original value
+ * @param {string} digits - Replacement digits, one per digit of value
+ * @returns {string} Value with digits replaced
+ */
+function pourDigits(value, digits) {
+  let i = 0;
+  return value.replace(/\d/g, () => digits[i++]);
+}
+
+/**
+ * Generates random digits.
+ *
+ * @param {Object} stream - Deterministic stream
+ * @param {number} count - Number of digits
+ * @returns {string} Digit string
+ */
+function randomDigits(stream, count) {
+  let digits = '';
+  for (let i = 0; i < count; i++) {
+    digits += String(stream.next(10));
+  }
+  return digits;
+}
+
+/**
+ * Synthetic surrogate generators by PII type: (value, stream) → surrogate.
+ * Values that do not have the expected shape (e.g. an encoded segment) are reshaped instead.
+ */
+const SYNTHESIZERS = {
+  EMAIL: (value, stream) =>
+    `${stream.pick(SYNTHETIC_NAMES)}.${randomDigits(stream, 4)}@${stream.pick(SYNTHETIC_EMAIL_DOMAINS)}`,
+
+  CREDIT_CARD: (value, stream) => {
+    const digits = value.replace(/\D/g, '');
+    if (digits.length < 13) {
+      return reshape(value, stream);
+    }
+    const body = digits[0] + randomDigits(stream, digits.length - 2);
+    for (let check = 0; check <= 9; check++) {
+      if (isValidLuhn(body + check)) {
+        return pourDigits(value, body + check);
+      }
+    }
+    return reshape(value, stream);
+  },
+
+  SSN: (value, stream) => {
+    if (value.replace(/\D/g, '').length !== 9) {
+      return reshape(value, stream);
+    }
+    let digits;
+    do {
+      digits = randomDigits(stream, 9);
+    } while (!isValidSSN(digits));
+    return pourDigits(value, digits);
+  },
+
+  PHONE: (value, stream) => {
+    const count = value.replace(/\D/g, '').length;
+    if (count < 8) {
+      return reshape(value, stream);
+    }
+    if (value.startsWith('+')) {
+      return pourDigits(value, value.match(/\d/)[0] + randomDigits(stream, count - 1));
+    }
+    // North American numbers: 555-01XX is reserved for fictional use
+    const area = String(2 + stream.next(8)) + randomDigits(stream, 2);
+    return pourDigits(value, area + '55501' + randomDigits(stream, count - 8));
+  },
+
+  IP_ADDRESS: (value, stream) => {
+    if (!/^[\d.]+$|:/.test(value)) {
+      return reshape(value, stream);
+    }
+    if (value.includes(':')) {
+      const hextet = () => ((stream.next(256) << 8) | stream.next(256)).toString(16);
+      return `2001:db8::${hextet()}:${hextet()}`;
+    }
+    return `${stream.pick(SYNTHETIC_IPV4_PREFIXES)}.${1 + stream.next(254)}`;
+  },
+
+  IBAN: (value, stream) => {
+    const compact = value.replace(/ /g, '');
+    if (!/^[A-Z]{2}\d{2}[A-Z0-9]+$/.test(compact)) {
+      return reshape(value, stream);
+    }
+    const bban = reshape(compact.slice(4), stream).toUpperCase();
+    for (let check = 2; check <= 98; check++) {
+      const candidate = compact.slice(0, 2) + String(check).padStart(2, '0') + bban;
+      if (isValidIBAN(candidate)) {
+        let i = 0;
+        return value.replace(/[^ ]/g, () => candidate[i++]);
+      }
+    }
+    return reshape(value, stream);
+  },
+};
+
+/**
+ * Creates a masker.
+ *
+ * @param {Object} [options] - Masking options
+ * @param {Object<string, string>} [options.strategies] - Strategy per PII type, e.g. { CREDIT_CARD: 'partial' }
+ * @param {string} [options.defaultStrategy='full'] - Strategy for types not listed in strategies
+ * @param {string} [options.hmacKey] - Key for hash and synthetic values (random per masker if omitted)
+ * @returns {{mask: Function, strategyFor: Function}} mask(type, value) → replacement; strategyFor(type) → strategy name
+ * @throws {Error} If a strategy name is unknown
+ */
+function createMasker({ strategies = {}, defaultStrategy = 'full', hmacKey } = {}) {
+  for (const strategy of [defaultStrategy, ...Object.values(strategies)]) {
+    if (!STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown masking strategy "${strategy}" (expected one of: ${STRATEGIES.join(', ')})`);
+    }
+  }
+
+  const key = hmacKey ? Buffer.from(hmacKey, 'utf8') : crypto.randomBytes(32);
+
+  /**
+   * Resolves the strategy for a PII type.
+   *
+   * @param {string} type - PII type
+   * @returns {string} Strategy name
+   */
+  function strategyFor(type) {
+    return strategies[type] || defaultStrategy;
+  }
+
+  /**
+   * Computes the replacement for a detected value.
+   *
+   * @param {string} type - PII type
+   * @param {string} value - Original value
+   * @returns {string} Replacement text
+   */
+  function mask(type, value) {
+    switch (strategyFor(type)) {
+      case 'partial':
+        return partialMask(type, value);
+      case 'hash': {
+        const digest = crypto.createHmac('sha256', key).update(`${type}:${value}`).digest('hex');
+        return `<${type}:${digest.slice(0, HASH_LENGTH)}>`;
+      }
+      case 'synthetic': {
+        const stream = createStream(key, `${type}:${value}`);
+        const synthesize = (PLAIN_ASCII_REGEX.test(value) && SYNTHESIZERS[type]) || reshape;
+        return synthesize(value, stream);
+      }
+      default:
+        return placeholderFor(type);
+    }
+  }
+
+  return { mask, strategyFor };
+}
+
+module.exports = {
+  createMasker,
+  placeholderFor,
+  STRATEGIES,
+};
@@ -0,0 +1,227 @@
+/**
+ * Normalizer Service — Unicode and obfuscation normalization before detection
+ *
+ * Produces a detector-friendly copy of a message so that look-alike or
+ * disguised PII is still caught:
+ * 1. Invisible characters (zero-width spaces/joiners, soft hyphens, bidi marks) are removed
+ * 2. Each base character and its combining marks are NFKC-normalized
+ *    (fullwidth digits → ASCII, ＠ → @, ligatures expanded)
+ * 3. Homoglyphs NFKC leaves alone are folded (Cyrillic/Greek look-alike letters,
+ *    Unicode dashes and dots, non-Latin decimal digits)
+ * 4. Common obfuscations are rewritten ("john at example dot com",
+ *    "john [at] example (dot) com" → "john@example.com")
+ *
+ * Every character of the normalized text remembers the span of the original
+ * text it came from, so detector offsets can be mapped back and redaction
+ * still replaces the exact original characters.
+ *
+ * No external I/O; pure string transformation.
+ */
+
+/** Invisible characters removed before detection: soft hyphen, Mongolian vowel separator, zero-width space/joiners, bidi marks and isolates, word joiner, BOM */
+const INVISIBLE_REGEX = /[\u00AD\u180E\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF]/g;
+
+/** A base character followed by its combining marks */
+const CLUSTER_REGEX = /\P{M}\p{M}*|\p{M}+/gu;
+
+/** Messages made only of these characters need no per-character normalization */
+const PLAIN_ASCII_REGEX = /^[\x20-\x7E\t\r\n]*$/;
+
+/** Look-alike characters NFKC does not fold, mapped to their ASCII counterparts */
+const HOMOGLYPHS = {
+  // Cyrillic а е о р с у х і ј ѕ А В Е К М Н О Р С Т Х
+  '\u0430': 'a', '\u0435': 'e', '\u043E': 'o', '\u0440': 'p', '\u0441': 'c', '\u0443': 'y',
+  '\u0445': 'x', '\u0456': 'i', '\u0458': 'j', '\u0455': 's', '\u0410': 'A', '\u0412': 'B',
+  '\u0415': 'E', '\u041A': 'K', '\u041C': 'M', '\u041D': 'H', '\u041E': 'O', '\u0420': 'P',
+  '\u0421': 'C', '\u0422': 'T', '\u0425': 'X',
+  // Greek ο α ν Ο Α Β Ε Ζ Η Ι Κ Μ Ν Ρ Τ Χ Υ
+  '\u03BF': 'o', '\u03B1': 'a', '\u03BD': 'v', '\u039F': 'O', '\u0391': 'A', '\u0392': 'B',
+  '\u0395': 'E', '\u0396': 'Z', '\u0397': 'H', '\u0399': 'I', '\u039A': 'K', '\u039C': 'M',
+  '\u039D': 'N', '\u03A1': 'P', '\u03A4': 'T', '\u03A7': 'X', '\u03A5': 'Y',
+  // Ideographic and leader dots
+  '\u3002': '.', '\u2024': '.',
+  // Hyphens, dashes and minus signs
+  '\u2010': '-', '\u2011': '-', '\u2012': '-', '\u2013': '-', '\u2014': '-', '\u2015': '-',
+  '\u2212': '-',
+};
+
+/** First code point of decimal digit blocks folded to ASCII 0-9 (Arabic-Indic, Extended Arabic-Indic, Devanagari, Bengali) */
+const DIGIT_BLOCK_ZEROS = [0x0660, 0x06f0, 0x0966, 0x09e6];
+
+/** Bracketed "at"/"dot" anywhere: [at], (at), {at}, <at>, [dot], ... */
+const BRACKETED_AT_DOT_REGEX = /\s*[[({<]\s*(at|dot)\s*[\])}>]\s*/gi;
+
+/**
+ * Email-shaped runs where "@" and/or "." may be spelled out as words:
+ * local (at|@) label ((dot|.) label)+
+ * Only runs with a spelled " dot " are rewritten (see rewriteSpelledEmail).
+ */
+const SPELLED_EMAIL_REGEX =
+  /(?<![A-Za-z0-9._%+-])[A-Za-z0-9._%+-]+(?:\s+at\s+|@)[A-Za-z0-9-]+(?:(?:\s+dot\s+|\.)[A-Za-z0-9-]+)+/gi;
+
+/**
+ * Folds a single character with the homoglyph and digit tables.
+ *
+ * @param {string} char - One character (after NFKC)
+ * @returns {string} Folded character
+ */
+function foldChar(char) {
+  if (HOMOGLYPHS[char]) {
+    return HOMOGLYPHS[char];
+  }
+
+  const code = char.codePointAt(0);
+  for (const zero of DIGIT_BLOCK_ZEROS) {
+    if (code >= zero && code <= zero + 9) {
+      return String(code - zero);
+    }
+  }
+
+  return char;
+}
+
+/**
+ * Rewrites a spelled-out email ("john at example dot com") to its literal form.
+ * A spelled " dot " is required so that phrases like "look at example.com"
+ * are left alone.
+ *
+ * @param {string} match - Email-shaped run
+ * @returns {string} Rewritten run, or the run unchanged
+ */
+function rewriteSpelledEmail(match) {
+  if (!/\s+dot\s+/i.test(match)) {
+    return match;
+  }
+  return match.replace(/\s+at\s+/gi, '@').replace(/\s+dot\s+/gi, '.');
+}
+
+/**
+ * Appends a range of one span array to another.
+ *
+ * @param {number[]} target - Array to append to
+ * @param {number[]} source - Array to copy from
+ * @param {number} from - Start index in source
+ * @param {number} to - End index (exclusive) in source
+ * @returns {void}
+ */
+function appendRange(target, source, from, to) {
+  for (let i = from; i < to; i++) {
+    target.push(source[i]);
+  }
+}
+
+/**
+ * Applies a regex rewrite to the normalized text, keeping spans aligned.
+ * Every character of a replacement maps to the original span of the whole
+ * match; matches the replacer leaves unchanged keep their own spans.
+ *
+ * @param {{text: string, starts: number[], ends: number[]}} state - Normalized text and spans
+ * @param {RegExp} regex - Global pattern to rewrite
+ * @param {Function} replacer - (match, matchArray) => replacement string
+ * @returns {{text: string, starts: number[], ends: number[]}} Rewritten state
+ */
+function rewrite(state, regex, replacer) {
+  let text = '';
+  const starts = [];
+  const ends = [];
+  let cursor = 0;
+
+  for (const match of state.text.matchAll(regex)) {
+    const matchStart = match.index;
+    const matchEnd = matchStart + match[0].length;
+    const replacement = replacer(match[0], match);
+    if (matchEnd === matchStart || replacement === match[0]) {
+      continue;
+    }
+
+    text += state.text.slice(cursor, matchStart);
+    appendRange(starts, state.starts, cursor, matchStart);
+    appendRange(ends, state.ends, cursor, matchStart);
+
+    const spanStart = state.starts[matchStart];
+    const spanEnd = state.ends[matchEnd - 1];
+    for (let i = 0; i < replacement.length; i++) {
+      starts.push(spanStart);
+      ends.push(spanEnd);
+    }
+    text += replacement;
+    cursor = matchEnd;
+  }
+
+  if (cursor === 0) {
+    return state;
+  }
+
+  text += state.text.slice(cursor);
+  appendRange(starts, state.starts, cursor, state.text.length);
+  appendRange(ends, state.ends, cursor, state.text.length);
+  return { text, starts, ends };
+}
+
+/**
+ * Normalizes characters one cluster (base character + combining marks) at a time.
+ *
+ * @param {string} message - Original message
+ * @returns {{text: string, starts: number[], ends: number[]}} Character-normalized state
+ */
+function normalizeCharacters(message) {
+  const starts = [];
+  const ends = [];
+
+  if (PLAIN_ASCII_REGEX.test(message)) {
+    for (let i = 0; i < message.length; i++) {
+      starts.push(i);
+      ends.push(i + 1);
+    }
+    return { text: message, starts, ends };
+  }
+
+  let text = '';
+  for (const match of message.matchAll(CLUSTER_REGEX)) {
+    const cluster = match[0];
+    const spanStart = match.index;
+    const spanEnd = spanStart + cluster.length;
+
+    const visible = cluster.replace(INVISIBLE_REGEX, '');
+    const folded = [...visible.normalize('NFKC')].map(foldChar).join('');
+
+    for (let i = 0; i < folded.length; i++) {
+      starts.push(spanStart);
+      ends.push(spanEnd);
+    }
+    text += folded;
+  }
+
+  return { text, starts, ends };
+}
+
+/**
+ * Normalizes a message for detection.
+ *
+ * @param {string} message - Original message
+ * @returns {{text: string, starts: number[], ends: number[]}} Normalized text; starts[i]/ends[i]
+ *   give the original [start, end) span that normalized character i came from
+ */
+function normalize(message) {
+  let state = normalizeCharacters(message);
+  state = rewrite(state, BRACKETED_AT_DOT_REGEX, (_m, match) => (match[1].toLowerCase() === 'at' ? '@' : '.'));
+  state = rewrite(state, SPELLED_EMAIL_REGEX, rewriteSpelledEmail);
+  return state;
+}
+
+/**
+ * Maps a [start, end) range of the normalized text back to the original message.
+ *
+ * @param {{starts: number[], ends: number[]}} normalized - Result of normalize()
+ * @param {number} start - Start offset in the normalized text
+ * @param {number} end - End offset (exclusive) in the normalized text
+ * @returns {{start: number, end: number}} Range in the original message
+ */
+function toOriginalRange(normalized, start, end) {
+  return { start: normalized.starts[start], end: normalized.ends[end - 1] };
+}
+
+module.exports = {
+  normalize,
+  toOriginalRange,
+};
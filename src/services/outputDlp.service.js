@@ -0,0 +1,142 @@
+/**
+ * Output DLP Service — Scans AI answers for PII before they are returned
+ *
+ * Runs the sanitizer's detectors on the answer, because a model may echo or
+ * hallucinate card numbers, secrets and other PII. Actions:
+ * - redact: found values are replaced like in the message (default)
+ * - flag: the answer is returned as-is; the findings are only reported
+ * - block: an answer with findings is not returned at all
+ * - off: answers are not scanned
+ *
+ * Streamed answers are scanned chunk by chunk through a stream transformer
+ * that holds back values split across chunks, so they are found exactly as in
+ * the whole answer. Blocking a stream stops it before the first value found;
+ * text released before that value has already been sent.
+ *
+ * No external I/O; detection is delegated to the injected sanitizer.
+ */
+
+const { createStreamTransformer, transformStream, createDetectionHold } = require('./streamTransformer.service');
+
+/** Supported output DLP actions */
+const OUTPUT_DLP_ACTIONS = ['off', 'flag', 'redact', 'block'];
+
+/** Reason code reported when an answer is blocked */
+const OUTPUT_BLOCKED_REASON_CODE = 'PII_IN_ANSWER';
+
+/**
+ * Custom error class for answers blocked by the output DLP.
+ * Route layer can check for this to return 502 with the machine-readable reason.
+ */
+class OutputBlockedError extends Error {
+  /**
+   * @param {{code: string, types: string[], kinds?: string[]}} reason - What the answer contained
+   */
+  constructor(reason) {
+    super('Answer blocked by output DLP');
+    this.name = 'OutputBlockedError';
+    this.isOutputBlocked = true;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Builds the reason reported for a blocked answer.
+ *
+ * @param {Array<{type: string, kind?: string}>} findings - Findings in the answer
+ * @returns {{code: string, types: string[], kinds?: string[]}} Offending types and secret kinds
+ */
+function blockReason(findings) {
+  const reason = { code: OUTPUT_BLOCKED_REASON_CODE, types: [...new Set(findings.map((f) => f.type))] };
+  const kinds = [...new Set(findings.map((f) => f.kind).filter(Boolean))];
+  if (kinds.length > 0) {
+    reason.kinds = kinds;
+  }
+  return reason;
+}
+
+/**
+ * Creates an output DLP.
+ *
+ * @param {Object} options - DLP options
+ * @param {Object} options.sanitizer - Sanitizer service with sanitizeWithReport(text, { preserve })
+ * @param {string} [options.action='redact'] - off, flag, redact or block
+ * @param {Function} [options.preserve] - (finding) => true for values the answer may contain (e.g. allowed by the
+ *   PII policy); they are neither reported nor redacted
+ * @returns {{action: string, startScan: Function}} DLP; startScan() scans one answer
+ * @throws {Error} If the action is unknown
+ */
+function createOutputDlp({ sanitizer, action = 'redact', preserve }) {
+  if (!OUTPUT_DLP_ACTIONS.includes(action)) {
+    throw new Error(`Unknown output DLP action "${action}" (expected one of: ${OUTPUT_DLP_ACTIONS.join(', ')})`);
+  }
+
+  /**
+   * Detects the findings in a piece of the answer.
+   *
+   * @param {string} text - Answer text
+   * @returns {{sanitizedMessage: string, findings: Array<Object>}} Redacted text and findings
+   */
+  function detect(text) {
+    return sanitizer.sanitizeWithReport(text, { preserve });
+  }
+
+  /**
+   * Starts scanning one answer, whole or streamed.
+   *
+   * @returns {{scanAnswer: Function, scanStream: Function, findings: Function}} scanAnswer(answer) → answer to
+   *   return; scanStream(chunks) → chunks to send; findings() → every finding so far
+   */
+  function startScan() {
+    const found = [];
+
+    /**
+     * Applies the action to a piece of the answer.
+     *
+     * @param {string} text - Answer text
+     * @returns {string} Text to return
+     * @throws {OutputBlockedError} If the action is block and the text contains PII
+     */
+    function scanAnswer(text) {
+      if (action === 'off') {
+        return text;
+      }
+
+      const { sanitizedMessage, findings } = detect(text);
+      found.push(...findings);
+      if (findings.length > 0 && action === 'block') {
+        throw new OutputBlockedError(blockReason(findings));
+      }
+      return action === 'redact' ? sanitizedMessage : text;
+    }
+
+    /**
+     * Applies the action to a streamed answer.
+     *
+     * @param {AsyncIterable<string>} chunks - Answer chunks
+     * @returns {AsyncIterable<string>} Chunks to send; fails with OutputBlockedError at the first value found
+     *   when the action is block, after the chunks released before it
+     */
+    function scanStream(chunks) {
+      if (action === 'off') {
+        return chunks;
+      }
+
+      return transformStream(chunks, createStreamTransformer({
+        transform: scanAnswer,
+        holdFrom: createDetectionHold({ detect: (text) => detect(text).findings }),
+      }));
+    }
+
+    return { scanAnswer, scanStream, findings: () => found };
+  }
+
+  return { action, startScan };
+}
+
+module.exports = {
+  createOutputDlp,
+  OutputBlockedError,
+  OUTPUT_DLP_ACTIONS,
+  OUTPUT_BLOCKED_REASON_CODE,
+};
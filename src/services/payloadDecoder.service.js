@@ -0,0 +1,143 @@
+/**
+ * Payload Decoder Service — Finds and decodes encoded segments of a message
+ *
+ * Locates runs of text that plausibly hold an encoded payload and decodes them:
+ * - Percent-encoding: URL-safe characters containing at least one %XX escape
+ * - Hex: an even number of hex digits (at least 6 bytes)
+ * - Base64 / base64url: 12+ characters of the base64 alphabet, optional padding
+ *
+ * A segment is only reported when it decodes to readable text (valid UTF-8,
+ * no control characters other than tabs and line breaks), so ordinary words
+ * and numbers that happen to fit an alphabet are ignored.
+ *
+ * No external I/O; pure string transformation.
+ */
+
+/** Runs of URL-safe characters containing at least one %XX escape */
+const PERCENT_SEGMENT_REGEX = /[A-Za-z0-9._~+!*'()%-]*%[0-9A-Fa-f]{2}[A-Za-z0-9._~+!*'()%-]*/g;
+
+/** Runs of base64/base64url characters (hex is a subset), with optional padding */
+const BASE64_SEGMENT_REGEX = /(?<![A-Za-z0-9+/_-])[A-Za-z0-9+/_-]{12,}={0,2}(?![A-Za-z0-9+/=_-])/g;
+
+/** Whole-string hex: whole bytes only */
+const HEX_REGEX = /^(?:[0-9A-Fa-f]{2})+$/;
+
+/** Minimum decoded length worth scanning */
+const MIN_DECODED_LENGTH = 6;
+
+/** Control characters that never appear in readable text (tab, LF and CR are allowed) */
+const CONTROL_CHAR_REGEX = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F]/;
+
+/**
+ * Converts decoded bytes to text if they are valid UTF-8 and readable.
+ *
+ * @param {Buffer} bytes - Decoded bytes
+ * @returns {string|null} Decoded text, or null if the bytes are not plausible text
+ */
+function toReadableText(bytes) {
+  if (bytes.length < MIN_DECODED_LENGTH) {
+    return null;
+  }
+
+  const text = bytes.toString('utf8');
+  if (!Buffer.from(text, 'utf8').equals(bytes) || CONTROL_CHAR_REGEX.test(text)) {
+    return null;
+  }
+  return text;
+}
+
+/**
+ * Decodes a percent-encoded segment.
+ *
+ * @param {string} segment - Encoded segment
+ * @returns {string|null} Decoded text, or null if the segment is not valid percent-encoding
+ */
+function decodePercent(segment) {
+  try {
+    const text = decodeURIComponent(segment);
+    return text.length >= MIN_DECODED_LENGTH && !CONTROL_CHAR_REGEX.test(text) ? text : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Decodes a hex segment.
+ *
+ * @param {string} segment - Encoded segment
+ * @returns {string|null} Decoded text, or null if the segment is not hex-encoded text
+ */
+function decodeHex(segment) {
+  if (!HEX_REGEX.test(segment)) {
+    return null;
+  }
+  return toReadableText(Buffer.from(segment, 'hex'));
+}
+
+/**
+ * Decodes a base64 or base64url segment.
+ *
+ * @param {string} segment - Encoded segment
+ * @returns {string|null} Decoded text, or null if the segment is not base64-encoded text
+ */
+function decodeBase64(segment) {
+  const unpadded = segment.replace(/=+$/, '');
+  if (unpadded.length % 4 === 1) {
+    return null;
+  }
+  return toReadableText(Buffer.from(unpadded, 'base64'));
+}
+
+/**
+ * Finds encoded segments in a text and decodes them.
+ *
+ * Percent-encoded runs are found first; base64/hex runs overlapping them are
+ * skipped. A base64-alphabet run is tried as hex before base64.
+ *
+ * @param {string} text - Text to scan
+ * @param {Object} [options] - Scan options
+ * @param {number} [options.maxSegmentLength=8192] - Longer segments are not decoded
+ * @returns {Array<{start: number, end: number, encoding: string, decoded: string}>}
+ *   Decoded segments sorted by start; encoding is 'percent', 'hex' or 'base64'
+ */
+function findEncodedSegments(text, { maxSegmentLength = 8192 } = {}) {
+  const segments = [];
+
+  for (const match of text.matchAll(PERCENT_SEGMENT_REGEX)) {
+    if (match[0].length > maxSegmentLength) {
+      continue;
+    }
+    const decoded = decodePercent(match[0]);
+    if (decoded !== null) {
+      segments.push({ start: match.index, end: match.index + match[0].length, encoding: 'percent', decoded });
+    }
+  }
+
+  for (const match of text.matchAll(BASE64_SEGMENT_REGEX)) {
+    const start = match.index;
+    const end = start + match[0].length;
+    if (match[0].length > maxSegmentLength || segments.some((s) => start < s.end && end > s.start)) {
+      continue;
+    }
+
+    const hex = decodeHex(match[0]);
+    if (hex !== null) {
+      segments.push({ start, end, encoding: 'hex', decoded: hex });
+      continue;
+    }
+
+    const base64 = decodeBase64(match[0]);
+    if (base64 !== null) {
+      segments.push({ start, end, encoding: 'base64', decoded: base64 });
+    }
+  }
+
+  return segments.sort((a, b) => a.start - b.start);
+}
+
+module.exports = {
+  findEncodedSegments,
+  decodePercent,
+  decodeHex,
+  decodeBase64,
+};
@@ -0,0 +1,85 @@
+/**
+ * Policy Service — Per-type allow / redact / block decisions for detected PII
+ *
+ * Rules map a PII type, or a type and kind (e.g. SECRET:PRIVATE_KEY), to an action:
+ * - allow: the value is forwarded as-is (not redacted)
+ * - redact: the value is replaced before forwarding (default)
+ * - block: the message is not forwarded at all
+ *
+ * A TYPE:KIND rule takes precedence over a TYPE rule, which takes precedence
+ * over the default action.
+ *
+ * No external I/O; pure in-memory rules.
+ */
+
+/** Supported policy actions */
+const ACTIONS = ['allow', 'redact', 'block'];
+
+/** Reason code reported when a message is blocked */
+const BLOCKED_REASON_CODE = 'PII_BLOCKED';
+
+/**
+ * Creates a policy.
+ *
+ * @param {Object} [options] - Policy options
+ * @param {Object<string, string>} [options.rules] - Action per TYPE or TYPE:KIND, e.g. { CREDIT_CARD: 'block' }
+ * @param {string} [options.defaultAction='redact'] - Action for findings no rule matches
+ * @returns {{actionFor: Function, isAllowed: Function, evaluate: Function}} Policy instance
+ * @throws {Error} If an action is unknown
+ */
+function createPolicy({ rules = {}, defaultAction = 'redact' } = {}) {
+  for (const action of [defaultAction, ...Object.values(rules)]) {
+    if (!ACTIONS.includes(action)) {
+      throw new Error(`Unknown policy action "${action}" (expected one of: ${ACTIONS.join(', ')})`);
+    }
+  }
+
+  /**
+   * Resolves the action for a finding.
+   *
+   * @param {{type: string, kind?: string}} finding - Sanitizer finding
+   * @returns {string} allow, redact or block
+   */
+  function actionFor({ type, kind }) {
+    return (kind && rules[`${type}:${kind}`]) || rules[type] || defaultAction;
+  }
+
+  /**
+   * Tells whether a finding may be forwarded unredacted.
+   *
+   * @param {{type: string, kind?: string}} finding - Sanitizer finding
+   * @returns {boolean} True if the policy allows the value
+   */
+  function isAllowed(finding) {
+    return actionFor(finding) === 'allow';
+  }
+
+  /**
+   * Decides what to do with a message given its findings.
+   *
+   * @param {Array<{type: string, kind?: string}>} findings - Sanitizer findings
+   * @returns {{action: string, reason?: {code: string, types: string[], kinds?: string[]}}}
+   *   block (with a machine-readable reason listing the offending types and secret kinds) or redact
+   */
+  function evaluate(findings) {
+    const blocked = findings.filter((finding) => actionFor(finding) === 'block');
+    if (blocked.length === 0) {
+      return { action: 'redact' };
+    }
+
+    const reason = { code: BLOCKED_REASON_CODE, types: [...new Set(blocked.map((f) => f.type))] };
+    const kinds = [...new Set(blocked.map((f) => f.kind).filter(Boolean))];
+    if (kinds.length > 0) {
+      reason.kinds = kinds;
+    }
+    return { action: 'block', reason };
+  }
+
+  return { actionFor, isAllowed, evaluate };
+}
+
+module.exports = {
+  createPolicy,
+  ACTIONS,
+  BLOCKED_REASON_CODE,
+};
@@ -0,0 +1,202 @@
+/**
+ * Provider Chain Service — Ordered AI providers with circuit breaker failover
+ *
+ * Picks the first provider whose circuit lets a call through; when the call
+ * fails, fails over to the next provider whose circuit is closed, and rethrows
+ * the last error once none is left. Asking a breaker whether it is open claims
+ * a half-open trial, so the first provider is picked once, before the call.
+ * Each call's outcome is recorded on the provider's breaker unless its AI port
+ * already reports every attempt itself (recordsCircuitBreaker, see
+ * createResilientAIPort). Client errors (4xx other than 408 and 429) are
+ * recorded as successes, since the provider answered (see isProviderFailure);
+ * bulkhead rejections never reached the provider and are not recorded.
+ *
+ * Streamed answers fail over the same way until a provider delivers its first
+ * chunk; after that the stream is committed to that provider. A stream is
+ * recorded once it ends: completed, or stopped or aborted by the caller, as a
+ * success and failed as a failure.
+ *
+ * No external I/O; calls go through the injected AI ports.
+ */
+
+const { answerStream, isProviderFailure } = require('./aiResilience.service');
+
+/**
+ * Custom error class for circuit breaker open state.
+ * Route layer can check for this to return 503.
+ */
+class CircuitOpenError extends Error {
+  constructor() {
+    super('Service Busy');
+    this.name = 'CircuitOpenError';
+    this.isCircuitOpen = true;
+  }
+}
+
+/**
+ * Records a call's outcome on a breaker.
+ *
+ * @param {Object} breaker - Provider's circuit breaker
+ * @param {boolean} failed - Whether the call counts as a failure
+ * @param {number} durationMs - How long the call took
+ * @returns {void}
+ */
+function record(breaker, failed, durationMs) {
+  if (failed) {
+    breaker.recordFailure(durationMs);
+  } else {
+    breaker.recordSuccess(durationMs);
+  }
+}
+
+/**
+ * Creates a provider chain.
+ *
+ * @param {Array<{name?: string, aiPort: Object, circuitBreaker: Object}>} providers - Providers in failover
+ *   order (primary first), each with an AI port and its own breaker
+ * @returns {{firstAvailable: Function, callFrom: Function, streamFrom: Function}} firstAvailable() → index of
+ *   the first provider to call (-1 if every circuit is open); callFrom(index, sanitizedMessage, options) →
+ *   { answer, provider }; streamFrom(index, sanitizedMessage, options) → { chunks, provider }
+ */
+function createProviderChain(providers) {
+  /**
+   * Finds the next provider in the chain whose circuit lets the call through.
+   *
+   * @param {number} from - Index to start looking at
+   * @returns {number} Index of the provider, or -1 if every remaining circuit is open
+   */
+  function nextAvailableProvider(from) {
+    for (let i = from; i < providers.length; i++) {
+      if (!providers[i].circuitBreaker.isOpen()) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Calls one provider, recording the outcome on its breaker when needed.
+   *
+   * @param {{aiPort: Object, circuitBreaker: Object}} provider - Provider to call
+   * @param {string} sanitizedMessage - Message to send
+   * @param {Array<Object>} portOptions - Per-call options for the AI port (empty or one object)
+   * @returns {Promise<string>} AI answer
+   */
+  async function callProvider({ aiPort: port, circuitBreaker: breaker }, sanitizedMessage, portOptions) {
+    const startedAt = Date.now();
+    try {
+      const answer = await port.generateAnswer(sanitizedMessage, ...portOptions);
+      if (!port.recordsCircuitBreaker) {
+        breaker.recordSuccess(Date.now() - startedAt);
+      }
+      return answer;
+    } catch (error) {
+      if (!port.recordsCircuitBreaker && !error.isBulkheadRejection) {
+        record(breaker, isProviderFailure(error), Date.now() - startedAt);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Picks the first provider whose circuit lets the call through.
+   *
+   * @returns {number} Index of the provider, or -1 if every circuit is open
+   */
+  function firstAvailable() {
+    return nextAvailableProvider(0);
+  }
+
+  /**
+   * Calls the providers in order, starting at a picked provider, until one answers.
+   *
+   * @param {number} start - Index from firstAvailable()
+   * @param {string} sanitizedMessage - The sanitized (PII-redacted) user message
+   * @param {...Object} portOptions - Per-call options for the AI port (e.g. { history }); passed on only when given
+   * @returns {Promise<{answer: string, provider: Object}>} Answer and the provider that gave it
+   * @throws {Error} The last AI error when every available provider failed
+   */
+  async function callFrom(start, sanitizedMessage, ...portOptions) {
+    let current = start;
+    for (;;) {
+      try {
+        const answer = await callProvider(providers[current], sanitizedMessage, portOptions);
+        return { answer, provider: providers[current] };
+      } catch (error) {
+        current = nextAvailableProvider(current + 1);
+        if (current === -1) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Relays the rest of a provider's stream, recording the outcome on its breaker when needed.
+   *
+   * @param {{aiPort: Object, circuitBreaker: Object}} provider - Provider that delivered the first chunk
+   * @param {AsyncIterator<string>} iterator - The provider's stream
+   * @param {IteratorResult<string>} first - Result of the first next() call
+   * @param {number} startedAt - When the call started
+   * @param {AbortSignal} [signal] - Caller's signal; a stream it aborts counts as stopped by the caller
+   * @returns {AsyncGenerator<string>} Answer chunks, starting with the first
+   */
+  async function* relayStream({ aiPort: port, circuitBreaker: breaker }, iterator, first, startedAt, signal) {
+    let failed = false;
+    try {
+      if (first.done) return;
+      yield first.value;
+      for (;;) {
+        const { done, value } = await iterator.next();
+        if (done) return;
+        yield value;
+      }
+    } catch (error) {
+      failed = !signal?.aborted && isProviderFailure(error);
+      throw error;
+    } finally {
+      iterator.return().catch(() => {});
+      if (!port.recordsCircuitBreaker) {
+        record(breaker, failed, Date.now() - startedAt);
+      }
+    }
+  }
+
+  /**
+   * Streams from the providers in order, starting at a picked provider, until one delivers its first chunk.
+   *
+   * @param {number} start - Index from firstAvailable()
+   * @param {string} sanitizedMessage - The sanitized (PII-redacted) user message
+   * @param {Object} [options] - Per-call options for the AI port (e.g. { signal, history })
+   * @returns {Promise<{chunks: AsyncGenerator<string>, provider: Object}>} Answer chunks (iterate them to the end,
+   *   or stop early, so the stream is closed) and the provider that streams them
+   * @throws {Error} The last AI error when every available provider failed before its first chunk
+   */
+  async function streamFrom(start, sanitizedMessage, options = {}) {
+    let current = start;
+    for (;;) {
+      const provider = providers[current];
+      const iterator = answerStream(provider.aiPort, sanitizedMessage, options);
+      const startedAt = Date.now();
+      try {
+        const first = await iterator.next();
+        return { chunks: relayStream(provider, iterator, first, startedAt, options.signal), provider };
+      } catch (error) {
+        if (!provider.aiPort.recordsCircuitBreaker && !error.isBulkheadRejection && !options.signal?.aborted) {
+          record(provider.circuitBreaker, isProviderFailure(error), Date.now() - startedAt);
+        }
+        current = options.signal?.aborted ? -1 : nextAvailableProvider(current + 1);
+        if (current === -1) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  return { firstAvailable, callFrom, streamFrom };
+}
+
+module.exports = {
+  createProviderChain,
+  CircuitOpenError,
+};
@@ -1,125 +1,357 @@
 /**
  * Sanitizer Service — PII redaction for user messages
  *
- * Detects and redacts sensitive data (emails, credit cards, SSNs) before
- * messages are sent to AI providers.
+ * Detects and redacts sensitive data (emails, credit cards, SSNs, phone
+ * numbers, IP addresses, IBANs and secrets such as API keys by default)
+ * before messages are sent to AI providers.
+ *
+ * The message is first normalized (Unicode NFKC, invisible characters,
+ * homoglyphs, spelled-out "at"/"dot") so obfuscated PII is still caught.
+ * Detection is delegated to a detector registry: every detector runs against
+ * the normalized text, overlapping matches are resolved centrally by
+ * priority, and offsets are mapped back so each finding points at the exact
+ * characters of the original string.
+ * Optionally, encoded segments (Base64, percent-encoding, hex) are decoded
+ * and scanned as well; a segment hiding PII is redacted as a whole.
+ * Rendering then replaces findings with placeholders (<REDACTED: TYPE>), or
+ * another per-type masking strategy (see configureMasking), or indexed tokens
+ * (<TYPE_N>). Custom detectors can be added at runtime with
+ * registerDetector().
  *
  * No external I/O; pure string transformation.
  */
 
+const { createDetectorRegistry } = require('./detectorRegistry.service');
+const normalizer = require('./normalizer.service');
+const { findEncodedSegments } = require('./payloadDecoder.service');
+const { createMasker } = require('./masking.service');
+const { emailDetector } = require('./detectors/email.detector');
+const { creditCardDetector, isValidLuhn } = require('./detectors/creditCard.detector');
+const { formattedSsnDetector, ssnDetector, isValidSSN } = require('./detectors/ssn.detector');
+const { e164PhoneDetector, nationalPhoneDetector } = require('./detectors/phone.detector');
+const { ipv4Detector, ipv6Detector } = require('./detectors/ipAddress.detector');
+const { ibanDetector, isValidIBAN } = require('./detectors/iban.detector');
+const { secretDetectors } = require('./detectors/secret.detector');
+
 /**
- * RFC-style email regex pattern.
- * Matches typical email format: local@domain.tld
+ * Pattern for indexed tokens emitted by tokenize(), e.g. <EMAIL_1>, <CREDIT_CARD_2>.
+ * Capture group 1 is the PII type, group 2 the per-type index.
  */
-const EMAIL_REGEX = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
+const TOKEN_REGEX = /<([A-Z][A-Z_]*)_(\d+)>/g;
+
+/** Built-in detectors, registered on the sanitizer's registry at load */
+const BUILT_IN_DETECTORS = [
+  ...secretDetectors,
+  emailDetector,
+  ibanDetector,
+  creditCardDetector,
+  formattedSsnDetector,
+  ssnDetector,
+  e164PhoneDetector,
+  nationalPhoneDetector,
+  ipv4Detector,
+  ipv6Detector,
+];
+
+/** Named validators that config-defined detectors can reference */
+const VALIDATORS = {
+  luhn: isValidLuhn,
+  ssn: isValidSSN,
+  iban: isValidIBAN,
+};
+
+/** Registry used by sanitize(), sanitizeWithReport() and tokenize() */
+const registry = createDetectorRegistry({ detectors: BUILT_IN_DETECTORS, validators: VALIDATORS });
+
+/** Encoded-payload scanning settings (disabled by default; see configurePayloadDecoding) */
+const payloadDecoding = {
+  enabled: false,
+  maxDepth: 2,
+  maxSegmentLength: 8192,
+};
+
+/** Masker used by sanitize() and sanitizeWithReport(); full placeholders unless configured */
+let masker = createMasker();
+
+/**
+ * Runs the registry on the normalized message and maps findings back to the original.
+ *
+ * Findings whose text only matched after normalization are flagged with
+ * `obfuscated: true`. If two findings map into the same original characters
+ * (e.g. both halves of an expanded ligature), the later one is dropped.
+ *
+ * @param {string} message - Original message
+ * @returns {Array<Object>} Findings with offsets into the original message, sorted by start
+ */
+function detectPlain(message) {
+  const normalized = normalizer.normalize(message);
+  const findings = [];
+  let lastEnd = 0;
+
+  for (const finding of registry.detect(normalized.text)) {
+    const { start, end } = normalizer.toOriginalRange(normalized, finding.start, finding.end);
+    if (start < lastEnd) {
+      continue;
+    }
+
+    const obfuscated = message.slice(start, end) !== normalized.text.slice(finding.start, finding.end);
+    findings.push({ ...finding, start, end, ...(obfuscated ? { obfuscated: true } : {}) });
+    lastEnd = end;
+  }
+
+  return findings;
+}
 
 /**
- * Pattern for potential credit card numbers: 13-19 consecutive digits.
- * Actual validation uses Luhn algorithm.
+ * Detects PII in a message, including PII hidden in encoded segments when
+ * payload decoding is enabled.
+ *
+ * Each encoded segment is decoded and scanned recursively (up to maxDepth
+ * layers). If PII is found inside, the whole segment becomes one finding,
+ * described by the first PII found in it plus `encoding` and `decodedTypes`;
+ * it supersedes findings lying inside the segment (e.g. a high-entropy match
+ * on the Base64 text). Segments partly overlapping a finding are left alone.
+ *
+ * @param {string} message - Original message
+ * @param {number} [depth=0] - Decoding layers already applied
+ * @returns {Array<Object>} Findings with offsets into the message, sorted by start
  */
-const POTENTIAL_CC_REGEX = /\b\d{13,19}\b/g;
+function detect(message, depth = 0) {
+  let findings = detectPlain(message);
+  if (!payloadDecoding.enabled || depth >= payloadDecoding.maxDepth) {
+    return findings;
+  }
+
+  const segments = findEncodedSegments(message, { maxSegmentLength: payloadDecoding.maxSegmentLength });
+  for (const segment of segments) {
+    const inside = (f) => f.start >= segment.start && f.end <= segment.end;
+    const crossing = findings.some((f) => segment.start < f.end && segment.end > f.start && !inside(f));
+    if (crossing) {
+      continue;
+    }
+
+    const inner = detect(segment.decoded, depth + 1);
+    if (inner.length === 0) {
+      continue;
+    }
+
+    const { obfuscated, ...hidden } = inner[0];
+    findings = findings.filter((f) => !inside(f));
+    findings.push({
+      ...hidden,
+      start: segment.start,
+      end: segment.end,
+      detector: `encoded-${segment.encoding}`,
+      encoding: segment.encoding,
+      decodedTypes: [...new Set(inner.map((f) => f.type))],
+    });
+  }
+
+  return findings.sort((a, b) => a.start - b.start);
+}
 
 /**
- * Pattern for SSN: exactly 9 consecutive digits (not part of longer sequence).
- * Uses word boundaries to avoid matching within larger numbers.
+ * Detects findings to redact, leaving out the ones the caller wants preserved.
+ *
+ * @param {string} message - Original message
+ * @param {Function} [preserve] - (finding) => true to leave the finding's text in the message
+ * @returns {Array<Object>} Findings to redact, sorted by start
  */
-const SSN_REGEX = /\b\d{9}\b/g;
+function detectRedactions(message, preserve) {
+  const findings = detect(message);
+  return preserve ? findings.filter((finding) => !preserve(finding)) : findings;
+}
 
 /**
- * Validates a number string using the Luhn algorithm.
- * Used to verify credit card numbers.
+ * Rebuilds the message with each finding replaced.
  *
- * @param {string} numStr - String of digits to validate
- * @returns {boolean} True if the number passes Luhn validation
+ * @param {string} message - Original message
+ * @param {Array<{type: string, start: number, end: number}>} findings - Sorted, non-overlapping findings
+ * @param {Function} replacer - (type, value) => replacement
+ * @returns {string} Message with findings replaced
  */
-function isValidLuhn(numStr) {
-  const digits = numStr.split('').map(Number);
-  const len = digits.length;
-
-  let sum = 0;
-  let isSecond = false;
-
-  // Process from right to left
-  for (let i = len - 1; i >= 0; i--) {
-    let digit = digits[i];
-
-    if (isSecond) {
-      digit = digit * 2;
-      if (digit > 9) {
-        digit = digit - 9;
-      }
-    }
+function render(message, findings, replacer) {
+  let result = '';
+  let cursor = 0;
 
-    sum += digit;
-    isSecond = !isSecond;
+  for (const finding of findings) {
+    result += message.slice(cursor, finding.start);
+    result += replacer(finding.type, message.slice(finding.start, finding.end));
+    cursor = finding.end;
   }
 
-  return sum % 10 === 0;
+  return result + message.slice(cursor);
+}
+
+/**
+ * Sanitizes a message by replacing sensitive data with redaction placeholders.
+ *
+ * @param {string} message - Raw user message potentially containing PII
+ * @returns {string} Sanitized message with PII replaced by <REDACTED: TYPE> (or the configured masking strategy)
+ */
+function sanitize(message) {
+  return sanitizeWithReport(message).sanitizedMessage;
 }
 
 /**
- * Redacts email addresses in the message.
+ * Sanitizes a message and reports what was found.
  *
- * @param {string} message - Input message
- * @returns {string} Message with emails replaced by <REDACTED: EMAIL>
+ * @param {string} message - Raw user message potentially containing PII
+ * @param {Object} [options] - Sanitization options
+ * @param {Function} [options.preserve] - (finding) => true to leave a finding unredacted; it is not reported
+ * @returns {{sanitizedMessage: string, findings: Array<{type: string, start: number, end: number, detector: string, confidence: number}>}}
+ *   Sanitized message and findings with offsets into the original message; detectors may add
+ *   fields (e.g. brand and iin for CREDIT_CARD)
  */
-function redactEmails(message) {
-  return message.replace(EMAIL_REGEX, '<REDACTED: EMAIL>');
+function sanitizeWithReport(message, { preserve } = {}) {
+  if (typeof message !== 'string' || message === '') {
+    return { sanitizedMessage: '', findings: [] };
+  }
+
+  const findings = detectRedactions(message, preserve);
+  const sanitizedMessage = render(message, findings, masker.mask);
+
+  return { sanitizedMessage, findings };
 }
 
 /**
- * Redacts valid credit card numbers (Luhn-valid, 13-19 digits) in the message.
+ * Sanitizes a message by replacing sensitive data with indexed tokens.
+ *
+ * Each distinct value gets a per-type index (<EMAIL_1>, <EMAIL_2>, <SSN_1>, ...);
+ * repeated occurrences of the same value reuse the same token. The returned
+ * token list lets the caller keep token → original so the AI answer can be
+ * rehydrated later.
+ *
+ * Tokens issued for earlier messages (e.g. previous turns of a conversation)
+ * can be passed as `known`: their values keep their tokens, and new values
+ * continue the numbering after them.
  *
- * @param {string} message - Input message
- * @returns {string} Message with credit cards replaced by <REDACTED: CREDIT_CARD>
+ * @param {string} message - Raw user message potentially containing PII
+ * @param {Object} [options] - Sanitization options
+ * @param {Function} [options.preserve] - (finding) => true to leave a finding untokenized; it is not reported
+ * @param {Array<{token: string, type: string, value: string}>} [options.known] - Tokens issued earlier
+ * @returns {{sanitizedMessage: string, tokens: Array<{token: string, type: string, value: string}>, findings: Array<Object>}}
+ *   Tokenized message, the newly issued tokens in order of first appearance, and the findings
  */
-function redactCreditCards(message) {
-  return message.replace(POTENTIAL_CC_REGEX, (match) => {
-    if (isValidLuhn(match)) {
-      return '<REDACTED: CREDIT_CARD>';
+function tokenize(message, { preserve, known = [] } = {}) {
+  if (typeof message !== 'string' || message === '') {
+    return { sanitizedMessage: '', tokens: [], findings: [] };
+  }
+
+  const findings = detectRedactions(message, preserve);
+  const tokens = [];
+  const tokenByValue = new Map();
+  const indexByType = new Map();
+
+  for (const { token, type, value } of known) {
+    tokenByValue.set(`${type}:${value}`, token);
+    const index = Number(new RegExp(TOKEN_REGEX.source).exec(token)?.[2]);
+    if (index > (indexByType.get(type) || 0)) {
+      indexByType.set(type, index);
     }
-    return match;
+  }
+
+  const sanitizedMessage = render(message, findings, (type, value) => {
+    const key = `${type}:${value}`;
+    if (tokenByValue.has(key)) {
+      return tokenByValue.get(key);
+    }
+
+    const index = (indexByType.get(type) || 0) + 1;
+    indexByType.set(type, index);
+
+    const token = `<${type}_${index}>`;
+    tokenByValue.set(key, token);
+    tokens.push({ token, type, value });
+    return token;
   });
+
+  return { sanitizedMessage, tokens, findings };
 }
 
 /**
- * Redacts SSNs (exactly 9 consecutive digits) in the message.
+ * Registers a custom detector with the sanitizer.
  *
- * @param {string} message - Input message
- * @returns {string} Message with SSNs replaced by <REDACTED: SSN>
+ * @param {Object} definition - Detector definition (see detectorRegistry.service)
+ * @returns {void}
+ * @throws {Error} If the definition is invalid or the name is already registered
  */
-function redactSSNs(message) {
-  return message.replace(SSN_REGEX, '<REDACTED: SSN>');
+function registerDetector(definition) {
+  registry.register(definition);
 }
 
 /**
- * Sanitizes a message by replacing sensitive data with redaction placeholders.
+ * Removes a detector from the sanitizer by name.
  *
- * Redaction order: emails first, then credit cards, then SSNs.
- * This order avoids overlap issues.
+ * @param {string} name - Detector name
+ * @returns {boolean} True if a detector was removed
+ */
+function unregisterDetector(name) {
+  return registry.unregister(name);
+}
+
+/**
+ * Enables or tunes scanning of encoded payloads (Base64, percent-encoding, hex).
  *
- * @param {string} message - Raw user message potentially containing PII
- * @returns {string} Sanitized message with emails, credit cards, and SSNs replaced by <REDACTED: TYPE>
+ * @param {Object} options - Settings to change
+ * @param {boolean} [options.enabled] - Whether encoded segments are decoded and scanned
+ * @param {number} [options.maxDepth] - Maximum nested decoding layers (e.g. Base64 inside percent-encoding)
+ * @param {number} [options.maxSegmentLength] - Longest encoded segment that is decoded, in characters
+ * @returns {void}
+ * @throws {Error} If a setting is invalid
  */
-function sanitize(message) {
-  if (typeof message !== 'string') {
-    return '';
+function configurePayloadDecoding({ enabled, maxDepth, maxSegmentLength } = {}) {
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    throw new Error('Payload decoding enabled must be a boolean');
   }
-
-  if (message === '') {
-    return '';
+  if (maxDepth !== undefined && (!Number.isInteger(maxDepth) || maxDepth < 1)) {
+    throw new Error('Payload decoding maxDepth must be a positive integer');
+  }
+  if (maxSegmentLength !== undefined && (!Number.isInteger(maxSegmentLength) || maxSegmentLength < 1)) {
+    throw new Error('Payload decoding maxSegmentLength must be a positive integer');
   }
 
-  // Apply redactions in order: email, credit card, SSN
-  const afterEmails = redactEmails(message);
-  const afterCreditCards = redactCreditCards(afterEmails);
-  const afterSSNs = redactSSNs(afterCreditCards);
+  if (enabled !== undefined) payloadDecoding.enabled = enabled;
+  if (maxDepth !== undefined) payloadDecoding.maxDepth = maxDepth;
+  if (maxSegmentLength !== undefined) payloadDecoding.maxSegmentLength = maxSegmentLength;
+}
 
-  return afterSSNs;
+/**
+ * Selects how redacted values are replaced, per PII type.
+ * Applies to sanitize() and sanitizeWithReport(); tokenize() always issues indexed tokens.
+ *
+ * @param {Object} options - Masking options (see masking.service createMasker)
+ * @param {Object<string, string>} [options.strategies] - Strategy per PII type: full, partial, hash or synthetic
+ * @param {string} [options.defaultStrategy='full'] - Strategy for types not listed
+ * @param {string} [options.hmacKey] - Key for hash and synthetic values
+ * @returns {void}
+ * @throws {Error} If a strategy name is unknown
+ */
+function configureMasking(options) {
+  masker = createMasker(options);
+}
+
+/**
+ * Lists the sanitizer's detectors, highest priority first.
+ *
+ * @returns {Object[]} Registered detectors
+ */
+function listDetectors() {
+  return registry.list();
 }
 
 module.exports = {
   sanitize,
+  sanitizeWithReport,
+  tokenize,
+  registerDetector,
+  unregisterDetector,
+  listDetectors,
+  configurePayloadDecoding,
+  configureMasking,
+  TOKEN_REGEX,
   // Export helpers for testing if needed
   isValidLuhn,
+  isValidSSN,
+  isValidIBAN,
 };
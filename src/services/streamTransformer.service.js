@@ -0,0 +1,134 @@
+/**
+ * Stream Transformer Service — Whole-text transforms on chunked answers
+ *
+ * Runs a text transform written for the whole answer (token rehydration,
+ * output scanning, ...) on an answer that arrives in chunks. Text is released
+ * as soon as no match can span past it; the tail that may still be part of a
+ * match (a token or a PII value cut by a chunk boundary) is held back until
+ * the next chunk completes it or the stream ends. Every piece of text is
+ * transformed once, together with everything a match in it needs, so the
+ * transformed chunks join up to the transform of the whole answer.
+ *
+ * What may still be part of a match is decided by a hold rule: holdFrom(text)
+ * returns the index from which text must be held back. createDetectionHold()
+ * builds the rule for PII detectors; token rules live with the tokens (see
+ * tokenVault.service).
+ *
+ * No external I/O; pure string transformation.
+ */
+
+/** Held-back text beyond this length is released anyway, so a stream is never stalled indefinitely */
+const DEFAULT_MAX_HOLD_LENGTH = 4096;
+
+/** Longest PII value detectors are guaranteed to recognize across chunk boundaries */
+const DEFAULT_DETECTION_WINDOW = 64;
+
+/**
+ * Creates a stateful transformer for one stream.
+ *
+ * @param {Object} options - Transformer options
+ * @param {Function} options.transform - (text) => transformed text; must give the same result on any split of
+ *   the text that holdFrom allows
+ * @param {Function} options.holdFrom - (text) => index from which the text may still be part of a match
+ * @param {number} [options.maxHoldLength=4096] - Most characters held back at a time
+ * @returns {{push: Function, flush: Function}} push(chunk) → transformed text that is ready (may be empty);
+ *   flush() → transformed rest, once the stream ended
+ */
+function createStreamTransformer({ transform, holdFrom, maxHoldLength = DEFAULT_MAX_HOLD_LENGTH }) {
+  let pending = '';
+
+  /**
+   * Adds a chunk and returns the text that can no longer be part of a match.
+   *
+   * @param {string} chunk - Next chunk of the answer
+   * @returns {string} Transformed text ready to be sent (empty while everything is held back)
+   */
+  function push(chunk) {
+    pending += chunk;
+    const cut = Math.max(holdFrom(pending), pending.length - maxHoldLength);
+    if (cut <= 0) {
+      return '';
+    }
+
+    const ready = pending.slice(0, cut);
+    pending = pending.slice(cut);
+    return transform(ready);
+  }
+
+  /**
+   * Returns the held-back text, transformed; call once the stream ended.
+   *
+   * @returns {string} Transformed rest of the answer
+   */
+  function flush() {
+    const rest = pending;
+    pending = '';
+    return rest === '' ? '' : transform(rest);
+  }
+
+  return { push, flush };
+}
+
+/**
+ * Relays a stream through a transformer.
+ *
+ * @param {AsyncIterable<string>} chunks - Answer chunks
+ * @param {{push: Function, flush: Function}} transformer - Transformer from createStreamTransformer()
+ * @returns {AsyncGenerator<string>} Transformed chunks; text still held back when the source fails is dropped
+ */
+async function* transformStream(chunks, transformer) {
+  for await (const chunk of chunks) {
+    const text = transformer.push(chunk);
+    if (text !== '') {
+      yield text;
+    }
+  }
+
+  const rest = transformer.flush();
+  if (rest !== '') {
+    yield rest;
+  }
+}
+
+/**
+ * Creates the hold rule for PII detectors.
+ *
+ * Holds back the last windowSize characters, widened to the start of the word
+ * they begin in and of any detected value they cut through. A value of up to
+ * windowSize characters is therefore always seen whole, whether it is still
+ * arriving or already complete.
+ *
+ * @param {Object} options - Rule options
+ * @param {Function} options.detect - (text) => findings with start and end offsets, sorted by start
+ * @param {number} [options.windowSize=64] - Longest value to recognize across chunk boundaries
+ * @returns {Function} holdFrom(text) for createStreamTransformer()
+ */
+function createDetectionHold({ detect, windowSize = DEFAULT_DETECTION_WINDOW }) {
+  return function holdFrom(text) {
+    let cut = text.length - windowSize;
+    if (cut <= 0) {
+      return 0;
+    }
+
+    while (cut > 0 && !/\s/.test(text[cut - 1])) {
+      cut--;
+    }
+
+    const findings = detect(text);
+    for (let i = findings.length - 1; i >= 0; i--) {
+      if (findings[i].start < cut && findings[i].end > cut) {
+        cut = findings[i].start;
+      }
+    }
+
+    return cut;
+  };
+}
+
+module.exports = {
+  createStreamTransformer,
+  transformStream,
+  createDetectionHold,
+  DEFAULT_MAX_HOLD_LENGTH,
+  DEFAULT_DETECTION_WINDOW,
+};
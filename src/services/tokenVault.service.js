@@ -0,0 +1,110 @@
+/**
+ * Token Vault Service — Per-request store of token → original PII
+ *
+ * Holds the originals behind indexed tokens (e.g. <EMAIL_1>) issued by
+ * sanitizer.tokenize(), encrypted at rest in memory, so the AI answer can be
+ * rehydrated before it is returned to the user. Streamed answers are rehydrated
+ * chunk by chunk; a token split across chunks is held back until it is whole.
+ *
+ * A vault lives for a single request and is discarded afterwards.
+ * No external I/O; encryption is delegated to the injected crypto utility.
+ */
+
+const { TOKEN_REGEX } = require('./sanitizer.service');
+const { createStreamTransformer, transformStream } = require('./streamTransformer.service');
+
+/** Start of a token that may still be completed by the next chunk (e.g. "<EMA", "<EMAIL_1") */
+const PARTIAL_TOKEN_REGEX = /<(?:[A-Z][A-Z_]*\d*)?$/;
+
+/** Longest token a stream holds back while waiting for the rest of it */
+const MAX_TOKEN_LENGTH = 64;
+
+/**
+ * Hold rule for tokens: holds back a trailing partial token.
+ *
+ * @param {string} text - Text received so far
+ * @returns {number} Index of the partial token, or text.length when the text does not end in one
+ */
+function partialTokenStart(text) {
+  const match = PARTIAL_TOKEN_REGEX.exec(text.slice(-MAX_TOKEN_LENGTH));
+  return match ? text.length - match[0].length : text.length;
+}
+
+/**
+ * Creates an empty token vault.
+ *
+ * @param {Object} dependencies - Injected dependencies
+ * @param {Object} dependencies.cryptoUtil - Crypto utility with encrypt(text) and decrypt(cipher)
+ * @returns {{store: Function, rehydrate: Function, rehydrateStream: Function, size: Function}} Vault instance
+ */
+function create({ cryptoUtil }) {
+  /** token → { type, encryptedValue } */
+  const entries = new Map();
+
+  /**
+   * Stores the original value behind a token (encrypted).
+   *
+   * @param {string} token - Token as it appears in the sanitized text (e.g. <EMAIL_1>)
+   * @param {string} type - PII type of the token (e.g. EMAIL)
+   * @param {string} value - Original plaintext value
+   * @returns {void}
+   */
+  function store(token, type, value) {
+    entries.set(token, { type, encryptedValue: cryptoUtil.encrypt(value) });
+  }
+
+  /**
+   * Replaces known tokens in text with their original values.
+   *
+   * Only tokens whose type is in allowedTypes are rehydrated; unknown tokens and
+   * tokens of other types are left untouched.
+   *
+   * @param {string} text - Text that may contain tokens (e.g. the AI answer)
+   * @param {string[]} allowedTypes - PII types allowed to be re-injected
+   * @returns {string} Text with allowed tokens replaced by their originals
+   */
+  function rehydrate(text, allowedTypes) {
+    if (typeof text !== 'string' || text === '' || entries.size === 0) {
+      return text;
+    }
+
+    const allowed = new Set(allowedTypes || []);
+
+    return text.replace(TOKEN_REGEX, (token) => {
+      const entry = entries.get(token);
+      if (!entry || !allowed.has(entry.type)) {
+        return token;
+      }
+      return cryptoUtil.decrypt(entry.encryptedValue);
+    });
+  }
+
+  /**
+   * Rehydrates a streamed answer; the chunks join up to rehydrate() of the whole answer.
+   *
+   * @param {AsyncIterable<string>} chunks - Answer chunks that may contain tokens, even split across chunks
+   * @param {string[]} allowedTypes - PII types allowed to be re-injected
+   * @returns {AsyncGenerator<string>} Chunks with allowed tokens replaced by their originals
+   */
+  function rehydrateStream(chunks, allowedTypes) {
+    return transformStream(chunks, createStreamTransformer({
+      transform: (text) => rehydrate(text, allowedTypes),
+      holdFrom: partialTokenStart,
+    }));
+  }
+
+  /**
+   * Number of tokens held by the vault.
+   *
+   * @returns {number} Token count
+   */
+  function size() {
+    return entries.size;
+  }
+
+  return { store, rehydrate, rehydrateStream, size };
+}
+
+module.exports = {
+  create,
+};
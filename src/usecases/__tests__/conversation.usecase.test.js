@@ -0,0 +1,345 @@
+/**
+ * Unit tests for conversation.usecase.js
+ *
+ * Tests the conversation flow with the real sanitizer, token vault and
+ * in-memory store: consistent tokens across turns, sanitized history sent to
+ * the AI, ownership, turn limit, policy blocks, output DLP and audit entries.
+ */
+
+const {
+  createConversationUseCase,
+  ConversationNotFoundError,
+  ConversationFullError,
+} = require('../conversation.usecase');
+const { CircuitOpenError, PolicyBlockedError } = require('../secureInquiry.usecase');
+const { MemoryConversationStore } = require('../../infrastructure/adapters/memoryConversationStore.adapter');
+const sanitizer = require('../../services/sanitizer.service');
+const tokenVault = require('../../services/tokenVault.service');
+const { createPolicy } = require('../../services/policy.service');
+const { createOutputDlp, OutputBlockedError } = require('../../services/outputDlp.service');
+
+describe('conversation.usecase', () => {
+  let circuitBreaker;
+  let aiPort;
+  let auditDbPort;
+  let cryptoUtil;
+  let conversationStore;
+  let conversations;
+
+  /**
+   * Creates the use case with the test doubles.
+   *
+   * @param {Object} [overrides] - Extra dependencies
+   * @returns {Object} Conversation operations
+   */
+  function create(overrides = {}) {
+    return createConversationUseCase({
+      sanitizer,
+      providers: [{ name: 'mock', aiPort, circuitBreaker }],
+      conversationStore,
+      auditDbPort,
+      cryptoUtil,
+      tokenVault,
+      generateId: () => 'conv-1',
+      ...overrides,
+    });
+  }
+
+  beforeEach(() => {
+    circuitBreaker = {
+      isOpen: jest.fn().mockReturnValue(false),
+      recordSuccess: jest.fn(),
+      recordFailure: jest.fn(),
+    };
+    aiPort = { generateAnswer: jest.fn().mockResolvedValue('Noted <EMAIL_1>') };
+    auditDbPort = { saveAudit: jest.fn().mockResolvedValue(undefined) };
+    cryptoUtil = {
+      encrypt: jest.fn((text) => `enc:${text}`),
+      decrypt: jest.fn((cipher) => cipher.slice('enc:'.length)),
+    };
+    conversationStore = new MemoryConversationStore();
+    conversations = create();
+  });
+
+  describe('error classes', () => {
+    it('should flag ConversationNotFoundError', () => {
+      const error = new ConversationNotFoundError();
+
+      expect(error).toBeInstanceOf(Error);
+      expect(error.isConversationNotFound).toBe(true);
+      expect(error.message).toBe('Conversation not found');
+    });
+
+    it('should flag ConversationFullError with the limit in the message', () => {
+      const error = new ConversationFullError(3);
+
+      expect(error.isConversationFull).toBe(true);
+      expect(error.message).toBe('Conversation reached the limit of 3 turns');
+    });
+  });
+
+  describe('createConversation', () => {
+    it('should store an empty conversation for the user', async () => {
+      const result = await conversations.createConversation({ userId: 'user1' });
+
+      expect(result).toEqual({ conversationId: 'conv-1', createdAt: expect.any(String) });
+      expect(await conversationStore.get('conv-1')).toMatchObject({ userId: 'user1', turns: [], tokens: [] });
+    });
+  });
+
+  describe('postTurn', () => {
+    beforeEach(async () => {
+      await conversations.createConversation({ userId: 'user1' });
+    });
+
+    it('should send the sanitized message and return the answer', async () => {
+      const result = await conversations.postTurn({
+        conversationId: 'conv-1',
+        userId: 'user1',
+        message: 'Email me at jane@example.com',
+      });
+
+      expect(result).toEqual({ answer: 'Noted <EMAIL_1>' });
+      expect(aiPort.generateAnswer).toHaveBeenCalledWith('Email me at <EMAIL_1>', { history: [] });
+    });
+
+    it('should map the same value to the same token in later turns', async () => {
+      await conversations.postTurn({ conversationId: 'conv-1', userId: 'user1', message: 'I am jane@example.com' });
+      await conversations.postTurn({
+        conversationId: 'conv-1',
+        userId: 'user1',
+        message: 'Copy bob@example.com and jane@example.com',
+      });
+
+      expect(aiPort.generateAnswer).toHaveBeenLastCalledWith('Copy <EMAIL_2> and <EMAIL_1>', expect.anything());
+    });
+
+    it('should send the sanitized history with the message', async () => {
+      await conversations.postTurn({ conversationId: 'conv-1', userId: 'user1', message: 'I am jane@example.com' });
+      await conversations.postTurn({ conversationId: 'conv-1', userId: 'user1', message: 'What is my email?' });
+
+      expect(aiPort.generateAnswer).toHaveBeenLastCalledWith('What is my email?', {
+        history: [
+          { role: 'user', content: 'I am <EMAIL_1>' },
+          { role: 'assistant', content: 'Noted <EMAIL_1>' },
+        ],
+      });
+    });
+
+    it('should store only sanitized turns and encrypted originals', async () => {
+      await conversations.postTurn({ conversationId: 'conv-1', userId: 'user1', message: 'I am jane@example.com' });
+
+      const stored = await conversationStore.get('conv-1');
+      expect(stored.turns).toEqual([
+        { role: 'user', content: 'I am <EMAIL_1>', timestamp: expect.any(String) },
+        { role: 'assistant', content: 'Noted <EMAIL_1>', timestamp: expect.any(String), provider: 'mock' },
+      ]);
+      expect(stored.tokens).toEqual([{ token: '<EMAIL_1>', type: 'EMAIL', valueEncrypted: 'enc:jane@example.com' }]);
+      expect(JSON.stringify(stored.turns)).not.toContain('jane@example.com');
+    });
+
+    it('should tokenize PII the AI echoes before storing the answer', async () => {
+      aiPort.generateAnswer.mockResolvedValue('Sure jane@example.com, I will copy bob@example.com');
+
+      const result = await conversations.postTurn({
+        conversationId: 'conv-1',
+        userId: 'user1',
+        message: 'I am jane@example.com',
+      });
+      await conversations.postTurn({ conversationId: 'conv-1', userId: 'user1', message: 'Thanks' });
+
+      expect(result.answer).toBe('Sure jane@example.com, I will copy bob@example.com');
+      const stored = await conversationStore.get('conv-1');
+      expect(stored.turns[1].content).toBe('Sure <EMAIL_1>, I will copy <EMAIL_2>');
+      expect(stored.tokens).toEqual([
+        { token: '<EMAIL_1>', type: 'EMAIL', valueEncrypted: 'enc:jane@example.com' },
+        { token: '<EMAIL_2>', type: 'EMAIL', valueEncrypted: 'enc:bob@example.com' },
+      ]);
+      expect(JSON.stringify(stored.turns)).not.toMatch(/jane@example\.com|bob@example\.com/);
+      expect(JSON.stringify(aiPort.generateAnswer.mock.calls[1])).not.toMatch(/jane@example\.com|bob@example\.com/);
+    });
+
+    it('should audit the turn with the conversation id and provider', async () => {
+      await conversations.postTurn({ conversationId: 'conv-1', userId: 'user1', message: 'I am jane@example.com' });
+
+      expect(auditDbPort.saveAudit).toHaveBeenCalledWith(
+        expect.objectContaining({
+          userId: 'user1',
+          conversationId: 'conv-1',
+          provider: 'mock',
+          sanitizedMessage: 'I am <EMAIL_1>',
+          originalMessageEncrypted: 'enc:I am jane@example.com',
+          redactionCounts: { EMAIL: 1 },
+        })
+      );
+    });
+
+    it('should rehydrate allowed types with tokens from earlier turns', async () => {
+      conversations = create({ rehydrateAllowedTypes: ['EMAIL'] });
+      await conversations.postTurn({ conversationId: 'conv-1', userId: 'user1', message: 'I am jane@example.com' });
+
+      const result = await conversations.postTurn({
+        conversationId: 'conv-1',
+        userId: 'user1',
+        message: 'Remind me',
+        rehydrate: true,
+      });
+
+      expect(result.answer).toBe('Noted jane@example.com');
+    });
+
+    it('should include redaction counts when requested', async () => {
+      const result = await conversations.postTurn({
+        conversationId: 'conv-1',
+        userId: 'user1',
+        message: 'I am jane@example.com',
+        includeRedactions: true,
+      });
+
+      expect(result.redactions).toEqual({ EMAIL: 1 });
+    });
+
+    it('should reject unknown conversations', async () => {
+      await expect(
+        conversations.postTurn({ conversationId: 'nope', userId: 'user1', message: 'hi' })
+      ).rejects.toThrow(ConversationNotFoundError);
+    });
+
+    it('should hide conversations from other users', async () => {
+      await expect(
+        conversations.postTurn({ conversationId: 'conv-1', userId: 'user2', message: 'hi' })
+      ).rejects.toThrow(ConversationNotFoundError);
+      expect(aiPort.generateAnswer).not.toHaveBeenCalled();
+    });
+
+    it('should reject turns beyond maxTurns', async () => {
+      conversations = create({ maxTurns: 1 });
+      await conversations.postTurn({ conversationId: 'conv-1', userId: 'user1', message: 'first' });
+
+      await expect(
+        conversations.postTurn({ conversationId: 'conv-1', userId: 'user1', message: 'second' })
+      ).rejects.toThrow(ConversationFullError);
+      expect(aiPort.generateAnswer).toHaveBeenCalledTimes(1);
+    });
+
+    it('should throw CircuitOpenError without tokenizing when every circuit is open', async () => {
+      circuitBreaker.isOpen.mockReturnValue(true);
+
+      await expect(
+        conversations.postTurn({ conversationId: 'conv-1', userId: 'user1', message: 'hi' })
+      ).rejects.toThrow(CircuitOpenError);
+      expect(cryptoUtil.encrypt).not.toHaveBeenCalled();
+    });
+
+    it('should audit and reject a turn blocked by policy without storing it', async () => {
+      conversations = create({ policy: createPolicy({ rules: { EMAIL: 'block' } }) });
+
+      await expect(
+        conversations.postTurn({ conversationId: 'conv-1', userId: 'user1', message: 'I am jane@example.com' })
+      ).rejects.toThrow(PolicyBlockedError);
+
+      expect(aiPort.generateAnswer).not.toHaveBeenCalled();
+      expect(auditDbPort.saveAudit).toHaveBeenCalledWith(
+        expect.objectContaining({ conversationId: 'conv-1', blocked: true })
+      );
+      expect((await conversationStore.get('conv-1')).turns).toEqual([]);
+    });
+
+    it('should redact PII in the answer and record it in the audit entry', async () => {
+      aiPort.generateAnswer.mockResolvedValue('Your card 4111 1111 1111 1111 is on file');
+      conversations = create({ outputDlp: createOutputDlp({ sanitizer }) });
+
+      const result = await conversations.postTurn({ conversationId: 'conv-1', userId: 'user1', message: 'hi' });
+
+      expect(result.answer).toBe('Your card <REDACTED: CREDIT_CARD> is on file');
+      expect((await conversationStore.get('conv-1')).turns[1].content).toBe(
+        'Your card <REDACTED: CREDIT_CARD> is on file'
+      );
+      expect(auditDbPort.saveAudit).toHaveBeenCalledWith(
+        expect.objectContaining({
+          conversationId: 'conv-1',
+          outputDlp: { action: 'redact', redactionCounts: { CREDIT_CARD: 1 } },
+        })
+      );
+    });
+
+    it('should audit and reject a turn whose answer the output DLP blocks without storing it', async () => {
+      aiPort.generateAnswer.mockResolvedValue('Your card 4111 1111 1111 1111 is on file');
+      conversations = create({ outputDlp: createOutputDlp({ sanitizer, action: 'block' }) });
+
+      await expect(
+        conversations.postTurn({ conversationId: 'conv-1', userId: 'user1', message: 'I am jane@example.com' })
+      ).rejects.toBeInstanceOf(OutputBlockedError);
+
+      expect(auditDbPort.saveAudit).toHaveBeenCalledWith(
+        expect.objectContaining({
+          conversationId: 'conv-1',
+          outputDlp: { action: 'block', redactionCounts: { CREDIT_CARD: 1 } },
+        })
+      );
+      const stored = await conversationStore.get('conv-1');
+      expect(stored.turns).toEqual([]);
+      expect(stored.tokens).toEqual([]);
+    });
+
+    it('should leave the conversation unchanged when the AI call fails', async () => {
+      aiPort.generateAnswer.mockRejectedValue(new Error('AI down'));
+
+      await expect(
+        conversations.postTurn({ conversationId: 'conv-1', userId: 'user1', message: 'I am jane@example.com' })
+      ).rejects.toThrow('AI down');
+
+      const stored = await conversationStore.get('conv-1');
+      expect(stored.turns).toEqual([]);
+      expect(stored.tokens).toEqual([]);
+    });
+
+    it('should run concurrent turns of a conversation one at a time', async () => {
+      const first = conversations.postTurn({ conversationId: 'conv-1', userId: 'user1', message: 'a@example.com' });
+      const second = conversations.postTurn({ conversationId: 'conv-1', userId: 'user1', message: 'b@example.com' });
+      await Promise.all([first, second]);
+
+      expect(aiPort.generateAnswer).toHaveBeenNthCalledWith(2, '<EMAIL_2>', {
+        history: [
+          { role: 'user', content: '<EMAIL_1>' },
+          { role: 'assistant', content: 'Noted <EMAIL_1>' },
+        ],
+      });
+    });
+
+    it('should keep accepting turns after a failed turn', async () => {
+      aiPort.generateAnswer.mockRejectedValueOnce(new Error('AI down'));
+      const failed = conversations.postTurn({ conversationId: 'conv-1', userId: 'user1', message: 'first' });
+      const next = conversations.postTurn({ conversationId: 'conv-1', userId: 'user1', message: 'second' });
+
+      await expect(failed).rejects.toThrow('AI down');
+      await expect(next).resolves.toEqual({ answer: 'Noted <EMAIL_1>' });
+    });
+  });
+
+  describe('getHistory', () => {
+    beforeEach(async () => {
+      await conversations.createConversation({ userId: 'user1' });
+      await conversations.postTurn({ conversationId: 'conv-1', userId: 'user1', message: 'I am jane@example.com' });
+    });
+
+    it('should return the sanitized turns', async () => {
+      const history = await conversations.getHistory({ conversationId: 'conv-1', userId: 'user1' });
+
+      expect(history).toEqual({
+        conversationId: 'conv-1',
+        createdAt: expect.any(String),
+        turns: [
+          expect.objectContaining({ role: 'user', content: 'I am <EMAIL_1>' }),
+          expect.objectContaining({ role: 'assistant', content: 'Noted <EMAIL_1>', provider: 'mock' }),
+        ],
+      });
+    });
+
+    it('should hide conversations from other users', async () => {
+      await expect(conversations.getHistory({ conversationId: 'conv-1', userId: 'user2' })).rejects.toThrow(
+        ConversationNotFoundError
+      );
+    });
+  });
+});
@@ -0,0 +1,279 @@
+/**
+ * Conversation Use Case — Multi-turn secure inquiries
+ *
+ * Creates conversations, posts turns and returns their history. A turn runs the
+ * same flow as a single inquiry, with the conversation as context:
+ * 1. Checking circuit breakers (fail-fast if every provider's circuit is open)
+ * 2. Tokenizing the message with the conversation's earlier tokens, so the same
+ *    PII value gets the same placeholder in every turn, and applying the PII
+ *    policy (a blocked turn is audited and rejected without calling AI)
+ * 3. Calling AI with the full sanitized history plus the sanitized message,
+ *    failing over along the provider chain, and scanning the answer for PII
+ *    (output DLP: redact, flag or block; a blocked turn is audited and
+ *    rejected without storing it)
+ * 4. Auditing the turn, then storing both sanitized turns and the new tokens
+ *    (originals encrypted); the answer is tokenized like the message, since
+ *    the AI may echo or invent PII, so stored history never holds raw PII
+ * 5. Returning the AI answer (optionally rehydrated with the original PII)
+ *
+ * Turns of one conversation run one at a time, so token numbering and history
+ * stay consistent under concurrent requests.
+ */
+
+const crypto = require('crypto');
+const { createProviderChain, CircuitOpenError } = require('../services/providerChain.service');
+const { buildAuditEntry, enforcePolicy, scanAnswerForAudit } = require('./secureInquiry.usecase');
+
+/** Default number of user turns allowed per conversation */
+const DEFAULT_MAX_TURNS = 50;
+
+/**
+ * Custom error class for unknown conversations, or ones owned by another user.
+ * Route layer can check for this to return 404.
+ */
+class ConversationNotFoundError extends Error {
+  constructor() {
+    super('Conversation not found');
+    this.name = 'ConversationNotFoundError';
+    this.isConversationNotFound = true;
+  }
+}
+
+/**
+ * Custom error class for conversations that reached the turn limit.
+ * Route layer can check for this to return 409.
+ */
+class ConversationFullError extends Error {
+  /**
+   * @param {number} maxTurns - Turn limit that was reached
+   */
+  constructor(maxTurns) {
+    super(`Conversation reached the limit of ${maxTurns} turns`);
+    this.name = 'ConversationFullError';
+    this.isConversationFull = true;
+  }
+}
+
+/**
+ * Creates the conversation operations with injected dependencies.
+ *
+ * @param {Object} dependencies - Injected dependencies
+ * @param {Object} dependencies.sanitizer - Sanitizer service with tokenize(message, { preserve, known })
+ * @param {Array<{name: string, aiPort: Object, circuitBreaker: Object}>} dependencies.providers - Ordered
+ *   provider chain (primary first), each with its own breaker; AI ports receive { history }
+ * @param {Object} dependencies.conversationStore - Conversation store with create(), get() and appendTurns()
+ * @param {Object} dependencies.auditDbPort - Audit DB adapter with saveAudit(entry)
+ * @param {Object} dependencies.cryptoUtil - Crypto utility with encrypt(text) and decrypt(cipher)
+ * @param {Object} dependencies.tokenVault - Token vault service with create({ cryptoUtil })
+ * @param {string[]} [dependencies.rehydrateAllowedTypes] - PII types that may be re-injected into answers
+ * @param {Object} [dependencies.policy] - PII policy with isAllowed(finding) and evaluate(findings); redacts everything when omitted
+ * @param {Object} [dependencies.outputDlp] - Output DLP with action and startScan(); answers are not scanned when omitted
+ * @param {number} [dependencies.maxTurns=50] - User turns allowed per conversation
+ * @param {Function} [dependencies.generateId=crypto.randomUUID] - Creates conversation ids
+ * @returns {{createConversation: Function, postTurn: Function, getHistory: Function}} Conversation operations
+ */
+function createConversationUseCase(dependencies) {
+  const {
+    sanitizer,
+    providers,
+    conversationStore,
+    auditDbPort,
+    cryptoUtil,
+    tokenVault,
+    rehydrateAllowedTypes = [],
+    policy,
+    outputDlp,
+    maxTurns = DEFAULT_MAX_TURNS,
+    generateId = crypto.randomUUID,
+  } = dependencies;
+
+  const providerChain = createProviderChain(providers);
+
+  /** conversation id → promise of the turn in progress */
+  const inProgress = new Map();
+
+  /**
+   * Runs a task after every earlier task for the same conversation settled.
+   *
+   * @param {string} conversationId - Conversation id
+   * @param {Function} task - Async task
+   * @returns {Promise<*>} Task result
+   */
+  function runExclusive(conversationId, task) {
+    const previous = inProgress.get(conversationId) || Promise.resolve();
+    const run = previous.then(task);
+    const settled = run.catch(() => {});
+    inProgress.set(conversationId, settled);
+    settled.then(() => {
+      if (inProgress.get(conversationId) === settled) {
+        inProgress.delete(conversationId);
+      }
+    });
+    return run;
+  }
+
+  /**
+   * Loads a conversation owned by the user.
+   *
+   * @param {string} conversationId - Conversation id
+   * @param {string} userId - User identifier
+   * @returns {Promise<Object>} Conversation
+   * @throws {ConversationNotFoundError} If unknown or owned by another user
+   */
+  async function loadOwned(conversationId, userId) {
+    const conversation = await conversationStore.get(conversationId);
+    if (!conversation || conversation.userId !== userId) {
+      throw new ConversationNotFoundError();
+    }
+    return conversation;
+  }
+
+  /**
+   * Starts a new, empty conversation.
+   *
+   * @param {Object} params - Request parameters
+   * @param {string} params.userId - Owner of the conversation
+   * @returns {Promise<{conversationId: string, createdAt: string}>} New conversation id
+   */
+  async function createConversation({ userId }) {
+    const conversation = {
+      id: generateId(),
+      userId,
+      createdAt: new Date().toISOString(),
+      turns: [],
+      tokens: [],
+    };
+    await conversationStore.create(conversation);
+    return { conversationId: conversation.id, createdAt: conversation.createdAt };
+  }
+
+  /**
+   * Posts a user turn and returns the AI answer.
+   *
+   * @param {Object} params - Request parameters
+   * @param {string} params.conversationId - Conversation id
+   * @param {string} params.userId - User identifier (must own the conversation)
+   * @param {string} params.message - Raw user message (may contain PII)
+   * @param {boolean} [params.rehydrate=false] - Re-inject allowed originals into the answer
+   * @param {boolean} [params.includeRedactions=false] - Include per-type redaction counts in the result
+   * @returns {Promise<{answer: string, redactions?: Object<string, number>}>} AI-generated answer
+   * @throws {ConversationNotFoundError} If the conversation is unknown or owned by another user
+   * @throws {ConversationFullError} If the conversation reached maxTurns
+   * @throws {CircuitOpenError} If the circuit of every provider is open
+   * @throws {PolicyBlockedError} If the PII policy blocks the message (the block is audited)
+   * @throws {OutputBlockedError} If the output DLP blocks the answer (the block is audited, the turn not stored)
+   * @throws {Error} On storage or audit failure, or the last AI error when every available provider failed
+   */
+  function postTurn({ conversationId, userId, message, rehydrate = false, includeRedactions = false }) {
+    return runExclusive(conversationId, async () => {
+      const conversation = await loadOwned(conversationId, userId);
+      if (conversation.turns.filter((turn) => turn.role === 'user').length >= maxTurns) {
+        throw new ConversationFullError(maxTurns);
+      }
+
+      // Step 1: Pick the first provider whose circuit is closed - fail fast if all are open
+      const firstProvider = providerChain.firstAvailable();
+      if (firstProvider === -1) {
+        throw new CircuitOpenError();
+      }
+
+      // Step 2: Tokenize, reusing the tokens issued in earlier turns
+      const known = conversation.tokens.map(({ token, type, valueEncrypted }) => ({
+        token,
+        type,
+        value: cryptoUtil.decrypt(valueEncrypted),
+      }));
+      const { sanitizedMessage, tokens, findings } = sanitizer.tokenize(message, {
+        ...(policy && { preserve: policy.isAllowed }),
+        known,
+      });
+
+      await enforcePolicy(dependencies, {
+        userId,
+        message,
+        sanitizedMessage,
+        findings,
+        auditFields: { conversationId },
+      });
+
+      // Step 3: Call AI with the sanitized history and message, failing over along the chain
+      const history = conversation.turns.map(({ role, content }) => ({ role, content }));
+      const { answer: providerAnswer, provider } = await providerChain.callFrom(firstProvider, sanitizedMessage, {
+        history,
+      });
+      const auditEntry = buildAuditEntry(cryptoUtil, userId, message, sanitizedMessage, findings);
+      auditEntry.conversationId = conversationId;
+      if (provider.name) {
+        auditEntry.provider = provider.name;
+      }
+      const { answer, outputBlocked } = scanAnswerForAudit(outputDlp, providerAnswer, auditEntry);
+
+      // Step 4: Audit the turn, then store it
+      await auditDbPort.saveAudit(auditEntry);
+      if (outputBlocked) {
+        throw outputBlocked;
+      }
+
+      const { sanitizedMessage: sanitizedAnswer, tokens: answerTokens } = sanitizer.tokenize(answer, {
+        ...(policy && { preserve: policy.isAllowed }),
+        known: [...known, ...tokens],
+      });
+      const assistantTurn = { role: 'assistant', content: sanitizedAnswer, timestamp: new Date().toISOString() };
+      if (provider.name) {
+        assistantTurn.provider = provider.name;
+      }
+      await conversationStore.appendTurns(
+        conversationId,
+        [{ role: 'user', content: sanitizedMessage, timestamp: auditEntry.timestamp }, assistantTurn],
+        [...tokens, ...answerTokens].map(({ token, type, value }) => ({
+          token,
+          type,
+          valueEncrypted: cryptoUtil.encrypt(value),
+        }))
+      );
+
+      // Step 5: Return the answer, re-injecting allowed originals when requested
+      let result = answer;
+      if (rehydrate) {
+        const vault = tokenVault.create({ cryptoUtil });
+        for (const { token, type, value } of [...known, ...tokens]) {
+          vault.store(token, type, value);
+        }
+        result = vault.rehydrate(answer, rehydrateAllowedTypes);
+      }
+
+      if (includeRedactions) {
+        return { answer: result, redactions: auditEntry.redactionCounts };
+      }
+
+      return { answer: result };
+    });
+  }
+
+  /**
+   * Returns the sanitized history of a conversation.
+   *
+   * @param {Object} params - Request parameters
+   * @param {string} params.conversationId - Conversation id
+   * @param {string} params.userId - User identifier (must own the conversation)
+   * @returns {Promise<{conversationId: string, createdAt: string, turns: Array<Object>}>} Sanitized turns, oldest first
+   * @throws {ConversationNotFoundError} If the conversation is unknown or owned by another user
+   */
+  async function getHistory({ conversationId, userId }) {
+    const conversation = await loadOwned(conversationId, userId);
+    return {
+      conversationId: conversation.id,
+      createdAt: conversation.createdAt,
+      turns: conversation.turns,
+    };
+  }
+
+  return { createConversation, postTurn, getHistory };
+}
+
+module.exports = {
+  createConversationUseCase,
+  ConversationNotFoundError,
+  ConversationFullError,
+  DEFAULT_MAX_TURNS,
+};
@@ -2,38 +2,238 @@
  * Secure Inquiry Use Case — Orchestrates sanitize → AI → audit flow
  *
  * Processes user inquiries by:
- * 1. Checking circuit breaker (fail-fast if open)
- * 2. Sanitizing the message (redacting PII)
- * 3. Calling AI with sanitized message
- * 4. Auditing the request (encrypted original + plaintext sanitized)
- * 5. Returning the AI answer
+ * 1. Checking circuit breakers (fail-fast if every provider's circuit is open)
+ * 2. Sanitizing the message (redacting PII) and applying the PII policy
+ *    (a blocked message is audited and rejected without calling AI)
+ * 3. Calling AI with sanitized message, failing over along the provider chain
+ *    to the next provider whose circuit is closed when a call fails
+ * 4. Scanning the answer for PII (output DLP: redact, flag or block)
+ * 5. Auditing the request (encrypted original + plaintext sanitized, plus
+ *    what the output DLP found)
+ * 6. Returning the AI answer (optionally rehydrated with the original PII)
+ *
+ * The streaming variant runs steps 1-3 the same way, then returns the answer
+ * chunks as the provider produces them (scanned and rehydrated on the fly,
+ * holding back values and tokens split across chunks); the request is audited
+ * once the stream completes, fails or is stopped, with how it ended.
+ */
+
+const { createProviderChain, CircuitOpenError } = require('../services/providerChain.service');
+const { OutputBlockedError } = require('../services/outputDlp.service');
+
+/**
+ * Custom error class for messages rejected by the PII policy.
+ * Route layer can check for this to return 422 with the machine-readable reason.
+ */
+class PolicyBlockedError extends Error {
+  /**
+   * @param {{code: string, types: string[], kinds?: string[]}} reason - Why the message was blocked
+   */
+  constructor(reason) {
+    super('Message blocked by PII policy');
+    this.name = 'PolicyBlockedError';
+    this.isPolicyBlocked = true;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Counts sanitizer findings per PII type.
+ *
+ * @param {Array<{type: string}>} findings - Findings reported by the sanitizer
+ * @returns {Object<string, number>} Map of type → count, e.g. { EMAIL: 2, SSN: 1 }
+ */
+function countRedactionsByType(findings) {
+  const counts = {};
+  for (const { type } of findings) {
+    counts[type] = (counts[type] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Lists the distinct secret kinds (e.g. AWS_ACCESS_KEY, JWT) among the findings.
+ *
+ * @param {Array<{type: string, kind?: string}>} findings - Findings reported by the sanitizer
+ * @returns {string[]} Secret kinds in order of first appearance
+ */
+function collectSecretKinds(findings) {
+  const kinds = new Set();
+  for (const { type, kind } of findings) {
+    if (type === 'SECRET' && kind) {
+      kinds.add(kind);
+    }
+  }
+  return [...kinds];
+}
+
+/**
+ * Builds the audit entry for a request: encrypted original, sanitized message,
+ * redaction counts and, when credentials were found, their kinds.
+ *
+ * @param {Object} cryptoUtil - Crypto utility with encrypt(text)
+ * @param {string} userId - User identifier
+ * @param {string} message - Raw user message
+ * @param {string} sanitizedMessage - Message as forwarded (or as it would have been)
+ * @param {Array<Object>} findings - Sanitizer findings
+ * @returns {Object} Audit entry
  */
+function buildAuditEntry(cryptoUtil, userId, message, sanitizedMessage, findings) {
+  const auditEntry = {
+    userId,
+    timestamp: new Date().toISOString(),
+    originalMessageEncrypted: cryptoUtil.encrypt(message),
+    sanitizedMessage,
+    redactionCounts: countRedactionsByType(findings),
+  };
+
+  // Flag entries whose message contained credentials
+  const secretKinds = collectSecretKinds(findings);
+  if (secretKinds.length > 0) {
+    auditEntry.secretKinds = secretKinds;
+  }
+
+  return auditEntry;
+}
+
+/**
+ * Summarizes what the output DLP found in an answer, for the audit entry.
+ *
+ * @param {string} action - Output DLP action (flag, redact or block)
+ * @param {Array<Object>} findings - Findings in the answer
+ * @returns {{action: string, redactionCounts: Object<string, number>, secretKinds?: string[]}} Audit summary
+ */
+function buildOutputDlpAudit(action, findings) {
+  const outputDlp = { action, redactionCounts: countRedactionsByType(findings) };
+  const secretKinds = collectSecretKinds(findings);
+  if (secretKinds.length > 0) {
+    outputDlp.secretKinds = secretKinds;
+  }
+  return outputDlp;
+}
+
+/**
+ * Runs the output DLP on a whole answer and records what it found on the audit entry.
+ *
+ * @param {Object} [outputDlp] - Output DLP with action and startScan(); the answer is kept as-is when omitted
+ * @param {string} answer - AI answer
+ * @param {Object} auditEntry - Audit entry of the request; gets outputDlp when something was found
+ * @returns {{answer: string, outputBlocked: OutputBlockedError|null}} Answer to return, and the block to
+ *   throw once the request is audited (null when not blocked)
+ */
+function scanAnswerForAudit(outputDlp, answer, auditEntry) {
+  const scan = outputDlp?.startScan();
+  if (!scan) {
+    return { answer, outputBlocked: null };
+  }
+
+  let scanned = answer;
+  let outputBlocked = null;
+  try {
+    scanned = scan.scanAnswer(answer);
+  } catch (error) {
+    if (!error.isOutputBlocked) {
+      throw error;
+    }
+    outputBlocked = error;
+  }
+  if (scan.findings().length > 0) {
+    auditEntry.outputDlp = buildOutputDlpAudit(outputDlp.action, scan.findings());
+  }
+  return { answer: scanned, outputBlocked };
+}
+
+/**
+ * Applies the PII policy to a sanitized message; a blocked message is audited and rejected.
+ *
+ * @param {Object} dependencies - Policy and audit dependencies
+ * @param {Object} [dependencies.policy] - PII policy with evaluate(findings); nothing is blocked when omitted
+ * @param {Object} dependencies.auditDbPort - Audit DB adapter with saveAudit(entry)
+ * @param {Object} dependencies.cryptoUtil - Crypto utility with encrypt(text)
+ * @param {Object} request - The message being checked
+ * @param {string} request.userId - User identifier
+ * @param {string} request.message - Raw user message
+ * @param {string} request.sanitizedMessage - Message as it would be forwarded
+ * @param {Array<Object>} request.findings - Sanitizer findings
+ * @param {Object} [request.auditFields] - Extra fields for the audit entry of a block (e.g. conversationId)
+ * @returns {Promise<void>} Resolves when the message may be forwarded
+ * @throws {PolicyBlockedError} If the policy blocks the message (after the block is audited)
+ */
+async function enforcePolicy(
+  { policy, auditDbPort, cryptoUtil },
+  { userId, message, sanitizedMessage, findings, auditFields = {} }
+) {
+  if (!policy) {
+    return;
+  }
+
+  const decision = policy.evaluate(findings);
+  if (decision.action === 'block') {
+    const blockedEntry = {
+      ...buildAuditEntry(cryptoUtil, userId, message, sanitizedMessage, findings),
+      ...auditFields,
+      blocked: true,
+      blockReason: decision.reason,
+    };
+    await auditDbPort.saveAudit(blockedEntry);
+    throw new PolicyBlockedError(decision.reason);
+  }
+}
 
 /**
- * Custom error class for circuit breaker open state.
- * Route layer can check for this to return 503.
+ * Tokenizes the message and stores each token's original in a fresh vault.
+ *
+ * @param {Object} dependencies - Use case dependencies (sanitizer, tokenVault, cryptoUtil)
+ * @param {string} message - Raw user message
+ * @param {Array<Object>} sanitizeOptions - Options for sanitizer.tokenize (empty or one object)
+ * @returns {{sanitizedMessage: string, findings: Array<Object>, vault: Object}} Tokenized message, findings and vault
  */
-class CircuitOpenError extends Error {
-  constructor() {
-    super('Service Busy');
-    this.name = 'CircuitOpenError';
-    this.isCircuitOpen = true;
+function tokenizeIntoVault({ sanitizer, tokenVault, cryptoUtil }, message, sanitizeOptions) {
+  const { sanitizedMessage, tokens, findings } = sanitizer.tokenize(message, ...sanitizeOptions);
+  const vault = tokenVault.create({ cryptoUtil });
+
+  for (const { token, type, value } of tokens) {
+    vault.store(token, type, value);
   }
+
+  return { sanitizedMessage, findings, vault };
 }
 
 /**
  * Creates a secure inquiry executor with injected dependencies.
  *
  * @param {Object} dependencies - Injected dependencies
- * @param {Object} dependencies.sanitizer - Sanitizer service with sanitize(message)
- * @param {Object} dependencies.circuitBreaker - Circuit breaker service with isOpen(), recordFailure(), recordSuccess()
- * @param {Object} dependencies.aiPort - AI adapter with generateAnswer(sanitizedMessage)
+ * @param {Object} dependencies.sanitizer - Sanitizer service with sanitizeWithReport(message) and tokenize(message)
+ * @param {Object} [dependencies.circuitBreaker] - Circuit breaker for the AI provider (CircuitBreaker) with isOpen(),
+ *   recordFailure(durationMs) and recordSuccess(durationMs); used with aiPort when no providers chain is given
+ * @param {Object} [dependencies.aiPort] - AI adapter with generateAnswer(sanitizedMessage); when it sets
+ *   recordsCircuitBreaker (see createResilientAIPort) the use case does not record the outcome again
+ * @param {Array<{name: string, aiPort: Object, circuitBreaker: Object}>} [dependencies.providers] - Ordered
+ *   provider chain (primary first), each with its own breaker; takes precedence over aiPort/circuitBreaker
  * @param {Object} dependencies.auditDbPort - Audit DB adapter with saveAudit(entry)
- * @param {Object} dependencies.cryptoUtil - Crypto utility with encrypt(text)
+ * @param {Object} dependencies.cryptoUtil - Crypto utility with encrypt(text) and decrypt(cipher)
+ * @param {Object} [dependencies.tokenVault] - Token vault service with create({ cryptoUtil }); required for rehydration
+ * @param {string[]} [dependencies.rehydrateAllowedTypes] - PII types that may be re-injected into answers
+ * @param {Object} [dependencies.policy] - PII policy with isAllowed(finding) and evaluate(findings); redacts everything when omitted
+ * @param {Object} [dependencies.outputDlp] - Output DLP with action and startScan(); answers are not scanned when omitted
  * @returns {Function} executeSecureInquiry function
  */
 function createSecureInquiryUseCase(dependencies) {
-  const { sanitizer, circuitBreaker, aiPort, auditDbPort, cryptoUtil } = dependencies;
+  const {
+    sanitizer,
+    circuitBreaker,
+    aiPort,
+    providers = [{ aiPort, circuitBreaker }],
+    auditDbPort,
+    cryptoUtil,
+    rehydrateAllowedTypes = [],
+    policy,
+    outputDlp,
+  } = dependencies;
+
+  // Findings the policy allows are left in the message; without a policy everything is redacted
+  const sanitizeOptions = policy ? [{ preserve: policy.isAllowed }] : [];
+  const providerChain = createProviderChain(providers);
 
   /**
    * Processes a secure inquiry: sanitizes message, calls AI, audits the request.
@@ -41,50 +241,266 @@ function createSecureInquiryUseCase(dependencies) {
    * @param {Object} params - Request parameters
    * @param {string} params.userId - User identifier
    * @param {string} params.message - Raw user message (may contain PII)
-   * @returns {Promise<{answer: string}>} AI-generated answer
-   * @throws {CircuitOpenError} If circuit breaker is open
-   * @throws {Error} On AI or audit failure
+   * @param {boolean} [params.rehydrate=false] - Use indexed tokens and re-inject allowed originals into the answer
+   * @param {boolean} [params.includeRedactions=false] - Include per-type redaction counts in the result
+   * @returns {Promise<{answer: string, redactions?: Object<string, number>}>} AI-generated answer
+   * @throws {CircuitOpenError} If the circuit of every provider is open
+   * @throws {PolicyBlockedError} If the PII policy blocks the message (the block is audited)
+   * @throws {OutputBlockedError} If the output DLP blocks the answer (the block is audited)
+   * @throws {Error} On audit failure, or the last AI error when every available provider failed
    */
-  async function executeSecureInquiry({ userId, message }) {
-    // Step 1: Check circuit breaker - fail fast if open
-    if (circuitBreaker.isOpen()) {
+  async function executeSecureInquiry({ userId, message, rehydrate = false, includeRedactions = false }) {
+    // Step 1: Pick the first provider whose circuit is closed - fail fast if all are open
+    const firstProvider = providerChain.firstAvailable();
+    if (firstProvider === -1) {
       throw new CircuitOpenError();
     }
 
-    // Step 2: Sanitize the message (redact PII)
-    const sanitizedMessage = sanitizer.sanitize(message);
-
-    // Step 3: Call AI with sanitized message only
-    let answer;
-    try {
-      answer = await aiPort.generateAnswer(sanitizedMessage);
-      circuitBreaker.recordSuccess();
-    } catch (error) {
-      circuitBreaker.recordFailure();
-      throw error;
+    // Step 2: Sanitize the message (redact PII); tokenize when the answer will be rehydrated
+    let sanitizedMessage;
+    let findings;
+    let vault = null;
+    if (rehydrate) {
+      ({ sanitizedMessage, findings, vault } = tokenizeIntoVault(dependencies, message, sanitizeOptions));
+    } else {
+      ({ sanitizedMessage, findings } = sanitizer.sanitizeWithReport(message, ...sanitizeOptions));
     }
 
-    // Step 4: Audit the request (on success only)
-    const timestamp = new Date().toISOString();
-    const originalMessageEncrypted = cryptoUtil.encrypt(message);
+    await enforcePolicy(dependencies, { userId, message, sanitizedMessage, findings });
 
-    const auditEntry = {
-      userId,
-      timestamp,
-      originalMessageEncrypted,
-      sanitizedMessage,
-    };
+    // Step 3: Call AI with sanitized message only, failing over to the next available provider
+    const { answer: providerAnswer, provider } = await providerChain.callFrom(firstProvider, sanitizedMessage);
+
+    const auditEntry = buildAuditEntry(cryptoUtil, userId, message, sanitizedMessage, findings);
+    if (provider.name) {
+      auditEntry.provider = provider.name;
+    }
+
+    // Step 4: Scan the answer for PII the model echoed or made up
+    const { answer: scannedAnswer, outputBlocked } = scanAnswerForAudit(outputDlp, providerAnswer, auditEntry);
+    let answer = scannedAnswer;
 
+    // Step 5: Audit the request (on success only), noting which provider answered and what the answer contained
     await auditDbPort.saveAudit(auditEntry);
 
-    // Step 5: Return the answer
+    if (outputBlocked) {
+      throw outputBlocked;
+    }
+
+    // Step 6: Return the answer, re-injecting allowed originals when requested
+    if (vault) {
+      answer = vault.rehydrate(answer, rehydrateAllowedTypes);
+    }
+
+    if (includeRedactions) {
+      return { answer, redactions: auditEntry.redactionCounts };
+    }
+
     return { answer };
   }
 
   return executeSecureInquiry;
 }
 
+/**
+ * Creates a streaming secure inquiry executor with injected dependencies.
+ *
+ * @param {Object} dependencies - Injected dependencies
+ * @param {Object} dependencies.sanitizer - Sanitizer service with sanitizeWithReport(message) and tokenize(message)
+ * @param {Object} [dependencies.circuitBreaker] - Circuit breaker for the AI provider; used with aiPort when no
+ *   providers chain is given
+ * @param {Object} [dependencies.aiPort] - AI adapter with streamAnswer(sanitizedMessage, { signal }) or, answering
+ *   in one chunk, generateAnswer(sanitizedMessage, { signal })
+ * @param {Array<{name: string, aiPort: Object, circuitBreaker: Object}>} [dependencies.providers] - Ordered
+ *   provider chain (primary first), each with its own breaker; takes precedence over aiPort/circuitBreaker
+ * @param {Object} dependencies.auditDbPort - Audit DB adapter with saveAudit(entry)
+ * @param {Object} dependencies.cryptoUtil - Crypto utility with encrypt(text) and decrypt(cipher)
+ * @param {Object} [dependencies.tokenVault] - Token vault service with create({ cryptoUtil }); required for rehydration
+ * @param {string[]} [dependencies.rehydrateAllowedTypes] - PII types that may be re-injected into answers
+ * @param {Object} [dependencies.policy] - PII policy with isAllowed(finding) and evaluate(findings); redacts everything when omitted
+ * @param {Object} [dependencies.outputDlp] - Output DLP with action and startScan(); answers are not scanned when omitted
+ * @param {Function} [dependencies.onAuditError] - Receives audit failures the stream cannot report (the stream
+ *   failed or was aborted); ignored when omitted
+ * @returns {Function} streamSecureInquiry function
+ */
+function createSecureInquiryStreamUseCase(dependencies) {
+  const {
+    sanitizer,
+    circuitBreaker,
+    aiPort,
+    providers = [{ aiPort, circuitBreaker }],
+    auditDbPort,
+    cryptoUtil,
+    rehydrateAllowedTypes = [],
+    policy,
+    outputDlp,
+    onAuditError = () => {},
+  } = dependencies;
+
+  const sanitizeOptions = policy ? [{ preserve: policy.isAllowed }] : [];
+  const providerChain = createProviderChain(providers);
+
+  /**
+   * Processes a secure inquiry with a streamed answer.
+   *
+   * @param {Object} params - Request parameters
+   * @param {string} params.userId - User identifier
+   * @param {string} params.message - Raw user message (may contain PII)
+   * @param {boolean} [params.rehydrate=false] - Use indexed tokens and re-inject allowed originals into the chunks
+   * @param {boolean} [params.includeRedactions=false] - Include per-type redaction counts in the result
+   * @param {AbortSignal} [params.signal] - Aborted when the client goes away; cancels the provider's stream
+   * @returns {Promise<{chunks: AsyncIterableIterator<string>, redactions?: Object<string, number>}>} Answer chunks,
+   *   once the first one arrived; iterate them to the end (or stop early) so the stream is closed and audited. Chunks
+   *   dropped before the first read are audited as aborted on return() or when the signal aborts
+   * @throws {CircuitOpenError} If the circuit of every provider is open
+   * @throws {PolicyBlockedError} If the PII policy blocks the message (the block is audited)
+   * @throws {Error} The last AI error when every available provider failed before its first chunk; once
+   *   streaming, the chunks fail with OutputBlockedError if the output DLP blocks the answer
+   */
+  async function streamSecureInquiry({ userId, message, rehydrate = false, includeRedactions = false, signal }) {
+    // Step 1: Pick the first provider whose circuit is closed - fail fast if all are open
+    const firstProvider = providerChain.firstAvailable();
+    if (firstProvider === -1) {
+      throw new CircuitOpenError();
+    }
+
+    // Step 2: Sanitize the message (redact PII); tokenize when the answer will be rehydrated
+    let sanitizedMessage;
+    let findings;
+    let vault = null;
+    if (rehydrate) {
+      ({ sanitizedMessage, findings, vault } = tokenizeIntoVault(dependencies, message, sanitizeOptions));
+    } else {
+      ({ sanitizedMessage, findings } = sanitizer.sanitizeWithReport(message, ...sanitizeOptions));
+    }
+
+    await enforcePolicy(dependencies, { userId, message, sanitizedMessage, findings });
+
+    // Step 3: Open the stream, failing over until a provider delivers its first chunk
+    const { chunks, provider } = await providerChain.streamFrom(firstProvider, sanitizedMessage, { signal });
+    const scan = outputDlp?.startScan();
+    let audited = false;
+
+    /**
+     * Audits the request with how the stream ended, once, noting which
+     * provider answered and what the answer contained.
+     *
+     * @param {string} streamStatus - 'completed', 'failed' or 'aborted'
+     * @returns {Promise<void>} Resolves once saved (at once if already audited)
+     */
+    async function auditStream(streamStatus) {
+      if (audited) {
+        return;
+      }
+      audited = true;
+      const auditEntry = buildAuditEntry(cryptoUtil, userId, message, sanitizedMessage, findings);
+      if (provider.name) {
+        auditEntry.provider = provider.name;
+      }
+      if (scan?.findings().length > 0) {
+        auditEntry.outputDlp = buildOutputDlpAudit(outputDlp.action, scan.findings());
+      }
+      auditEntry.streamStatus = streamStatus;
+      await auditDbPort.saveAudit(auditEntry);
+    }
+
+    /**
+     * Relays the chunks, then audits the request with how the stream ended. An
+     * audit failure fails a completed stream; a stream that failed or was
+     * aborted keeps its own outcome and the audit failure goes to onAuditError.
+     *
+     * @param {AsyncIterable<string>} answerChunks - Chunks to relay
+     * @returns {AsyncGenerator<string>} Answer chunks
+     */
+    async function* relayAndAudit(answerChunks) {
+      let streamStatus = 'aborted';
+      try {
+        for await (const chunk of answerChunks) {
+          yield chunk;
+        }
+        streamStatus = 'completed';
+      } catch (error) {
+        streamStatus = signal?.aborted ? 'aborted' : 'failed';
+        throw error;
+      } finally {
+        // Step 5: Audit the request once the stream is over
+        try {
+          await auditStream(streamStatus);
+        } catch (auditError) {
+          if (streamStatus === 'completed') {
+            throw auditError;
+          }
+          onAuditError(auditError);
+        }
+      }
+    }
+
+    /**
+     * Wraps the relayed chunks so that a stream dropped before its first read
+     * is still audited as aborted: a generator that never started does not
+     * run its finally block. The audit runs when return() or throw() comes
+     * before the first next(), or when the signal aborts first.
+     *
+     * @param {AsyncGenerator<string>} relay - Relayed chunks
+     * @returns {AsyncIterableIterator<string>} Answer chunks
+     */
+    function auditIfUnread(relay) {
+      let started = false;
+      const auditUnread = () => {
+        if (started) {
+          return Promise.resolve();
+        }
+        started = true;
+        signal?.removeEventListener('abort', auditUnread);
+        return auditStream('aborted').catch(onAuditError);
+      };
+      signal?.addEventListener('abort', auditUnread, { once: true });
+
+      return {
+        next(...args) {
+          started = true;
+          signal?.removeEventListener('abort', auditUnread);
+          return relay.next(...args);
+        },
+        async return(value) {
+          await auditUnread();
+          return relay.return(value);
+        },
+        async throw(error) {
+          await auditUnread();
+          return relay.throw(error);
+        },
+        [Symbol.asyncIterator]() {
+          return this;
+        },
+      };
+    }
+
+    // Step 4: Scan the chunks for PII the model echoes or makes up
+    let answerChunks = scan ? scan.scanStream(chunks) : chunks;
+
+    // Step 6: Return the chunks, re-injecting allowed originals when requested (and the redaction counts, known up front)
+    if (vault) {
+      answerChunks = vault.rehydrateStream(answerChunks, rehydrateAllowedTypes);
+    }
+    const relayed = auditIfUnread(relayAndAudit(answerChunks));
+    if (includeRedactions) {
+      return { chunks: relayed, redactions: countRedactionsByType(findings) };
+    }
+
+    return { chunks: relayed };
+  }
+
+  return streamSecureInquiry;
+}
+
 module.exports = {
   createSecureInquiryUseCase,
+  createSecureInquiryStreamUseCase,
+  buildAuditEntry,
+  enforcePolicy,
+  scanAnswerForAudit,
   CircuitOpenError,
+  PolicyBlockedError,
+  OutputBlockedError,
 };
@@ -0,0 +1,260 @@
+/**
+ * Unit tests for aiHttp.util.ts
+ *
+ * Tests postJson() and postStream() against a local stub HTTP server (JSON
+ * round trip, error bodies in the OpenAI and Ollama shapes), the stream readers
+ * (lines, Server-Sent Events, JSON lines) and parseRetryAfter().
+ */
+
+const http = require('http');
+const {
+  postJson,
+  postStream,
+  readLines,
+  readServerSentEvents,
+  readJsonLines,
+  parseRetryAfter,
+} = require('../aiHttp.util');
+const {
+  AIConnectionError,
+  AIInvalidRequestError,
+  AIRateLimitError,
+  AIResponseError,
+  AIServerError,
+} = require('../../ports/ai.port');
+
+/**
+ * Builds a response body stream from text pieces.
+ *
+ * @param {string[]} pieces - Text delivered piece by piece
+ * @returns {ReadableStream<Uint8Array>} Body stream
+ */
+function bodyOf(pieces) {
+  const encoder = new TextEncoder();
+  return new ReadableStream({
+    start(controller) {
+      for (const piece of pieces) {
+        controller.enqueue(encoder.encode(piece));
+      }
+      controller.close();
+    },
+  });
+}
+
+/**
+ * Collects every value of an async iterator.
+ *
+ * @param {AsyncIterable<*>} iterable - Iterator to drain
+ * @returns {Promise<Array<*>>} Values, in order
+ */
+async function collect(iterable) {
+  const values = [];
+  for await (const value of iterable) {
+    values.push(value);
+  }
+  return values;
+}
+
+describe('aiHttp.util', () => {
+  describe('postJson', () => {
+    let server;
+    let url;
+    let respond;
+    let received;
+
+    beforeEach(async () => {
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => {
+          body += chunk;
+        });
+        req.on('end', () => {
+          received = { headers: req.headers, body: JSON.parse(body) };
+          respond(res);
+        });
+      });
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      url = `http://127.0.0.1:${server.address().port}/api`;
+    });
+
+    afterEach(async () => {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    /**
+     * Makes the stub answer with a status and raw body.
+     *
+     * @param {number} status - HTTP status
+     * @param {string} body - Response body
+     */
+    function respondWith(status, body) {
+      respond = (res) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(body);
+      };
+    }
+
+    it('should send JSON with extra headers and return the parsed answer', async () => {
+      respondWith(200, '{"ok":true}');
+
+      await expect(postJson(url, { a: 1 }, { headers: { 'X-Api-Key': 'k' } })).resolves.toEqual({ ok: true });
+      expect(received.body).toEqual({ a: 1 });
+      expect(received.headers).toMatchObject({ 'content-type': 'application/json', 'x-api-key': 'k' });
+    });
+
+    it('should read string error bodies (Ollama)', async () => {
+      respondWith(404, '{"error":"model \\"llama3\\" not found"}');
+
+      const error = await postJson(url, {}).catch((e) => e);
+
+      expect(error).toBeInstanceOf(AIInvalidRequestError);
+      expect(error.message).toBe('AI provider returned 404: model "llama3" not found');
+    });
+
+    it('should read object error bodies (OpenAI)', async () => {
+      respondWith(500, '{"error":{"type":"server_error","message":"overloaded"}}');
+
+      const error = await postJson(url, {}).catch((e) => e);
+
+      expect(error).toBeInstanceOf(AIServerError);
+      expect(error.message).toBe('AI provider returned 500: overloaded');
+      expect(error.type).toBe('server_error');
+    });
+  });
+
+  describe('postStream', () => {
+    let server;
+    let url;
+    let respond;
+
+    beforeEach(async () => {
+      server = http.createServer((req, res) => {
+        req.resume();
+        req.on('end', () => respond(res));
+      });
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      url = `http://127.0.0.1:${server.address().port}/api`;
+    });
+
+    afterEach(async () => {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    it('should return the body of a successful response', async () => {
+      respond = (res) => {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.end('data: one\n\ndata: two\n\n');
+      };
+
+      const events = await collect(readServerSentEvents(await postStream(url, {})));
+
+      expect(events.map((event) => event.data)).toEqual(['one', 'two']);
+    });
+
+    it('should map unsuccessful statuses to typed errors', async () => {
+      respond = (res) => {
+        res.writeHead(429, { 'Content-Type': 'application/json', 'Retry-After': '2' });
+        res.end('{"error":{"type":"rate_limit_error","message":"slow down"}}');
+      };
+
+      const error = await postStream(url, {}).catch((e) => e);
+
+      expect(error).toBeInstanceOf(AIRateLimitError);
+      expect(error.retryAfterMs).toBe(2000);
+      expect(error.type).toBe('rate_limit_error');
+    });
+
+    it('should report a connection that breaks mid-stream', async () => {
+      respond = (res) => {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write('data: one\n\n');
+        setTimeout(() => res.destroy(), 20);
+      };
+
+      const events = readServerSentEvents(await postStream(url, {}));
+
+      await expect(events.next()).resolves.toEqual({ done: false, value: { event: 'message', data: 'one' } });
+      await expect(events.next()).rejects.toBeInstanceOf(AIConnectionError);
+    });
+
+    it('should reject with the signal reason when aborted mid-stream', async () => {
+      respond = (res) => {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write('data: one\n\n');
+      };
+      const controller = new AbortController();
+      const reason = new Error('stop');
+
+      const events = readServerSentEvents(await postStream(url, {}, { signal: controller.signal }), controller.signal);
+      await events.next();
+      setTimeout(() => controller.abort(reason), 10);
+
+      await expect(events.next()).rejects.toBe(reason);
+    });
+  });
+
+  describe('readLines', () => {
+    it('should split lines across pieces and strip CRLF endings', async () => {
+      const lines = await collect(readLines(bodyOf(['first\r', '\nsec', 'ond\nlast'])));
+
+      expect(lines).toEqual(['first', 'second', 'last']);
+    });
+
+    it('should decode multi-byte characters split across pieces', async () => {
+      const bytes = new TextEncoder().encode('héllo\n');
+      const body = new ReadableStream({
+        start(controller) {
+          controller.enqueue(bytes.slice(0, 2));
+          controller.enqueue(bytes.slice(2));
+          controller.close();
+        },
+      });
+
+      await expect(collect(readLines(body))).resolves.toEqual(['héllo']);
+    });
+  });
+
+  describe('readServerSentEvents', () => {
+    it('should read event names, join data lines and skip comments', async () => {
+      const events = await collect(
+        readServerSentEvents(bodyOf([': ping\n', 'event: delta\ndata: a\ndata:b\n\n', 'data: {"x":1}\n\n']))
+      );
+
+      expect(events).toEqual([
+        { event: 'delta', data: 'a\nb' },
+        { event: 'message', data: '{"x":1}' },
+      ]);
+    });
+
+    it('should keep a last event without the closing blank line', async () => {
+      const events = await collect(readServerSentEvents(bodyOf(['data: [DONE]'])));
+
+      expect(events).toEqual([{ event: 'message', data: '[DONE]' }]);
+    });
+  });
+
+  describe('readJsonLines', () => {
+    it('should parse each line and skip blank ones', async () => {
+      const values = await collect(readJsonLines(bodyOf(['{"a":1}\n\n{"b"', ':2}\n'])));
+
+      expect(values).toEqual([{ a: 1 }, { b: 2 }]);
+    });
+
+    it('should reject invalid lines', async () => {
+      await expect(collect(readJsonLines(bodyOf(['{"a":1}\nnot json\n'])))).rejects.toBeInstanceOf(AIResponseError);
+    });
+  });
+
+  describe('parseRetryAfter', () => {
+    it('should parse seconds and HTTP dates', () => {
+      expect(parseRetryAfter('3')).toBe(3000);
+      expect(parseRetryAfter(new Date(Date.now() + 60000).toUTCString())).toBeGreaterThan(50000);
+    });
+
+    it('should ignore missing and invalid values', () => {
+      expect(parseRetryAfter(null)).toBeUndefined();
+      expect(parseRetryAfter('soon')).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Unit tests for inquiryHttp.util.js
+ *
+ * Tests inquiry request validation, the error → HTTP response mapping and
+ * Server-Sent Event framing.
+ */
+
+const {
+  validateUserId,
+  validateInquiryRequest,
+  inquiryErrorResponse,
+  sendInquiryError,
+  writeServerSentEvent,
+} = require('../inquiryHttp.util');
+
+/**
+ * Creates a minimal Express-like response that records status and body.
+ *
+ * @returns {{status: Function, json: Function, statusCode?: number, body?: Object}} Response double
+ */
+function createResponse() {
+  const res = {};
+  res.status = jest.fn((code) => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn((body) => {
+    res.body = body;
+    return res;
+  });
+  return res;
+}
+
+describe('inquiryHttp.util', () => {
+  describe('validateUserId', () => {
+    it.each([
+      [undefined, 'userId is required'],
+      [42, 'userId must be a string'],
+      ['  ', 'userId cannot be empty'],
+    ])('should reject %p', (userId, error) => {
+      expect(validateUserId(userId)).toEqual({ valid: false, error });
+    });
+
+    it('should accept a non-empty string', () => {
+      expect(validateUserId('user1')).toEqual({ valid: true });
+    });
+  });
+
+  describe('validateInquiryRequest', () => {
+    it('should accept a valid body', () => {
+      expect(validateInquiryRequest({ userId: 'user1', message: 'hi', rehydrate: true })).toEqual({ valid: true });
+    });
+
+    it.each([
+      [undefined, 'Request body is required'],
+      [{ message: 'hi' }, 'userId is required'],
+      [{ userId: 'user1' }, 'message is required'],
+      [{ userId: 'user1', message: 'x'.repeat(64 * 1024 + 1) }, 'message exceeds maximum length'],
+      [{ userId: 'user1', message: 'hi', rehydrate: 'yes' }, 'rehydrate must be a boolean'],
+      [{ userId: 'user1', message: 'hi', includeRedactions: 1 }, 'includeRedactions must be a boolean'],
+    ])('should reject invalid bodies (%#)', (body, error) => {
+      expect(validateInquiryRequest(body)).toEqual({ valid: false, error });
+    });
+  });
+
+  describe('sendInquiryError', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.error.mockRestore();
+    });
+
+    it.each([
+      [{ isCircuitOpen: true }, 503, { error: 'Service Busy' }],
+      [{ isBulkheadFull: true }, 429, { error: 'Too many concurrent requests' }],
+      [{ isQueueTimeout: true }, 503, { error: 'Service Busy' }],
+      [{ isTimeout: true }, 504, { error: 'AI provider timed out' }],
+      [{ isAIProviderError: true }, 502, { error: 'AI provider error' }],
+      [{ isConversationNotFound: true, message: 'Conversation not found' }, 404, { error: 'Conversation not found' }],
+      [{ isConversationFull: true, message: 'full' }, 409, { error: 'full' }],
+      [{ message: 'boom' }, 500, { error: 'Internal server error' }],
+    ])('should map %p to %i', (error, status, body) => {
+      const res = createResponse();
+
+      sendInquiryError(res, error, 'Test error');
+
+      expect(res.statusCode).toBe(status);
+      expect(res.body).toEqual(body);
+    });
+
+    it('should return 422 with the policy reason', () => {
+      const res = createResponse();
+      const reason = { code: 'PII_BLOCKED', types: ['SSN'] };
+
+      sendInquiryError(res, { isPolicyBlocked: true, message: 'Message blocked by PII policy', reason }, 'Test error');
+
+      expect(res.statusCode).toBe(422);
+      expect(res.body).toEqual({ error: 'Message blocked by PII policy', reason });
+    });
+
+    it('should return 502 with the output DLP reason', () => {
+      const res = createResponse();
+      const reason = { code: 'PII_IN_ANSWER', types: ['CREDIT_CARD'] };
+
+      sendInquiryError(res, { isOutputBlocked: true, message: 'Answer blocked by output DLP', reason }, 'Test error');
+
+      expect(res.statusCode).toBe(502);
+      expect(res.body).toEqual({ error: 'Answer blocked by output DLP', reason });
+    });
+
+    it('should log unexpected errors with the label', () => {
+      sendInquiryError(createResponse(), { message: 'boom' }, 'Test error');
+
+      expect(console.error).toHaveBeenCalledWith('Test error:', 'boom');
+    });
+  });
+
+  describe('inquiryErrorResponse', () => {
+    it('should return the status and body without sending them', () => {
+      expect(inquiryErrorResponse({ isTimeout: true }, 'Test error')).toEqual({
+        status: 504,
+        body: { error: 'AI provider timed out' },
+      });
+    });
+  });
+
+  describe('writeServerSentEvent', () => {
+    it('should write a named event with its JSON payload on one data line', () => {
+      const res = { write: jest.fn() };
+
+      writeServerSentEvent(res, 'chunk', { text: 'line one\nline two' });
+
+      expect(res.write).toHaveBeenCalledWith('event: chunk\ndata: {"text":"line one\\nline two"}\n\n');
+    });
+  });
+});
@@ -0,0 +1,284 @@
+/**
+ * AI HTTP Utility — JSON requests to AI provider APIs
+ *
+ * Shared by the HTTP AI adapters: posts a JSON body, parses the JSON answer and
+ * turns HTTP and network failures into the typed AIProviderError subclasses from
+ * the AI port. Aborting the caller's signal cancels the request and rejects with
+ * the signal's reason, so timeouts keep their own error type.
+ *
+ * Streaming answers are read with postStream() and the line, Server-Sent Events
+ * (OpenAI, Anthropic) or JSON lines (Ollama) readers.
+ */
+
+import { AIConnectionError, AIProviderError, AIResponseError, providerErrorForStatus } from '../ports/ai.port';
+
+/**
+ * Parses a Retry-After header (seconds or HTTP date).
+ *
+ * @param header - Header value
+ * @returns Delay in ms, or undefined if missing or invalid
+ */
+export function parseRetryAfter(header: string | null): number | undefined {
+  if (!header) return undefined;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds) && seconds >= 0) return seconds * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Extracts the provider's error message from an error body.
+ * Handles `{ error: "..." }` (Ollama) and `{ error: { message } }` (OpenAI, Anthropic, llama.cpp).
+ *
+ * @param data - Parsed error body
+ * @returns The message, or undefined
+ */
+function errorMessageOf(data: any): string | undefined {
+  if (typeof data?.error === 'string') return data.error;
+  return data?.error?.message;
+}
+
+/**
+ * Sends a JSON POST request.
+ *
+ * @param url - Endpoint URL
+ * @param body - JSON-serializable request body
+ * @param options - Extra request headers and the caller's abort signal
+ * @returns The response, whatever its status
+ * @throws {AIConnectionError} On a network error
+ * @throws Rejects with the signal's reason when aborted
+ */
+async function send(
+  url: string,
+  body: unknown,
+  { headers = {}, signal }: { headers?: Record<string, string>; signal?: AbortSignal }
+): Promise<Response> {
+  try {
+    return await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal,
+    });
+  } catch (error) {
+    if (signal?.aborted) throw signal.reason;
+    throw new AIConnectionError(`AI provider unreachable: ${error.cause?.message || error.message}`, error.cause?.code);
+  }
+}
+
+/**
+ * Builds the typed error for an unsuccessful response.
+ *
+ * @param response - Response with an unsuccessful status
+ * @param data - Parsed error body (undefined if it is not JSON)
+ * @returns Typed provider error, with the provider's error type if any
+ */
+function errorForResponse(response: Response, data: any): AIProviderError {
+  const detail = errorMessageOf(data) || response.statusText || 'request failed';
+  const error = providerErrorForStatus(
+    response.status,
+    `AI provider returned ${response.status}: ${detail}`,
+    parseRetryAfter(response.headers.get('retry-after'))
+  );
+  if (typeof data?.error?.type === 'string') {
+    error.type = data.error.type;
+  }
+  return error;
+}
+
+/**
+ * Parses a response body as JSON.
+ *
+ * @param response - Response to read
+ * @param signal - Caller's abort signal
+ * @returns Parsed body, or undefined if it is not JSON
+ * @throws Rejects with the signal's reason when aborted
+ */
+async function readJson(response: Response, signal?: AbortSignal): Promise<any> {
+  try {
+    return await response.json();
+  } catch (error) {
+    if (signal?.aborted) throw signal.reason;
+    return undefined;
+  }
+}
+
+/**
+ * Posts a JSON body to an AI provider and returns the parsed JSON answer.
+ *
+ * @param url - Endpoint URL
+ * @param body - JSON-serializable request body
+ * @param options - Extra request headers and the caller's abort signal
+ * @returns Parsed response body (undefined if it is not JSON)
+ * @throws {AIProviderError} On an unsuccessful HTTP status (with the provider's error type, if any) or a network error
+ * @throws Rejects with the signal's reason when aborted
+ */
+export async function postJson(
+  url: string,
+  body: unknown,
+  { headers = {}, signal }: { headers?: Record<string, string>; signal?: AbortSignal } = {}
+): Promise<any> {
+  const response = await send(url, body, { headers, signal });
+  const data = await readJson(response, signal);
+
+  if (!response.ok) {
+    throw errorForResponse(response, data);
+  }
+
+  return data;
+}
+
+/**
+ * Posts a JSON body to an AI provider and returns the streaming response body.
+ *
+ * @param url - Endpoint URL
+ * @param body - JSON-serializable request body (asking the provider to stream)
+ * @param options - Extra request headers and the caller's abort signal
+ * @returns Response body, to read with readLines() or readServerSentEvents()
+ * @throws {AIProviderError} On an unsuccessful HTTP status (with the provider's error type, if any) or a network error
+ * @throws Rejects with the signal's reason when aborted
+ */
+export async function postStream(
+  url: string,
+  body: unknown,
+  { headers = {}, signal }: { headers?: Record<string, string>; signal?: AbortSignal } = {}
+): Promise<ReadableStream<Uint8Array>> {
+  const response = await send(url, body, { headers, signal });
+
+  if (!response.ok) {
+    throw errorForResponse(response, await readJson(response, signal));
+  }
+  if (!response.body) {
+    throw new AIResponseError('AI provider response has no body');
+  }
+
+  return response.body;
+}
+
+/**
+ * Reads a streaming response body line by line (LF or CRLF endings).
+ * Stopping the iteration early cancels the body, closing the connection.
+ *
+ * @param body - Response body from postStream()
+ * @param signal - Caller's abort signal
+ * @returns Async iterator of lines, without line endings
+ * @throws {AIConnectionError} If the connection breaks mid-stream
+ * @throws Rejects with the signal's reason when aborted
+ */
+export async function* readLines(body: ReadableStream<Uint8Array>, signal?: AbortSignal): AsyncGenerator<string> {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = '';
+  try {
+    for (;;) {
+      let chunk: { done: boolean; value?: Uint8Array };
+      try {
+        chunk = await reader.read();
+      } catch (error) {
+        if (signal?.aborted) throw signal.reason;
+        throw new AIConnectionError(
+          `AI provider stream interrupted: ${error.cause?.message || error.message}`,
+          error.cause?.code
+        );
+      }
+      if (chunk.done) break;
+
+      buffered += decoder.decode(chunk.value, { stream: true });
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+      for (const line of lines) {
+        yield line.endsWith('\r') ? line.slice(0, -1) : line;
+      }
+    }
+    buffered += decoder.decode();
+    if (buffered !== '') {
+      yield buffered;
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+}
+
+/**
+ * One Server-Sent Event.
+ */
+export interface ServerSentEvent {
+  /** Event name ("message" when the event has none) */
+  event: string;
+  /** Data lines, joined with newlines */
+  data: string;
+}
+
+/**
+ * Reads a Server-Sent Events response body (text/event-stream).
+ * Comments and fields other than event and data are ignored.
+ *
+ * @param body - Response body from postStream()
+ * @param signal - Caller's abort signal
+ * @returns Async iterator of events, in order
+ * @throws {AIConnectionError} If the connection breaks mid-stream
+ * @throws Rejects with the signal's reason when aborted
+ */
+export async function* readServerSentEvents(
+  body: ReadableStream<Uint8Array>,
+  signal?: AbortSignal
+): AsyncGenerator<ServerSentEvent> {
+  let event = '';
+  let data: string[] = [];
+
+  for await (const line of readLines(body, signal)) {
+    if (line === '') {
+      if (data.length > 0) {
+        yield { event: event || 'message', data: data.join('\n') };
+      }
+      event = '';
+      data = [];
+      continue;
+    }
+    if (line.startsWith(':')) continue;
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+    if (field === 'event') event = value;
+    else if (field === 'data') data.push(value);
+  }
+
+  // A last event without the closing blank line still counts
+  if (data.length > 0) {
+    yield { event: event || 'message', data: data.join('\n') };
+  }
+}
+
+/**
+ * Parses one piece of stream data (an event's data or a JSON line).
+ *
+ * @param data - Raw JSON text
+ * @returns Parsed value
+ * @throws {AIResponseError} If it is not valid JSON
+ */
+export function parseStreamData(data: string): any {
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    throw new AIResponseError('AI provider sent invalid stream data');
+  }
+}
+
+/**
+ * Reads a newline-delimited JSON response body (one JSON object per line).
+ *
+ * @param body - Response body from postStream()
+ * @param signal - Caller's abort signal
+ * @returns Async iterator of parsed objects; blank lines are skipped
+ * @throws {AIResponseError} If a line is not valid JSON
+ * @throws {AIConnectionError} If the connection breaks mid-stream
+ * @throws Rejects with the signal's reason when aborted
+ */
+export async function* readJsonLines(body: ReadableStream<Uint8Array>, signal?: AbortSignal): AsyncGenerator<any> {
+  for await (const line of readLines(body, signal)) {
+    if (line.trim() !== '') {
+      yield parseStreamData(line);
+    }
+  }
+}
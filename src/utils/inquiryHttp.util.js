@@ -0,0 +1,170 @@
+/**
+ * Inquiry HTTP Utility — Request validation and error responses for inquiry routes
+ *
+ * Shared by the secure inquiry and conversation routes: validates the userId /
+ * message body, maps use case, resilience and AI provider errors to HTTP
+ * responses and writes Server-Sent Events for streamed answers. Errors are
+ * recognized by their flag properties (isCircuitOpen, isPolicyBlocked, ...), so
+ * this module has no dependency on the error classes.
+ */
+
+/** Max message length to limit CPU/memory from sanitizer and downstream (ReDoS defense-in-depth). */
+const MAX_MESSAGE_LENGTH = 64 * 1024; // 64 KB
+
+/**
+ * Validates a userId value.
+ *
+ * @param {*} userId - userId from the request
+ * @returns {{valid: boolean, error?: string}} Validation result
+ */
+function validateUserId(userId) {
+  if (userId === undefined || userId === null) {
+    return { valid: false, error: 'userId is required' };
+  }
+
+  if (typeof userId !== 'string') {
+    return { valid: false, error: 'userId must be a string' };
+  }
+
+  if (userId.trim() === '') {
+    return { valid: false, error: 'userId cannot be empty' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Validates an inquiry request body (userId, message and the optional flags).
+ *
+ * @param {Object} body - Request body
+ * @returns {{valid: boolean, error?: string}} Validation result
+ */
+function validateInquiryRequest(body) {
+  if (!body) {
+    return { valid: false, error: 'Request body is required' };
+  }
+
+  const { userId, message, rehydrate, includeRedactions } = body;
+
+  const userIdValidation = validateUserId(userId);
+  if (!userIdValidation.valid) {
+    return userIdValidation;
+  }
+
+  if (message === undefined || message === null) {
+    return { valid: false, error: 'message is required' };
+  }
+
+  if (typeof message !== 'string') {
+    return { valid: false, error: 'message must be a string' };
+  }
+
+  if (message.trim() === '') {
+    return { valid: false, error: 'message cannot be empty' };
+  }
+
+  if (message.length > MAX_MESSAGE_LENGTH) {
+    return { valid: false, error: 'message exceeds maximum length' };
+  }
+
+  if (rehydrate !== undefined && typeof rehydrate !== 'boolean') {
+    return { valid: false, error: 'rehydrate must be a boolean' };
+  }
+
+  if (includeRedactions !== undefined && typeof includeRedactions !== 'boolean') {
+    return { valid: false, error: 'includeRedactions must be a boolean' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Maps an error thrown by an inquiry use case to an HTTP status and body.
+ *
+ * 422 with a machine-readable reason when blocked by policy, 502 with one when
+ * the output DLP blocked the answer, 504 when the AI provider did not answer in
+ * time, 429 when the AI call queue is full, 503 when the circuit is open or the
+ * call waited too long in the queue, 502 when the AI provider rejected the call,
+ * 404 / 409 for unknown / full conversations and 500 otherwise (logged).
+ *
+ * @param {Error} error - Error from the use case
+ * @param {string} label - Log prefix for unexpected errors, e.g. 'Secure inquiry error'
+ * @returns {{status: number, body: {error: string, reason?: Object}}} HTTP status and JSON body
+ */
+function inquiryErrorResponse(error, label) {
+  if (error.isCircuitOpen) {
+    return { status: 503, body: { error: 'Service Busy' } };
+  }
+
+  if (error.isPolicyBlocked) {
+    return { status: 422, body: { error: error.message, reason: error.reason } };
+  }
+
+  if (error.isOutputBlocked) {
+    return { status: 502, body: { error: error.message, reason: error.reason } };
+  }
+
+  if (error.isConversationNotFound) {
+    return { status: 404, body: { error: error.message } };
+  }
+
+  if (error.isConversationFull) {
+    return { status: 409, body: { error: error.message } };
+  }
+
+  if (error.isBulkheadFull) {
+    return { status: 429, body: { error: 'Too many concurrent requests' } };
+  }
+
+  if (error.isQueueTimeout) {
+    return { status: 503, body: { error: 'Service Busy' } };
+  }
+
+  if (error.isTimeout) {
+    return { status: 504, body: { error: 'AI provider timed out' } };
+  }
+
+  if (error.isAIProviderError) {
+    console.error('AI provider error:', error.message);
+    return { status: 502, body: { error: 'AI provider error' } };
+  }
+
+  // Log error for debugging (in production, use proper logging)
+  console.error(`${label}:`, error.message);
+
+  return { status: 500, body: { error: 'Internal server error' } };
+}
+
+/**
+ * Sends the HTTP response for an error thrown by an inquiry use case (see inquiryErrorResponse).
+ *
+ * @param {Object} res - Express response
+ * @param {Error} error - Error from the use case
+ * @param {string} label - Log prefix for unexpected errors, e.g. 'Secure inquiry error'
+ * @returns {Object} Express response
+ */
+function sendInquiryError(res, error, label) {
+  const { status, body } = inquiryErrorResponse(error, label);
+  return res.status(status).json(body);
+}
+
+/**
+ * Writes one Server-Sent Event with a JSON payload.
+ *
+ * @param {Object} res - Express response opened as text/event-stream
+ * @param {string} event - Event name, e.g. 'chunk'
+ * @param {Object} data - JSON-serializable payload (serialized on one line)
+ * @returns {void}
+ */
+function writeServerSentEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+module.exports = {
+  validateUserId,
+  validateInquiryRequest,
+  inquiryErrorResponse,
+  sendInquiryError,
+  writeServerSentEvent,
+  MAX_MESSAGE_LENGTH,
+};
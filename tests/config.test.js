@@ -119,6 +119,531 @@ describe('config', () => {
     });
   });
 
+  describe('rehydrateAllowedTypes configuration', () => {
+    it('defaults to EMAIL when REHYDRATE_ALLOWED_TYPES is not set', () => {
+      delete process.env.REHYDRATE_ALLOWED_TYPES;
+      const config = require('../config.js');
+      expect(config.rehydrateAllowedTypes).toEqual(['EMAIL']);
+    });
+
+    it('parses a comma-separated, case-insensitive list', () => {
+      process.env.REHYDRATE_ALLOWED_TYPES = 'email, ssn ,';
+      const config = require('../config.js');
+      expect(config.rehydrateAllowedTypes).toEqual(['EMAIL', 'SSN']);
+    });
+  });
+
+  describe('customDetectors configuration', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'detectors-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('is an empty list when SANITIZER_DETECTORS_FILE is not set', () => {
+      delete process.env.SANITIZER_DETECTORS_FILE;
+      const config = require('../config.js');
+      expect(config.customDetectors).toEqual([]);
+    });
+
+    it('loads detectors from a JSON file', () => {
+      const file = path.join(tmpDir, 'detectors.json');
+      fs.writeFileSync(file, JSON.stringify({
+        detectors: [{ name: 'employee-id', type: 'EMPLOYEE_ID', pattern: '\\bEMP-\\d{6}\\b' }],
+      }));
+      process.env.SANITIZER_DETECTORS_FILE = file;
+
+      const config = require('../config.js');
+      expect(config.customDetectors).toEqual([
+        { name: 'employee-id', type: 'EMPLOYEE_ID', pattern: '\\bEMP-\\d{6}\\b' },
+      ]);
+    });
+
+    it('loads detectors from a YAML file', () => {
+      const file = path.join(tmpDir, 'detectors.yaml');
+      fs.writeFileSync(file, [
+        'detectors:',
+        '  - name: employee-id',
+        '    type: EMPLOYEE_ID',
+        "    pattern: '\\bEMP-\\d{6}\\b'",
+        '    priority: 150',
+        '',
+      ].join('\n'));
+      process.env.SANITIZER_DETECTORS_FILE = file;
+
+      const config = require('../config.js');
+      expect(config.customDetectors).toEqual([
+        { name: 'employee-id', type: 'EMPLOYEE_ID', pattern: '\\bEMP-\\d{6}\\b', priority: 150 },
+      ]);
+    });
+
+    it('accepts a top-level array', () => {
+      const file = path.join(tmpDir, 'detectors.json');
+      fs.writeFileSync(file, JSON.stringify([{ name: 'x', type: 'X', pattern: 'x' }]));
+      process.env.SANITIZER_DETECTORS_FILE = file;
+
+      const config = require('../config.js');
+      expect(config.customDetectors).toHaveLength(1);
+    });
+
+    it('throws when the file does not contain a detector list', () => {
+      const file = path.join(tmpDir, 'detectors.json');
+      fs.writeFileSync(file, JSON.stringify({ something: 'else' }));
+      process.env.SANITIZER_DETECTORS_FILE = file;
+
+      expect(() => require('../config.js')).toThrow('must contain a list of detectors');
+    });
+  });
+
+  describe('payloadDecoding configuration', () => {
+    it('is disabled with default bounds when not configured', () => {
+      delete process.env.SANITIZER_DECODE_PAYLOADS;
+      delete process.env.SANITIZER_DECODE_MAX_DEPTH;
+      delete process.env.SANITIZER_DECODE_MAX_LENGTH;
+      const config = require('../config.js');
+      expect(config.payloadDecoding).toEqual({ enabled: false, maxDepth: 2, maxSegmentLength: 8192 });
+    });
+
+    it('reads the enable flag and bounds from env', () => {
+      process.env.SANITIZER_DECODE_PAYLOADS = 'true';
+      process.env.SANITIZER_DECODE_MAX_DEPTH = '3';
+      process.env.SANITIZER_DECODE_MAX_LENGTH = '1024';
+      const config = require('../config.js');
+      expect(config.payloadDecoding).toEqual({ enabled: true, maxDepth: 3, maxSegmentLength: 1024 });
+    });
+
+    it('falls back to defaults for invalid bounds', () => {
+      process.env.SANITIZER_DECODE_MAX_DEPTH = '0';
+      process.env.SANITIZER_DECODE_MAX_LENGTH = 'lots';
+      const config = require('../config.js');
+      expect(config.payloadDecoding.maxDepth).toBe(2);
+      expect(config.payloadDecoding.maxSegmentLength).toBe(8192);
+    });
+  });
+
+  describe('masking configuration', () => {
+    it('defaults to full placeholders for every type', () => {
+      delete process.env.SANITIZER_MASKING;
+      delete process.env.SANITIZER_MASKING_KEY;
+      const config = require('../config.js');
+      expect(config.masking).toEqual({ strategies: {}, defaultStrategy: 'full', hmacKey: undefined });
+    });
+
+    it('parses TYPE=strategy pairs and the * default', () => {
+      process.env.SANITIZER_MASKING = 'credit_card=partial, EMAIL=HASH, *=synthetic';
+      process.env.SANITIZER_MASKING_KEY = 'pseudonym-key';
+      const config = require('../config.js');
+      expect(config.masking).toEqual({
+        strategies: { CREDIT_CARD: 'partial', EMAIL: 'hash' },
+        defaultStrategy: 'synthetic',
+        hmacKey: 'pseudonym-key',
+      });
+    });
+
+    it('throws on entries that are not TYPE=strategy', () => {
+      process.env.SANITIZER_MASKING = 'EMAIL';
+      expect(() => require('../config.js')).toThrow('SANITIZER_MASKING entry "EMAIL" must be TYPE=value');
+    });
+  });
+
+  describe('policy configuration', () => {
+    it('redacts everything by default', () => {
+      delete process.env.PII_POLICY;
+      const config = require('../config.js');
+      expect(config.policy).toEqual({ rules: {}, defaultAction: 'redact' });
+    });
+
+    it('parses TYPE and TYPE:KIND rules and the * default', () => {
+      process.env.PII_POLICY = 'credit_card=block, SECRET:PRIVATE_KEY=Block, IP_ADDRESS=allow, *=redact';
+      const config = require('../config.js');
+      expect(config.policy).toEqual({
+        rules: { CREDIT_CARD: 'block', 'SECRET:PRIVATE_KEY': 'block', IP_ADDRESS: 'allow' },
+        defaultAction: 'redact',
+      });
+    });
+
+    it('throws on entries that are not TYPE=action', () => {
+      process.env.PII_POLICY = 'CREDIT_CARD=';
+      expect(() => require('../config.js')).toThrow('PII_POLICY entry "CREDIT_CARD=" must be TYPE=value');
+    });
+  });
+
+  describe('outputDlp configuration', () => {
+    beforeEach(() => {
+      delete process.env.OUTPUT_DLP_ACTION;
+    });
+
+    it('redacts PII in answers by default', () => {
+      const config = require('../config.js');
+      expect(config.outputDlp).toEqual({ action: 'redact' });
+    });
+
+    it('reads OUTPUT_DLP_ACTION case-insensitively', () => {
+      process.env.OUTPUT_DLP_ACTION = ' Block ';
+      const config = require('../config.js');
+      expect(config.outputDlp).toEqual({ action: 'block' });
+    });
+  });
+
+  describe('circuitBreaker configuration', () => {
+    const keys = [
+      'CIRCUIT_BREAKER_FAILURE_THRESHOLD',
+      'CIRCUIT_BREAKER_FAILURE_WINDOW_MS',
+      'CIRCUIT_BREAKER_RESET_TIMEOUT_MS',
+      'CIRCUIT_BREAKER_HALF_OPEN_MAX_TRIALS',
+      'CIRCUIT_BREAKER_MODE',
+      'CIRCUIT_BREAKER_RATE_WINDOW_MS',
+      'CIRCUIT_BREAKER_MINIMUM_REQUESTS',
+      'CIRCUIT_BREAKER_FAILURE_RATE_THRESHOLD',
+      'CIRCUIT_BREAKER_SLOW_CALL_DURATION_MS',
+      'CIRCUIT_BREAKER_SLOW_CALL_RATE_THRESHOLD',
+      'CIRCUIT_BREAKER_PROVIDERS',
+    ];
+
+    beforeEach(() => {
+      keys.forEach((key) => delete process.env[key]);
+    });
+
+    it('defaults to 3 consecutive failures, no window, a 30s reset timeout and one half-open trial', () => {
+      const config = require('../config.js');
+      expect(config.circuitBreaker).toEqual({
+        defaults: {
+          failureThreshold: 3,
+          failureWindowMs: 0,
+          resetTimeoutMs: 30000,
+          halfOpenMaxTrials: 1,
+          mode: 'consecutive',
+          rateWindowMs: 60000,
+          minimumRequests: 10,
+          failureRateThreshold: 50,
+          slowCallDurationMs: 0,
+          slowCallRateThreshold: 100,
+        },
+        providers: {},
+      });
+    });
+
+    it('reads the defaults from env', () => {
+      process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD = '5';
+      process.env.CIRCUIT_BREAKER_FAILURE_WINDOW_MS = '60000';
+      process.env.CIRCUIT_BREAKER_RESET_TIMEOUT_MS = '5000';
+      process.env.CIRCUIT_BREAKER_HALF_OPEN_MAX_TRIALS = '2';
+      const config = require('../config.js');
+      expect(config.circuitBreaker.defaults).toMatchObject({
+        failureThreshold: 5,
+        failureWindowMs: 60000,
+        resetTimeoutMs: 5000,
+        halfOpenMaxTrials: 2,
+      });
+    });
+
+    it('reads the failure-rate settings from env', () => {
+      process.env.CIRCUIT_BREAKER_MODE = 'Rate';
+      process.env.CIRCUIT_BREAKER_RATE_WINDOW_MS = '10000';
+      process.env.CIRCUIT_BREAKER_MINIMUM_REQUESTS = '20';
+      process.env.CIRCUIT_BREAKER_FAILURE_RATE_THRESHOLD = '25';
+      process.env.CIRCUIT_BREAKER_SLOW_CALL_DURATION_MS = '5000';
+      process.env.CIRCUIT_BREAKER_SLOW_CALL_RATE_THRESHOLD = '80';
+      const config = require('../config.js');
+      expect(config.circuitBreaker.defaults).toMatchObject({
+        mode: 'rate',
+        rateWindowMs: 10000,
+        minimumRequests: 20,
+        failureRateThreshold: 25,
+        slowCallDurationMs: 5000,
+        slowCallRateThreshold: 80,
+      });
+    });
+
+    it('reads per-provider overrides from JSON', () => {
+      process.env.CIRCUIT_BREAKER_PROVIDERS = '{"openai": {"failureThreshold": 5}, "openai:gpt-4o": {"resetTimeoutMs": 60000}}';
+      const config = require('../config.js');
+      expect(config.circuitBreaker.providers).toEqual({
+        openai: { failureThreshold: 5 },
+        'openai:gpt-4o': { resetTimeoutMs: 60000 },
+      });
+    });
+
+    it('throws on invalid provider overrides', () => {
+      process.env.CIRCUIT_BREAKER_PROVIDERS = '[1]';
+      expect(() => require('../config.js')).toThrow('must be a JSON object keyed by provider');
+
+      jest.resetModules();
+      process.env.CIRCUIT_BREAKER_PROVIDERS = '{nope';
+      expect(() => require('../config.js')).toThrow('CIRCUIT_BREAKER_PROVIDERS is not valid JSON');
+    });
+  });
+
+  describe('circuitBreakerStore configuration', () => {
+    beforeEach(() => {
+      delete process.env.CIRCUIT_BREAKER_STORE;
+      delete process.env.CIRCUIT_BREAKER_STORE_FILE;
+    });
+
+    it('defaults to the in-memory store', () => {
+      const config = require('../config.js');
+      expect(config.circuitBreakerStore).toEqual({ type: 'memory' });
+    });
+
+    it('selects the file store with an optional absolute file path', () => {
+      process.env.CIRCUIT_BREAKER_STORE = ' File ';
+      expect(require('../config.js').circuitBreakerStore).toEqual({ type: 'file' });
+
+      jest.resetModules();
+      process.env.CIRCUIT_BREAKER_STORE_FILE = 'tmp/breakers.json';
+      expect(require('../config.js').circuitBreakerStore).toEqual({
+        type: 'file',
+        filePath: require('path').resolve('tmp/breakers.json'),
+      });
+    });
+
+    it('throws on an unknown store type', () => {
+      process.env.CIRCUIT_BREAKER_STORE = 'redis';
+      expect(() => require('../config.js')).toThrow('CIRCUIT_BREAKER_STORE must be "memory" or "file", got "redis"');
+    });
+  });
+
+  describe('aiResilience configuration', () => {
+    const keys = [
+      'AI_TIMEOUT_MS',
+      'AI_MAX_RETRIES',
+      'AI_RETRY_BASE_DELAY_MS',
+      'AI_RETRY_MAX_DELAY_MS',
+      'AI_REQUEST_DEADLINE_MS',
+    ];
+
+    beforeEach(() => {
+      keys.forEach((key) => delete process.env[key]);
+    });
+
+    it('defaults to a 30s timeout, 2 retries and a 60s deadline', () => {
+      const config = require('../config.js');
+      expect(config.aiResilience).toEqual({
+        timeoutMs: 30000,
+        maxRetries: 2,
+        baseDelayMs: 200,
+        maxDelayMs: 5000,
+        deadlineMs: 60000,
+      });
+    });
+
+    it('reads the settings from env, allowing 0', () => {
+      process.env.AI_TIMEOUT_MS = '5000';
+      process.env.AI_MAX_RETRIES = '0';
+      process.env.AI_RETRY_BASE_DELAY_MS = '50';
+      process.env.AI_RETRY_MAX_DELAY_MS = '1000';
+      process.env.AI_REQUEST_DEADLINE_MS = '0';
+      const config = require('../config.js');
+      expect(config.aiResilience).toEqual({
+        timeoutMs: 5000,
+        maxRetries: 0,
+        baseDelayMs: 50,
+        maxDelayMs: 1000,
+        deadlineMs: 0,
+      });
+    });
+
+    it('falls back to defaults for invalid values', () => {
+      process.env.AI_MAX_RETRIES = '-1';
+      process.env.AI_TIMEOUT_MS = 'soon';
+      const config = require('../config.js');
+      expect(config.aiResilience.maxRetries).toBe(2);
+      expect(config.aiResilience.timeoutMs).toBe(30000);
+    });
+  });
+
+  describe('aiProviders configuration', () => {
+    beforeEach(() => {
+      delete process.env.AI_PROVIDER;
+      delete process.env.AI_FALLBACK_PROVIDERS;
+    });
+
+    it('defaults to the mock provider only', () => {
+      const config = require('../config.js');
+      expect(config.aiProviders).toEqual(['mock']);
+    });
+
+    it('puts AI_PROVIDER first, then the fallbacks in order without duplicates', () => {
+      process.env.AI_PROVIDER = 'OpenAI';
+      process.env.AI_FALLBACK_PROVIDERS = 'anthropic, openai ,mock,';
+      const config = require('../config.js');
+      expect(config.aiProviders).toEqual(['openai', 'anthropic', 'mock']);
+    });
+  });
+
+  describe('openai configuration', () => {
+    beforeEach(() => {
+      ['OPENAI_BASE_URL', 'OPENAI_API_KEY', 'OPENAI_MODEL', 'OPENAI_TEMPERATURE', 'OPENAI_MAX_TOKENS'].forEach(
+        (key) => delete process.env[key]
+      );
+    });
+
+    it('defaults to the OpenAI API and gpt-4o-mini without a key or generation settings', () => {
+      const config = require('../config.js');
+      expect(config.openai).toEqual({ baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o-mini' });
+    });
+
+    it('reads the settings from env', () => {
+      process.env.OPENAI_BASE_URL = 'http://localhost:8000/v1';
+      process.env.OPENAI_API_KEY = 'sk-test';
+      process.env.OPENAI_MODEL = 'llama-3-8b';
+      process.env.OPENAI_TEMPERATURE = '0';
+      process.env.OPENAI_MAX_TOKENS = '512';
+      const config = require('../config.js');
+      expect(config.openai).toEqual({
+        baseUrl: 'http://localhost:8000/v1',
+        apiKey: 'sk-test',
+        model: 'llama-3-8b',
+        temperature: 0,
+        maxTokens: 512,
+      });
+    });
+
+    it('ignores invalid temperature and max tokens', () => {
+      process.env.OPENAI_TEMPERATURE = '3';
+      process.env.OPENAI_MAX_TOKENS = '-5';
+      const config = require('../config.js');
+      expect(config.openai).not.toHaveProperty('temperature');
+      expect(config.openai).not.toHaveProperty('maxTokens');
+    });
+  });
+
+  describe('anthropic configuration', () => {
+    beforeEach(() => {
+      [
+        'ANTHROPIC_BASE_URL',
+        'ANTHROPIC_API_KEY',
+        'ANTHROPIC_MODEL',
+        'ANTHROPIC_MAX_TOKENS',
+        'ANTHROPIC_SYSTEM_PROMPT',
+        'ANTHROPIC_TEMPERATURE',
+      ].forEach((key) => delete process.env[key]);
+    });
+
+    it('defaults to the Anthropic API with 1024 max tokens and no key or system prompt', () => {
+      const config = require('../config.js');
+      expect(config.anthropic).toEqual({
+        baseUrl: 'https://api.anthropic.com',
+        model: 'claude-sonnet-4-5',
+        maxTokens: 1024,
+      });
+    });
+
+    it('reads the settings from env', () => {
+      process.env.ANTHROPIC_BASE_URL = 'http://localhost:9999';
+      process.env.ANTHROPIC_API_KEY = 'sk-ant-test';
+      process.env.ANTHROPIC_MODEL = 'claude-haiku-4-5';
+      process.env.ANTHROPIC_MAX_TOKENS = '2048';
+      process.env.ANTHROPIC_SYSTEM_PROMPT = 'Answer briefly.';
+      process.env.ANTHROPIC_TEMPERATURE = '0.5';
+      const config = require('../config.js');
+      expect(config.anthropic).toEqual({
+        baseUrl: 'http://localhost:9999',
+        apiKey: 'sk-ant-test',
+        model: 'claude-haiku-4-5',
+        maxTokens: 2048,
+        systemPrompt: 'Answer briefly.',
+        temperature: 0.5,
+      });
+    });
+
+    it('ignores invalid max tokens and temperature', () => {
+      process.env.ANTHROPIC_MAX_TOKENS = '0';
+      process.env.ANTHROPIC_TEMPERATURE = '1.5';
+      const config = require('../config.js');
+      expect(config.anthropic.maxTokens).toBe(1024);
+      expect(config.anthropic).not.toHaveProperty('temperature');
+    });
+  });
+
+  describe('local provider configuration', () => {
+    beforeEach(() => {
+      ['OLLAMA_BASE_URL', 'OLLAMA_MODEL', 'LLAMACPP_BASE_URL', 'LLAMACPP_MODEL'].forEach((key) => delete process.env[key]);
+    });
+
+    it('defaults to the standard local ports', () => {
+      const config = require('../config.js');
+      expect(config.ollama).toEqual({ baseUrl: 'http://localhost:11434', model: 'llama3.2' });
+      expect(config.llamaCpp).toEqual({ baseUrl: 'http://localhost:8080/v1', model: 'default' });
+    });
+
+    it('reads endpoints and models from env', () => {
+      process.env.OLLAMA_BASE_URL = 'http://gpu-box:11434';
+      process.env.OLLAMA_MODEL = 'mistral';
+      process.env.LLAMACPP_BASE_URL = 'http://127.0.0.1:9000/v1';
+      process.env.LLAMACPP_MODEL = 'qwen2.5-7b';
+      const config = require('../config.js');
+      expect(config.ollama).toEqual({ baseUrl: 'http://gpu-box:11434', model: 'mistral' });
+      expect(config.llamaCpp).toEqual({ baseUrl: 'http://127.0.0.1:9000/v1', model: 'qwen2.5-7b' });
+    });
+  });
+
+  describe('bulkhead configuration', () => {
+    beforeEach(() => {
+      ['AI_MAX_CONCURRENT', 'AI_MAX_QUEUE', 'AI_QUEUE_TIMEOUT_MS'].forEach((key) => delete process.env[key]);
+    });
+
+    it('defaults to 10 concurrent calls, a queue of 50 and a 5s queue timeout', () => {
+      const config = require('../config.js');
+      expect(config.bulkhead).toEqual({ maxConcurrent: 10, maxQueue: 50, queueTimeoutMs: 5000 });
+    });
+
+    it('reads the settings from env, allowing no queue', () => {
+      process.env.AI_MAX_CONCURRENT = '4';
+      process.env.AI_MAX_QUEUE = '0';
+      process.env.AI_QUEUE_TIMEOUT_MS = '250';
+      const config = require('../config.js');
+      expect(config.bulkhead).toEqual({ maxConcurrent: 4, maxQueue: 0, queueTimeoutMs: 250 });
+    });
+  });
+
+  describe('conversations configuration', () => {
+    beforeEach(() => {
+      delete process.env.CONVERSATION_MAX_TURNS;
+    });
+
+    it('defaults to 50 turns per conversation', () => {
+      const config = require('../config.js');
+      expect(config.conversations).toEqual({ maxTurns: 50 });
+    });
+
+    it('reads CONVERSATION_MAX_TURNS', () => {
+      process.env.CONVERSATION_MAX_TURNS = '5';
+      const config = require('../config.js');
+      expect(config.conversations).toEqual({ maxTurns: 5 });
+    });
+
+    it('falls back to the default for invalid values', () => {
+      process.env.CONVERSATION_MAX_TURNS = '0';
+      const config = require('../config.js');
+      expect(config.conversations.maxTurns).toBe(50);
+    });
+  });
+
+  describe('adminApiToken configuration', () => {
+    beforeEach(() => {
+      delete process.env.ADMIN_API_TOKEN;
+    });
+
+    it('is undefined when ADMIN_API_TOKEN is not set', () => {
+      const config = require('../config.js');
+      expect(config.adminApiToken).toBeUndefined();
+    });
+
+    it('reads ADMIN_API_TOKEN', () => {
+      process.env.ADMIN_API_TOKEN = 's3cret';
+      const config = require('../config.js');
+      expect(config.adminApiToken).toBe('s3cret');
+    });
+  });
+
   describe('dotenv integration', () => {
     it('loads dotenv without throwing', () => {
       expect(() => {